@@ -3,11 +3,34 @@ import bodyParser from "body-parser";
 import cors from "cors";
 import dotenv from "dotenv";
 import { google } from "googleapis";
-import { getAuthClient, saveToken } from "./utils/googleAuth.js";
+import { DateTime } from "luxon";
+import { getAuthClient, saveToken, useTokenStore, ReauthRequiredError, isReauthError, toReauthError } from "./utils/googleAuth.js";
+import { setAuthCookie, clearAuthCookie, getAuthenticatedUserId, issueOAuthState, verifyOAuthState } from "./utils/authSession.js";
 import { intentHandler } from "./services/intentHandler.js";
-// Database removed - using in-memory session storage
+import { createSessionStore } from "./services/sessionStore.js";
+import { createUserStore } from "./services/userStore.js";
+import { useCalendarProvider, getCalendarProvider, addUserCalendarProvider, chooseUserCalendarProvider, getUserCalendarProvider, providerFor, useCalendarSync } from "./services/calendarProvider.js";
+import { createCalendarSync } from "./services/calendarSync.js";
+import { createCalendarWatch } from "./services/calendarWatch.js";
+import { createLiveUpdates } from "./services/liveUpdates.js";
+import { createGoogleCalendarProvider } from "./services/providers/googleCalendarProvider.js";
+import { createLocalCalendarProvider } from "./services/providers/localCalendarProvider.js";
+import { createCalDavCalendarProvider } from "./services/providers/caldavCalendarProvider.js";
+import { resolvePreferences, isValidTimezone, isValidLocale, zonedDateTime, todayIn, toZonedParts, formatInZone } from "./utils/timezone.js";
 import { v4 as uuidv4 } from "uuid";
-import { createCalendarEvent, updateCalendarEvent, deleteCalendarEvent, searchCalendarEvents, getEventsForDateRange } from "./services/calendarService.js";
+import { createCalendarEvent, updateCalendarEvent, findCalendarEvent, deleteCalendarEvent, deleteCalendarEvents, searchCalendarEvents, getEventsForDateRange, getCalendarEvent, normalizeEvent, listEvents, listCalendars, queryFreeBusy, resolveCalendarSettings, PRIMARY_CALENDAR, EventConflictError, EventNotFoundError } from "./services/calendarService.js";
+import { detectFreeTimeSlots } from "./services/freeTimeDetector.js";
+import { toEventRef, resolveEvent, formatChoiceList, parseChoice, isSpecificTitle } from "./services/eventResolver.js";
+import { resolveSchedulingProfile, validateSchedulingProfile, findRankedSlots } from "./services/slotFinder.js";
+import { resolveParticipants, findMeetingSlots } from "./services/meetingFinder.js";
+import { resolveReminderProfile, validateReminderProfile, validateReminders, remindersFor, reminderTypeOf, describeReminders } from "./services/reminderProfile.js";
+import { buildDigest, renderDigestText, renderDigestHtml, sendDigestEmail, resolveDigestSettings, validateDigestSettings, isDigestDue } from "./services/digestService.js";
+import { buildIcs, parseIcs, previewImport } from "./services/icsService.js";
+import { snapshotEvent, captureEvents, todoSlotsFor, recordOperation, undoLastOperation } from "./services/operationJournal.js";
+import { sendEmail, isValidEmail } from "./services/emailService.js";
+import { createGoal, updateGoal, recordProgress, getGoalProgress, formatGoalSummary, formatGoalTarget, findGoals } from "./services/goalService.js";
+import { normalizeRecurrence, alignStartDate, defaultStartDate, buildRRule, expandOccurrences, describeRecurrence } from "./utils/recurrence.js";
+import { hasSecretsKey } from "./utils/secrets.js";
 import path from "path";
 
 dotenv.config();
@@ -19,19 +42,186 @@ app.use(cors());
 app.use(bodyParser.json());
 app.use(express.static("public"));
 
-// In-memory session storage
-const sessions = new Map();
+// Session storage (file-backed by default, STORAGE_DRIVER=memory for the old in-memory behaviour)
+const sessionStore = createSessionStore({
+  driver: process.env.STORAGE_DRIVER || "file",
+  dataDir: process.env.DATA_DIR || path.join(process.cwd(), "data"),
+  ttlHours: Number(process.env.SESSION_TTL_HOURS || 168),
+  // Listed events and half-finished confirmations don't outlive the conversation
+  transientKeys: ["activeEvents", "lastEvent", "rescheduleState", "cancelState", "emailDraft", "meetingProposal", "pendingChoice", "pendingImport", "pendingGoalDeletion"]
+});
+
+// User accounts and their Google tokens
+const userStore = createUserStore({
+  driver: process.env.STORAGE_DRIVER || "file",
+  dataDir: process.env.DATA_DIR || path.join(process.cwd(), "data")
+});
+useTokenStore(userStore);
+
+// Where calendars live: Google (default) or CALENDAR_PROVIDER=local to run without Google
+useCalendarProvider(process.env.CALENDAR_PROVIDER === "local"
+  ? createLocalCalendarProvider({
+    driver: process.env.STORAGE_DRIVER || "file",
+    dataDir: process.env.DATA_DIR || path.join(process.cwd(), "data")
+  })
+  : createGoogleCalendarProvider());
+
+// Users can connect a CalDAV account (Nextcloud, Fastmail, Radicale...) instead
+addUserCalendarProvider(createCalDavCalendarProvider({
+  accountFor: (userId) => {
+    const account = userStore.getCalendarAccount(userId);
+    return account?.provider === "caldav" ? { ...account, email: userStore.findById(userId).email } : null;
+  }
+}));
+chooseUserCalendarProvider(userId => userStore.findById(userId)?.calendar_account?.provider || null);
+
+// Keep a synced copy of Google calendars and answer event reads from it
+const calendarSync = createCalendarSync({
+  driver: process.env.STORAGE_DRIVER || "file",
+  dataDir: process.env.DATA_DIR || path.join(process.cwd(), "data"),
+  maxAgeSeconds: Number(process.env.CALENDAR_SYNC_SECONDS ?? 60)
+});
+useCalendarSync(calendarSync);
+
+// Push notifications for changes made outside the app. Google only posts to a public HTTPS
+// address; the local provider never posts, so any address does for simulated notifications.
+const calendarWatch = createCalendarWatch({
+  userStore,
+  address: process.env.CALENDAR_WEBHOOK_URL ||
+    (process.env.CALENDAR_PROVIDER === "local" ? `http://localhost:${PORT}/webhooks/calendar` : null)
+});
+
+// Browsers with the app open, told about those changes
+const liveUpdates = createLiveUpdates();
+
+// Expire idle sessions hourly; unref so the timer never keeps the process alive
+setInterval(() => sessionStore.purgeExpired(), 60 * 60 * 1000).unref();
+sessionStore.purgeExpired();
 
-// Helper functions
-function formatFriendly(dateStr, timeStr) {
+// Helper functions (prefs is the user's { timezone, locale })
+function formatFriendly(dateStr, timeStr, prefs) {
   try {
-    const dt = new Date(`${dateStr}T${timeStr}:00`);
-    return dt.toLocaleString("en-AU", { dateStyle: "long", timeStyle: "short" });
+    return formatInZone(zonedDateTime(dateStr, timeStr, prefs.timezone), prefs, { dateStyle: "long", timeStyle: "short" });
   } catch {
     return `${dateStr} ${timeStr}`;
   }
 }
 
+function formatFriendlyTime(timeStr, prefs) {
+  try {
+    // A wall-clock time on its own, so format it in UTC to avoid any shift
+    return formatInZone(`1970-01-01T${timeStr}:00Z`, { ...prefs, timezone: "UTC" }, { hour: "numeric", minute: "2-digit", hour12: true });
+  } catch {
+    return timeStr;
+  }
+}
+
+// Format an instant from Google Calendar (e.g. an event's start.dateTime)
+function formatEventTime(value, prefs) {
+  return formatInZone(value, prefs, { dateStyle: "long", timeStyle: "short" });
+}
+
+// When an event from session state starts, from its Google start or its date/time fields;
+// all-day events are described by the days they cover
+function describeEventTime(event, prefs) {
+  if (event.allDay && event.startDate) return `${describeDateRange(event.startDate, event.endDate, prefs)} (all day)`;
+  if (event.all_day && event.date) return `${describeDateRange(event.date, event.end_date, prefs)} (all day)`;
+  if (event.startDateTime) return formatEventTime(event.startDateTime, prefs);
+  if (event.date && event.time) return formatFriendly(event.date, event.time, prefs);
+  return "unknown time";
+}
+
+// Why events can't be added to a calendar given in an API request, or null when they can
+async function checkTargetCalendar(userId, calendarId) {
+  if (calendarId === PRIMARY_CALENDAR) return null;
+
+  const calendar = (await listCalendars(userId)).find(c => c.id === calendarId);
+  if (!calendar) return `Unknown calendar "${calendarId}"`;
+  if (!calendar.writable) return `Events can't be added to the calendar "${calendar.name}"`;
+  return null;
+}
+
+// " in your Work calendar" when a chat request picked a calendar for a new event
+function describeTargetCalendar(event) {
+  return event.calendar_name ? ` in your **${event.calendar_name}** calendar` : "";
+}
+
+// "sam@x.com and priya@y.com" in the user's locale
+function formatList(items, prefs) {
+  return new Intl.ListFormat(prefs.locale, { type: "conjunction" }).format(items);
+}
+
+// Add guest addresses from a chat message to an event draft; returns the ones that aren't addresses
+function addAttendees(event, addresses) {
+  event.attendees = event.attendees || [];
+  const known = new Set(event.attendees.map(email => email.toLowerCase()));
+  const invalid = [];
+
+  for (const address of addresses || []) {
+    if (!isValidEmail(address)) {
+      invalid.push(address);
+    } else if (!known.has(address.toLowerCase())) {
+      known.add(address.toLowerCase());
+      event.attendees.push(address);
+    }
+  }
+  return invalid;
+}
+
+// Guests of a new chat event (email addresses), as " and invite sam@x.com and priya@y.com"
+function describeInvitees(event, prefs) {
+  return event.attendees?.length ? ` and invite ${formatList(event.attendees, prefs)}` : "";
+}
+
+// Where a new chat event is and whether it gets a video call, as " at **Cafe Sydney** with a Google Meet link"
+function describeVenue(event) {
+  const place = event.location ? ` at **${event.location}**` : "";
+  return event.conference ? `${place} with a Google Meet link` : place;
+}
+
+// The video call of a just-created event, as " Join the call: https://meet.google.com/..."
+function describeJoinLink(googleEvent) {
+  const { joinLink } = normalizeEvent(googleEvent);
+  return joinLink ? ` Join the call: ${joinLink}` : "";
+}
+
+// Reminders asked for on a new chat event, as " with a reminder 30 minutes before"
+function describeRequestedReminders(event, prefs) {
+  return event.reminders ? ` with ${describeReminders(event.reminders, prefs)}` : "";
+}
+
+const RESPONSE_LABELS = {
+  accepted: "✅ Going",
+  tentative: "❔ Maybe",
+  declined: "❌ Not going"
+};
+
+// Who has and hasn't answered an invitation; the user themselves is left out
+function describeResponses(event, prefs) {
+  const guests = event.attendees.filter(attendee => !attendee.self);
+  const nameOf = attendee => attendee.name || attendee.email;
+  const waiting = guests.filter(attendee => !RESPONSE_LABELS[attendee.responseStatus]);
+
+  let text = waiting.length
+    ? `${waiting.length} of ${guests.length} guests haven't responded to **${event.summary}** (${describeEventTime(event, prefs)}): ${formatList(waiting.map(nameOf), prefs)}.`
+    : `Everyone invited to **${event.summary}** (${describeEventTime(event, prefs)}) has responded.`;
+
+  for (const [status, label] of Object.entries(RESPONSE_LABELS)) {
+    const answered = guests.filter(attendee => attendee.responseStatus === status);
+    if (answered.length) text += `\n${label}: ${formatList(answered.map(nameOf), prefs)}`;
+  }
+  return text;
+}
+
+// Format a 'YYYY-MM-DD' date, e.g. "Monday, 20 October 2025"
+function formatDay(dateStr, prefs, options = { weekday: "long", day: "numeric", month: "long", year: "numeric" }) {
+  return formatInZone(`${dateStr}T12:00:00Z`, { ...prefs, timezone: "UTC" }, options);
+}
+
+function formatEmailPreview(draft) {
+  return `**To:** ${draft.to.join(", ")}\n**Subject:** ${draft.subject}\n\n${draft.body}`;
+}
+
 function updateEventInSession(sessionState, event) {
   if (!event.id) event.id = uuidv4();
   const idx = sessionState.activeEvents.findIndex((e) => e.id === event.id);
@@ -45,15 +235,60 @@ function getUnconfirmedEvent(sessionState) {
 }
 
 function saveSession(sessionId, sessionState) {
-  sessions.set(sessionId, {
-    state: sessionState,
-    updatedAt: new Date()
-  });
+  sessionStore.saveSession(sessionId, sessionState);
 }
 
 function getSession(sessionId) {
-  const session = sessions.get(sessionId);
-  return session ? session.state : {};
+  return sessionStore.getSession(sessionId);
+}
+
+const REAUTH_REPLIES = {
+  not_signed_in: "Please sign in with Google first by visiting /auth",
+  tokens_missing: "I need access to your Google account first. Please sign in by visiting /auth",
+  tokens_revoked: "Your Google authorization has expired or was revoked. Please sign in again by visiting /auth",
+  insufficient_scope: "I don't have permission to do that in your Google account. Please sign in again by visiting /auth and allow all requested access"
+};
+
+// Same 401 body everywhere (/chat and /api) whenever the user must go through /auth again
+function sendReauthRequired(req, res, error, extra = {}) {
+  const reauth = toReauthError(error, req.user?.id);
+
+  return res.status(401).json({
+    error: "reauth_required",
+    reason: reauth.reason,
+    message: reauth.message,
+    reply: REAUTH_REPLIES[reauth.reason] || REAUTH_REPLIES.tokens_missing,
+    authUrl: "/auth",
+    ...extra
+  });
+}
+
+// Only signed-in users reach the chat and API; their session id comes from their account
+function requireUser(req, res, next) {
+  const userId = getAuthenticatedUserId(req);
+  const user = userId ? userStore.findById(userId) : null;
+
+  if (!user) {
+    return sendReauthRequired(req, res, new ReauthRequiredError("not_signed_in", "Not signed in"));
+  }
+
+  req.user = user;
+  req.sessionId = user.session_id;
+  req.prefs = resolvePreferences(user.preferences);
+  req.scheduling = resolveSchedulingProfile(user.scheduling);
+  req.calendars = resolveCalendarSettings(user.calendars);
+  req.reminders = resolveReminderProfile(user.reminders);
+  req.digest = resolveDigestSettings(user.digest);
+  next();
+}
+
+// Record every reply sent on this response in the session's message log
+function logRepliesTo(res, sessionId) {
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (body && body.reply) sessionStore.appendMessage(sessionId, "assistant", body.reply);
+    return sendJson(body);
+  };
 }
 
 function extractYesNo(msg) {
@@ -68,49 +303,318 @@ function extractYesNo(msg) {
   return null;
 }
 
+/**
+ * Upcoming events a cancel/reschedule request could mean: title matches first,
+ * otherwise everything upcoming so the resolver can rank by date and lastEvent
+ */
+async function findCandidateEvents(userId, title, timezone, calendarIds) {
+  if (isSpecificTitle(title)) {
+    const matches = await searchCalendarEvents(userId, title, 10, timezone, calendarIds);
+    if (matches.length) return matches;
+  }
+  return searchCalendarEvents(userId, null, 20, timezone, calendarIds);
+}
+
+/**
+ * The calendar a chat request names ("add it to my work calendar"), among the
+ * calendars the user can add events to
+ * @returns {Promise<Object>} { calendar } or { reply } saying which calendars there are
+ */
+async function findTargetCalendar(userId, name) {
+  const calendars = (await listCalendars(userId)).filter(calendar => calendar.writable);
+  const wanted = name.toLowerCase().trim();
+
+  const match = calendars.find(calendar => calendar.name.toLowerCase() === wanted) ||
+    calendars.find(calendar => calendar.name.toLowerCase().includes(wanted)) ||
+    (/^(?:main|default|primary|own|usual)$/.test(wanted) ? calendars.find(calendar => calendar.primary) : null);
+  if (match) return { calendar: match };
+
+  const names = calendars.map(calendar => `**${calendar.name}**`).join(", ");
+  return { reply: `I couldn't find a calendar called "${name}" that I can add events to. Your calendars are: ${names}.` };
+}
+
+// Longest range a single "clear my ..." request may cover
+const MAX_BULK_CANCEL_DAYS = 31;
+
+/**
+ * Drop deleted calendar events from session state. To-dos booked into them
+ * go back to the unscheduled list; those to-dos are returned.
+ */
+function forgetDeletedEvents(sessionState, deletedIds) {
+  const ids = new Set(deletedIds);
+
+  sessionState.activeEvents = sessionState.activeEvents.filter(e => !ids.has(e.google_event_id));
+  if (sessionState.lastEvent && ids.has(sessionState.lastEvent.google_event_id)) {
+    sessionState.lastEvent = null;
+  }
+
+  const unscheduled = (sessionState.todos || []).filter(todo =>
+    todo.scheduled_slot?.google_event_id && ids.has(todo.scheduled_slot.google_event_id)
+  );
+  unscheduled.forEach(todo => { todo.scheduled_slot = null; });
+  return unscheduled;
+}
+
+// "Monday, 20 October" or "Monday, 20 October – Sunday, 26 October"
+function describeDateRange(startDate, endDate, prefs) {
+  const options = { weekday: "long", day: "numeric", month: "long" };
+  if (!endDate || endDate === startDate) return formatDay(startDate, prefs, options);
+  return `${formatDay(startDate, prefs, options)} – ${formatDay(endDate, prefs, options)}`;
+}
+
+// Meeting searches without an end date look this many days ahead, and never more than the maximum
+const DEFAULT_MEETING_SEARCH_DAYS = 7;
+const MAX_MEETING_SEARCH_DAYS = 31;
+
+// "Tue 21 Oct at 10:00 am (Mon 4:00 pm for Alex)": people in other timezones get their own time too
+function describeMeetingSlot(slot, participants, prefs) {
+  const label = formatSlotLabel(new Date(slot.start), prefs);
+  const elsewhere = participants
+    .filter(participant => participant.timezone !== prefs.timezone)
+    .map(participant => {
+      const theirTime = formatInZone(slot.start, { ...prefs, timezone: participant.timezone }, { weekday: "short", hour: "numeric", minute: "2-digit", hour12: true });
+      return `${theirTime} for ${participant.name || participant.email}`;
+    });
+  return elsewhere.length ? `${label} (${elsewhere.join(", ")})` : label;
+}
+
+/**
+ * Delete a goal and the booked sessions it still has ahead, as one journaled
+ * operation so undo brings both back
+ * @returns {Promise<Array>} Per session: { eventId, calendarId, status, error }
+ */
+async function deleteGoalWithSessions(userId, sessionState, goal) {
+  const now = new Date();
+  const targets = (goal.scheduled_sessions || [])
+    .filter(session => session.google_event_id && new Date(session.end) > now)
+    .map(session => ({ eventId: session.google_event_id, calendarId: session.calendar_id || PRIMARY_CALENDAR }));
+
+  const before = await captureEvents(userId, targets);
+  const results = targets.length ? await deleteCalendarEvents(userId, targets) : [];
+
+  sessionState.goals = sessionState.goals.filter(g => g.id !== goal.id);
+  forgetDeletedEvents(sessionState, results.filter(r => r.status !== "failed").map(r => r.eventId));
+
+  const deleted = results.filter(r => r.status === "deleted");
+  recordOperation(sessionState, {
+    source: "chat",
+    summary: `Deleted the goal "${goal.description}"`,
+    changes: deleted.map(r => ({ action: "delete", eventId: r.eventId, calendarId: r.calendarId, before: before[r.eventId], after: null })),
+    goals: [goal]
+  });
+
+  return results;
+}
+
+function describeUnscheduledTodos(todos) {
+  if (todos.length === 0) return "";
+  return todos.length === 1
+    ? `\n\nThe to-do "${todos[0].title}" is back in your unscheduled list.`
+    : `\n\n${todos.length} scheduled to-dos are back in your unscheduled list.`;
+}
+
+/**
+ * Undo the session's latest calendar change, save the session and describe the result
+ * @returns {Promise<Object>} { reply, undone, results }
+ */
+async function undoLatestChange(userId, sessionId, sessionState, prefs) {
+  const outcome = await undoLastOperation(userId, sessionState);
+  if (!outcome) {
+    return { reply: "There's nothing to undo.", undone: null, results: [] };
+  }
+  // The calendar has already changed, so the journal is saved even if describing it fails
+  saveSession(sessionId, sessionState);
+
+  const describeWhen = (event) => {
+    try {
+      return describeEventTime(normalizeEvent(event, prefs.timezone), prefs);
+    } catch (error) {
+      console.error("Error describing undone event:", error);
+      return "its earlier time";
+    }
+  };
+
+  const lines = outcome.results.map(result => {
+    const title = result.event?.summary || "event";
+    const when = result.event?.start ? describeWhen(result.event) : "its earlier time";
+
+    if (result.status === "failed") return `✗ Couldn't undo the change to "${title}": ${result.error}`;
+    if (result.action === "create") return `✓ Removed "${title}"`;
+    if (result.action === "update") return `✓ "${title}" is back at ${when}`;
+    return `✓ Restored "${title}" on ${when}`;
+  });
+
+  const undoneAny = outcome.results.length === 0 || outcome.results.some(result => result.status === "undone");
+  if (undoneAny) {
+    lines.push(...(outcome.operation.goals || []).map(goal => `✓ The goal "${goal.description}" is back`));
+  }
+  const heading = undoneAny ? `Undone: ${outcome.operation.summary}.` : `I couldn't undo: ${outcome.operation.summary}.`;
+  return {
+    reply: `${heading}\n\n${lines.join("\n")}`,
+    undone: undoneAny ? { id: outcome.operation.id, summary: outcome.operation.summary, source: outcome.operation.source } : null,
+    results: outcome.results.map(({ action, eventId, status, error }) => ({ action, eventId, status, error: error || null }))
+  };
+}
+
+/**
+ * Store a numbered choice list in the session and ask the user to pick
+ */
+function askWhichEvent(sessionState, pendingChoice, prefs) {
+  sessionState.pendingChoice = pendingChoice;
+  const verb = { cancel: "cancel", reschedule: "move", check_rsvp: "check", set_reminder: "change the reminders for" }[pendingChoice.action];
+  return `I found ${pendingChoice.candidates.length} events that could match. Which one should I ${verb}?\n\n${formatChoiceList(pendingChoice.candidates, prefs)}\n\nReply with a number or a date.`;
+}
+
 // Main chat endpoint
-app.post("/chat", async (req, res) => {
-  let { message = "", sessionId, context = null } = req.body;
-  if (!sessionId) sessionId = uuidv4();
+app.post("/chat", requireUser, async (req, res) => {
+  const { message = "", context = null } = req.body;
+  const sessionId = req.sessionId;
+  const userId = req.user.id;
+  const prefs = req.prefs;
 
   console.log('[DEBUG /chat] Incoming request:', { message, sessionId, context });
 
   try {
+    sessionStore.appendMessage(sessionId, "user", message);
+    logRepliesTo(res, sessionId);
+
     let sessionState = getSession(sessionId);
     sessionState.activeEvents = sessionState.activeEvents || [];
     sessionState.todos = sessionState.todos || [];
+    sessionState.goals = sessionState.goals || [];
 
     // CRITICAL: Check if there's an active event creation in progress BEFORE parsing
     const hasActiveEventCreation = sessionState.activeEvents &&
                                     sessionState.activeEvents.some(e => !e.confirmed && !e.preConfirmed);
 
     // Parse intent and fields with context
-    const parsed = await intentHandler(message, sessionState, context);
+    const parsed = await intentHandler(message, sessionState, context, prefs);
     console.log('[DEBUG /chat] Parsed intent:', parsed.intent);
 
+    // A numbered choice list is waiting: "2", "the second one" or a date picks the event
+    let chosenEvent = null;
+    const pendingChoice = sessionState.pendingChoice || null;
+    if (pendingChoice) {
+      chosenEvent = parseChoice(message, pendingChoice.candidates, prefs.timezone);
+
+      if (chosenEvent) {
+        // The date in the answer identified the event; the new date/time came with the original request
+        parsed.intent = pendingChoice.action;
+        parsed.date = pendingChoice.date;
+        parsed.time = pendingChoice.time;
+        parsed.recurrence_scope = pendingChoice.recurrence_scope;
+        parsed.reminders = pendingChoice.reminders ?? null;
+        parsed.confirmation_response = null;
+        sessionState.pendingChoice = null;
+      } else if (extractYesNo(message) === "no") {
+        sessionState.pendingChoice = null;
+        parsed.reply = "Okay, I'll leave your events as they are.";
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } else if (parsed.intent === "other" ||
+                 (parsed.intent === pendingChoice.action && !isSpecificTitle(parsed.title))) {
+        parsed.reply = `Sorry, I didn't catch which one. Reply with a number or a date:\n\n${formatChoiceList(pendingChoice.candidates, prefs)}`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } else {
+        // The user moved on to something else
+        sessionState.pendingChoice = null;
+      }
+    }
+
+    // Meeting times were proposed ("2" books one), or named people are waiting for email addresses
+    let chosenSlot = null;
+    const meetingProposal = sessionState.meetingProposal || null;
+    if (meetingProposal && !chosenEvent) {
+      if (meetingProposal.unknown.length) {
+        const addresses = message.split(/[\s,;]+/).map(word => word.replace(/[.)]+$/, "")).filter(isValidEmail);
+        if (addresses.length && parsed.intent !== "find_meeting_time") {
+          Object.assign(parsed, {
+            intent: "find_meeting_time",
+            attendees: [...meetingProposal.known, ...addresses],
+            title: meetingProposal.title,
+            duration_minutes: meetingProposal.duration_minutes,
+            date: meetingProposal.date,
+            end_date: meetingProposal.end_date
+          });
+        }
+      } else {
+        const options = meetingProposal.slots.map(slot => ({ title: slot.label, startDateTime: slot.start, endDateTime: slot.end }));
+        const picked = parseChoice(message, options, prefs.timezone) ||
+          (options.length === 1 && extractYesNo(message) === "yes" ? options[0] : null);
+
+        if (picked) {
+          parsed.intent = "find_meeting_time";
+          chosenSlot = meetingProposal.slots[options.indexOf(picked)];
+        } else if (extractYesNo(message) === "no") {
+          sessionState.meetingProposal = null;
+          parsed.reply = "Okay, I won't book anything.";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        } else if (parsed.intent === "other") {
+          const list = meetingProposal.slots.map((slot, index) => `${index + 1}. ${describeMeetingSlot(slot, meetingProposal.participants, prefs)}`).join("\n");
+          parsed.reply = `Sorry, I didn't catch which time. Reply with a number:\n\n${list}`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+      }
+
+      // The user moved on to something else
+      if (parsed.intent !== "find_meeting_time") sessionState.meetingProposal = null;
+    }
+
+    // A goal deletion was asked about last, so a yes or no answers it; anything else moves on
+    if (sessionState.pendingGoalDeletion) {
+      const answer = extractYesNo(message);
+      if (answer) {
+        parsed.intent = "delete_goal";
+        parsed.confirmation_response = answer;
+      } else {
+        sessionState.pendingGoalDeletion = null;
+      }
+    }
+
     // OVERRIDE: Handle simple yes/no for pending operations (LLM sometimes misses this)
     const messageLower = message.trim().toLowerCase();
     const isSimpleYesNo = ['yes', 'y', 'no', 'n', 'yeah', 'yep', 'nope', 'nah'].includes(messageLower);
     const hasPendingReschedule = sessionState.rescheduleState && sessionState.rescheduleState.preConfirmed;
+    const hasPendingCancel = sessionState.cancelState && sessionState.cancelState.preConfirmed;
     const hasPendingEventConfirmation = sessionState.activeEvents &&
                                          sessionState.activeEvents.some(e => e.preConfirmed && !e.confirmed);
+    const hasPendingEmailConfirmation = sessionState.emailDraft && sessionState.emailDraft.preConfirmed;
 
     if (isSimpleYesNo && !parsed.confirmation_response) {
       const confirmResponse = ['yes', 'y', 'yeah', 'yep'].includes(messageLower) ? 'yes' : 'no';
 
-      // Priority: reschedule > event creation
+      // Priority: reschedule > cancel > event creation > email
       if (hasPendingReschedule) {
         parsed.intent = "reschedule";
         parsed.confirmation_response = confirmResponse;
+      } else if (hasPendingCancel) {
+        parsed.intent = "cancel";
+        parsed.confirmation_response = confirmResponse;
       } else if (hasPendingEventConfirmation) {
         parsed.intent = "create_event";
         parsed.confirmation_response = confirmResponse;
+      } else if (hasPendingEmailConfirmation) {
+        parsed.intent = "send_email";
+        parsed.confirmation_response = confirmResponse;
       }
     }
 
+    // A pending cancel keeps asking until it gets a yes or no
+    if (hasPendingCancel && parsed.intent === "other") {
+      parsed.intent = "cancel";
+    }
+
+    // An email draft that is still missing fields takes the next message as the answer
+    if (sessionState.emailDraft && !sessionState.emailDraft.preConfirmed && parsed.intent === "other") {
+      parsed.intent = "send_email";
+    }
+
     // If there's an active event creation and the message looks like just time/date info
     // Override any reschedule intent to create_event instead
-    if (hasActiveEventCreation && (parsed.time || parsed.date) &&
+    if (hasActiveEventCreation && !chosenEvent && (parsed.time || parsed.date) &&
         parsed.intent !== "create_event" && parsed.intent !== "cancel") {
       // Check if message is just a simple time (like "6pm", "3:30pm", "18:00")
       const simpleTimePattern = /^\s*(\d{1,2})(:\d{2})?\s*(am|pm|AM|PM)?\s*$/i;
@@ -120,6 +624,22 @@ app.post("/chat", async (req, res) => {
       }
     }
 
+    // Recurring drafts live in activeEvents too, so keep their follow-ups in the recurring flow
+    const unconfirmedEvent = getUnconfirmedEvent(sessionState);
+    if (parsed.intent === "create_event" && unconfirmedEvent && unconfirmedEvent.recurrence &&
+        (parsed.confirmation_response || !parsed.title || parsed.title === unconfirmedEvent.title)) {
+      parsed.intent = "create_recurring_event";
+    }
+
+    // "Remind me 10 minutes before" while a new event is being set up is about that event;
+    // it goes back through the confirmation so the user sees the reminders
+    if (parsed.intent === "set_reminder" && unconfirmedEvent && !parsed.title && !chosenEvent) {
+      parsed.intent = unconfirmedEvent.recurrence ? "create_recurring_event" : "create_event";
+      parsed.date = null;
+      parsed.time = null;
+      unconfirmedEvent.preConfirmed = false;
+    }
+
     // Handle create event intent
     if (parsed.intent === "create_event") {
       // Critical: If there's an active reschedule, don't process create_event
@@ -149,6 +669,14 @@ app.post("/chat", async (req, res) => {
           date: null,
           time: null,
           duration_minutes: 60,
+          all_day: false,
+          end_date: null,
+          calendar_id: null,
+          calendar_name: null,
+          attendees: [],
+          reminders: null,
+          location: null,
+          conference: false,
           notes: null,
           preConfirmed: false,
           confirmed: false,
@@ -163,8 +691,38 @@ app.post("/chat", async (req, res) => {
         currentEvent.time = parsed.time || currentEvent.time;
         currentEvent.duration_minutes = parsed.duration_minutes || currentEvent.duration_minutes;
         currentEvent.notes = parsed.notes || currentEvent.notes;
+        currentEvent.reminders = parsed.reminders || currentEvent.reminders || null;
+        currentEvent.location = parsed.location || currentEvent.location || null;
+        currentEvent.conference = Boolean(parsed.conference || currentEvent.conference);
+        const invalidGuests = addAttendees(currentEvent, parsed.attendees);
+
+        // All-day events cover date..end_date (inclusive) and have no time
+        if (parsed.all_day) currentEvent.all_day = true;
+        if (currentEvent.all_day) {
+          currentEvent.time = null;
+          if (parsed.date || parsed.end_date) currentEvent.end_date = parsed.end_date || parsed.date;
+          if (currentEvent.end_date && currentEvent.date && currentEvent.end_date < currentEvent.date) {
+            currentEvent.end_date = currentEvent.date;
+          }
+        }
 
         updateEventInSession(sessionState, currentEvent);
+
+        if (invalidGuests.length) {
+          parsed.reply = `${formatList(invalidGuests, prefs)} ${invalidGuests.length === 1 ? "doesn't look like an email address" : "don't look like email addresses"}. Who should I invite?`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        if (parsed.calendar) {
+          const { calendar, reply } = await findTargetCalendar(userId, parsed.calendar);
+          if (!calendar) {
+            saveSession(sessionId, sessionState);
+            return res.json({ reply, state: sessionState, sessionId });
+          }
+          currentEvent.calendar_id = calendar.id;
+          currentEvent.calendar_name = calendar.name;
+        }
       }
 
       // Check for missing fields (skip if handling confirmation)
@@ -172,7 +730,7 @@ app.post("/chat", async (req, res) => {
         const missing = [];
         if (!currentEvent.title) missing.push("event title");
         if (!currentEvent.date) missing.push("date");
-        if (!currentEvent.time) missing.push("time");
+        if (!currentEvent.time && !currentEvent.all_day) missing.push("time");
 
         if (missing.length) {
           parsed.reply = `Please provide the following: ${missing.join(", ")}.`;
@@ -185,7 +743,7 @@ app.post("/chat", async (req, res) => {
       if (!currentEvent.preConfirmed) {
         currentEvent.preConfirmed = true;
         updateEventInSession(sessionState, currentEvent);
-        parsed.reply = `I'll create **${currentEvent.title}** on **${formatFriendly(currentEvent.date, currentEvent.time)}**. Would you like to confirm? (yes/no)`;
+        parsed.reply = `I'll create **${currentEvent.title}** on **${describeEventTime(currentEvent, prefs)}**${describeVenue(currentEvent)}${describeTargetCalendar(currentEvent)}${describeInvitees(currentEvent, prefs)}${describeRequestedReminders(currentEvent, prefs)}. Would you like to confirm? (yes/no)`;
         saveSession(sessionId, sessionState);
         return res.json({ reply: parsed.reply, state: sessionState, sessionId });
       }
@@ -196,23 +754,46 @@ app.post("/chat", async (req, res) => {
         if (yn === "yes") {
           try {
             // Create Google Calendar event
-            const start = new Date(`${currentEvent.date}T${currentEvent.time}:00`);
-            const end = new Date(start.getTime() + (currentEvent.duration_minutes || 60) * 60000);
+            let times;
+            if (currentEvent.all_day) {
+              times = { allDay: true, startDate: currentEvent.date, endDate: currentEvent.end_date || currentEvent.date };
+            } else {
+              const start = zonedDateTime(currentEvent.date, currentEvent.time, prefs.timezone);
+              const end = new Date(start.getTime() + (currentEvent.duration_minutes || 60) * 60000);
+              times = { startDateTime: start.toISOString(), endDateTime: end.toISOString() };
+            }
 
+            const calendarId = currentEvent.calendar_id || req.calendars.target;
             const calendarResult = await createCalendarEvent({
+              userId,
+              calendarId,
               summary: currentEvent.title,
               description: currentEvent.notes || "",
-              startDateTime: start.toISOString(),
-              endDateTime: end.toISOString()
+              location: currentEvent.location,
+              conference: currentEvent.conference,
+              ...times,
+              attendees: currentEvent.attendees || [],
+              reminders: remindersFor(req.reminders, reminderTypeOf(currentEvent), currentEvent.reminders ?? undefined),
+              timeZone: prefs.timezone
             });
 
             currentEvent.google_event_id = calendarResult.eventId;
+            currentEvent.calendar_id = calendarId;
             currentEvent.confirmed = true;
             sessionState.lastEvent = { ...currentEvent };
 
             updateEventInSession(sessionState, currentEvent);
+            recordOperation(sessionState, {
+              source: "chat",
+              summary: `Created "${currentEvent.title}"`,
+              changes: [{ action: "create", eventId: calendarResult.eventId, calendarId, before: null, after: snapshotEvent(calendarResult.event) }]
+            });
 
-            let replyMsg = `Your event "${currentEvent.title}" is confirmed for ${formatFriendly(currentEvent.date, currentEvent.time)}.`;
+            let replyMsg = `Your event "${currentEvent.title}" is confirmed for ${describeEventTime(currentEvent, prefs)}${describeTargetCalendar(currentEvent)}.`;
+            if (currentEvent.attendees?.length) {
+              replyMsg += ` Invitations were sent to ${formatList(currentEvent.attendees, prefs)}.`;
+            }
+            replyMsg += describeJoinLink(calendarResult.event);
 
             saveSession(sessionId, sessionState);
             return res.json({ reply: replyMsg, state: sessionState, sessionId });
@@ -222,13 +803,11 @@ app.post("/chat", async (req, res) => {
             currentEvent.preConfirmed = false;
             updateEventInSession(sessionState, currentEvent);
 
-            let errorMessage = "Unable to create calendar event. Please try again.";
-            if (calendarError.message.includes("authorization")) {
-              errorMessage = "Calendar authorization expired. Please re-authorize by visiting /auth";
-            }
-
             saveSession(sessionId, sessionState);
-            return res.json({ reply: errorMessage, state: sessionState, sessionId });
+            if (isReauthError(calendarError)) {
+              return sendReauthRequired(req, res, calendarError, { state: sessionState, sessionId });
+            }
+            return res.json({ reply: "Unable to create calendar event. Please try again.", state: sessionState, sessionId });
           }
 
         } else if (yn === "no") {
@@ -246,195 +825,481 @@ app.post("/chat", async (req, res) => {
       }
     }
 
-    // Handle cancel intent
-    else if (parsed.intent === "cancel") {
-      let eventToDelete = null;
+    // Handle create recurring event intent
+    else if (parsed.intent === "create_recurring_event") {
+      let currentEvent = getUnconfirmedEvent(sessionState);
 
-      try {
-        // Detect generic references like "next event", "my event", "upcoming event", etc.
-        const genericRefs = /\b(next|upcoming|my|the|latest|recent|last created|first)\s*(event|appointment|meeting)?\b/i;
-        const isGenericRef = !parsed.title || genericRefs.test(parsed.title) ||
-                           parsed.title.match(/^(it|that|this|event|appointment|meeting)$/i);
-
-        // If a specific title is mentioned (and not a generic reference), search for it
-        if (parsed.title && !isGenericRef) {
-          const calendarEvents = await searchCalendarEvents(parsed.title, 10);
-          const matchingEvent = calendarEvents.find(event =>
-            event.summary && event.summary.toLowerCase().includes(parsed.title.toLowerCase())
-          );
-
-          if (matchingEvent) {
-            eventToDelete = {
-              google_event_id: matchingEvent.eventId,
-              title: matchingEvent.summary,
-              startDateTime: matchingEvent.startDateTime
-            };
-          }
+      // A new title starts a new request; otherwise the draft (even a one-off one) gains a recurrence
+      const hasNewTitle = parsed.title && (!currentEvent || parsed.title !== currentEvent.title);
+      if (hasNewTitle && !parsed.confirmation_response) {
+        if (currentEvent && !currentEvent.preConfirmed) {
+          sessionState.activeEvents = sessionState.activeEvents.filter(e => e.confirmed);
+          currentEvent = null;
         }
+      }
 
-        // Handle generic references or fallback: get the next upcoming event
-        if (!eventToDelete) {
-          // Try to get upcoming events
-          const upcomingEvents = await searchCalendarEvents(null, 5);
-
-          if (upcomingEvents && upcomingEvents.length > 0) {
-            // Get the first (soonest) upcoming event
-            const nextEvent = upcomingEvents[0];
-            eventToDelete = {
-              google_event_id: nextEvent.eventId,
-              title: nextEvent.summary,
-              startDateTime: nextEvent.startDateTime
-            };
+      if (!currentEvent) {
+        currentEvent = {
+          id: uuidv4(),
+          title: null,
+          date: null,
+          time: null,
+          duration_minutes: 60,
+          notes: null,
+          recurrence: null,
+          calendar_id: null,
+          calendar_name: null,
+          attendees: [],
+          reminders: null,
+          location: null,
+          conference: false,
+          preConfirmed: false,
+          confirmed: false,
+          google_event_id: null
+        };
+      }
+
+      if (!parsed.confirmation_response) {
+        currentEvent.title = parsed.title || currentEvent.title;
+        currentEvent.date = parsed.date || currentEvent.date;
+        currentEvent.time = parsed.time || currentEvent.time;
+        currentEvent.duration_minutes = parsed.duration_minutes || currentEvent.duration_minutes;
+        currentEvent.notes = parsed.notes || currentEvent.notes;
+        currentEvent.reminders = parsed.reminders || currentEvent.reminders || null;
+        currentEvent.location = parsed.location || currentEvent.location || null;
+        currentEvent.conference = Boolean(parsed.conference || currentEvent.conference);
+
+        const invalidGuests = addAttendees(currentEvent, parsed.attendees);
+        if (invalidGuests.length) {
+          updateEventInSession(sessionState, currentEvent);
+          parsed.reply = `${formatList(invalidGuests, prefs)} ${invalidGuests.length === 1 ? "doesn't look like an email address" : "don't look like email addresses"}. Who should I invite?`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        const previous = currentEvent.recurrence || {};
+        currentEvent.recurrence = normalizeRecurrence({
+          pattern: parsed.recurrence_pattern || previous.pattern,
+          days: parsed.recurrence_days || previous.days,
+          count: parsed.recurrence_count || previous.count,
+          interval: parsed.recurrence_interval || previous.interval,
+          end_date: parsed.recurrence_end_date || previous.end_date
+        });
+
+        if (parsed.calendar) {
+          const { calendar, reply } = await findTargetCalendar(userId, parsed.calendar);
+          if (!calendar) {
+            updateEventInSession(sessionState, currentEvent);
+            saveSession(sessionId, sessionState);
+            return res.json({ reply, state: sessionState, sessionId });
           }
+          currentEvent.calendar_id = calendar.id;
+          currentEvent.calendar_name = calendar.name;
         }
 
-        // Final fallback to lastEvent if still nothing found
-        if (!eventToDelete && sessionState.lastEvent && sessionState.lastEvent.google_event_id) {
-          eventToDelete = sessionState.lastEvent;
+        updateEventInSession(sessionState, currentEvent);
+
+        const missing = [];
+        if (!currentEvent.title) missing.push("event title");
+        if (!currentEvent.time) missing.push("time");
+        if (!currentEvent.recurrence.pattern) missing.push("how often it repeats (e.g. daily, every Monday)");
+        if (!currentEvent.recurrence.count && !currentEvent.recurrence.end_date) {
+          missing.push("how many times it repeats or an end date");
         }
 
-        if (!eventToDelete) {
-          parsed.reply = "I couldn't find any events to cancel. Your calendar appears to be empty.";
+        if (missing.length) {
+          parsed.reply = `Please provide the following: ${missing.join(", ")}.`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+      }
+
+      // All info present: show the occurrences and ask for confirmation
+      if (!currentEvent.preConfirmed) {
+        currentEvent.date = currentEvent.date
+          ? alignStartDate(currentEvent.date, currentEvent.recurrence)
+          : defaultStartDate(currentEvent.recurrence, prefs.timezone);
+
+        const occurrences = expandOccurrences(currentEvent.date, currentEvent.recurrence);
+        if (occurrences.length === 0) {
+          currentEvent.recurrence.end_date = null;
+          updateEventInSession(sessionState, currentEvent);
+          parsed.reply = "That end date is before the first occurrence. How many times should it repeat, or until when?";
           saveSession(sessionId, sessionState);
           return res.json({ reply: parsed.reply, state: sessionState, sessionId });
         }
 
-        // Delete from Google Calendar
-        await deleteCalendarEvent(eventToDelete.google_event_id);
+        currentEvent.preConfirmed = true;
+        updateEventInSession(sessionState, currentEvent);
 
-        // Update session state
-        sessionState.activeEvents = sessionState.activeEvents.filter(e =>
-          e.google_event_id !== eventToDelete.google_event_id
-        );
+        const shown = occurrences.slice(0, 10).map(d => `• ${formatFriendly(d, currentEvent.time, prefs)}`).join("\n");
+        const more = occurrences.length > 10 ? `\n…and ${occurrences.length - 10} more` : "";
 
-        // Clear lastEvent if it matches
-        if (sessionState.lastEvent && sessionState.lastEvent.google_event_id === eventToDelete.google_event_id) {
-          sessionState.lastEvent = null;
-        }
+        parsed.reply = `I'll create **${currentEvent.title}** ${describeRecurrence(currentEvent.recurrence, prefs.locale)} at **${formatFriendlyTime(currentEvent.time, prefs)}** (${occurrences.length} occurrences)${describeVenue(currentEvent)}${describeTargetCalendar(currentEvent)}${describeInvitees(currentEvent, prefs)}${describeRequestedReminders(currentEvent, prefs)}:\n\n${shown}${more}\n\nWould you like to confirm? (yes/no)`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
 
-        // Format the event time for display
-        let eventTimeStr = "unknown time";
-        if (eventToDelete.startDateTime) {
-          const startDate = new Date(eventToDelete.startDateTime);
-          eventTimeStr = startDate.toLocaleString("en-AU", {
-            dateStyle: "long",
-            timeStyle: "short",
-            timeZone: "Australia/Sydney"
+      // Handle confirmation
+      const yn = parsed.confirmation_response || extractYesNo(message);
+      if (yn === "yes") {
+        try {
+          const start = zonedDateTime(currentEvent.date, currentEvent.time, prefs.timezone);
+          const end = new Date(start.getTime() + (currentEvent.duration_minutes || 60) * 60000);
+
+          // One Google event with an RRULE rather than one event per occurrence
+          const calendarId = currentEvent.calendar_id || req.calendars.target;
+          const calendarResult = await createCalendarEvent({
+            userId,
+            calendarId,
+            summary: currentEvent.title,
+            description: currentEvent.notes || "",
+            location: currentEvent.location,
+            conference: currentEvent.conference,
+            startDateTime: start.toISOString(),
+            endDateTime: end.toISOString(),
+            timeZone: prefs.timezone,
+            recurrence: [buildRRule(currentEvent.recurrence, prefs.timezone)],
+            attendees: currentEvent.attendees || [],
+            reminders: remindersFor(req.reminders, reminderTypeOf(currentEvent), currentEvent.reminders ?? undefined)
           });
-        } else if (eventToDelete.date && eventToDelete.time) {
-          eventTimeStr = formatFriendly(eventToDelete.date, eventToDelete.time);
-        }
 
-        let replyMsg = `Your event "${eventToDelete.title}" on ${eventTimeStr} has been cancelled.`;
+          currentEvent.google_event_id = calendarResult.eventId;
+          currentEvent.calendar_id = calendarId;
+          currentEvent.confirmed = true;
+          sessionState.lastEvent = { ...currentEvent };
 
-        saveSession(sessionId, sessionState);
-        return res.json({ reply: replyMsg, state: sessionState, sessionId });
+          updateEventInSession(sessionState, currentEvent);
+          recordOperation(sessionState, {
+            source: "chat",
+            summary: `Created recurring event "${currentEvent.title}"`,
+            changes: [{ action: "create", eventId: calendarResult.eventId, calendarId, before: null, after: snapshotEvent(calendarResult.event) }]
+          });
 
-      } catch (calErr) {
-        console.error("Calendar delete failed:", calErr.message);
+          let replyMsg = `Your recurring event "${currentEvent.title}" is confirmed: ${describeRecurrence(currentEvent.recurrence, prefs.locale)}, starting ${formatFriendly(currentEvent.date, currentEvent.time, prefs)}${describeTargetCalendar(currentEvent)}.`;
+          if (currentEvent.attendees?.length) {
+            replyMsg += ` Invitations were sent to ${formatList(currentEvent.attendees, prefs)}.`;
+          }
+          replyMsg += describeJoinLink(calendarResult.event);
 
-        // Handle specific error cases
-        let errorMsg = "Unable to cancel the event.";
-        if (calErr.message.includes("Resource has been deleted") || calErr.code === 410) {
-          errorMsg = "This event has already been deleted from your calendar.";
-        } else if (calErr.message.includes("Not Found") || calErr.code === 404) {
-          errorMsg = "The event was not found in your calendar (it may have already been deleted).";
-        } else {
-          errorMsg = "Unable to cancel the event. Please try again or check your calendar authorization.";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: replyMsg, state: sessionState, sessionId });
+
+        } catch (calendarError) {
+          console.error("Recurring calendar event creation failed:", calendarError);
+          currentEvent.preConfirmed = false;
+          updateEventInSession(sessionState, currentEvent);
+
+          saveSession(sessionId, sessionState);
+          if (isReauthError(calendarError)) {
+            return sendReauthRequired(req, res, calendarError, { state: sessionState, sessionId });
+          }
+          return res.json({ reply: "Unable to create the recurring event. Please try again.", state: sessionState, sessionId });
         }
 
-        parsed.reply = errorMsg;
+      } else if (yn === "no") {
+        const eventTitle = currentEvent.title;
+        sessionState.activeEvents = sessionState.activeEvents.filter(e => e.id !== currentEvent.id);
+        parsed.reply = `No worries! I won't create the recurring "${eventTitle}" event. Is there anything else I can help you with?`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } else {
+        parsed.reply = "Please reply 'yes' to confirm or 'no' to make changes.";
         saveSession(sessionId, sessionState);
         return res.json({ reply: parsed.reply, state: sessionState, sessionId });
       }
     }
 
-    // Handle reschedule intent
-    else if (parsed.intent === "reschedule") {
-      let rescheduleState = sessionState.rescheduleState || null;
-
-      if (!rescheduleState) {
-        rescheduleState = {
-          originalEvent: null,
-          newDate: null,
-          newTime: null,
-          preConfirmed: false
-        };
-
-        // Find event to reschedule from Google Calendar
-        let eventToReschedule = null;
-
-        try {
-          // Search Google Calendar for events
-          let calendarEvents = [];
+    // Handle cancel intent
+    else if (parsed.intent === "cancel") {
+      let cancelState = sessionState.cancelState || null;
+      const isBulk = Boolean(parsed.title) && /^(all|everything)$/i.test(parsed.title.trim());
 
-          if (parsed.title) {
-            // Search with specific title first
-            calendarEvents = await searchCalendarEvents(parsed.title, 10);
-          }
+      try {
+        // A bulk cancel is waiting for yes/no
+        if (cancelState && cancelState.bulk && cancelState.preConfirmed) {
+          const yn = parsed.confirmation_response || extractYesNo(message);
 
-          // If no specific title match or no title provided, get all upcoming events
-          if (calendarEvents.length === 0) {
-            calendarEvents = await searchCalendarEvents(null, 20);
+          if (yn === "no") {
+            sessionState.cancelState = null;
+            parsed.reply = "Okay, nothing was cancelled.";
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
           }
 
-          // If we have a specific title from the request, try to match it
-          if (parsed.title && calendarEvents.length > 0) {
-            const matchingEvent = calendarEvents.find(event =>
-              event.summary &&
-              event.summary.toLowerCase().includes(parsed.title.toLowerCase())
-            );
-            if (matchingEvent) {
-              eventToReschedule = {
-                google_event_id: matchingEvent.eventId,
-                title: matchingEvent.summary,
-                startDateTime: matchingEvent.startDateTime,
-                endDateTime: matchingEvent.endDateTime,
-                duration_minutes: matchingEvent.duration_minutes
-              };
+          if (yn === "yes") {
+            const events = cancelState.events;
+            const eventIds = events.map(e => e.google_event_id);
+            const targets = events.map(e => ({ eventId: e.google_event_id, calendarId: e.calendar_id }));
+            sessionState.cancelState = null;
+
+            const before = await captureEvents(userId, targets);
+            const todoSlots = todoSlotsFor(sessionState, eventIds);
+            const outcomes = await deleteCalendarEvents(userId, targets);
+            const results = events.map((event, index) => ({
+              eventId: event.google_event_id,
+              calendarId: outcomes[index].calendarId,
+              title: event.title,
+              startDateTime: event.startDateTime,
+              allDay: event.allDay,
+              startDate: event.startDate,
+              endDate: event.endDate,
+              status: outcomes[index].status,
+              error: outcomes[index].error || null
+            }));
+
+            const removed = results.filter(r => r.status !== "failed");
+            const unscheduled = forgetDeletedEvents(sessionState, removed.map(r => r.eventId));
+
+            const deleted = results.filter(r => r.status === "deleted");
+            if (deleted.length) {
+              const deletedIds = new Set(deleted.map(r => r.eventId));
+              recordOperation(sessionState, {
+                source: "chat",
+                summary: `Cancelled ${deleted.length} event${deleted.length === 1 ? "" : "s"} for ${describeDateRange(cancelState.startDate, cancelState.endDate, prefs)}`,
+                changes: deleted.map(r => ({ action: "delete", eventId: r.eventId, calendarId: r.calendarId, before: before[r.eventId], after: null })),
+                todos: todoSlots.filter(t => deletedIds.has(t.scheduled_slot.google_event_id))
+              });
             }
-          }
 
-          // If still no event found but we have calendar events, check session lastEvent
-          if (!eventToReschedule && sessionState.lastEvent && sessionState.lastEvent.google_event_id) {
-            // Try to find the lastEvent in current calendar events
-            const lastEventInCalendar = calendarEvents.find(event =>
-              event.eventId === sessionState.lastEvent.google_event_id
-            );
-            if (lastEventInCalendar) {
-              eventToReschedule = {
-                google_event_id: lastEventInCalendar.eventId,
-                title: lastEventInCalendar.summary,
-                startDateTime: lastEventInCalendar.startDateTime,
-                endDateTime: lastEventInCalendar.endDateTime,
-                duration_minutes: lastEventInCalendar.duration_minutes
-              };
-            }
+            const lines = results.map(r => {
+              const when = describeEventTime(r, prefs);
+              if (r.status === "failed") return `✗ **${r.title}** (${when}) could not be cancelled: ${r.error}`;
+              if (r.status === "already_deleted") return `✓ **${r.title}** (${when}) was already gone`;
+              return `✓ **${r.title}** (${when})`;
+            });
+
+            const rangeLabel = describeDateRange(cancelState.startDate, cancelState.endDate, prefs);
+            const summary = removed.length === results.length
+              ? `Cancelled ${results.length} event${results.length === 1 ? "" : "s"} for ${rangeLabel}:`
+              : `Cancelled ${removed.length} of ${results.length} events for ${rangeLabel}:`;
+            const replyMsg = `${summary}\n\n${lines.join("\n")}${describeUnscheduledTodos(unscheduled)}`;
+
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: replyMsg, state: sessionState, sessionId, results });
           }
 
-          // If still no specific match, use the first upcoming event if there's only one
-          if (!eventToReschedule && calendarEvents.length === 1) {
-            const event = calendarEvents[0];
-            eventToReschedule = {
-              google_event_id: event.eventId,
-              title: event.summary,
-              startDateTime: event.startDateTime,
-              endDateTime: event.endDateTime,
-              duration_minutes: event.duration_minutes
-            };
-          } else if (!eventToReschedule && calendarEvents.length > 1) {
-            // Multiple events - ask user to be more specific
-            const eventList = calendarEvents.slice(0, 5).map(e => {
-              const startDate = new Date(e.startDateTime);
-              return `"${e.summary}" on ${startDate.toLocaleDateString('en-AU')} at ${startDate.toLocaleTimeString('en-AU', { hour: '2-digit', minute: '2-digit' })}`;
-            }).join(", ");
-            parsed.reply = `I found multiple events. Which one would you like to reschedule? ${eventList}`;
+          if (!isBulk && !isSpecificTitle(parsed.title)) {
+            parsed.reply = `Please reply 'yes' to cancel those ${cancelState.events.length} events or 'no' to keep them.`;
             saveSession(sessionId, sessionState);
             return res.json({ reply: parsed.reply, state: sessionState, sessionId });
           }
+          cancelState = sessionState.cancelState = null;
+        }
+
+        // "Clear my day" / "cancel everything next week": preview every event in the range
+        if (isBulk && !chosenEvent) {
+          let startDate = parsed.date || todayIn(prefs.timezone);
+          let endDate = parsed.end_date || startDate;
+          if (endDate < startDate) [startDate, endDate] = [endDate, startDate];
+
+          const days = DateTime.fromISO(endDate).diff(DateTime.fromISO(startDate), "days").days + 1;
+          if (days > MAX_BULK_CANCEL_DAYS) {
+            parsed.reply = `That's ${days} days of events. I can clear up to ${MAX_BULK_CANCEL_DAYS} days at a time, so please pick a shorter range.`;
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+
+          // Events that are already over are left alone, and so are multi-day events
+          // that began before the range (clearing Saturday shouldn't delete a week's holiday)
+          const now = Date.now();
+          const calendarEvents = (await getEventsForDateRange(userId, startDate, endDate, prefs.timezone, req.calendars.busy))
+            .filter(event => new Date(event.endDateTime).getTime() > now && event.startDate >= startDate);
+          const rangeLabel = describeDateRange(startDate, endDate, prefs);
+
+          if (calendarEvents.length === 0) {
+            sessionState.cancelState = null;
+            parsed.reply = `There's nothing left on your calendar for ${rangeLabel}.`;
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+
+          const events = calendarEvents.map(toEventRef);
+          sessionState.cancelState = { bulk: true, events, startDate, endDate, preConfirmed: true };
+
+          const eventIds = new Set(events.map(e => e.google_event_id));
+          const bookedTodos = sessionState.todos.filter(todo => eventIds.has(todo.scheduled_slot?.google_event_id));
+          const todoNote = bookedTodos.length
+            ? `\n\n${bookedTodos.length} of these ${bookedTodos.length === 1 ? "is a scheduled to-do" : "are scheduled to-dos"}; ${bookedTodos.length === 1 ? "it" : "they"} will go back to your unscheduled list.`
+            : "";
+
+          parsed.reply = `I'll cancel ${events.length === 1 ? "this event" : `these ${events.length} events`} for **${rangeLabel}**:\n\n${formatChoiceList(events, prefs)}${todoNote}\n\nConfirm? (yes/no)`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        // A cancel is waiting for yes/no
+        if (cancelState && cancelState.preConfirmed && !chosenEvent) {
+          const yn = parsed.confirmation_response || extractYesNo(message);
+          const eventToDelete = cancelState.event;
+
+          if (yn === "no") {
+            sessionState.cancelState = null;
+            parsed.reply = `No problem, "${eventToDelete.title}" stays in your calendar.`;
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+
+          if (yn === "yes") {
+            const deleteSeries = cancelState.deleteSeries;
+            const deletedId = deleteSeries ? eventToDelete.recurringEventId : eventToDelete.google_event_id;
+            const calendarId = eventToDelete.calendar_id || PRIMARY_CALENDAR;
+            sessionState.cancelState = null;
+
+            const before = await captureEvents(userId, [{ eventId: deletedId, calendarId }]);
+            const todoSlots = todoSlotsFor(sessionState, [eventToDelete.google_event_id, deletedId]);
+
+            // Delete from Google Calendar
+            await deleteCalendarEvent(userId, deletedId, calendarId);
+            const unscheduled = forgetDeletedEvents(sessionState, [eventToDelete.google_event_id, deletedId]);
+            recordOperation(sessionState, {
+              source: "chat",
+              summary: deleteSeries ? `Cancelled every occurrence of "${eventToDelete.title}"` : `Cancelled "${eventToDelete.title}"`,
+              changes: [{ action: "delete", eventId: deletedId, calendarId, before: before[deletedId], after: null }],
+              todos: todoSlots
+            });
+
+            let replyMsg = `Your event "${eventToDelete.title}" on ${describeEventTime(eventToDelete, prefs)} has been cancelled.`;
+            if (deleteSeries) {
+              replyMsg = `All occurrences of your recurring event "${eventToDelete.title}" have been cancelled.`;
+            } else if (eventToDelete.recurringEventId) {
+              replyMsg += " The rest of the series is unchanged.";
+            }
+            replyMsg += describeUnscheduledTodos(unscheduled);
+
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: replyMsg, state: sessionState, sessionId });
+          }
+
+          // Neither yes nor no: ask again unless a different event was named
+          if (!isSpecificTitle(parsed.title)) {
+            parsed.reply = `Please reply 'yes' to cancel "${eventToDelete.title}" or 'no' to keep it.`;
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+          sessionState.cancelState = null;
+        }
+
+        let eventToDelete = chosenEvent;
+
+        if (!eventToDelete) {
+          const calendarEvents = await findCandidateEvents(userId, parsed.title, prefs.timezone, req.calendars.busy);
+          const { match, candidates } = resolveEvent(calendarEvents, {
+            title: parsed.title,
+            date: parsed.date,
+            lastEventId: sessionState.lastEvent?.google_event_id,
+            timezone: prefs.timezone,
+            message,
+            seriesScope: parsed.recurrence_scope === "series"
+          });
+
+          if (candidates.length) {
+            parsed.reply = askWhichEvent(sessionState, {
+              action: "cancel",
+              candidates,
+              date: null,
+              time: null,
+              recurrence_scope: parsed.recurrence_scope
+            }, prefs);
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+
+          eventToDelete = match;
+        }
+
+        if (!eventToDelete) {
+          parsed.reply = isSpecificTitle(parsed.title)
+            ? `I couldn't find an upcoming event matching "${parsed.title}". Could you check the name or give me its date?`
+            : "I couldn't find any upcoming events to cancel.";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        // A recurring occurrence is deleted on its own unless the whole series was asked for
+        const deleteSeries = parsed.recurrence_scope === "series" && Boolean(eventToDelete.recurringEventId);
+        sessionState.cancelState = { event: eventToDelete, deleteSeries, preConfirmed: true };
+
+        parsed.reply = deleteSeries
+          ? `Cancel **every occurrence** of **${eventToDelete.title}**? (yes/no)`
+          : `Cancel **${eventToDelete.title}** on **${describeEventTime(eventToDelete, prefs)}**? (yes/no)`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+
+      } catch (calErr) {
+        console.error("Calendar delete failed:", calErr.message);
+
+        if (isReauthError(calErr)) {
+          saveSession(sessionId, sessionState);
+          return sendReauthRequired(req, res, calErr, { state: sessionState, sessionId });
+        }
+
+        // Handle specific error cases
+        let errorMsg = "Unable to cancel the event.";
+        if (calErr.message.includes("Resource has been deleted") || calErr.code === 410) {
+          errorMsg = "This event has already been deleted from your calendar.";
+        } else if (calErr.message.includes("Not Found") || calErr.code === 404) {
+          errorMsg = "The event was not found in your calendar (it may have already been deleted).";
+        } else {
+          errorMsg = "Unable to cancel the event. Please try again.";
+        }
+
+        parsed.reply = errorMsg;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+    }
+
+    // Handle reschedule intent
+    else if (parsed.intent === "reschedule") {
+      let rescheduleState = sessionState.rescheduleState || null;
+
+      if (!rescheduleState) {
+        rescheduleState = {
+          originalEvent: null,
+          newDate: null,
+          newTime: null,
+          scope: "single",
+          preConfirmed: false
+        };
+
+        // Find event to reschedule from Google Calendar
+        let eventToReschedule = chosenEvent;
+
+        try {
+          if (!eventToReschedule) {
+            const calendarEvents = await findCandidateEvents(userId, parsed.title, prefs.timezone, req.calendars.busy);
+            // parsed.date is where the event moves to; old_date is the one it's on now
+            const { match, candidates } = resolveEvent(calendarEvents, {
+              title: parsed.title,
+              date: parsed.old_date,
+              lastEventId: sessionState.lastEvent?.google_event_id,
+              timezone: prefs.timezone,
+              message,
+              seriesScope: parsed.recurrence_scope === "series"
+            });
+
+            if (candidates.length) {
+              parsed.reply = askWhichEvent(sessionState, {
+                action: "reschedule",
+                candidates,
+                date: parsed.date,
+                time: parsed.time,
+                recurrence_scope: parsed.recurrence_scope
+              }, prefs);
+              saveSession(sessionId, sessionState);
+              return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+            }
+
+            eventToReschedule = match;
+          }
 
         } catch (error) {
           console.error("Error searching calendar events:", error);
+          if (isReauthError(error)) {
+            saveSession(sessionId, sessionState);
+            return sendReauthRequired(req, res, error, { state: sessionState, sessionId });
+          }
           parsed.reply = "I had trouble accessing your calendar. Please try again.";
           saveSession(sessionId, sessionState);
           return res.json({ reply: parsed.reply, state: sessionState, sessionId });
@@ -447,6 +1312,9 @@ app.post("/chat", async (req, res) => {
         }
 
         rescheduleState.originalEvent = eventToReschedule;
+        if (parsed.recurrence_scope === "series" && eventToReschedule.recurringEventId) {
+          rescheduleState.scope = "series";
+        }
       }
       
       // Update with new date/time
@@ -454,28 +1322,33 @@ app.post("/chat", async (req, res) => {
       rescheduleState.newTime = parsed.time || rescheduleState.newTime;
       sessionState.rescheduleState = rescheduleState;
 
+      const movingSeries = rescheduleState.scope === "series";
+      // All-day events move by whole days and keep how many days they span
+      const movingAllDay = Boolean(rescheduleState.originalEvent?.allDay);
+      if (movingAllDay) rescheduleState.newTime = null;
+      const newEndDate = movingAllDay && rescheduleState.newDate
+        ? DateTime.fromISO(rescheduleState.newDate).plus({ days: (rescheduleState.originalEvent.days || 1) - 1 }).toISODate()
+        : null;
+
       // Smart date defaulting when only time is provided
-      if (!rescheduleState.newDate && rescheduleState.newTime) {
-        const now = new Date();
-        const currentTime = now.getHours() * 60 + now.getMinutes();
-        const [hours, minutes] = rescheduleState.newTime.split(':').map(Number);
-        const newTimeInMinutes = hours * 60 + minutes;
+      // (a series keeps its own start date unless the user gives a new one)
+      if (!rescheduleState.newDate && rescheduleState.newTime && !movingSeries) {
+        const today = todayIn(prefs.timezone);
+        const newStart = zonedDateTime(today, rescheduleState.newTime, prefs.timezone);
 
         // If the time is later today, use today; otherwise use tomorrow
-        if (newTimeInMinutes > currentTime + 30) { // 30 minute buffer
-          rescheduleState.newDate = now.toISOString().split('T')[0];
+        if (newStart.getTime() > Date.now() + 30 * 60000) { // 30 minute buffer
+          rescheduleState.newDate = today;
         } else {
-          const tomorrow = new Date(now);
-          tomorrow.setDate(tomorrow.getDate() + 1);
-          rescheduleState.newDate = tomorrow.toISOString().split('T')[0];
+          rescheduleState.newDate = toZonedParts(newStart.getTime() + 24 * 60 * 60000, prefs.timezone).date;
         }
       }
 
       // Enhanced context-aware error messages
-      if (!rescheduleState.newDate || !rescheduleState.newTime) {
+      if ((!rescheduleState.newDate && (!movingSeries || movingAllDay)) || (!rescheduleState.newTime && !movingAllDay)) {
         let missingInfo = [];
-        if (!rescheduleState.newDate) missingInfo.push("date");
-        if (!rescheduleState.newTime) missingInfo.push("time");
+        if (!rescheduleState.newDate && (!movingSeries || movingAllDay)) missingInfo.push("date");
+        if (!rescheduleState.newTime && !movingAllDay) missingInfo.push("time");
 
         const eventName = rescheduleState.originalEvent?.title || "the event";
         parsed.reply = `What ${missingInfo.join(" and ")} would you like to move "${eventName}" to?`;
@@ -485,22 +1358,23 @@ app.post("/chat", async (req, res) => {
       
       if (!rescheduleState.preConfirmed) {
         // Format original event time from Google Calendar startDateTime
-        let oldDateTime = "unknown time";
-        if (rescheduleState.originalEvent.startDateTime) {
-          const startDate = new Date(rescheduleState.originalEvent.startDateTime);
-          oldDateTime = startDate.toLocaleString("en-AU", {
-            dateStyle: "long",
-            timeStyle: "short",
-            timeZone: "Australia/Sydney"
-          });
-        }
-
-        const newDateTime = formatFriendly(rescheduleState.newDate, rescheduleState.newTime);
+        const oldDateTime = describeEventTime(rescheduleState.originalEvent, prefs);
 
         rescheduleState.preConfirmed = true;
         sessionState.rescheduleState = rescheduleState;
 
-        parsed.reply = `I'll move your **${rescheduleState.originalEvent.title}** from **${oldDateTime}** to **${newDateTime}**. Confirm? (yes/no)`;
+        if (movingAllDay) {
+          const newDays = `${describeDateRange(rescheduleState.newDate, newEndDate, prefs)} (all day)`;
+          parsed.reply = movingSeries
+            ? `I'll move every occurrence of **${rescheduleState.originalEvent.title}** to start on **${newDays}**. Confirm? (yes/no)`
+            : `I'll move your **${rescheduleState.originalEvent.title}** from **${oldDateTime}** to **${newDays}**. Confirm? (yes/no)`;
+        } else if (movingSeries) {
+          const startingFrom = rescheduleState.newDate ? `, starting **${formatFriendly(rescheduleState.newDate, rescheduleState.newTime, prefs)}**` : "";
+          parsed.reply = `I'll move every occurrence of **${rescheduleState.originalEvent.title}** to **${formatFriendlyTime(rescheduleState.newTime, prefs)}**${startingFrom}. Confirm? (yes/no)`;
+        } else {
+          const newDateTime = formatFriendly(rescheduleState.newDate, rescheduleState.newTime, prefs);
+          parsed.reply = `I'll move your **${rescheduleState.originalEvent.title}** from **${oldDateTime}** to **${newDateTime}**. Confirm? (yes/no)`;
+        }
         saveSession(sessionId, sessionState);
         return res.json({ reply: parsed.reply, state: sessionState, sessionId });
       }
@@ -511,23 +1385,81 @@ app.post("/chat", async (req, res) => {
         
         if (yn === "yes") {
           try {
+            // Move the whole series by updating its master event, keeping its recurrence rules
+            if (movingSeries) {
+              const calendarId = rescheduleState.originalEvent.calendar_id || PRIMARY_CALENDAR;
+              const master = await getCalendarEvent(userId, rescheduleState.originalEvent.recurringEventId, calendarId);
+              const seriesDate = rescheduleState.newDate ||
+                master.start.date ||
+                toZonedParts(master.start.dateTime, prefs.timezone).date;
+
+              let times;
+              if (movingAllDay) {
+                times = { allDay: true, startDate: seriesDate, endDate: newEndDate };
+              } else {
+                const start = zonedDateTime(seriesDate, rescheduleState.newTime, prefs.timezone);
+                const end = new Date(start.getTime() + (rescheduleState.originalEvent.duration_minutes || 60) * 60000);
+                times = { startDateTime: start.toISOString(), endDateTime: end.toISOString() };
+              }
+
+              const updated = await updateCalendarEvent({
+                userId,
+                calendarId,
+                eventId: master.id,
+                ...times,
+                etag: master.etag,
+                timeZone: prefs.timezone
+              });
+
+              sessionState.rescheduleState = null;
+              recordOperation(sessionState, {
+                source: "chat",
+                summary: `Moved every occurrence of "${master.summary}"`,
+                changes: [{ action: "update", eventId: master.id, calendarId, before: snapshotEvent(master), after: snapshotEvent(updated.event) }]
+              });
+
+              const replyMsg = movingAllDay
+                ? `Every occurrence of "${rescheduleState.originalEvent.title}" now starts on ${describeDateRange(seriesDate, newEndDate, prefs)}.`
+                : `Every occurrence of "${rescheduleState.originalEvent.title}" now starts at ${formatFriendlyTime(rescheduleState.newTime, prefs)}.`;
+              saveSession(sessionId, sessionState);
+              return res.json({ reply: replyMsg, state: sessionState, sessionId });
+            }
+
             // Update Google Calendar event
             if (rescheduleState.originalEvent.google_event_id) {
-              const start = new Date(`${rescheduleState.newDate}T${rescheduleState.newTime}:00`);
-              const end = new Date(start.getTime() + (rescheduleState.originalEvent.duration_minutes || 60) * 60000);
-
-              await updateCalendarEvent({
-                eventId: rescheduleState.originalEvent.google_event_id,
-                summary: rescheduleState.originalEvent.title,
-                startDateTime: start.toISOString(),
-                endDateTime: end.toISOString()
+              const eventId = rescheduleState.originalEvent.google_event_id;
+              const calendarId = rescheduleState.originalEvent.calendar_id || PRIMARY_CALENDAR;
+              let times;
+              if (movingAllDay) {
+                times = { allDay: true, startDate: rescheduleState.newDate, endDate: newEndDate };
+              } else {
+                const start = zonedDateTime(rescheduleState.newDate, rescheduleState.newTime, prefs.timezone);
+                const end = new Date(start.getTime() + (rescheduleState.originalEvent.duration_minutes || 60) * 60000);
+                times = { startDateTime: start.toISOString(), endDateTime: end.toISOString() };
+              }
+              const before = await captureEvents(userId, [{ eventId, calendarId }]);
+
+              // Only the times change; the etag makes sure the undo snapshot is what gets replaced
+              const updated = await updateCalendarEvent({
+                userId,
+                calendarId,
+                eventId,
+                ...times,
+                etag: before[eventId]?.etag,
+                timeZone: prefs.timezone
+              });
+
+              recordOperation(sessionState, {
+                source: "chat",
+                summary: `Moved "${rescheduleState.originalEvent.title}"`,
+                changes: [{ action: "update", eventId, calendarId, before: before[eventId], after: snapshotEvent(updated.event) }]
               });
             }
 
             // Update session state events
             sessionState.activeEvents = sessionState.activeEvents.map((event) => {
               if (event.google_event_id === rescheduleState.originalEvent.google_event_id) {
-                return { ...event, date: rescheduleState.newDate, time: rescheduleState.newTime };
+                return { ...event, date: rescheduleState.newDate, time: rescheduleState.newTime, end_date: newEndDate };
               }
               return event;
             });
@@ -536,22 +1468,16 @@ app.post("/chat", async (req, res) => {
             if (sessionState.lastEvent && sessionState.lastEvent.google_event_id === rescheduleState.originalEvent.google_event_id) {
               sessionState.lastEvent.date = rescheduleState.newDate;
               sessionState.lastEvent.time = rescheduleState.newTime;
+              sessionState.lastEvent.end_date = newEndDate;
             }
 
             sessionState.rescheduleState = null;
 
             // Format original time from Google Calendar startDateTime
-            let friendlyOld = "unknown time";
-            if (rescheduleState.originalEvent.startDateTime) {
-              const startDate = new Date(rescheduleState.originalEvent.startDateTime);
-              friendlyOld = startDate.toLocaleString("en-AU", {
-                dateStyle: "long",
-                timeStyle: "short",
-                timeZone: "Australia/Sydney"
-              });
-            }
-
-            const friendlyNew = formatFriendly(rescheduleState.newDate, rescheduleState.newTime);
+            const friendlyOld = describeEventTime(rescheduleState.originalEvent, prefs);
+            const friendlyNew = movingAllDay
+              ? `${describeDateRange(rescheduleState.newDate, newEndDate, prefs)} (all day)`
+              : formatFriendly(rescheduleState.newDate, rescheduleState.newTime, prefs);
             let replyMsg = `Your "${rescheduleState.originalEvent.title}" has been moved from ${friendlyOld} to ${friendlyNew}.`;
 
             saveSession(sessionId, sessionState);
@@ -563,12 +1489,20 @@ app.post("/chat", async (req, res) => {
             sessionState.rescheduleState = rescheduleState;
 
             saveSession(sessionId, sessionState);
+            if (isReauthError(calendarError)) {
+              return sendReauthRequired(req, res, calendarError, { state: sessionState, sessionId });
+            }
+            if (calendarError instanceof EventConflictError) {
+              sessionState.rescheduleState = null;
+              saveSession(sessionId, sessionState);
+              return res.json({ reply: `"${rescheduleState.originalEvent.title}" was just changed in your calendar, so I left it alone. Have a look and ask me again if it still needs moving.`, state: sessionState, sessionId });
+            }
             return res.json({ reply: `Unable to reschedule in calendar: ${calendarError.message}`, state: sessionState, sessionId });
           }
           
         } else if (yn === "no") {
           // User doesn't want to reschedule - cancel the operation
-          const eventTitle = rescheduleState.eventTitle;
+          const eventTitle = rescheduleState.originalEvent?.title;
           sessionState.rescheduleState = null;
 
           parsed.reply = `Got it! I won't reschedule "${eventTitle}". It will stay at its original time. Anything else I can help with?`;
@@ -582,35 +1516,299 @@ app.post("/chat", async (req, res) => {
       }
     }
 
+    // "Find a time with Alex and Jordan next week": propose the best slots, then book the one picked
+    else if (parsed.intent === "find_meeting_time") {
+      try {
+        if (chosenSlot) {
+          const { title, participants } = sessionState.meetingProposal;
+          const emails = participants.map(participant => participant.email);
+          const calendarId = req.calendars.target;
+          sessionState.meetingProposal = null;
+
+          const calendarResult = await createCalendarEvent({
+            userId,
+            calendarId,
+            summary: title,
+            startDateTime: chosenSlot.start,
+            endDateTime: chosenSlot.end,
+            attendees: emails,
+            reminders: remindersFor(req.reminders, "meeting"),
+            timeZone: prefs.timezone
+          });
+
+          sessionState.lastEvent = toEventRef(normalizeEvent(calendarResult.event, prefs.timezone, calendarId));
+          recordOperation(sessionState, {
+            source: "chat",
+            summary: `Booked "${title}"`,
+            changes: [{ action: "create", eventId: calendarResult.eventId, calendarId, before: null, after: snapshotEvent(calendarResult.event) }]
+          });
+
+          parsed.reply = `Booked **${title}** for ${describeMeetingSlot(chosenSlot, participants, prefs)}. Invitations were sent to ${formatList(emails, prefs)}.`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        if (!parsed.attendees?.length) {
+          parsed.reply = "Who would you like to meet with? You can give names or email addresses.";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        const durationMinutes = parsed.duration_minutes || 60;
+        const startDate = parsed.date || todayIn(prefs.timezone);
+        let endDate = parsed.end_date && parsed.end_date >= startDate
+          ? parsed.end_date
+          : DateTime.fromISO(startDate).plus({ days: DEFAULT_MEETING_SEARCH_DAYS - 1 }).toISODate();
+        endDate = DateTime.min(DateTime.fromISO(endDate), DateTime.fromISO(startDate).plus({ days: MAX_MEETING_SEARCH_DAYS - 1 })).toISODate();
+
+        const { participants, unknown } = await resolveParticipants(userId, parsed.attendees, {
+          timezone: prefs.timezone,
+          calendarIds: req.calendars.busy
+        });
+
+        if (unknown.length) {
+          sessionState.meetingProposal = {
+            unknown,
+            known: participants.map(participant => participant.email),
+            title: parsed.title,
+            duration_minutes: durationMinutes,
+            date: startDate,
+            end_date: endDate,
+            participants: [],
+            slots: []
+          };
+          parsed.reply = `I'm not sure who ${formatList(unknown, prefs)} ${unknown.length === 1 ? "is" : "are"}. What ${unknown.length === 1 ? "is their email address" : "are their email addresses"}?`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        const { slots, unavailable } = await findMeetingSlots(userId, {
+          participants,
+          durationMinutes,
+          startDate,
+          endDate,
+          timezone: prefs.timezone,
+          profile: req.scheduling,
+          calendarIds: req.calendars.busy
+        });
+
+        const names = formatList(participants.map(participant => participant.name || participant.email), prefs);
+        let notes = "";
+        if (unavailable.length) {
+          notes += `\n\nI can't see the calendar of ${formatList(unavailable, prefs)}, so their meetings aren't taken into account.`;
+        }
+        const assumedZone = participants.filter(participant => !participant.timezoneKnown);
+        if (assumedZone.length) {
+          notes += `\n\nI assumed ${formatList(assumedZone.map(participant => participant.name || participant.email), prefs)} ${assumedZone.length === 1 ? "works" : "work"} in your timezone.`;
+        }
+
+        if (slots.length === 0) {
+          sessionState.meetingProposal = null;
+          parsed.reply = `I couldn't find ${durationMinutes} minutes when you and ${names} are all free (${describeDateRange(startDate, endDate, prefs)}). Try a longer range or a shorter meeting.${notes}`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        const title = parsed.title || `Meeting with ${names}`;
+        const labelled = slots.map(slot => ({ ...slot, label: formatSlotLabel(new Date(slot.start), prefs) }));
+        sessionState.meetingProposal = {
+          unknown: [],
+          known: [],
+          title,
+          duration_minutes: durationMinutes,
+          date: startDate,
+          end_date: endDate,
+          participants,
+          slots: labelled
+        };
+
+        const list = labelled.map((slot, index) => `${index + 1}. ${describeMeetingSlot(slot, participants, prefs)}`).join("\n");
+        parsed.reply = `Here are the best times for **${title}** (${durationMinutes} min) with ${names}:\n\n${list}\n\nReply with a number to book it and send the invitations.${notes}`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } catch (error) {
+        console.error("Find meeting time error:", error);
+        if (isReauthError(error)) {
+          saveSession(sessionId, sessionState);
+          return sendReauthRequired(req, res, error, { state: sessionState, sessionId });
+        }
+        parsed.reply = "Unable to find a meeting time right now. Please try again.";
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+    }
+
+    // "Who hasn't responded to the design review?"
+    else if (parsed.intent === "check_rsvp") {
+      try {
+        let eventRef = chosenEvent;
+
+        if (!eventRef) {
+          // Only events with someone else invited have responses to report
+          const withGuests = (await findCandidateEvents(userId, parsed.title, prefs.timezone, req.calendars.busy))
+            .filter(event => event.attendees.some(attendee => !attendee.self));
+          const { match, candidates } = resolveEvent(withGuests, {
+            title: parsed.title,
+            date: parsed.date,
+            lastEventId: sessionState.lastEvent?.google_event_id,
+            timezone: prefs.timezone,
+            message
+          });
+
+          if (candidates.length && (isSpecificTitle(parsed.title) || parsed.date)) {
+            parsed.reply = askWhichEvent(sessionState, {
+              action: "check_rsvp",
+              candidates,
+              date: null,
+              time: null,
+              recurrence_scope: null
+            }, prefs);
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+
+          // Nothing named: the next event with guests
+          eventRef = match || (candidates.length ? toEventRef(withGuests[0]) : null);
+        }
+
+        if (!eventRef) {
+          parsed.reply = isSpecificTitle(parsed.title)
+            ? `I couldn't find an upcoming event with guests matching "${parsed.title}".`
+            : "You have no upcoming events with guests.";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        // Fresh from Google so the answers are current
+        const calendarId = eventRef.calendar_id || PRIMARY_CALENDAR;
+        const event = normalizeEvent(await getCalendarEvent(userId, eventRef.google_event_id, calendarId), prefs.timezone, calendarId);
+        sessionState.lastEvent = toEventRef(event);
+
+        parsed.reply = describeResponses(event, prefs);
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } catch (error) {
+        console.error("Check RSVP error:", error);
+        if (isReauthError(error)) {
+          saveSession(sessionId, sessionState);
+          return sendReauthRequired(req, res, error, { state: sessionState, sessionId });
+        }
+        parsed.reply = "Unable to check the guest list right now. Please try again.";
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+    }
+
+    // "Remind me an hour before the dentist", "no reminders for standup"
+    else if (parsed.intent === "set_reminder") {
+      try {
+        if (!parsed.reminders) {
+          parsed.reply = "How long before the event should I remind you?";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        let eventRef = chosenEvent;
+
+        if (!eventRef) {
+          const events = await findCandidateEvents(userId, parsed.title, prefs.timezone, req.calendars.busy);
+          const { match, candidates } = resolveEvent(events, {
+            title: parsed.title,
+            date: parsed.date,
+            lastEventId: sessionState.lastEvent?.google_event_id,
+            timezone: prefs.timezone,
+            message
+          });
+
+          if (!match && candidates.length && (isSpecificTitle(parsed.title) || parsed.date)) {
+            parsed.reply = askWhichEvent(sessionState, {
+              action: "set_reminder",
+              candidates,
+              date: null,
+              time: null,
+              recurrence_scope: null,
+              reminders: parsed.reminders
+            }, prefs);
+            saveSession(sessionId, sessionState);
+            return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+          }
+          eventRef = match;
+        }
+
+        if (!eventRef) {
+          parsed.reply = isSpecificTitle(parsed.title)
+            ? `I couldn't find an upcoming event matching "${parsed.title}".`
+            : "Which event should I change the reminders for?";
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        const eventId = eventRef.google_event_id;
+        const calendarId = eventRef.calendar_id || PRIMARY_CALENDAR;
+        const before = await captureEvents(userId, [{ eventId, calendarId }]);
+
+        const updated = await updateCalendarEvent({
+          userId,
+          calendarId,
+          eventId,
+          reminders: parsed.reminders,
+          etag: before[eventId]?.etag,
+          timeZone: prefs.timezone
+        });
+
+        const event = normalizeEvent(updated.event, prefs.timezone, calendarId);
+        sessionState.lastEvent = toEventRef(event);
+        recordOperation(sessionState, {
+          source: "chat",
+          summary: `Changed the reminders for "${event.summary}"`,
+          changes: [{ action: "update", eventId, calendarId, before: before[eventId], after: snapshotEvent(updated.event) }]
+        });
+
+        parsed.reply = `**${event.summary}** (${describeEventTime(event, prefs)}) now has ${describeReminders(parsed.reminders, prefs)}.`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } catch (error) {
+        console.error("Set reminder error:", error);
+        saveSession(sessionId, sessionState);
+        if (isReauthError(error)) {
+          return sendReauthRequired(req, res, error, { state: sessionState, sessionId });
+        }
+        parsed.reply = error instanceof EventConflictError
+          ? "That event was just changed in your calendar, so I left it alone. Have a look and ask me again."
+          : "Unable to change the reminders right now. Please try again.";
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+    }
+
     // Handle check_schedule intent
     else if (parsed.intent === "check_schedule") {
-      const qDate = parsed.date || new Date().toISOString().split('T')[0]; // default to today
+      const qDate = parsed.date || todayIn(prefs.timezone); // default to today
 
       try {
-        const events = await getEventsForDateRange(qDate);
+        const events = await getEventsForDateRange(userId, qDate, null, prefs.timezone, req.calendars.busy);
 
         if (!events || events.length === 0) {
-          const dateStr = new Date(qDate).toLocaleDateString('en-AU', {
-            weekday: 'long',
-            day: 'numeric',
-            month: 'long',
-            year: 'numeric'
-          });
+          const dateStr = formatDay(qDate, prefs);
           parsed.reply = `You have no events scheduled for ${dateStr}. Your day is free!`;
         } else {
-          const dateStr = new Date(qDate).toLocaleDateString('en-AU', {
-            weekday: 'long',
-            day: 'numeric',
-            month: 'long',
-            year: 'numeric'
-          });
+          const dateStr = formatDay(qDate, prefs);
 
           let scheduleText = `**Your schedule for ${dateStr}:**\n\n`;
 
           events.forEach((event, index) => {
-            const startTime = new Date(event.startDateTime);
-            const endTime = new Date(event.endDateTime);
-            const timeStr = `${startTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })} - ${endTime.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true })}`;
+            const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+            let timeStr;
+            if (event.allDay) {
+              timeStr = event.days > 1
+                ? `All day (day ${DateTime.fromISO(qDate).diff(DateTime.fromISO(event.startDate), "days").days + 1} of ${event.days})`
+                : 'All day';
+            } else if (event.days > 1) {
+              // Timed events running past midnight show the date they start or end on
+              const withDay = { ...timeOptions, weekday: 'short' };
+              timeStr = `${formatInZone(event.startDateTime, prefs, withDay)} - ${formatInZone(event.endDateTime, prefs, withDay)}`;
+            } else {
+              timeStr = `${formatInZone(event.startDateTime, prefs, timeOptions)} - ${formatInZone(event.endDateTime, prefs, timeOptions)}`;
+            }
 
             scheduleText += `**${index + 1}. ${event.summary}**\n`;
             scheduleText += `⏰ ${timeStr}\n`;
@@ -619,6 +1817,10 @@ app.post("/chat", async (req, res) => {
               scheduleText += `📍 ${event.location}\n`;
             }
 
+            if (event.joinLink) {
+              scheduleText += `🎥 ${event.joinLink}\n`;
+            }
+
             if (event.description) {
               scheduleText += `📝 ${event.description}\n`;
             }
@@ -633,341 +1835,1557 @@ app.post("/chat", async (req, res) => {
         return res.json({ reply: parsed.reply, state: sessionState, sessionId });
       } catch (error) {
         console.error("Check schedule error:", error);
+        if (isReauthError(error)) {
+          saveSession(sessionId, sessionState);
+          return sendReauthRequired(req, res, error, { state: sessionState, sessionId });
+        }
         parsed.reply = "Unable to check your schedule right now. Please try again.";
         saveSession(sessionId, sessionState);
         return res.json({ reply: parsed.reply, state: sessionState, sessionId });
       }
     }
 
-    // Default response
-    else {
-      const reply = parsed.reply || "How can I help you today? I can help you create calendar events and manage your schedule.";
-      saveSession(sessionId, sessionState);
-      return res.json({ reply, state: sessionState, sessionId });
-    }
+    // Handle send_email intent
+    else if (parsed.intent === "send_email") {
+      let draft = sessionState.emailDraft || null;
 
-  } catch (err) {
-    console.error("Chat endpoint error:", err);
-    res.status(500).json({ reply: "Something went wrong. Please try again." });
-  }
-});
+      // New recipients with no draft in progress start a fresh email
+      if (!draft) {
+        draft = { to: [], subject: null, body: null, preConfirmed: false };
+      }
 
-// OAuth routes
-app.get("/auth", (req, res) => {
-  const oAuth2Client = getAuthClient();
-  const authUrl = oAuth2Client.generateAuthUrl({
-    access_type: "offline",
-    prompt: "consent",
-    scope: [
-      "https://www.googleapis.com/auth/calendar"
-    ]
-  });
-  res.redirect(authUrl);
-});
+      if (!parsed.confirmation_response) {
+        const hadFields = parsed.email_to || parsed.email_subject || parsed.email_body;
 
-app.get("/oauth2callback", async (req, res) => {
-  const code = req.query.code;
-  if (!code) return res.send("No authorization code provided");
-  
-  const oAuth2Client = getAuthClient();
-  try {
-    const { tokens } = await oAuth2Client.getToken(code);
-    oAuth2Client.setCredentials(tokens);
-    saveToken(tokens);
-    res.send("Authorization successful! You can now close this tab and return to the chat.");
-  } catch (err) {
-    console.error("OAuth callback error:", err);
-    res.status(500).send("Error saving authorization: " + (err.message || err));
+        if (parsed.email_to) {
+          draft.to = parsed.email_to.map(a => a.trim());
+        }
+        draft.subject = parsed.email_subject || draft.subject;
+        draft.body = parsed.email_body || draft.body;
+
+        // A bare follow-up answer fills the first missing field
+        if (!hadFields && message.trim()) {
+          if (draft.to.length === 0) {
+            const addresses = message.split(/[\s,;]+/).filter(isValidEmail);
+            if (addresses.length) draft.to = addresses;
+          } else if (!draft.subject) {
+            draft.subject = message.trim();
+          } else if (!draft.body) {
+            draft.body = message.trim();
+          }
+        }
+
+        // Any edit needs a fresh preview before sending
+        draft.preConfirmed = false;
+        sessionState.emailDraft = draft;
+
+        const invalid = draft.to.filter(address => !isValidEmail(address));
+        if (invalid.length) {
+          draft.to = draft.to.filter(isValidEmail);
+          parsed.reply = `${invalid.join(", ")} doesn't look like a valid email address. Who should I send it to?`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+
+        const missing = [];
+        if (draft.to.length === 0) missing.push("recipient email address");
+        if (!draft.subject) missing.push("subject");
+        if (!draft.body) missing.push("message");
+
+        if (missing.length) {
+          parsed.reply = `Please provide the following for your email: ${missing.join(", ")}.`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+        }
+      }
+
+      // Show the draft and ask for confirmation
+      if (!draft.preConfirmed) {
+        draft.preConfirmed = true;
+        sessionState.emailDraft = draft;
+        parsed.reply = `Here's your draft:\n\n${formatEmailPreview(draft)}\n\nSend it? (yes/no)`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+
+      const yn = parsed.confirmation_response || extractYesNo(message);
+      if (yn === "yes") {
+        try {
+          await sendEmail({ userId, to: draft.to, subject: draft.subject, body: draft.body });
+          sessionState.emailDraft = null;
+
+          const replyMsg = `Your email "${draft.subject}" has been sent to ${draft.to.join(", ")}.`;
+          saveSession(sessionId, sessionState);
+          return res.json({ reply: replyMsg, state: sessionState, sessionId });
+
+        } catch (emailError) {
+          console.error("Email send failed:", emailError);
+          draft.preConfirmed = false;
+          sessionState.emailDraft = draft;
+
+          saveSession(sessionId, sessionState);
+          if (isReauthError(emailError)) {
+            return sendReauthRequired(req, res, emailError, { state: sessionState, sessionId });
+          }
+          return res.json({ reply: "Unable to send the email. Please try again.", state: sessionState, sessionId });
+        }
+
+      } else if (yn === "no") {
+        sessionState.emailDraft = null;
+        parsed.reply = `No worries! I won't send the "${draft.subject}" email. Is there anything else I can help you with?`;
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      } else {
+        parsed.reply = "Please reply 'yes' to send the email or 'no' to discard it. You can also tell me what to change.";
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+    }
+
+    // Handle set_goal intent
+    else if (parsed.intent === "set_goal") {
+      if (!parsed.goal_description) {
+        parsed.reply = parsed.reply || "What goal would you like to set? For example, \"study 10 hours before Friday\" or \"gym 3 times per week\".";
+        saveSession(sessionId, sessionState);
+        return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+      }
+
+      const goal = createGoal({
+        description: parsed.goal_description,
+        goal_type: parsed.goal_type,
+        target_amount: parsed.target_amount,
+        target_unit: parsed.target_unit,
+        deadline: parsed.deadline,
+        frequency: parsed.frequency
+      });
+
+      sessionState.goals.push(goal);
+
+      let replyMsg = `🎯 Goal set: **${goal.description}**`;
+      const details = [];
+      if (goal.target_amount) details.push(`target ${formatGoalTarget(goal)}`);
+      if (goal.frequency) details.push(goal.frequency);
+      if (goal.deadline) {
+        const deadlineStr = formatDay(goal.deadline, prefs, { weekday: "long", day: "numeric", month: "long" });
+        details.push(`by ${deadlineStr}`);
+      }
+      if (details.length) replyMsg += ` (${details.join(", ")})`;
+      replyMsg += ". Ask \"what are my goals?\" any time to see your progress.";
+
+      saveSession(sessionId, sessionState);
+      return res.json({ reply: replyMsg, state: sessionState, sessionId });
+    }
+
+    // Answer to "delete this goal?": yes deletes it with its upcoming sessions
+    else if (parsed.intent === "delete_goal" && sessionState.pendingGoalDeletion) {
+      const { goalId } = sessionState.pendingGoalDeletion;
+      const goal = sessionState.goals.find(g => g.id === goalId);
+      sessionState.pendingGoalDeletion = null;
+
+      let replyMsg;
+      let results = [];
+      if (parsed.confirmation_response !== "yes") {
+        replyMsg = "Okay, I'll keep the goal.";
+      } else if (!goal) {
+        replyMsg = "That goal is already gone.";
+      } else {
+        results = await deleteGoalWithSessions(userId, sessionState, goal);
+        const failed = results.filter(r => r.status === "failed");
+        const removed = results.length - failed.length;
+
+        replyMsg = `🗑️ Deleted the goal **${goal.description}**`;
+        if (removed) replyMsg += ` and removed ${removed} booked session${removed === 1 ? "" : "s"} from your calendar`;
+        replyMsg += ".";
+        if (failed.length) {
+          replyMsg += ` ${failed.length} session${failed.length === 1 ? "" : "s"} couldn't be removed and ${failed.length === 1 ? "is" : "are"} still on your calendar.`;
+        }
+        replyMsg += ' Say "undo" to bring it back.';
+      }
+
+      saveSession(sessionId, sessionState);
+      return res.json({ reply: replyMsg, state: sessionState, sessionId, results });
+    }
+
+    // Handle update_goal and delete_goal intents
+    else if (parsed.intent === "update_goal" || parsed.intent === "delete_goal") {
+      const matches = findGoals(sessionState.goals, parsed.goal_description);
+      const changes = Object.fromEntries(
+        ["target_amount", "target_unit", "deadline", "frequency"]
+          .filter(field => parsed[field] !== null && parsed[field] !== undefined)
+          .map(field => [field, parsed[field]])
+      );
+
+      let replyMsg;
+      if (sessionState.goals.length === 0) {
+        replyMsg = "You don't have any goals yet. Try \"set a goal to study 10 hours before Friday\".";
+      } else if (matches.length !== 1) {
+        const list = sessionState.goals.map(goal => `• ${goal.description}`).join("\n");
+        replyMsg = matches.length === 0
+          ? `I couldn't find a goal called "${parsed.goal_description}". Your goals are:\n\n${list}`
+          : `Which goal do you mean? Name it, e.g. "${parsed.intent === "delete_goal" ? "delete my study goal" : "change my study goal to 12 hours"}". Your goals are:\n\n${list}`;
+      } else if (parsed.intent === "delete_goal") {
+        const [goal] = matches;
+        const upcoming = (goal.scheduled_sessions || []).filter(session => new Date(session.end) > new Date()).length;
+        sessionState.pendingGoalDeletion = { goalId: goal.id };
+        replyMsg = upcoming
+          ? `Delete the goal **${goal.description}**? Its ${upcoming} upcoming booked session${upcoming === 1 ? "" : "s"} will be removed from your calendar too. Reply yes or no.`
+          : `Delete the goal **${goal.description}**? Reply yes or no.`;
+      } else if (Object.keys(changes).length === 0) {
+        replyMsg = `What should change about **${matches[0].description}**? You can change its target, deadline or how often, e.g. "change my study goal to 12 hours" or "move my study goal deadline to Friday".`;
+      } else {
+        const goal = updateGoal(matches[0], changes);
+        replyMsg = `🎯 Goal updated: ${formatGoalSummary(goal, prefs.timezone)}`;
+        if (changes.deadline) {
+          replyMsg += ` (due ${formatDay(goal.deadline, prefs, { weekday: "long", day: "numeric", month: "long" })})`;
+        }
+        replyMsg += ".";
+      }
+
+      saveSession(sessionId, sessionState);
+      return res.json({ reply: replyMsg, state: sessionState, sessionId });
+    }
+
+    // Handle check_goals intent
+    else if (parsed.intent === "check_goals") {
+      if (sessionState.goals.length === 0) {
+        parsed.reply = "You don't have any goals yet. Try \"set a goal to study 10 hours before Friday\".";
+      } else {
+        const active = sessionState.goals.filter(g => !g.completed);
+        const completed = sessionState.goals.filter(g => g.completed);
+
+        let goalsText = "**Your goals:**\n\n";
+        active.forEach((goal, index) => {
+          goalsText += `**${index + 1}.** ${formatGoalSummary(goal, prefs.timezone)}\n`;
+        });
+
+        if (completed.length) {
+          goalsText += `\n**Completed:**\n`;
+          completed.forEach(goal => {
+            goalsText += `• ${goal.description}\n`;
+          });
+        }
+
+        parsed.reply = goalsText.trim();
+      }
+
+      saveSession(sessionId, sessionState);
+      return res.json({ reply: parsed.reply, state: sessionState, sessionId });
+    }
+
+    // Handle undo intent: reverse the latest calendar change
+    else if (parsed.intent === "undo") {
+      const { reply, results } = await undoLatestChange(userId, sessionId, sessionState, prefs);
+      return res.json({ reply, state: sessionState, sessionId, results });
+    }
+
+    // Default response
+    else {
+      const reply = parsed.reply || "How can I help you today? I can help you create calendar events and manage your schedule.";
+      saveSession(sessionId, sessionState);
+      return res.json({ reply, state: sessionState, sessionId });
+    }
+
+  } catch (err) {
+    console.error("Chat endpoint error:", err);
+    if (isReauthError(err)) return sendReauthRequired(req, res, err, { sessionId });
+    res.status(500).json({ reply: "Something went wrong. Please try again." });
+  }
+});
+
+// OAuth routes
+app.get("/auth", (req, res) => {
+  // With local calendars there is no Google account: sign in as the one local user
+  if (getCalendarProvider().name === "local") {
+    const user = userStore.upsertGoogleUser({
+      googleId: "local",
+      email: process.env.LOCAL_USER_EMAIL || "me@localhost",
+      name: process.env.LOCAL_USER_NAME || "Local user"
+    });
+    setAuthCookie(res, user.id);
+    return res.redirect("/");
   }
+
+  const oAuth2Client = getAuthClient();
+  const authUrl = oAuth2Client.generateAuthUrl({
+    access_type: "offline",
+    prompt: "consent",
+    state: issueOAuthState(res),
+    scope: [
+      "openid",
+      "https://www.googleapis.com/auth/userinfo.email",
+      "https://www.googleapis.com/auth/userinfo.profile",
+      "https://www.googleapis.com/auth/calendar",
+      "https://www.googleapis.com/auth/gmail.send"
+    ]
+  });
+  res.redirect(authUrl);
 });
 
-// Reset sessions (development)
-app.post("/reset-all-sessions", async (req, res) => {
+app.get("/oauth2callback", async (req, res) => {
+  const { code, state } = req.query;
+  if (!code) return res.send("No authorization code provided");
+
+  if (!verifyOAuthState(req, res, state)) {
+    return res.status(400).send("Sign-in expired or was started from another browser. Please try /auth again.");
+  }
+
+  const oAuth2Client = getAuthClient();
   try {
-    sessions.clear();
-    return res.json({ reply: "All sessions cleared!" });
+    const { tokens } = await oAuth2Client.getToken(code);
+    oAuth2Client.setCredentials(tokens);
+
+    // The Google account decides which user record the tokens belong to
+    const oauth2 = google.oauth2({ version: "v2", auth: oAuth2Client });
+    const { data: profile } = await oauth2.userinfo.get();
+
+    const user = userStore.upsertGoogleUser({
+      googleId: profile.id,
+      email: profile.email,
+      name: profile.name
+    });
+    saveToken(user.id, tokens);
+    setAuthCookie(res, user.id);
+
+    res.redirect("/");
   } catch (err) {
-    console.error("Reset sessions error:", err);
-    return res.status(500).json({ reply: "Could not clear sessions." });
+    console.error("OAuth callback error:", err);
+    res.status(500).send("Error saving authorization: " + (err.message || err));
   }
 });
 
+app.post("/auth/logout", (req, res) => {
+  clearAuthCookie(res);
+  res.json({ success: true });
+});
+
+// Everything under /api belongs to the signed-in user
+app.use("/api", requireUser);
+
+// Current user and the session id the server assigned them
+app.get("/api/me", (req, res) => {
+  const { id, email, name, google_tokens } = req.user;
+  res.json({
+    user: { id, email, name },
+    sessionId: req.sessionId,
+    googleConnected: Boolean(google_tokens),
+    calendarProvider: providerFor(id).name,
+    preferences: req.prefs,
+    scheduling: req.scheduling,
+    calendars: req.calendars,
+    reminders: req.reminders,
+    digest: req.digest
+  });
+});
+
+// Timezone and locale used for parsing, scheduling and formatting
+app.get("/api/preferences", (req, res) => {
+  res.json({ preferences: req.prefs });
+});
+
+app.put("/api/preferences", (req, res) => {
+  try {
+    const { timezone, locale } = req.body;
+
+    if (timezone !== undefined && timezone !== null && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: `Unknown timezone "${timezone}". Use an IANA name like "Europe/London".` });
+    }
+    if (locale !== undefined && locale !== null && !isValidLocale(locale)) {
+      return res.status(400).json({ error: `Unsupported locale "${locale}". Use a tag like "en-GB".` });
+    }
+
+    const stored = userStore.updatePreferences(req.user.id, { timezone, locale });
+    res.json({ preferences: resolvePreferences(stored) });
+  } catch (error) {
+    console.error("Error updating preferences:", error);
+    res.status(500).json({ error: "Failed to update preferences" });
+  }
+});
+
+// Working hours, buffers, lunch, no-meeting days and focus times used to suggest slots
+app.get("/api/scheduling-profile", (req, res) => {
+  res.json({ scheduling: req.scheduling });
+});
+
+app.put("/api/scheduling-profile", (req, res) => {
+  try {
+    const error = validateSchedulingProfile(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const stored = userStore.updateSchedulingProfile(req.user.id, req.body);
+    res.json({ scheduling: resolveSchedulingProfile(stored) });
+  } catch (error) {
+    console.error("Error updating scheduling profile:", error);
+    res.status(500).json({ error: "Failed to update scheduling profile" });
+  }
+});
+
+// Default reminders for each type of event the app creates; null keeps the calendar's defaults
+app.get("/api/reminder-profile", (req, res) => {
+  res.json({ reminders: req.reminders });
+});
+
+app.put("/api/reminder-profile", (req, res) => {
+  try {
+    const error = validateReminderProfile(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const stored = userStore.updateReminderProfile(req.user.id, req.body);
+    res.json({ reminders: resolveReminderProfile(stored) });
+  } catch (error) {
+    console.error("Error updating reminder profile:", error);
+    res.status(500).json({ error: "Failed to update reminder profile" });
+  }
+});
+
+// Whether the user gets their agenda emailed each morning, at what time and to which address
+app.get("/api/digest-settings", (req, res) => {
+  res.json({ digest: req.digest });
+});
+
+app.put("/api/digest-settings", (req, res) => {
+  try {
+    const error = validateDigestSettings(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const stored = userStore.updateDigestSettings(req.user.id, req.body);
+    res.json({ digest: resolveDigestSettings(stored) });
+  } catch (error) {
+    console.error("Error updating digest settings:", error);
+    res.status(500).json({ error: "Failed to update digest settings" });
+  }
+});
+
+// The user's calendars, marked with whether they count as busy and receive new events
+app.get("/api/calendars", async (req, res) => {
+  try {
+    // "primary" in the settings is an alias for the user's own calendar
+    const matches = (calendar, id) => id === calendar.id || (id === PRIMARY_CALENDAR && calendar.primary);
+    const calendars = (await listCalendars(req.user.id)).map(calendar => ({
+      ...calendar,
+      busy: req.calendars.busy.some(id => matches(calendar, id)),
+      target: matches(calendar, req.calendars.target)
+    }));
+    res.json({ calendars, settings: req.calendars });
+  } catch (error) {
+    console.error("Error listing calendars:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to list calendars" });
+  }
+});
+
+// Which calendars count as busy (schedules, event matching, slot suggestions) and where new events go
+app.get("/api/calendar-settings", (req, res) => {
+  res.json({ calendars: req.calendars });
+});
+
+app.put("/api/calendar-settings", async (req, res) => {
+  try {
+    const { busy, target } = req.body;
+
+    if (busy !== undefined) {
+      if (!Array.isArray(busy) || busy.length === 0 || !busy.every(id => typeof id === "string" && id)) {
+        return res.status(400).json({ error: "busy must be a non-empty list of calendar ids" });
+      }
+      const known = new Set([PRIMARY_CALENDAR, ...(await listCalendars(req.user.id)).map(c => c.id)]);
+      const unknown = busy.filter(id => !known.has(id));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Unknown calendar ${unknown.map(id => `"${id}"`).join(", ")}` });
+      }
+    }
+
+    if (target !== undefined) {
+      if (typeof target !== "string" || !target) {
+        return res.status(400).json({ error: "target must be a calendar id" });
+      }
+      const calendarError = await checkTargetCalendar(req.user.id, target);
+      if (calendarError) return res.status(400).json({ error: calendarError });
+    }
+
+    const stored = userStore.updateCalendarSettings(req.user.id, { busy, target });
+
+    // Watched calendars follow the busy list
+    if (busy !== undefined && calendarWatch.channelsOf(req.user.id).length) {
+      calendarWatch.watch(req.user.id, resolveCalendarSettings(stored).busy).catch(error => {
+        console.error(`[calendarWatch] Could not watch calendars for user ${req.user.id}:`, error.message);
+      });
+    }
+    res.json({ calendars: resolveCalendarSettings(stored) });
+  } catch (error) {
+    console.error("Error updating calendar settings:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to update calendar settings" });
+  }
+});
+
+// The calendar account connected instead of the default provider; the password is never sent back
+function describeCalendarAccount(user) {
+  const account = user.calendar_account;
+  if (!account) return null;
+  return { provider: account.provider, url: account.url, username: account.username, calendar: account.calendar || null };
+}
+
+app.get("/api/calendar-account", (req, res) => {
+  res.json({ calendarProvider: providerFor(req.user.id).name, account: describeCalendarAccount(req.user) });
+});
+
+// Connect a CalDAV account: { provider: "caldav", url, username, password, calendar }. The password
+// can be left out to keep the stored one for the same URL and username. calendar picks the
+// calendar that stands in for "primary" (default: the first one events can be added to).
+app.put("/api/calendar-account", async (req, res) => {
+  try {
+    const { provider, url, username, calendar = null } = req.body;
+    let { password } = req.body;
+
+    if (provider !== "caldav") {
+      return res.status(400).json({ error: 'provider must be "caldav"' });
+    }
+    if (!hasSecretsKey()) {
+      return res.status(503).json({ error: "Connecting a calendar account needs SECRETS_KEY to be set on the server" });
+    }
+    let parsedUrl = null;
+    try {
+      parsedUrl = new URL(url);
+    } catch {
+      // reported below
+    }
+    if (!parsedUrl || !["http:", "https:"].includes(parsedUrl.protocol)) {
+      return res.status(400).json({ error: "url must be the http(s) address of the CalDAV server or calendar" });
+    }
+    if (typeof username !== "string" || !username.trim()) {
+      return res.status(400).json({ error: "username is required" });
+    }
+    const current = userStore.getCalendarAccount(req.user.id);
+    if (password === undefined && current?.url === url && current?.username === username.trim()) {
+      password = current.password;
+    }
+    if (typeof password !== "string" || !password) {
+      return res.status(400).json({ error: "password is required (an app password is best)" });
+    }
+    if (calendar !== null && typeof calendar !== "string") {
+      return res.status(400).json({ error: "calendar must be a calendar id" });
+    }
+
+    const account = { provider, url, username: username.trim(), password, calendar };
+    let calendars;
+    try {
+      calendars = await getUserCalendarProvider("caldav").connect(account);
+    } catch (error) {
+      return res.status(400).json({ error: `Could not connect to the CalDAV server: ${error.message}` });
+    }
+    if (calendar && !calendars.some(c => c.id === calendar)) {
+      return res.status(400).json({ error: `Unknown calendar "${calendar}"` });
+    }
+
+    const stored = userStore.updateCalendarAccount(req.user.id, account);
+    getUserCalendarProvider("caldav").forget(req.user.id);
+
+    res.json({
+      calendarProvider: "caldav",
+      account: describeCalendarAccount({ calendar_account: stored }),
+      calendars: calendars.map(({ id, summary, primary, accessRole, timeZone }) => ({ id, name: summary, primary, writable: accessRole === "owner", timeZone }))
+    });
+  } catch (error) {
+    console.error("Error connecting calendar account:", error);
+    res.status(500).json({ error: "Failed to connect calendar account" });
+  }
+});
+
+// Disconnect the account and go back to the default provider
+app.delete("/api/calendar-account", (req, res) => {
+  try {
+    userStore.updateCalendarAccount(req.user.id, null);
+    getUserCalendarProvider("caldav").forget(req.user.id);
+    res.json({ calendarProvider: providerFor(req.user.id).name, account: null });
+  } catch (error) {
+    console.error("Error disconnecting calendar account:", error);
+    res.status(500).json({ error: "Failed to disconnect calendar account" });
+  }
+});
+
+// Send an email directly (the chat flow previews and confirms first)
+app.post("/api/email/send", async (req, res) => {
+  try {
+    const { to, subject, body } = req.body;
+
+    const recipients = Array.isArray(to) ? to : (to ? [to] : []);
+    if (recipients.length === 0 || !recipients.every(isValidEmail)) {
+      return res.status(400).json({ error: "A valid recipient address is required" });
+    }
+
+    if (!subject && !body) {
+      return res.status(400).json({ error: "subject or body is required" });
+    }
+
+    const result = await sendEmail({ userId: req.user.id, to: recipients, subject, body });
+    res.json(result);
+  } catch (error) {
+    console.error("Error sending email:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to send email" });
+  }
+});
+
+// Undo the latest calendar change made through chat, the event editor or to-do booking
+app.post("/api/undo", async (req, res) => {
+  try {
+    const sessionState = getSession(req.sessionId);
+    const outcome = await undoLatestChange(req.user.id, req.sessionId, sessionState, req.prefs);
+
+    if (!outcome.undone) {
+      return res.status(outcome.results.length ? 500 : 404).json({ error: outcome.reply, results: outcome.results });
+    }
+    res.json(outcome);
+  } catch (error) {
+    console.error("Error undoing change:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to undo" });
+  }
+});
+
+// Conversation history for the user's session
+app.get("/api/messages", (req, res) => {
+  try {
+    res.json({ messages: sessionStore.getMessages(req.sessionId) });
+  } catch (error) {
+    console.error("Error fetching messages:", error);
+    res.status(500).json({ error: "Failed to fetch messages" });
+  }
+});
+
+// Sidebar/modal view of an event from calendarService: display strings in the user's timezone and locale
+function formatEventDetails(normalized, prefs) {
+  const timeOptions = { hour: 'numeric', minute: '2-digit', hour12: true };
+  const dateOptions = { day: 'numeric', month: 'short' };
+
+  let date = formatInZone(normalized.startDateTime, prefs, dateOptions);
+  let time = `${formatInZone(normalized.startDateTime, prefs, timeOptions)} - ${formatInZone(normalized.endDateTime, prefs, timeOptions)}`;
+  let fullDateTime = formatEventTime(normalized.startDateTime, prefs);
+
+  if (normalized.allDay) {
+    // Calendar dates rather than instants, so no timezone shift
+    date = normalized.days > 1
+      ? `${formatDay(normalized.startDate, prefs, dateOptions)} – ${formatDay(normalized.endDate, prefs, dateOptions)}`
+      : formatDay(normalized.startDate, prefs, dateOptions);
+    time = normalized.days > 1 ? `All day · ${normalized.days} days` : 'All day';
+    fullDateTime = describeEventTime(normalized, prefs);
+  }
+
+  return {
+    id: normalized.eventId,
+    calendarId: normalized.calendarId,
+    title: normalized.summary,
+    date,
+    time,
+    fullDateTime,
+    startDateTime: normalized.startDateTime,
+    endDateTime: normalized.endDateTime,
+    allDay: normalized.allDay,
+    startDate: normalized.startDate,
+    endDate: normalized.endDate,
+    location: normalized.location || '',
+    joinLink: normalized.joinLink,
+    description: normalized.description || '',
+    duration: normalized.duration_minutes,
+    attendees: normalized.attendees,
+    reminders: normalized.reminders,
+    etag: normalized.etag
+  };
+}
+
 // Simple upcoming events endpoint for sidebar
 app.get("/api/upcoming-events", async (req, res) => {
   try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
-
     const now = new Date();
     const endOfWeek = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
 
-    const response = await calendar.events.list({
-      calendarId: "primary",
+    const upcoming = await listEvents(req.user.id, {
+      calendarIds: req.calendars.busy,
       timeMin: now.toISOString(),
       timeMax: endOfWeek.toISOString(),
       maxResults: 5,
-      singleEvents: true,
-      orderBy: "startTime"
+      timeZone: req.prefs.timezone
     });
 
-    const events = response.data.items.map(event => {
-      const startTime = new Date(event.start.dateTime || event.start.date);
-      const endTime = new Date(event.end.dateTime || event.end.date);
-
-      const formatTime = (date) => {
-        return date.toLocaleTimeString('en-US', {
-          hour: 'numeric',
-          minute: '2-digit',
-          hour12: true
-        });
-      };
-
-      const formatDate = (date) => {
-        return date.toLocaleDateString('en-AU', {
-          day: 'numeric',
-          month: 'short'
-        });
-      };
-
-      const duration = Math.round((endTime - startTime) / 60000); // duration in minutes
-
-      return {
-        id: event.id,
-        title: event.summary || 'Untitled Event',
-        time: `${formatTime(startTime)} - ${formatTime(endTime)}`,
-        date: formatDate(startTime),
-        fullDateTime: startTime.toLocaleString('en-AU', {
-          dateStyle: 'long',
-          timeStyle: 'short'
-        }),
-        startDateTime: event.start.dateTime || event.start.date,
-        endDateTime: event.end.dateTime || event.end.date,
-        location: event.location || '',
-        description: event.description || '',
-        duration: duration
-      };
-    });
+    const events = upcoming.map(event => formatEventDetails(event, req.prefs));
 
     res.json(events);
   } catch (error) {
     console.error("Error fetching events:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
     res.status(500).json({ error: "Failed to fetch events" });
   }
 });
 
 // Get calendar events in date range (for FullCalendar)
+// Events from every busy calendar plus the user's booked to-dos between two instants:
+// what the calendar view shows and the .ics export contains
+async function collectCalendarItems(req, timeMin, timeMax) {
+  const events = await listEvents(req.user.id, {
+    calendarIds: req.calendars.busy,
+    timeMin,
+    timeMax,
+    timeZone: req.prefs.timezone
+  });
+
+  const sessionState = req.sessionId ? getSession(req.sessionId) : null;
+  const todos = (sessionState?.todos || []).filter(todo =>
+    todo.scheduled_slot && todo.scheduled_slot.start &&
+    new Date(todo.scheduled_slot.start) < new Date(timeMax) && new Date(todo.scheduled_slot.end) > new Date(timeMin)
+  );
+
+  return { events, todos };
+}
+
 app.get("/api/calendar-events", async (req, res) => {
   try {
-    const { start, end, sessionId } = req.query;
+    const { start, end } = req.query;
+    const sessionId = req.sessionId;
     console.log('[DEBUG /api/calendar-events] Request received:', { start, end, sessionId });
 
     if (!start || !end) {
       return res.status(400).json({ error: "start and end dates are required" });
     }
 
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
     console.log('[DEBUG /api/calendar-events] Fetching from Google Calendar...');
 
     // Convert dates to ISO 8601 format with timezone
     const timeMin = new Date(start).toISOString();
     const timeMax = new Date(end).toISOString();
 
-    // Fetch Google Calendar events
-    const response = await calendar.events.list({
-      calendarId: "primary",
-      timeMin: timeMin,
-      timeMax: timeMax,
-      singleEvents: true,
-      orderBy: "startTime"
-    });
+    // Fetch events from every calendar that counts as busy, and the booked to-dos
+    const { events: calendarEvents, todos } = await collectCalendarItems(req, timeMin, timeMax);
 
     const events = [];
 
     // Add Google Calendar events
-    response.data.items.forEach(event => {
+    calendarEvents.forEach(event => {
+      const goalId = event.goalId;
+      const color = goalId ? '#34c759' : '#4a9eff'; // Green for goal sessions, blue for regular events
+
+      // All-day events go in the all-day row as plain dates, with FullCalendar's exclusive end
+      const allDay = event.allDay;
+
       events.push({
-        id: event.id,
-        title: event.summary || 'Untitled Event',
-        start: event.start.dateTime || event.start.date,
-        end: event.end.dateTime || event.end.date,
-        color: '#4a9eff', // Blue for regular calendar events
-        backgroundColor: '#4a9eff',
-        borderColor: '#4a9eff',
+        id: event.eventId,
+        title: event.summary,
+        start: allDay ? event.startDate : event.startDateTime,
+        end: allDay ? DateTime.fromISO(event.endDate).plus({ days: 1 }).toISODate() : event.endDateTime,
+        allDay,
+        color: color,
+        backgroundColor: color,
+        borderColor: color,
         textColor: '#ffffff',
         extendedProps: {
-          type: 'calendar_event',
+          type: goalId ? 'goal_session' : 'calendar_event',
+          goalId: goalId,
+          calendarId: event.calendarId,
           description: event.description || '',
           location: event.location || ''
         }
       });
     });
 
-    // Add scheduled to-dos if sessionId provided
-    if (sessionId) {
-      const sessionState = getSession(sessionId);
-      if (sessionState && sessionState.todos) {
-        sessionState.todos.forEach(todo => {
-          if (todo.scheduled_slot && todo.scheduled_slot.start) {
-            events.push({
-              id: `todo_${todo.id}`,
-              title: `🔨 ${todo.title}`,
-              start: todo.scheduled_slot.start,
-              end: todo.scheduled_slot.end,
-              color: '#ff9500', // Orange for to-dos
-              backgroundColor: '#ff9500',
-              borderColor: '#ff9500',
-              textColor: '#ffffff',
-              extendedProps: {
-                type: 'todo',
-                todoId: todo.id
-              }
-            });
-          }
+    // Add the user's scheduled to-dos
+    todos.forEach(todo => {
+      events.push({
+        id: `todo_${todo.id}`,
+        title: `🔨 ${todo.title}`,
+        start: todo.scheduled_slot.start,
+        end: todo.scheduled_slot.end,
+        color: '#ff9500', // Orange for to-dos
+        backgroundColor: '#ff9500',
+        borderColor: '#ff9500',
+        textColor: '#ffffff',
+        extendedProps: {
+          type: 'todo',
+          todoId: todo.id
+        }
+      });
+    });
+
+    console.log('[DEBUG /api/calendar-events] Returning', events.length, 'events');
+    console.log('[DEBUG /api/calendar-events] Sample event:', events[0]);
+    res.json({ events });
+  } catch (error) {
+    console.error("[ERROR /api/calendar-events] Failed:", error.message);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to fetch calendar events" });
+  }
+});
+
+// Get single event endpoint
+app.get("/api/events/:eventId", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const calendarId = req.query.calendarId || PRIMARY_CALENDAR;
+
+    console.log('[DEBUG GET /api/events] Fetching event:', eventId, calendarId);
+
+    const event = await getCalendarEvent(req.user.id, eventId, calendarId);
+    const eventData = formatEventDetails(normalizeEvent(event, req.prefs.timezone, calendarId), req.prefs);
+
+    console.log('[DEBUG GET /api/events] Returning event:', eventData);
+    res.json(eventData);
+  } catch (error) {
+    console.error('[ERROR GET /api/events] Failed:', error.message);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    if (error instanceof EventNotFoundError) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    res.status(500).json({ error: "Failed to fetch event" });
+  }
+});
+
+// Update event endpoint: only the fields in the body change. Send the event's etag
+// (from GET /api/events/:eventId) in the body or an If-Match header to get a 409
+// instead of overwriting someone else's change.
+app.put("/api/events/:eventId", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const calendarId = req.query.calendarId || PRIMARY_CALENDAR;
+    const { summary, startDateTime, endDateTime, location, description, attendees, reminders } = req.body;
+    const etag = req.body.etag || req.get("If-Match") || null;
+
+    console.log('[DEBUG PUT /api/events] Request:', { eventId, summary, startDateTime, endDateTime, location, description, etag });
+
+    if ([summary, startDateTime, endDateTime, location, description, attendees, reminders].every(value => value === undefined)) {
+      return res.status(400).json({ error: "Nothing to update" });
+    }
+
+    if (summary !== undefined && (typeof summary !== "string" || !summary.trim())) {
+      return res.status(400).json({ error: "summary can't be empty" });
+    }
+
+    for (const [field, value] of Object.entries({ location, description })) {
+      if (value !== undefined && value !== null && typeof value !== "string") {
+        return res.status(400).json({ error: `${field} must be a string` });
+      }
+    }
+
+    // Times move together so an event can't end up finishing before it starts
+    if ((startDateTime === undefined) !== (endDateTime === undefined)) {
+      return res.status(400).json({ error: "startDateTime and endDateTime must be given together" });
+    }
+    if (startDateTime !== undefined &&
+        (isNaN(new Date(startDateTime)) || isNaN(new Date(endDateTime)) || new Date(startDateTime) >= new Date(endDateTime))) {
+      return res.status(400).json({ error: "startDateTime and endDateTime must be date-times with the start first" });
+    }
+
+    if (attendees !== undefined && (!Array.isArray(attendees) || !attendees.every(isValidEmail))) {
+      return res.status(400).json({ error: "attendees must be a list of email addresses" });
+    }
+
+    const reminderError = reminders === undefined ? null : validateReminders(reminders);
+    if (reminderError) {
+      return res.status(400).json({ error: reminderError });
+    }
+
+    const before = await captureEvents(req.user.id, [{ eventId, calendarId }]);
+
+    const updated = await updateCalendarEvent({
+      userId: req.user.id,
+      calendarId,
+      eventId,
+      summary: summary?.trim(),
+      // null clears the field
+      location: location === null ? "" : location,
+      description: description === null ? "" : description,
+      // Wall-clock times without an offset are read in the user's timezone by Google
+      startDateTime,
+      endDateTime,
+      attendees: attendees || null,
+      reminders,
+      etag,
+      timeZone: req.prefs.timezone
+    });
+
+    const sessionState = getSession(req.sessionId);
+    recordOperation(sessionState, {
+      source: "api_events",
+      summary: `Edited "${updated.event.summary || "event"}"`,
+      changes: [{ action: "update", eventId, calendarId, before: before[eventId], after: snapshotEvent(updated.event) }]
+    });
+    saveSession(req.sessionId, sessionState);
+
+    console.log('[DEBUG PUT /api/events] Success:', updated.event.id);
+    res.json({
+      success: true,
+      message: "Event updated successfully",
+      event: formatEventDetails(normalizeEvent(updated.event, req.prefs.timezone, calendarId), req.prefs)
+    });
+  } catch (error) {
+    console.error("Error updating event:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    if (error instanceof EventConflictError) {
+      return res.status(409).json({
+        error: "event_changed",
+        message: "The event was changed since you loaded it. Reload it and try again.",
+        event: error.event ? formatEventDetails(normalizeEvent(error.event, req.prefs.timezone, req.query.calendarId || PRIMARY_CALENDAR), req.prefs) : null
+      });
+    }
+    if (error instanceof EventNotFoundError) {
+      return res.status(404).json({ error: "Event not found" });
+    }
+    res.status(500).json({ error: "Failed to update event" });
+  }
+});
+
+// Delete event endpoint
+app.delete("/api/events/:eventId", async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const calendarId = req.query.calendarId || PRIMARY_CALENDAR;
+
+    console.log('[DEBUG DELETE /api/events] Deleting event:', eventId, calendarId);
+
+    const before = await captureEvents(req.user.id, [{ eventId, calendarId }]);
+    await deleteCalendarEvent(req.user.id, eventId, calendarId);
+
+    const sessionState = getSession(req.sessionId);
+    sessionState.activeEvents = sessionState.activeEvents || [];
+    const todoSlots = todoSlotsFor(sessionState, [eventId]);
+    forgetDeletedEvents(sessionState, [eventId]);
+    recordOperation(sessionState, {
+      source: "api_events",
+      summary: `Deleted "${before[eventId]?.summary || "event"}"`,
+      changes: [{ action: "delete", eventId, calendarId, before: before[eventId], after: null }],
+      todos: todoSlots
+    });
+    saveSession(req.sessionId, sessionState);
+
+    res.json({ success: true, message: "Event deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting event:", error);
+
+    // Handle specific error cases
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    if (error instanceof EventNotFoundError) {
+      return res.status(404).json({ error: "Event not found or already deleted" });
+    }
+
+    res.status(500).json({ error: "Failed to delete event" });
+  }
+});
+
+// ============ Meeting API Endpoints ============
+
+// Check the attendees of a meeting search; returns an error message or null
+function validateMeetingAttendees(attendees) {
+  if (!Array.isArray(attendees) || attendees.length === 0) {
+    return "attendees must be a non-empty list of email addresses, names or { email, timezone, working_hours }";
+  }
+
+  for (const attendee of attendees) {
+    if (typeof attendee === "string") {
+      if (!attendee.trim()) return "attendees can't contain empty names";
+      continue;
+    }
+    if (!attendee || !isValidEmail(attendee.email)) return "Each attendee object needs a valid email";
+    if (attendee.timezone !== undefined && !isValidTimezone(attendee.timezone)) {
+      return `Unknown timezone "${attendee.timezone}" for ${attendee.email}`;
+    }
+    if (attendee.working_hours !== undefined) {
+      const error = validateSchedulingProfile({ working_hours: attendee.working_hours });
+      if (error) return `${attendee.email}: ${error}`;
+    }
+  }
+  return null;
+}
+
+// POST /api/meetings/find - Ranked times when the user and every attendee are free
+app.post("/api/meetings/find", async (req, res) => {
+  try {
+    const { attendees, duration_minutes = 60 } = req.body;
+    const count = Math.min(Math.max(parseInt(req.body.count) || 3, 1), 10);
+    const today = todayIn(req.prefs.timezone);
+    const startDate = req.body.start_date || today;
+    const endDate = req.body.end_date ||
+      DateTime.fromISO(startDate).plus({ days: DEFAULT_MEETING_SEARCH_DAYS - 1 }).toISODate();
+
+    const attendeeError = validateMeetingAttendees(attendees);
+    if (attendeeError) return res.status(400).json({ error: attendeeError });
+
+    if (!Number.isInteger(duration_minutes) || duration_minutes < 5 || duration_minutes > 480) {
+      return res.status(400).json({ error: "duration_minutes must be a whole number from 5 to 480" });
+    }
+
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && DateTime.fromISO(value).isValid;
+    if (!isDate(startDate) || !isDate(endDate) || endDate < startDate) {
+      return res.status(400).json({ error: "start_date and end_date must be YYYY-MM-DD with start_date <= end_date" });
+    }
+    if (DateTime.fromISO(endDate).diff(DateTime.fromISO(startDate), "days").days + 1 > MAX_MEETING_SEARCH_DAYS) {
+      return res.status(400).json({ error: `Searches can cover at most ${MAX_MEETING_SEARCH_DAYS} days` });
+    }
+
+    const { participants, unknown } = await resolveParticipants(req.user.id, attendees, {
+      timezone: req.prefs.timezone,
+      calendarIds: req.calendars.busy
+    });
+    if (unknown.length) {
+      return res.status(400).json({ error: `No single contact matches ${unknown.map(name => `"${name}"`).join(", ")}; use email addresses`, unknown });
+    }
+
+    const { slots, unavailable } = await findMeetingSlots(req.user.id, {
+      participants,
+      durationMinutes: duration_minutes,
+      startDate,
+      endDate,
+      timezone: req.prefs.timezone,
+      profile: req.scheduling,
+      calendarIds: req.calendars.busy,
+      count
+    });
+
+    res.json({
+      participants,
+      unavailable,
+      slots: slots.map(slot => ({
+        ...slot,
+        label: describeMeetingSlot(slot, participants, req.prefs),
+        // Each attendee's wall-clock start
+        local: participants.map(participant => ({
+          email: participant.email,
+          timezone: participant.timezone,
+          start: DateTime.fromISO(slot.start).setZone(participant.timezone).toISO()
+        }))
+      }))
+    });
+  } catch (error) {
+    console.error("Error finding meeting times:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to find meeting times" });
+  }
+});
+
+// POST /api/meetings/book - Create the meeting and email the invitations
+app.post("/api/meetings/book", async (req, res) => {
+  try {
+    const { title, start, end, attendees, description = "", location = null, conference = false, reminders } = req.body;
+    const calendarId = req.body.calendarId || req.calendars.target;
+
+    if (!title || !title.trim()) {
+      return res.status(400).json({ error: "title is required" });
+    }
+    if (!start || !end || isNaN(new Date(start)) || isNaN(new Date(end)) || new Date(start) >= new Date(end)) {
+      return res.status(400).json({ error: "start and end must be ISO date-times with start before end" });
+    }
+    if (!Array.isArray(attendees) || attendees.length === 0 || !attendees.every(isValidEmail)) {
+      return res.status(400).json({ error: "attendees must be a non-empty list of email addresses" });
+    }
+    if (location !== null && typeof location !== "string") {
+      return res.status(400).json({ error: "location must be a string" });
+    }
+    const reminderError = reminders === undefined ? null : validateReminders(reminders);
+    if (reminderError) {
+      return res.status(400).json({ error: reminderError });
+    }
+
+    const calendarError = await checkTargetCalendar(req.user.id, calendarId);
+    if (calendarError) {
+      return res.status(400).json({ error: calendarError });
+    }
+
+    const calendarResult = await createCalendarEvent({
+      userId: req.user.id,
+      calendarId,
+      summary: title.trim(),
+      description,
+      location,
+      conference: conference === true,
+      startDateTime: new Date(start).toISOString(),
+      endDateTime: new Date(end).toISOString(),
+      attendees,
+      reminders: remindersFor(req.reminders, "meeting", reminders),
+      timeZone: req.prefs.timezone
+    });
+
+    const sessionState = getSession(req.sessionId);
+    recordOperation(sessionState, {
+      source: "meeting_book",
+      summary: `Booked "${title.trim()}"`,
+      changes: [{ action: "create", eventId: calendarResult.eventId, calendarId, before: null, after: snapshotEvent(calendarResult.event) }]
+    });
+    saveSession(req.sessionId, sessionState);
+
+    res.json({ event: formatEventDetails(normalizeEvent(calendarResult.event, req.prefs.timezone, calendarId), req.prefs) });
+  } catch (error) {
+    console.error("Error booking meeting:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to book meeting" });
+  }
+});
+
+// ============ ICS API Endpoints ============
+
+// Parsed imports wait in the session this long for the user to confirm them
+const PENDING_IMPORT_TTL_MS = 30 * 60 * 1000;
+
+// GET /api/calendar.ics?start=&end= - The calendar view's events and booked to-dos as an .ics file
+app.get("/api/calendar.ics", async (req, res) => {
+  try {
+    const { start, end } = req.query;
+    if (!start || !end || isNaN(new Date(start)) || isNaN(new Date(end)) || new Date(start) >= new Date(end)) {
+      return res.status(400).json({ error: "start and end must be dates with start before end" });
+    }
+
+    const timeMin = new Date(start).toISOString();
+    const timeMax = new Date(end).toISOString();
+    const { events, todos } = await collectCalendarItems(req, timeMin, timeMax);
+
+    // A to-do booked through the calendar is already in the feed as its event
+    const exported = new Set(events.map(event => event.eventId));
+    const ics = buildIcs({
+      events,
+      todos: todos
+        .filter(todo => !exported.has(todo.scheduled_slot.google_event_id))
+        .map(todo => ({ id: todo.id, title: todo.title, start: todo.scheduled_slot.start, end: todo.scheduled_slot.end })),
+      name: `${req.user.name || req.user.email || "My"} calendar`,
+      timezone: req.prefs.timezone
+    });
+
+    const from = toZonedParts(timeMin, req.prefs.timezone).date;
+    res.set("Content-Type", "text/calendar; charset=utf-8");
+    res.set("Content-Disposition", `attachment; filename="calendar-${from}.ics"`);
+    res.send(ics);
+  } catch (error) {
+    console.error("Error exporting calendar:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to export calendar" });
+  }
+});
+
+// POST /api/import/ics - Read an .ics file (raw body, or JSON { ics }) and show what importing
+// it would do. Nothing is created until the import is confirmed with its importId.
+app.post("/api/import/ics", express.text({ type: ["text/calendar", "text/plain", "application/octet-stream"], limit: "2mb" }), async (req, res) => {
+  try {
+    const text = typeof req.body === "string" ? req.body : req.body?.ics;
+    if (typeof text !== "string" || !text.trim()) {
+      return res.status(400).json({ error: "Send the .ics file as the request body (text/calendar) or as { ics }" });
+    }
+
+    let parsed;
+    try {
+      parsed = parseIcs(text, { timezone: req.prefs.timezone });
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!parsed.events.length) {
+      return res.status(400).json({ error: "The file has no events to import", warnings: parsed.warnings });
+    }
+
+    const preview = await previewImport(req.user.id, parsed.events, {
+      prefs: req.prefs,
+      calendarIds: [...new Set([...req.calendars.busy, req.calendars.target])]
+    });
+
+    const importId = uuidv4();
+    const sessionState = getSession(req.sessionId);
+    sessionState.pendingImport = { id: importId, createdAt: new Date().toISOString(), events: parsed.events };
+    saveSession(req.sessionId, sessionState);
+
+    res.json({
+      importId,
+      name: parsed.name,
+      calendarId: req.calendars.target,
+      warnings: parsed.warnings,
+      events: preview,
+      totals: {
+        events: preview.length,
+        conflicting: preview.filter(event => event.conflicts.length).length,
+        duplicates: preview.filter(event => event.duplicate).length
+      }
+    });
+  } catch (error) {
+    console.error("Error previewing import:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to read the calendar file" });
+  }
+});
+
+// POST /api/import/ics/:importId - Create the previewed events in the target calendar.
+// Body: { uids: only these events, skipConflicts: leave out clashing events,
+// skipDuplicates: leave out events imported before (default true) }
+app.post("/api/import/ics/:importId", async (req, res) => {
+  try {
+    const { uids = null, skipConflicts = false, skipDuplicates = true } = req.body || {};
+    const sessionState = getSession(req.sessionId);
+    const pending = sessionState.pendingImport;
+
+    if (!pending || pending.id !== req.params.importId || Date.now() - new Date(pending.createdAt) > PENDING_IMPORT_TTL_MS) {
+      return res.status(404).json({ error: "Import not found or expired; upload the file again" });
+    }
+    if (uids !== null && !(Array.isArray(uids) && uids.every(uid => typeof uid === "string"))) {
+      return res.status(400).json({ error: "uids must be a list of event UIDs from the preview" });
+    }
+
+    const calendarId = req.calendars.target;
+    const calendarError = await checkTargetCalendar(req.user.id, calendarId);
+    if (calendarError) {
+      return res.status(400).json({ error: calendarError });
+    }
+
+    // Checked again: the calendar may have changed since the preview
+    let events = pending.events.filter(event => !uids || uids.includes(event.uid));
+    const preview = await previewImport(req.user.id, events, {
+      prefs: req.prefs,
+      calendarIds: [...new Set([...req.calendars.busy, calendarId])]
+    });
+    const skipped = [];
+    events = events.filter((event, index) => {
+      const reason = (skipDuplicates !== false && preview[index].duplicate && "duplicate") ||
+        (skipConflicts === true && preview[index].conflicts.length && "conflict");
+      if (reason) skipped.push({ uid: event.uid, summary: event.summary, reason });
+      return !reason;
+    });
+
+    const created = [];
+    const failed = [];
+    for (const event of events) {
+      try {
+        const result = await createCalendarEvent({
+          userId: req.user.id,
+          calendarId,
+          summary: event.summary,
+          description: event.description || "",
+          location: event.location,
+          allDay: event.allDay,
+          startDate: event.startDate,
+          endDate: event.endDate,
+          startDateTime: event.startDateTime,
+          endDateTime: event.endDateTime,
+          reminders: remindersFor(req.reminders, event.allDay ? "all_day" : "event"),
+          recurrence: event.recurrence,
+          transparency: event.busy ? "opaque" : "transparent",
+          extendedProperties: { private: { icsUid: event.uid } },
+          timeZone: event.timeZone || req.prefs.timezone
         });
+        created.push({ uid: event.uid, summary: event.summary, eventId: result.eventId, event: result.event });
+      } catch (error) {
+        if (isReauthError(error)) throw error;
+        console.warn(`[ics import] Could not create "${event.summary}":`, error.message);
+        failed.push({ uid: event.uid, summary: event.summary, error: error.message });
+      }
+    }
+
+    // Undo removes the whole import
+    if (created.length) {
+      recordOperation(sessionState, {
+        source: "ics_import",
+        summary: `Imported ${created.length} event${created.length === 1 ? "" : "s"} from a calendar file`,
+        changes: created.map(({ eventId, event }) => ({ action: "create", eventId, calendarId, before: null, after: snapshotEvent(event) }))
+      });
+    }
+    sessionState.pendingImport = null;
+    saveSession(req.sessionId, sessionState);
+
+    res.json({
+      calendarId,
+      created: created.map(({ uid, summary, eventId }) => ({ uid, summary, eventId })),
+      skipped,
+      failed
+    });
+  } catch (error) {
+    console.error("Error importing calendar file:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to import calendar file" });
+  }
+});
+
+// ============ Calendar Push Notification Endpoints ============
+
+// Channels about to expire are replaced; checked hourly so none lapse in between
+const CALENDAR_WATCH_RENEW_MS = 60 * 60 * 1000;
+
+/**
+ * Bring a user's session in line with a calendar that changed elsewhere: to-dos
+ * booked into moved events take the new time, those booked into deleted events
+ * go back to the unscheduled list, and lastEvent/rescheduleState follow along.
+ * @returns {Promise<Object>} { moved, unscheduled, rescheduleCancelled }
+ */
+async function reconcileCalendarChanges(user, calendarId) {
+  const sessionState = getSession(user.session_id);
+  const prefs = resolvePreferences(user.preferences);
+  const inCalendar = (id, eventCalendarId) => Boolean(id) && (eventCalendarId || PRIMARY_CALENDAR) === calendarId;
+
+  const todos = (sessionState.todos || []).filter(todo =>
+    !todo.completed && inCalendar(todo.scheduled_slot?.google_event_id, todo.scheduled_slot?.calendar_id)
+  );
+  const lastEvent = inCalendar(sessionState.lastEvent?.google_event_id, sessionState.lastEvent?.calendar_id)
+    ? sessionState.lastEvent : null;
+  const original = inCalendar(sessionState.rescheduleState?.originalEvent?.google_event_id, sessionState.rescheduleState?.originalEvent?.calendar_id)
+    ? sessionState.rescheduleState.originalEvent : null;
+
+  const ids = new Set([
+    ...todos.map(todo => todo.scheduled_slot.google_event_id),
+    lastEvent?.google_event_id,
+    original?.google_event_id
+  ].filter(Boolean));
+
+  // eventId -> normalized event, or null once it's gone. Events that couldn't be read are left alone.
+  const current = new Map();
+  for (const eventId of ids) {
+    try {
+      const event = await findCalendarEvent(user.id, eventId, calendarId);
+      current.set(eventId, event ? normalizeEvent(event, prefs.timezone, calendarId) : null);
+    } catch (error) {
+      if (isReauthError(error)) throw error;
+      console.warn(`[calendarWatch] Could not check event ${eventId}:`, error.message);
+    }
+  }
+
+  const deletedIds = [...current].filter(([, event]) => !event).map(([eventId]) => eventId);
+  const moved = [];
+  let changed = false;
+
+  for (const todo of todos) {
+    const event = current.get(todo.scheduled_slot.google_event_id);
+    if (!event) continue;
+    const slot = todo.scheduled_slot;
+    if (new Date(slot.start).getTime() === new Date(event.startDateTime).getTime() &&
+        new Date(slot.end).getTime() === new Date(event.endDateTime).getTime()) continue;
+
+    todo.scheduled_slot = {
+      ...slot,
+      start: new Date(event.startDateTime).toISOString(),
+      end: new Date(event.endDateTime).toISOString()
+    };
+    moved.push(todo);
+    changed = true;
+  }
+
+  const lastEventNow = lastEvent && current.get(lastEvent.google_event_id);
+  if (lastEventNow) {
+    sessionState.lastEvent = toEventRef(lastEventNow);
+    changed = true;
+  }
+
+  // A reschedule in progress keeps its new date and time; only the event it starts from is refreshed
+  let rescheduleCancelled = false;
+  if (original && current.has(original.google_event_id)) {
+    const originalNow = current.get(original.google_event_id);
+    if (originalNow) {
+      sessionState.rescheduleState.originalEvent = { ...original, ...toEventRef(originalNow) };
+    } else {
+      sessionState.rescheduleState = null;
+      rescheduleCancelled = true;
+    }
+    changed = true;
+  }
+
+  sessionState.activeEvents = sessionState.activeEvents || [];
+  const unscheduled = deletedIds.length ? forgetDeletedEvents(sessionState, deletedIds) : [];
+  if (changed || deletedIds.length) saveSession(user.session_id, sessionState);
+
+  return { moved, unscheduled, rescheduleCancelled };
+}
+
+// "userId:calendarId" -> { again } while a change is handled. Google often posts
+// several notifications for one edit; those arriving meanwhile are handled once more after.
+const calendarChangesRunning = new Map();
+
+async function handleCalendarChange(userId, calendarId) {
+  const key = `${userId}:${calendarId}`;
+  const running = calendarChangesRunning.get(key);
+  if (running) {
+    running.again = true;
+    return;
+  }
+
+  const state = { again: true };
+  calendarChangesRunning.set(key, state);
+  try {
+    while (state.again) {
+      state.again = false;
+      const user = userStore.findById(userId);
+      if (!user) return;
+
+      calendarSync.invalidate(userId, calendarId);
+      const { moved, unscheduled, rescheduleCancelled } = await reconcileCalendarChanges(user, calendarId);
+      liveUpdates.publish(userId, "calendar", {
+        calendarId,
+        moved: moved.map(todo => ({ id: todo.id, title: todo.title, start: todo.scheduled_slot.start, end: todo.scheduled_slot.end })),
+        unscheduled: unscheduled.map(todo => ({ id: todo.id, title: todo.title })),
+        rescheduleCancelled
+      });
+      if (moved.length || unscheduled.length) {
+        console.log(`[calendarWatch] ${calendarId} changed for user ${userId}: ${moved.length} to-dos moved, ${unscheduled.length} unscheduled`);
       }
     }
+  } finally {
+    calendarChangesRunning.delete(key);
+  }
+}
 
-    console.log('[DEBUG /api/calendar-events] Returning', events.length, 'events');
-    console.log('[DEBUG /api/calendar-events] Sample event:', events[0]);
-    res.json({ events });
-  } catch (error) {
-    console.error("[ERROR /api/calendar-events] Failed:", error.message);
-    res.status(500).json({ error: "Failed to fetch calendar events" });
+// POST /webhooks/calendar - Change notifications from Google (or posted by hand to test)
+app.post("/webhooks/calendar", (req, res) => {
+  const channel = calendarWatch.verify({
+    channelId: req.get("X-Goog-Channel-ID"),
+    token: req.get("X-Goog-Channel-Token"),
+    resourceId: req.get("X-Goog-Resource-ID")
+  });
+  if (!channel) {
+    return res.status(404).json({ error: "Unknown channel" });
   }
-});
 
-// Get single event endpoint
-app.get("/api/events/:eventId", async (req, res) => {
-  try {
-    const { eventId } = req.params;
+  // Google retries anything slow to answer, so the change is handled after replying
+  res.sendStatus(200);
 
-    console.log('[DEBUG GET /api/events] Fetching event:', eventId);
+  // "sync" only confirms a new channel
+  if (req.get("X-Goog-Resource-State") === "sync") return;
+  handleCalendarChange(channel.userId, channel.calendarId).catch(error => {
+    console.error(`[calendarWatch] Could not handle change to ${channel.calendarId} for user ${channel.userId}:`, error.message);
+  });
+});
 
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
+// GET /api/updates - Event stream of calendar changes made elsewhere
+app.get("/api/updates", (req, res) => {
+  // Opening the app is what keeps its calendars watched
+  calendarWatch.watch(req.user.id, req.calendars.busy).catch(error => {
+    console.error(`[calendarWatch] Could not watch calendars for user ${req.user.id}:`, error.message);
+  });
+  liveUpdates.connect(req.user.id, req, res);
+});
 
-    const response = await calendar.events.get({
-      calendarId: 'primary',
-      eventId: eventId
-    });
+function describeChannel(channel) {
+  return {
+    calendarId: channel.calendar_id,
+    channelId: channel.id,
+    resourceId: channel.resource_id,
+    token: channel.token,
+    expiration: new Date(channel.expiration).toISOString()
+  };
+}
 
-    const event = response.data;
-
-    // Calculate duration in minutes
-    const startTime = new Date(event.start.dateTime || event.start.date);
-    const endTime = new Date(event.end.dateTime || event.end.date);
-    const duration = Math.round((endTime - startTime) / 60000);
-
-    // Format response to match expected structure
-    const eventData = {
-      id: event.id,
-      title: event.summary || 'Untitled Event',
-      date: startTime.toLocaleDateString('en-AU', { day: 'numeric', month: 'short' }),
-      time: startTime.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit', hour12: true }) +
-            ' - ' +
-            endTime.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit', hour12: true }),
-      fullDateTime: startTime.toLocaleString('en-AU', { dateStyle: 'long', timeStyle: 'short' }),
-      startDateTime: event.start.dateTime || event.start.date,
-      endDateTime: event.end.dateTime || event.end.date,
-      location: event.location || '',
-      description: event.description || '',
-      duration: duration
-    };
+// GET /api/calendar-watch - The user's notification channels, e.g. to post a test notification
+app.get("/api/calendar-watch", (req, res) => {
+  res.json({ channels: calendarWatch.channelsOf(req.user.id).map(describeChannel) });
+});
 
-    console.log('[DEBUG GET /api/events] Returning event:', eventData);
-    res.json(eventData);
+// POST /api/calendar-watch - Watch the calendars the schedule is read from now
+app.post("/api/calendar-watch", async (req, res) => {
+  try {
+    const channels = await calendarWatch.watch(req.user.id, req.calendars.busy);
+    res.json({ channels: channels.map(describeChannel) });
   } catch (error) {
-    console.error('[ERROR GET /api/events] Failed:', error.message);
-    res.status(500).json({ error: "Failed to fetch event" });
+    console.error("Error watching calendars:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to watch calendars" });
   }
 });
 
-// Update event endpoint
-app.put("/api/events/:eventId", async (req, res) => {
-  try {
-    const { eventId } = req.params;
-    const { summary, startDateTime, endDateTime, location, description } = req.body;
+setInterval(() => calendarWatch.renewDue(), CALENDAR_WATCH_RENEW_MS).unref();
+
+// ============ Digest API Endpoints ============
+
+// The user's agenda for a day, from their calendars and to-dos
+function buildUserDigest(user, date, now = new Date()) {
+  return buildDigest(user.id, {
+    date,
+    prefs: resolvePreferences(user.preferences),
+    profile: resolveSchedulingProfile(user.scheduling),
+    calendarIds: resolveCalendarSettings(user.calendars).busy,
+    todos: getSession(user.session_id).todos || [],
+    now
+  });
+}
 
-    console.log('[DEBUG PUT /api/events] Request:', { eventId, summary, startDateTime, endDateTime, location, description });
+// GET /api/digest?date=YYYY-MM-DD&format=json|text|html - Agenda for a day (today by default)
+app.get("/api/digest", async (req, res) => {
+  try {
+    const { date = null, format = "json" } = req.query;
 
-    // Validate required fields
-    if (!summary || !startDateTime || !endDateTime) {
-      console.log('[ERROR PUT /api/events] Missing required fields');
-      return res.status(400).json({ error: "Missing required fields" });
+    if (date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    }
+    if (!["json", "text", "html"].includes(format)) {
+      return res.status(400).json({ error: "format must be json, text or html" });
     }
 
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
+    const digest = await buildUserDigest(req.user, date);
 
-    const eventUpdate = {
-      summary,
-      start: {
-        dateTime: startDateTime,
-        timeZone: 'Australia/Sydney'
-      },
-      end: {
-        dateTime: endDateTime,
-        timeZone: 'Australia/Sydney'
-      }
-    };
+    if (format === "text") return res.type("text/plain").send(renderDigestText(digest, req.prefs));
+    if (format === "html") return res.type("html").send(renderDigestHtml(digest, req.prefs));
+    res.json({ digest });
+  } catch (error) {
+    console.error("Error building digest:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to build digest" });
+  }
+});
 
-    // Add optional fields if provided
-    if (location) eventUpdate.location = location;
-    if (description) eventUpdate.description = description;
+// POST /api/digest/send - Email the agenda now, e.g. to try the morning digest out
+app.post("/api/digest/send", async (req, res) => {
+  try {
+    const { date = null } = req.body || {};
+    const to = req.digest.email || req.user.email;
 
-    const response = await calendar.events.update({
-      calendarId: 'primary',
-      eventId: eventId,
-      requestBody: eventUpdate
-    });
+    if (date !== null && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+    }
+    if (!to) {
+      return res.status(400).json({ error: "No email address to send to; set one in /api/digest-settings" });
+    }
 
-    console.log('[DEBUG PUT /api/events] Success:', response.data.id);
-    res.json({ success: true, message: "Event updated successfully" });
+    const digest = await buildUserDigest(req.user, date);
+    const result = await sendDigestEmail(req.user.id, digest, { to, prefs: req.prefs });
+    res.json({ ...result, to, date: digest.date });
   } catch (error) {
-    console.error("Error updating event:", error);
-    res.status(500).json({ error: "Failed to update event" });
+    console.error("Error sending digest:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to send digest" });
   }
 });
 
-// Delete event endpoint
-app.delete("/api/events/:eventId", async (req, res) => {
-  try {
-    const { eventId } = req.params;
+// Morning digests: each minute, email users whose digest time has come today.
+// A failed send is tried again after DIGEST_RETRY_MS until the send window closes.
+const DIGEST_CHECK_MS = 60 * 1000;
+const DIGEST_RETRY_MS = 15 * 60 * 1000;
+const digestRetryAt = new Map();
+let digestsRunning = false;
 
-    console.log('[DEBUG DELETE /api/events] Deleting event:', eventId);
+// Google calendars can only be read while the user's tokens are stored
+function hasCalendarAccess(user) {
+  return providerFor(user.id).name !== "google" || Boolean(user.google_tokens);
+}
 
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
+async function sendDueDigests(now = new Date()) {
+  if (digestsRunning) return;
+  digestsRunning = true;
 
-    await calendar.events.delete({
-      calendarId: 'primary',
-      eventId: eventId
-    });
+  try {
+    for (const user of userStore.listUsers()) {
+      const settings = resolveDigestSettings(user.digest);
+      const { timezone } = resolvePreferences(user.preferences);
+      const to = settings.email || user.email;
 
-    res.json({ success: true, message: "Event deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting event:", error);
+      if (!to || !hasCalendarAccess(user) || !isDigestDue(settings, timezone, now)) continue;
+      if ((digestRetryAt.get(user.id) || 0) > now.getTime()) continue;
 
-    // Handle specific error cases
-    if (error.code === 404 || error.code === 410) {
-      return res.status(404).json({ error: "Event not found or already deleted" });
+      try {
+        const digest = await buildUserDigest(user, null, now);
+        await sendDigestEmail(user.id, digest, { to, prefs: resolvePreferences(user.preferences) });
+        userStore.updateDigestSettings(user.id, { last_sent_date: digest.date });
+        digestRetryAt.delete(user.id);
+        console.log(`[digest] Sent ${digest.date} digest for user ${user.id}`);
+      } catch (error) {
+        console.error(`[digest] Could not send digest for user ${user.id}:`, error.message);
+        digestRetryAt.set(user.id, now.getTime() + DIGEST_RETRY_MS);
+      }
     }
-
-    res.status(500).json({ error: "Failed to delete event" });
+  } finally {
+    digestsRunning = false;
   }
-});
+}
+
+setInterval(() => sendDueDigests(), DIGEST_CHECK_MS).unref();
 
 // ============ To-Do API Endpoints ============
 
 // POST /api/todos - Create new to-do
 app.post("/api/todos", (req, res) => {
   try {
-    const { title, duration_minutes = 60, deadline = null, sessionId } = req.body;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
+    const { title, duration_minutes = 60, deadline = null } = req.body;
+    const sessionId = req.sessionId;
 
     if (!title || title.trim() === "") {
       return res.status(400).json({ error: "title is required" });
@@ -999,11 +3417,7 @@ app.post("/api/todos", (req, res) => {
 // GET /api/todos - Get all to-dos
 app.get("/api/todos", (req, res) => {
   try {
-    const { sessionId } = req.query;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
+    const sessionId = req.sessionId;
 
     const sessionState = getSession(sessionId);
     const todos = sessionState.todos || [];
@@ -1019,11 +3433,8 @@ app.get("/api/todos", (req, res) => {
 app.put("/api/todos/:todoId", (req, res) => {
   try {
     const { todoId } = req.params;
-    const { title, completed, duration_minutes, deadline, sessionId } = req.body;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
+    const { title, completed, duration_minutes, deadline } = req.body;
+    const sessionId = req.sessionId;
 
     const sessionState = getSession(sessionId);
     sessionState.todos = sessionState.todos || [];
@@ -1053,11 +3464,7 @@ app.put("/api/todos/:todoId", (req, res) => {
 app.delete("/api/todos/:todoId", (req, res) => {
   try {
     const { todoId } = req.params;
-    const { sessionId } = req.query;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
+    const sessionId = req.sessionId;
 
     const sessionState = getSession(sessionId);
     sessionState.todos = sessionState.todos || [];
@@ -1078,33 +3485,353 @@ app.delete("/api/todos/:todoId", (req, res) => {
   }
 });
 
+// ============ Goals API Endpoints ============
+
+// POST /api/goals - Create new goal
+app.post("/api/goals", (req, res) => {
+  try {
+    const { description, goal_type, target_amount, target_unit, deadline, frequency, time_preferences } = req.body;
+    const sessionId = req.sessionId;
+
+    if (!description || description.trim() === "") {
+      return res.status(400).json({ error: "description is required" });
+    }
+
+    const sessionState = getSession(sessionId);
+    sessionState.goals = sessionState.goals || [];
+
+    const newGoal = createGoal({ description, goal_type, target_amount, target_unit, deadline, frequency, time_preferences });
+
+    sessionState.goals.push(newGoal);
+    saveSession(sessionId, sessionState);
+
+    res.json({ goalId: newGoal.id, goal: newGoal });
+  } catch (error) {
+    console.error("Error creating goal:", error);
+    res.status(500).json({ error: "Failed to create goal" });
+  }
+});
+
+// GET /api/goals - Get all goals with their progress
+app.get("/api/goals", (req, res) => {
+  try {
+    const sessionId = req.sessionId;
+
+    const sessionState = getSession(sessionId);
+    const goals = (sessionState.goals || []).map(goal => ({
+      ...goal,
+      summary: getGoalProgress(goal, req.prefs.timezone)
+    }));
+
+    res.json({ goals });
+  } catch (error) {
+    console.error("Error fetching goals:", error);
+    res.status(500).json({ error: "Failed to fetch goals" });
+  }
+});
+
+// PUT /api/goals/:goalId - Update goal
+app.put("/api/goals/:goalId", (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const fields = req.body;
+    const sessionId = req.sessionId;
+
+    if (fields.description !== undefined && fields.description.trim() === "") {
+      return res.status(400).json({ error: "description cannot be empty" });
+    }
+
+    const sessionState = getSession(sessionId);
+    sessionState.goals = sessionState.goals || [];
+
+    const goal = sessionState.goals.find(g => g.id === goalId);
+
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    updateGoal(goal, fields);
+    saveSession(sessionId, sessionState);
+
+    res.json({ goal });
+  } catch (error) {
+    console.error("Error updating goal:", error);
+    res.status(500).json({ error: "Failed to update goal" });
+  }
+});
+
+// DELETE /api/goals/:goalId - Delete goal
+app.delete("/api/goals/:goalId", (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const sessionId = req.sessionId;
+
+    const sessionState = getSession(sessionId);
+    sessionState.goals = sessionState.goals || [];
+
+    const goalIndex = sessionState.goals.findIndex(g => g.id === goalId);
+
+    if (goalIndex === -1) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    sessionState.goals.splice(goalIndex, 1);
+    saveSession(sessionId, sessionState);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting goal:", error);
+    res.status(500).json({ error: "Failed to delete goal" });
+  }
+});
+
+// GET /api/goals/:goalId/progress - Progress summary and log
+app.get("/api/goals/:goalId/progress", (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const sessionId = req.sessionId;
+
+    const sessionState = getSession(sessionId);
+    const goal = sessionState.goals?.find(g => g.id === goalId);
+
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    res.json({ progress: getGoalProgress(goal, req.prefs.timezone), log: goal.progress_log });
+  } catch (error) {
+    console.error("Error fetching goal progress:", error);
+    res.status(500).json({ error: "Failed to fetch goal progress" });
+  }
+});
+
+// POST /api/goals/:goalId/progress - Record progress
+app.post("/api/goals/:goalId/progress", (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const { amount, note = null } = req.body;
+    const sessionId = req.sessionId;
+
+    const parsedAmount = Number(amount);
+    if (amount === undefined || amount === null || !Number.isFinite(parsedAmount)) {
+      return res.status(400).json({ error: "amount must be a number" });
+    }
+
+    const sessionState = getSession(sessionId);
+    const goal = sessionState.goals?.find(g => g.id === goalId);
+
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    recordProgress(goal, parsedAmount, note);
+    saveSession(sessionId, sessionState);
+
+    res.json({ goal, progress: getGoalProgress(goal, req.prefs.timezone) });
+  } catch (error) {
+    console.error("Error recording goal progress:", error);
+    res.status(500).json({ error: "Failed to record goal progress" });
+  }
+});
+
+// POST /api/goals/:goalId/schedule - Propose a session plan from free calendar time
+app.post("/api/goals/:goalId/schedule", async (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const sessionId = req.sessionId;
+    const {
+      time_preferences,
+      max_sessions_per_day,
+      session_duration,
+      distribution_strategy
+    } = req.body;
+
+    const sessionState = getSession(sessionId);
+    const goal = sessionState.goals?.find(g => g.id === goalId);
+
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    // Request options override what's stored on the goal
+    const planningGoal = {
+      ...goal,
+      time_preferences: time_preferences || goal.time_preferences,
+      max_sessions_per_day: max_sessions_per_day || goal.max_sessions_per_day,
+      session_duration: session_duration || goal.session_duration,
+      distribution_strategy: distribution_strategy || goal.distribution_strategy
+    };
+
+    // Large hour targets without a frequency ("study 10 hours before Friday") are split into 2-hour sessions
+    const isHourTarget = ["hour", "hours", "hr", "hrs"].includes((goal.target_unit || "").toLowerCase());
+    if (!planningGoal.session_duration && !goal.frequency && isHourTarget && goal.target_amount > 2) {
+      planningGoal.session_duration = 2;
+    }
+
+    // Search window: up to the deadline (inclusive), otherwise four weeks
+    const { timezone } = req.prefs;
+    const todayStr = todayIn(timezone);
+    let daysAhead = 28;
+    if (goal.deadline) {
+      const deadline = zonedDateTime(goal.deadline, "23:59:59", timezone);
+      daysAhead = Math.ceil((deadline - Date.now()) / (1000 * 60 * 60 * 24));
+      if (daysAhead < 1) {
+        return res.status(400).json({ error: "Goal deadline has already passed" });
+      }
+    }
+
+    const windowEnd = DateTime.fromISO(todayStr).plus({ days: daysAhead - 1 }).toISODate();
+
+    const calendarEvents = await getEventsForDateRange(req.user.id, todayStr, windowEnd, timezone, req.calendars.busy);
+
+    const plan = await detectFreeTimeSlots(calendarEvents, planningGoal, { daysAhead, timezone });
+
+    // Keep the proposal so /book can confirm exactly what the user saw
+    goal.proposed_plan = {
+      ...plan,
+      session_duration: planningGoal.session_duration || null,
+      created_at: new Date().toISOString()
+    };
+    saveSession(sessionId, sessionState);
+
+    res.json({ goal, plan: goal.proposed_plan });
+  } catch (error) {
+    console.error("Error scheduling goal:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to build a schedule for this goal" });
+  }
+});
+
+// POST /api/goals/:goalId/book - Book the chosen option from the proposed plan
+app.post("/api/goals/:goalId/book", async (req, res) => {
+  try {
+    const { goalId } = req.params;
+    const { timeSlot } = req.body;
+    const calendarId = req.body.calendarId || req.calendars.target;
+    const sessionId = req.sessionId;
+
+    if (!timeSlot) {
+      return res.status(400).json({ error: "timeSlot is required" });
+    }
+
+    const calendarError = await checkTargetCalendar(req.user.id, calendarId);
+    if (calendarError) {
+      return res.status(400).json({ error: calendarError });
+    }
+
+    const sessionState = getSession(sessionId);
+    const goal = sessionState.goals?.find(g => g.id === goalId);
+
+    if (!goal) {
+      return res.status(404).json({ error: "Goal not found" });
+    }
+
+    const option = goal.proposed_plan?.timeOptions?.find(o => o.timeSlot === timeSlot);
+
+    if (!option) {
+      return res.status(409).json({ error: "No proposed plan for that time slot. Request a new schedule first." });
+    }
+
+    goal.scheduled_sessions = goal.scheduled_sessions || [];
+    const failed = [];
+    const conflicting = [];
+
+    const slots = option.events.map(session => {
+      const start = zonedDateTime(session.date, session.startTime, req.prefs.timezone);
+      return { session, start, end: new Date(start.getTime() + session.durationMinutes * 60000) };
+    });
+
+    // The plan may be stale: sessions that now clash with the calendar are left out
+    const { busy, errors } = slots.length
+      ? await queryFreeBusy(
+        req.user.id,
+        req.calendars.busy,
+        new Date(Math.min(...slots.map(slot => slot.start))).toISOString(),
+        new Date(Math.max(...slots.map(slot => slot.end))).toISOString(),
+        req.prefs.timezone
+      )
+      : { busy: [], errors: {} };
+    for (const [busyCalendarId, reason] of Object.entries(errors)) {
+      console.warn(`[goal book] Not checking calendar ${busyCalendarId} for conflicts: ${reason}`);
+    }
+
+    // Book sequentially so a mid-way failure leaves an accurate record of what was created
+    for (const { session, start, end } of slots) {
+      if (busy.some(interval => interval.start < end && interval.end > start)) {
+        conflicting.push(session);
+        continue;
+      }
+
+      try {
+        const calendarResult = await createCalendarEvent({
+          userId: req.user.id,
+          calendarId,
+          summary: `🎯 ${goal.description}`,
+          description: `Goal session: ${goal.description}`,
+          startDateTime: start.toISOString(),
+          endDateTime: end.toISOString(),
+          timeZone: req.prefs.timezone,
+          reminders: remindersFor(req.reminders, "goal"),
+          extendedProperties: { private: { goalId: goal.id } }
+        });
+
+        goal.scheduled_sessions.push({
+          start: start.toISOString(),
+          end: end.toISOString(),
+          duration_minutes: session.durationMinutes,
+          google_event_id: calendarResult.eventId,
+          calendar_id: calendarId
+        });
+      } catch (error) {
+        if (isReauthError(error)) {
+          // Keep the sessions booked so far; the plan stays so the rest can be booked after signing in
+          saveSession(sessionId, sessionState);
+          throw error;
+        }
+        console.error("Error booking goal session:", error);
+        failed.push(session);
+      }
+    }
+
+    goal.proposed_plan = null;
+    saveSession(sessionId, sessionState);
+
+    res.json({
+      goal,
+      booked: option.events.length - failed.length - conflicting.length,
+      failed,
+      conflicting
+    });
+  } catch (error) {
+    console.error("Error booking goal sessions:", error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
+    res.status(500).json({ error: "Failed to book goal sessions" });
+  }
+});
+
 // ============ Time Parsing for Conversational Scheduling ============
 
-function parseTimeRequest(input) {
+function parseTimeRequest(input, timezone) {
   const inputLower = input.toLowerCase().trim();
-  const now = new Date();
+  // Dates are worked out on the user's calendar, not the server's
+  const now = DateTime.now().setZone(timezone).startOf('day');
 
   // Parse date
   let targetDate = null;
 
   // "today"
   if (/\btoday\b/.test(inputLower)) {
-    targetDate = new Date(now);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now;
   }
   // "tomorrow"
   else if (/\btomorrow\b/.test(inputLower)) {
-    targetDate = new Date(now);
-    targetDate.setDate(targetDate.getDate() + 1);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now.plus({ days: 1 });
   }
   // "in X days"
   else if (/\bin (\d+) days?\b/.test(inputLower)) {
     const match = inputLower.match(/\bin (\d+) days?\b/);
     const daysAhead = parseInt(match[1]);
-    targetDate = new Date(now);
-    targetDate.setDate(targetDate.getDate() + daysAhead);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now.plus({ days: daysAhead });
   }
   // Day of week (monday, tuesday, etc)
   else if (/\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/.test(inputLower)) {
@@ -1112,38 +3839,33 @@ function parseTimeRequest(input) {
     const dayName = match[1];
     const daysOfWeek = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     const targetDayIndex = daysOfWeek.indexOf(dayName);
-    const currentDayIndex = now.getDay();
+    const currentDayIndex = now.weekday % 7; // luxon: Monday = 1 ... Sunday = 7
 
     let daysUntilTarget = targetDayIndex - currentDayIndex;
     if (daysUntilTarget <= 0) daysUntilTarget += 7; // Next week
 
-    targetDate = new Date(now);
-    targetDate.setDate(targetDate.getDate() + daysUntilTarget);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now.plus({ days: daysUntilTarget });
   }
   // Date formats: "oct 15", "october 15", "10/15", "15 oct"
   else if (/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]* (\d{1,2})\b/.test(inputLower)) {
     const match = inputLower.match(/\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]* (\d{1,2})\b/);
-    const monthMap = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+    const monthMap = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
     const month = monthMap[match[1]];
     const day = parseInt(match[2]);
-    targetDate = new Date(now.getFullYear(), month, day);
-    if (targetDate < now) targetDate.setFullYear(targetDate.getFullYear() + 1);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now.set({ month, day });
+    if (targetDate < now) targetDate = targetDate.plus({ years: 1 });
   }
   else if (/(\d{1,2}) (jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*/.test(inputLower)) {
     const match = inputLower.match(/(\d{1,2}) (jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*/);
-    const monthMap = { jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5, jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11 };
+    const monthMap = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
     const day = parseInt(match[1]);
     const month = monthMap[match[2]];
-    targetDate = new Date(now.getFullYear(), month, day);
-    if (targetDate < now) targetDate.setFullYear(targetDate.getFullYear() + 1);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now.set({ month, day });
+    if (targetDate < now) targetDate = targetDate.plus({ years: 1 });
   }
   // Default: today
   else {
-    targetDate = new Date(now);
-    targetDate.setHours(0, 0, 0, 0);
+    targetDate = now;
   }
 
   // Parse time
@@ -1187,14 +3909,14 @@ function parseTimeRequest(input) {
     timeRange = [17, 20];
     isExact = false;
   }
-  // Default: work hours 9am-6pm
+  // Default: the working hours in the user's scheduling profile
   else {
-    timeRange = [9, 18];
+    timeRange = null;
     isExact = false;
   }
 
   return {
-    date: targetDate,
+    date: targetDate.toISODate(),
     timeRange: timeRange,
     isExact: isExact
   };
@@ -1202,126 +3924,86 @@ function parseTimeRequest(input) {
 
 // ============ Slot Finding Algorithm ============
 
-async function findAvailableSlots(duration_minutes, deadline, sessionId, timeRange = null, targetDate = null) {
-  const auth = getAuthClient();
-  const calendar = google.calendar({ version: 'v3', auth });
+/**
+ * Suggest slots from the user's busy calendars and scheduling profile, best first
+ * @param {Object} options - { profile, exact, kind: 'focus'|'meeting', count, calendarIds }
+ */
+async function findAvailableSlots(duration_minutes, deadline, userId, timeRange = null, targetDate = null, prefs = resolvePreferences(), options = {}) {
+  const { profile = resolveSchedulingProfile(), exact = false, kind = "focus", count = 3, calendarIds = [PRIMARY_CALENDAR] } = options;
+  const { timezone } = prefs;
 
-  // Determine search range
+  // Determine search range (whole days in the user's timezone)
   const now = new Date();
-  const endDate = deadline
-    ? new Date(deadline)
-    : new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days default
-
-  // Get existing calendar events
-  const response = await calendar.events.list({
-    calendarId: 'primary',
-    timeMin: now.toISOString(),
-    timeMax: endDate.toISOString(),
-    singleEvents: true,
-    orderBy: 'startTime'
-  });
-
-  const busySlots = response.data.items.map(event => ({
-    start: new Date(event.start.dateTime || event.start.date),
-    end: new Date(event.end.dateTime || event.end.date)
-  }));
-
-  // Find free slots
-  const slots = [];
-  const workStart = timeRange ? timeRange[0] : 9;  // Use provided time range or default 9 AM
-  const workEnd = timeRange ? timeRange[1] : 18;   // Use provided time range or default 6 PM
+  let endDate = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000); // 7 days default
+  let deadlineAt = null;
+  if (deadline) {
+    // A bare date means the end of that day for the user
+    deadlineAt = /^\d{4}-\d{2}-\d{2}$/.test(deadline)
+      ? zonedDateTime(deadline, "23:59:59", timezone)
+      : new Date(deadline);
+    endDate = deadlineAt;
+  }
 
   // If targetDate provided, only search that day
-  const searchStartDate = targetDate ? new Date(targetDate) : new Date(now);
-  searchStartDate.setHours(0, 0, 0, 0);
-
-  const searchEndDate = targetDate ? new Date(targetDate) : endDate;
-  searchEndDate.setHours(23, 59, 59, 999);
-
-  // Iterate through each day
-  const currentDate = new Date(searchStartDate);
+  const searchStartDate = targetDate || todayIn(timezone);
+  const searchEndDate = targetDate || toZonedParts(endDate, timezone).date;
+
+  // Busy time across the selected calendars; events shown as free aren't included by Google
+  const { busy, errors } = await queryFreeBusy(
+    userId,
+    calendarIds,
+    now.toISOString(),
+    zonedDateTime(searchEndDate, "23:59:59", timezone).toISOString(),
+    timezone
+  );
+  for (const [calendarId, reason] of Object.entries(errors)) {
+    console.warn(`[findSlots] Skipping calendar ${calendarId}: ${reason}`);
+  }
 
   console.log('[DEBUG findSlots] Search params:', {
     duration_minutes,
-    workStart,
-    workEnd,
-    searchStartDate: searchStartDate.toISOString(),
-    searchEndDate: searchEndDate.toISOString(),
-    now: now.toISOString()
+    timeRange,
+    searchStartDate,
+    searchEndDate,
+    timezone,
+    exact,
+    kind,
+    busy: busy.length
   });
 
-  while (currentDate <= searchEndDate) {
-    // Check each 30-min slot during work hours
-    for (let hour = workStart; hour < workEnd; hour++) {
-      for (let minute of [0, 30]) {
-        const slotStart = new Date(currentDate);
-        slotStart.setHours(hour, minute, 0, 0);
-
-        const slotEnd = new Date(slotStart.getTime() + duration_minutes * 60000);
-
-        const slotEndHour = slotEnd.getHours();
-        const slotEndMinute = slotEnd.getMinutes();
-        const isBeyondWorkHours = slotEndHour > workEnd || (slotEndHour === workEnd && slotEndMinute > 0);
-
-        console.log('[DEBUG slot check]', {
-          slotStart: slotStart.toISOString(),
-          slotEnd: slotEnd.toISOString(),
-          slotEndHour,
-          slotEndMinute,
-          workEnd,
-          isPast: slotStart < now,
-          beyondWorkHours: isBeyondWorkHours
-        });
-
-        // Skip if slot is in the past
-        if (slotStart < now) continue;
-
-        // Skip if slot end goes beyond work hours
-        if (isBeyondWorkHours) continue;
-
-        // Check if slot conflicts with any busy time
-        const hasConflict = busySlots.some(busy =>
-          (slotStart < busy.end && slotEnd > busy.start)
-        );
-
-        if (!hasConflict) {
-          slots.push({
-            start: slotStart.toISOString(),
-            end: slotEnd.toISOString(),
-            label: formatSlotLabel(slotStart)
-          });
-        }
-
-        // Return early if we have enough slots
-        if (slots.length >= 3) {
-          return slots.slice(0, 3);
-        }
-      }
-    }
-
-    // Move to next day
-    currentDate.setDate(currentDate.getDate() + 1);
-  }
+  const slots = findRankedSlots({
+    busy,
+    durationMinutes: duration_minutes,
+    profile,
+    timezone,
+    startDate: searchStartDate,
+    endDate: searchEndDate,
+    deadline: deadlineAt,
+    timeRange,
+    exact,
+    kind,
+    count,
+    now
+  });
 
-  // Return whatever slots we found (might be less than 3)
-  return slots;
+  return slots.map(slot => ({ ...slot, label: formatSlotLabel(new Date(slot.start), prefs) }));
 }
 
-function formatSlotLabel(date) {
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(tomorrow.getDate() + 1);
+function formatSlotLabel(date, prefs) {
+  const today = todayIn(prefs.timezone);
+  const tomorrow = DateTime.fromISO(today).plus({ days: 1 }).toISODate();
+  const day = toZonedParts(date, prefs.timezone).date;
 
   let dayLabel;
-  if (date.toDateString() === today.toDateString()) {
+  if (day === today) {
     dayLabel = 'Today';
-  } else if (date.toDateString() === tomorrow.toDateString()) {
+  } else if (day === tomorrow) {
     dayLabel = 'Tomorrow';
   } else {
-    dayLabel = date.toLocaleDateString('en-AU', { weekday: 'short', day: 'numeric', month: 'short' });
+    dayLabel = formatInZone(date, prefs, { weekday: 'short', day: 'numeric', month: 'short' });
   }
 
-  const time = date.toLocaleTimeString('en-AU', { hour: 'numeric', minute: '2-digit', hour12: true });
+  const time = formatInZone(date, prefs, { hour: 'numeric', minute: '2-digit', hour12: true });
   return `${dayLabel} at ${time}`;
 }
 
@@ -1329,14 +4011,10 @@ function formatSlotLabel(date) {
 app.post("/api/todos/:todoId/schedule", async (req, res) => {
   try {
     const { todoId } = req.params;
-    const { sessionId } = req.body;
+    const sessionId = req.sessionId;
 
     console.log('[DEBUG schedule] Request for todoId:', todoId, 'sessionId:', sessionId);
 
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
-
     const sessionState = getSession(sessionId);
     const todo = sessionState.todos?.find(t => t.id === todoId);
 
@@ -1348,16 +4026,22 @@ app.post("/api/todos/:todoId/schedule", async (req, res) => {
 
     // Find available slots
     console.log('[DEBUG schedule] Finding slots for duration:', todo.duration_minutes, 'deadline:', todo.deadline);
+    const count = Math.min(Math.max(parseInt(req.body?.count) || 3, 1), 10);
     const slots = await findAvailableSlots(
       todo.duration_minutes,
       todo.deadline,
-      sessionId
+      req.user.id,
+      null,
+      null,
+      req.prefs,
+      { profile: req.scheduling, count, calendarIds: req.calendars.busy }
     );
 
     console.log('[DEBUG schedule] Found slots:', slots.length);
     res.json({ slots });
   } catch (error) {
     console.error('Error finding slots:', error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
     res.status(500).json({ error: "Failed to find available slots" });
   }
 });
@@ -1366,11 +4050,8 @@ app.post("/api/todos/:todoId/schedule", async (req, res) => {
 app.post("/api/todos/:todoId/schedule-chat", async (req, res) => {
   try {
     const { todoId } = req.params;
-    const { sessionId, userInput } = req.body;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
+    const { userInput } = req.body;
+    const sessionId = req.sessionId;
 
     if (!userInput) {
       return res.status(400).json({ error: "userInput is required" });
@@ -1384,16 +4065,18 @@ app.post("/api/todos/:todoId/schedule-chat", async (req, res) => {
     }
 
     // Parse the user's time request
-    const parsed = parseTimeRequest(userInput);
+    const parsed = parseTimeRequest(userInput, req.prefs.timezone);
     console.log('[DEBUG schedule-chat] Parsed input:', parsed);
 
     // Find slots based on parsed time
     const slots = await findAvailableSlots(
       todo.duration_minutes,
       todo.deadline,
-      sessionId,
+      req.user.id,
       parsed.timeRange,
-      parsed.date
+      parsed.date,
+      req.prefs,
+      { profile: req.scheduling, exact: parsed.isExact, calendarIds: req.calendars.busy }
     );
 
     console.log('[DEBUG schedule-chat] Found slots:', slots.length);
@@ -1410,7 +4093,7 @@ app.post("/api/todos/:todoId/schedule-chat", async (req, res) => {
     if (parsed.isExact && slots.length > 0) {
       const exactSlot = slots[0]; // First slot is the requested time
       return res.json({
-        response: `I found ${formatSlotLabel(new Date(exactSlot.start))}. Should I book this time?`,
+        response: `I found ${formatSlotLabel(new Date(exactSlot.start), req.prefs)}. Should I book this time?`,
         slots: [exactSlot],
         isExact: true,
         needsConfirmation: true
@@ -1427,6 +4110,7 @@ app.post("/api/todos/:todoId/schedule-chat", async (req, res) => {
 
   } catch (error) {
     console.error('Error in schedule-chat:', error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
     res.status(500).json({ error: "Failed to process scheduling request" });
   }
 });
@@ -1435,11 +4119,9 @@ app.post("/api/todos/:todoId/schedule-chat", async (req, res) => {
 app.post("/api/todos/:todoId/book", async (req, res) => {
   try {
     const { todoId } = req.params;
-    const { sessionId, slotStart, slotEnd } = req.body;
-
-    if (!sessionId) {
-      return res.status(400).json({ error: "sessionId is required" });
-    }
+    const { slotStart, slotEnd, reminders } = req.body;
+    const calendarId = req.body.calendarId || req.calendars.target;
+    const sessionId = req.sessionId;
 
     const sessionState = getSession(sessionId);
     const todo = sessionState.todos?.find(t => t.id === todoId);
@@ -1448,17 +4130,35 @@ app.post("/api/todos/:todoId/book", async (req, res) => {
       return res.status(404).json({ error: "To-do not found" });
     }
 
+    if (!slotStart || !slotEnd || isNaN(new Date(slotStart)) || isNaN(new Date(slotEnd)) || new Date(slotStart) >= new Date(slotEnd)) {
+      return res.status(400).json({ error: "slotStart and slotEnd must be ISO date-times with slotStart before slotEnd" });
+    }
+
+    // Optional; without it the user's to-do reminders apply
+    const reminderError = reminders === undefined ? null : validateReminders(reminders);
+    if (reminderError) {
+      return res.status(400).json({ error: reminderError });
+    }
+
+    const calendarError = await checkTargetCalendar(req.user.id, calendarId);
+    if (calendarError) {
+      return res.status(400).json({ error: calendarError });
+    }
+
+    const changes = [];
+    const previousSlot = { id: todo.id, scheduled_slot: todo.scheduled_slot ? { ...todo.scheduled_slot } : null };
+
     // If rescheduling, delete the old calendar event first
     if (todo.scheduled_slot?.google_event_id) {
       try {
-        const auth = getAuthClient();
-        const calendar = google.calendar({ version: 'v3', auth });
-        await calendar.events.delete({
-          calendarId: 'primary',
-          eventId: todo.scheduled_slot.google_event_id
-        });
-        console.log('[DEBUG] Deleted old calendar event:', todo.scheduled_slot.google_event_id);
+        const oldEventId = todo.scheduled_slot.google_event_id;
+        const oldCalendarId = todo.scheduled_slot.calendar_id || PRIMARY_CALENDAR;
+        const before = await captureEvents(req.user.id, [{ eventId: oldEventId, calendarId: oldCalendarId }]);
+        await deleteCalendarEvent(req.user.id, oldEventId, oldCalendarId);
+        changes.push({ action: "delete", eventId: oldEventId, calendarId: oldCalendarId, before: before[oldEventId], after: null });
+        console.log('[DEBUG] Deleted old calendar event:', oldEventId);
       } catch (error) {
+        if (isReauthError(error)) throw error;
         console.error('[DEBUG] Failed to delete old event:', error.message);
         // Continue anyway - the event might have been manually deleted
       }
@@ -1466,24 +4166,38 @@ app.post("/api/todos/:todoId/book", async (req, res) => {
 
     // Create Google Calendar event
     const calendarResult = await createCalendarEvent({
+      userId: req.user.id,
+      calendarId,
       summary: `🔨 ${todo.title}`,
       description: `To-do: ${todo.title}`,
       startDateTime: slotStart,
-      endDateTime: slotEnd
+      endDateTime: slotEnd,
+      reminders: remindersFor(req.reminders, "todo", reminders),
+      timeZone: req.prefs.timezone
     });
 
     // Update to-do with scheduled info
     todo.scheduled_slot = {
       start: slotStart,
       end: slotEnd,
-      google_event_id: calendarResult.eventId
+      google_event_id: calendarResult.eventId,
+      calendar_id: calendarId
     };
 
+    changes.push({ action: "create", eventId: calendarResult.eventId, calendarId, before: null, after: snapshotEvent(calendarResult.event) });
+    recordOperation(sessionState, {
+      source: "todo_book",
+      summary: `Booked "${todo.title}"`,
+      changes,
+      todos: [previousSlot]
+    });
+
     saveSession(sessionId, sessionState);
 
     res.json({ todo });
   } catch (error) {
     console.error('Error booking slot:', error);
+    if (isReauthError(error)) return sendReauthRequired(req, res, error);
     res.status(500).json({ error: "Failed to book time slot" });
   }
 });
@@ -0,0 +1,148 @@
+/**
+ * Calendar Provider
+ *
+ * Where calendars and events are stored. calendarService talks to the active
+ * provider instead of a particular API, so the assistant can run against
+ * Google Calendar or fully offline. CALENDAR_PROVIDER picks one at startup:
+ *   - "google": Google Calendar through googleapis (default)
+ *   - "local":  calendars kept by the app itself (see localCalendarProvider)
+ * Users can connect another kind of calendar for themselves instead
+ * ("caldav": Nextcloud, Fastmail, Radicale...). Those providers are added with
+ * addUserCalendarProvider() and chooseUserCalendarProvider() says which one a
+ * user has picked; everyone else uses the startup provider.
+ *
+ * Providers speak Google Calendar's event format (start/end, attendees,
+ * reminders, recurrence, etag...), which the rest of the app already reads.
+ * provider.forUser(userId) returns that user's calendars:
+ *   - listCalendars()                                  -> [calendarList entry]
+ *   - getCalendar(calendarId)                          -> { id, timeZone }
+ *   - listEvents(calendarId, { timeMin, timeMax, query, maxResults, timeZone })
+ *                                                      -> [event], recurring events expanded, by start time
+ *   - getEvent(calendarId, eventId)                    -> event
+ *   - insertEvent(calendarId, event, { sendUpdates, conferenceDataVersion }) -> event
+ *   - patchEvent(calendarId, eventId, patch, { sendUpdates, etag })           -> event
+ *   - updateEvent(calendarId, eventId, event, { sendUpdates, conferenceDataVersion }) -> event
+ *   - deleteEvent(calendarId, eventId, { sendUpdates })
+ *   - freeBusy({ timeMin, timeMax, timeZone, calendarIds })
+ *                                                      -> { [calendarId]: { busy: [{ start, end }] } | { errors: [{ reason }] } }
+ *   - listChanges(calendarId, { syncToken, timeMin })  (optional)
+ *                                                      -> { items, nextSyncToken, timeZone }, recurring events not expanded
+ *   - watchEvents(calendarId, { id, token, address, ttlSeconds })  (optional)
+ *                                                      -> { id, resourceId, expiration }, notifications posted to address
+ *   - stopChannel({ id, resourceId })                  (with watchEvents)
+ * Providers with listChanges are read through the sync cache (see calendarSync)
+ * once one is set with useCalendarSync(); those with watchEvents can tell the
+ * app about changes made elsewhere (see calendarWatch).
+ * Failures carry the HTTP status Google would use in error.code (404 not found,
+ * 410 gone, 412 etag mismatch).
+ */
+
+import { createGoogleCalendarProvider } from "./providers/googleCalendarProvider.js";
+
+// Set once at startup via useCalendarProvider(); Google until then
+let activeProvider = null;
+
+// Providers users can pick for themselves, by name, and the user -> name lookup
+const userProviders = new Map();
+let chosenProviderName = () => null;
+
+// Keeps a local copy of calendars that can be synced; none until useCalendarSync()
+let calendarSync = null;
+
+// ============ ERRORS ============
+
+// A provider failure with the HTTP status Google would have answered with
+class CalendarProviderError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "CalendarProviderError";
+    this.code = code;
+  }
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Make a provider the one every calendar call goes through
+ * @param {Object} provider - { name, forUser(userId) }
+ */
+function useCalendarProvider(provider) {
+  activeProvider = provider;
+  console.log(`[calendarProvider] Using the ${provider.name} calendar provider`);
+}
+
+/**
+ * The active provider
+ * @returns {Object} { name, forUser(userId) }
+ */
+function getCalendarProvider() {
+  if (!activeProvider) activeProvider = createGoogleCalendarProvider();
+  return activeProvider;
+}
+
+/**
+ * Make a provider available for users to pick
+ * @param {Object} provider - { name, forUser(userId) }
+ */
+function addUserCalendarProvider(provider) {
+  userProviders.set(provider.name, provider);
+}
+
+/**
+ * A provider users can pick
+ * @param {string} name - e.g. 'caldav'
+ * @returns {Object|null} { name, forUser(userId), ... }
+ */
+function getUserCalendarProvider(name) {
+  return userProviders.get(name) || null;
+}
+
+/**
+ * Set how to find the provider a user picked
+ * @param {Function} choose - userId -> provider name, or null for the startup provider
+ */
+function chooseUserCalendarProvider(choose) {
+  chosenProviderName = choose;
+}
+
+/**
+ * The provider a user's calendars are in
+ * @param {string} userId - User id
+ * @returns {Object} { name, forUser(userId) }
+ */
+function providerFor(userId) {
+  return userProviders.get(chosenProviderName(userId)) || getCalendarProvider();
+}
+
+/**
+ * Read calendars through a sync cache from now on
+ * @param {Object} sync - { wrap(userId, providerName, api) } (see calendarSync)
+ */
+function useCalendarSync(sync) {
+  calendarSync = sync;
+}
+
+/**
+ * A user's calendars through their provider
+ * @param {string} userId - User id
+ * @returns {Object} Provider API bound to the user (see the list above)
+ */
+function calendarFor(userId) {
+  const provider = providerFor(userId);
+  const api = provider.forUser(userId);
+  return calendarSync ? calendarSync.wrap(userId, provider.name, api) : api;
+}
+
+// ============ EXPORTS ============
+
+export {
+  CalendarProviderError,
+  useCalendarProvider,
+  getCalendarProvider,
+  addUserCalendarProvider,
+  chooseUserCalendarProvider,
+  getUserCalendarProvider,
+  providerFor,
+  useCalendarSync,
+  calendarFor
+};
@@ -1,183 +1,557 @@
-import { google } from "googleapis";
-import { getAuthClient } from "../utils/googleAuth.js";
+import { DateTime } from "luxon";
+import { v4 as uuidv4 } from "uuid";
+import { isReauthError, toReauthError } from "../utils/googleAuth.js";
+import { calendarFor } from "./calendarProvider.js";
+import { resolvePreferences, zonedDateTime, toZonedParts } from "../utils/timezone.js";
+
+// The signed-in user's own calendar; used whenever no other calendar is given
+export const PRIMARY_CALENDAR = "primary";
+
+// Effective calendar settings for a user: the calendars whose events count as busy
+// (and are read for schedules and event matching) and where new events are created
+export function resolveCalendarSettings(settings = null) {
+  const busy = Array.isArray(settings?.busy) && settings.busy.length ? settings.busy : [PRIMARY_CALENDAR];
+  return {
+    busy: [...new Set(busy)],
+    target: settings?.target || PRIMARY_CALENDAR
+  };
+}
+
+// Thrown when an event was changed by someone else since the caller last read it
+// (its etag no longer matches); event is the current version when it could be read
+export class EventConflictError extends Error {
+  constructor(event = null) {
+    super("The event was changed by someone else");
+    this.name = "EventConflictError";
+    this.code = "event_conflict";
+    this.event = event;
+  }
+}
+
+// Thrown when an event doesn't exist or has been deleted (the provider's 404 or 410)
+export class EventNotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "EventNotFoundError";
+    this.code = "event_not_found";
+  }
+}
+
+// The provider's error for a missing or deleted event, or a plain Error with the given message
+function eventError(error, message) {
+  const code = error.code || error.response?.status;
+  return code === 404 || code === 410 ? new EventNotFoundError(message) : new Error(message);
+}
+
+// Google's start/end for an event: dates for all-day events (the end date is exclusive),
+// otherwise instants in the user's timezone. endDate is the last day an all-day event covers.
+function eventTimes({ allDay = false, startDate, endDate, startDateTime, endDateTime, timeZone }) {
+  if (allDay) {
+    const lastDay = endDate && endDate > startDate ? endDate : startDate;
+    return {
+      start: { date: startDate },
+      end: { date: DateTime.fromISO(lastDay).plus({ days: 1 }).toISODate() }
+    };
+  }
+
+  return {
+    start: { dateTime: startDateTime, timeZone },
+    end: { dateTime: endDateTime, timeZone }
+  };
+}
+
+// Google attendee entries for a list of email addresses. Guests already on the event keep
+// their entry, and with it their response status.
+function toAttendees(emails, existing = []) {
+  const current = new Map((existing || []).map(attendee => [attendee.email?.toLowerCase(), attendee]));
+  const seen = new Set();
+  const attendees = [];
+
+  for (const email of emails) {
+    const key = email.trim().toLowerCase();
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    attendees.push(current.get(key) || { email: email.trim() });
+  }
+  return attendees;
+}
+
+// Google reminder settings: null goes back to the calendar's default reminders, [] turns
+// reminders off and [{ method: "popup" | "email", minutes }] replaces them
+function toReminders(reminders) {
+  if (reminders === null) return { useDefault: true, overrides: null };
+  return { useDefault: false, overrides: reminders.map(({ method, minutes }) => ({ method, minutes })) };
+}
+
+// The link people use to join an event's video call: Google Meet's hangoutLink, otherwise
+// the video entry point of whatever conference was attached (Zoom, Teams add-ons...)
+function joinLinkOf(event) {
+  if (event.hangoutLink) return event.hangoutLink;
+  return event.conferenceData?.entryPoints?.find(entry => entry.entryPointType === "video")?.uri || null;
+}
+
+// Guests are emailed about changes to events they're invited to
+function guestUpdates(attendees) {
+  return attendees?.length ? "all" : "none";
+}
+
+// The app's view of a Google event. All-day events are placed in the user's timezone:
+// startDateTime/endDateTime are the midnights they start and end at, so they block
+// the right hours and sort with timed events. startDate/endDate are the first and
+// last day the event touches and days is how many that is.
+export function normalizeEvent(event, timeZone = resolvePreferences().timezone, calendarId = PRIMARY_CALENDAR) {
+  const allDay = Boolean(event.start?.date && !event.start?.dateTime);
+
+  let startDateTime, endDateTime, startDate, endDate;
+  if (allDay) {
+    const endExclusive = event.end?.date > event.start.date
+      ? event.end.date
+      : DateTime.fromISO(event.start.date).plus({ days: 1 }).toISODate();
+
+    startDate = event.start.date;
+    endDate = DateTime.fromISO(endExclusive).minus({ days: 1 }).toISODate();
+    startDateTime = zonedDateTime(startDate, "00:00", timeZone).toISOString();
+    endDateTime = zonedDateTime(endExclusive, "00:00", timeZone).toISOString();
+  } else {
+    startDateTime = event.start?.dateTime;
+    endDateTime = event.end?.dateTime || new Date(new Date(startDateTime).getTime() + 60 * 60000).toISOString();
+    startDate = toZonedParts(startDateTime, timeZone).date;
+    // An event ending at midnight doesn't touch the next day
+    endDate = toZonedParts(new Date(endDateTime).getTime() - 1, timeZone).date;
+    if (endDate < startDate) endDate = startDate;
+  }
+
+  return {
+    eventId: event.id,
+    calendarId,
+    summary: event.summary || 'No title',
+    allDay,
+    startDate,
+    endDate,
+    days: DateTime.fromISO(endDate).diff(DateTime.fromISO(startDate), "days").days + 1,
+    startDateTime,
+    endDateTime,
+    duration_minutes: Math.round((new Date(endDateTime) - new Date(startDateTime)) / 60000),
+    // "Show as free" events (holidays, birthdays...) don't take up the user's time
+    busy: event.transparency !== "transparent",
+    description: event.description || null,
+    location: event.location || null,
+    joinLink: joinLinkOf(event),
+    recurringEventId: event.recurringEventId || null,
+    // [{ method, minutes }] set on the event ([] for none), or null when the calendar's defaults apply
+    reminders: event.reminders && !event.reminders.useDefault ? (event.reminders.overrides || []) : null,
+    // Version of the event; sent back as etag to update it only if nobody changed it meanwhile
+    etag: event.etag || null,
+    goalId: event.extendedProperties?.private?.goalId || null,
+    // UID from the .ics file the event was imported from
+    icsUid: event.extendedProperties?.private?.icsUid || null,
+    // People invited, with "accepted" | "declined" | "tentative" | "needsAction"; rooms are left out
+    attendees: (event.attendees || [])
+      .filter(attendee => !attendee.resource)
+      .map(attendee => ({
+        email: attendee.email,
+        name: attendee.displayName || null,
+        responseStatus: attendee.responseStatus || "needsAction",
+        organizer: Boolean(attendee.organizer),
+        self: Boolean(attendee.self),
+        optional: Boolean(attendee.optional)
+      }))
+  };
+}
 
 export async function createCalendarEvent({ 
+  userId,
+  calendarId = PRIMARY_CALENDAR,
   summary, 
   description = "", 
+  location = null,
+  conference = false,
   startDateTime, 
   endDateTime, 
-  attendeeEmail = null 
+  allDay = false,
+  startDate = null,
+  endDate = null,
+  attendees = [],
+  reminders = null,
+  recurrence = null,
+  extendedProperties = null,
+  transparency = null,
+  timeZone = resolvePreferences().timezone
 }) {
   try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
+    const calendar = calendarFor(userId);
 
     const event = {
       summary: summary,
       description: description,
-      start: { 
-        dateTime: startDateTime, 
-        timeZone: "Australia/Sydney" 
-      },
-      end: { 
-        dateTime: endDateTime, 
-        timeZone: "Australia/Sydney" 
-      }
+      ...eventTimes({ allDay, startDate, endDate, startDateTime, endDateTime, timeZone })
     };
 
-    if (attendeeEmail) {
-      event.attendees = [{ email: attendeeEmail }];
+    if (location) {
+      event.location = location;
+    }
+
+    // Google creates the Meet call; requestId makes a retried insert reuse the same one
+    if (conference) {
+      event.conferenceData = {
+        createRequest: { requestId: uuidv4(), conferenceSolutionKey: { type: "hangoutsMeet" } }
+      };
+    }
+
+    // Google shows new all-day events as free; a day blocked off from chat should be busy.
+    // transparency: "opaque" (busy) or "transparent" (free) overrides it, e.g. for imported events
+    if (transparency) {
+      event.transparency = transparency;
+    } else if (allDay) {
+      event.transparency = "opaque";
+    }
+
+    if (attendees.length) {
+      event.attendees = toAttendees(attendees);
     }
 
-    const response = await calendar.events.insert({
-      calendarId: "primary",
-      resource: event
+    // Without reminders the calendar's defaults apply
+    if (reminders) {
+      event.reminders = toReminders(reminders);
+    }
+
+    // Recurring events carry RRULE lines, e.g. ["RRULE:FREQ=WEEKLY;BYDAY=MO;COUNT=4"]
+    if (recurrence) {
+      event.recurrence = recurrence;
+    }
+
+    // Private properties link the event back to app records, e.g. { private: { goalId } }
+    if (extendedProperties) {
+      event.extendedProperties = extendedProperties;
+    }
+
+    const created = await calendar.insertEvent(calendarId, event, {
+      sendUpdates: guestUpdates(event.attendees),
+      // Without it Google ignores conferenceData
+      conferenceDataVersion: conference ? 1 : 0
     });
 
-    console.log("Calendar event created:", response.data.id);
-    return { success: true, eventId: response.data.id, event: response.data };
+    console.log("Calendar event created:", created.id);
+    return { success: true, eventId: created.id, event: created };
     
   } catch (error) {
     console.error("Calendar API error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
     throw new Error(`Failed to create calendar event: ${error.message}`);
   }
 }
 
-export async function updateCalendarEvent({ eventId, summary, startDateTime, endDateTime }) {
+// Change only the given fields of an event (events.patch): anything left undefined, such as
+// the description, location, reminders or colour, stays as it is. Times are changed when a
+// start is given. attendees: email addresses replacing the guest list. reminders: see
+// toReminders (undefined leaves them alone). etag: the version the
+// caller last read; if the event has changed since, an EventConflictError is thrown instead.
+export async function updateCalendarEvent({
+  userId,
+  calendarId = PRIMARY_CALENDAR,
+  eventId,
+  summary,
+  description,
+  location,
+  startDateTime = null,
+  endDateTime = null,
+  allDay = false,
+  startDate = null,
+  endDate = null,
+  attendees = null,
+  reminders,
+  etag = null,
+  timeZone = resolvePreferences().timezone
+}) {
+  const calendar = calendarFor(userId);
+
   try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
-
-    const response = await calendar.events.update({
-      calendarId: "primary",
-      eventId: eventId,
-      resource: {
-        summary: summary,
-        start: { dateTime: startDateTime, timeZone: "Australia/Sydney" },
-        end: { dateTime: endDateTime, timeZone: "Australia/Sydney" }
-      }
+    // Needed for the guest list and to know whether guests should be emailed
+    const current = await calendar.getEvent(calendarId, eventId);
+
+    const patch = {};
+    if (summary !== undefined) patch.summary = summary;
+    if (description !== undefined) patch.description = description;
+    if (location !== undefined) patch.location = location;
+
+    if (startDate || startDateTime) {
+      const times = eventTimes({ allDay, startDate, endDate, startDateTime, endDateTime, timeZone });
+      // A patch merges into start/end, so the other kind of time is cleared explicitly
+      const cleared = allDay ? { dateTime: null, timeZone: null } : { date: null };
+      patch.start = { ...cleared, ...times.start };
+      patch.end = { ...cleared, ...times.end };
+    }
+
+    if (attendees) {
+      patch.attendees = toAttendees(attendees, current.attendees);
+    }
+
+    if (reminders !== undefined) {
+      patch.reminders = toReminders(reminders);
+    }
+
+    const updated = await calendar.patchEvent(calendarId, eventId, patch, {
+      sendUpdates: guestUpdates(patch.attendees?.length ? patch.attendees : current.attendees),
+      etag
     });
 
-    return { success: true, event: response.data };
+    return { success: true, event: updated };
   } catch (error) {
+    if (isReauthError(error)) throw toReauthError(error, userId);
+
+    // 412: the etag didn't match. Hand back the latest version so the caller can show it.
+    if (Number(error.response?.status || error.code) === 412) {
+      const latest = await calendar.getEvent(calendarId, eventId).catch(() => null);
+      throw new EventConflictError(latest);
+    }
+
     console.error("Calendar update error:", error);
-    throw new Error(`Failed to update calendar event: ${error.message}`);
+    throw eventError(error, `Failed to update calendar event: ${error.message}`);
   }
 }
 
-export async function deleteCalendarEvent(eventId) {
+// Fields of a Google event that are written back when an event is restored
+const RESTORABLE_FIELDS = [
+  "summary", "description", "location", "start", "end", "recurrence", "attendees",
+  "reminders", "colorId", "transparency", "visibility", "extendedProperties", "conferenceData"
+];
+
+// Write a saved event snapshot back: recreates it when no eventId is given,
+// otherwise overwrites that event with the snapshot
+export async function restoreCalendarEvent(userId, snapshot, eventId = null, calendarId = PRIMARY_CALENDAR) {
   try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
+    const calendar = calendarFor(userId);
 
-    await calendar.events.delete({
-      calendarId: "primary",
-      eventId: eventId
-    });
+    const resource = {};
+    for (const field of RESTORABLE_FIELDS) {
+      if (snapshot[field] !== undefined && snapshot[field] !== null) resource[field] = snapshot[field];
+    }
+
+    const sendUpdates = guestUpdates(resource.attendees);
+    // Version 1 keeps the event's existing video call instead of dropping it
+    const conferenceDataVersion = 1;
+    const restored = eventId
+      ? await calendar.updateEvent(calendarId, eventId, resource, { sendUpdates, conferenceDataVersion })
+      : await calendar.insertEvent(calendarId, resource, { sendUpdates, conferenceDataVersion });
+
+    return { success: true, eventId: restored.id, event: restored };
+  } catch (error) {
+    console.error("Calendar restore error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw new Error(`Failed to restore calendar event: ${error.message}`);
+  }
+}
+
+export async function getCalendarEvent(userId, eventId, calendarId = PRIMARY_CALENDAR) {
+  try {
+    const calendar = calendarFor(userId);
+
+    return await calendar.getEvent(calendarId, eventId);
+  } catch (error) {
+    console.error("Calendar get event error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw eventError(error, `Failed to get calendar event: ${error.message}`);
+  }
+}
+
+// The current version of an event, or null once it has been deleted (Google keeps deleted
+// events around for a while as "cancelled"). Other failures are thrown.
+export async function findCalendarEvent(userId, eventId, calendarId = PRIMARY_CALENDAR) {
+  try {
+    const calendar = calendarFor(userId);
+
+    const event = await calendar.getEvent(calendarId, eventId);
+    return event.status === "cancelled" ? null : event;
+  } catch (error) {
+    if (isReauthError(error)) throw toReauthError(error, userId);
+
+    const code = error.code || error.response?.status;
+    if (code === 404 || code === 410) return null;
+    console.error("Calendar find event error:", error);
+    throw new Error(`Failed to get calendar event: ${error.message}`);
+  }
+}
+
+export async function deleteCalendarEvent(userId, eventId, calendarId = PRIMARY_CALENDAR) {
+  try {
+    const calendar = calendarFor(userId);
+
+    // Guests get a cancellation; events without guests send nothing
+    await calendar.deleteEvent(calendarId, eventId, { sendUpdates: "all" });
 
     return { success: true };
   } catch (error) {
     console.error("Calendar delete error:", error);
-    throw new Error(`Failed to delete calendar event: ${error.message}`);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw eventError(error, `Failed to delete calendar event: ${error.message}`);
   }
 }
 
-export async function searchCalendarEvents(titleQuery = null, maxResults = 50) {
-  try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
-
-    const params = {
-      calendarId: "primary",
-      timeMin: new Date().toISOString(),
-      maxResults: maxResults,
-      singleEvents: true,
-      orderBy: "startTime"
-    };
+// An event id, or { eventId, calendarId } for events outside the primary calendar
+function toEventTarget(target) {
+  return typeof target === "string"
+    ? { eventId: target, calendarId: PRIMARY_CALENDAR }
+    : { eventId: target.eventId, calendarId: target.calendarId || PRIMARY_CALENDAR };
+}
 
-    if (titleQuery) {
-      params.q = titleQuery;
-    }
+// Delete several events a few at a time. Each event gets its own result so one failure
+// doesn't stop the rest; losing Google access aborts the whole batch.
+export async function deleteCalendarEvents(userId, targets, { concurrency = 5 } = {}) {
+  const calendar = calendarFor(userId);
+  const results = [];
 
-    const response = await calendar.events.list(params);
-    const events = response.data.items || [];
+  for (let i = 0; i < targets.length; i += concurrency) {
+    const chunk = targets.slice(i, i + concurrency).map(toEventTarget);
+    const settled = await Promise.allSettled(chunk.map(({ eventId, calendarId }) =>
+      calendar.deleteEvent(calendarId, eventId, { sendUpdates: "all" })
+    ));
 
-    return events.map(event => {
-      const startDateTime = event.start?.dateTime || event.start?.date;
-      const endDateTime = event.end?.dateTime || event.end?.date;
+    for (const [index, outcome] of settled.entries()) {
+      const { eventId, calendarId } = chunk[index];
+      if (outcome.status === "fulfilled") {
+        results.push({ eventId, calendarId, status: "deleted" });
+        continue;
+      }
+
+      const error = outcome.reason;
+      if (isReauthError(error)) throw toReauthError(error, userId);
 
-      // Calculate duration in minutes
-      let duration_minutes = 60; // Default duration
-      if (startDateTime && endDateTime) {
-        const start = new Date(startDateTime);
-        const end = new Date(endDateTime);
-        duration_minutes = Math.round((end.getTime() - start.getTime()) / (1000 * 60));
+      const code = error.code || error.response?.status;
+      if (code === 404 || code === 410) {
+        // Already gone, which is what the user wanted
+        results.push({ eventId, calendarId, status: "already_deleted" });
+      } else {
+        console.error(`Calendar delete error for ${eventId}:`, error.message);
+        results.push({ eventId, calendarId, status: "failed", error: error.message });
       }
+    }
+  }
 
-      return {
-        eventId: event.id,
-        summary: event.summary || 'No title',
-        startDateTime: startDateTime,
-        endDateTime: endDateTime,
-        duration_minutes: duration_minutes,
-        description: event.description || null
-      };
-    });
+  return results;
+}
+
+// Events from several calendars, soonest first. An event that shows up in more than one
+// of them (a shared meeting) is kept once, from the first calendar listed. A calendar that
+// can't be read is skipped unless it is the only one.
+export async function listEvents(userId, { calendarIds = [PRIMARY_CALENDAR], timeMin, timeMax = null, query = null, maxResults = null, timeZone = resolvePreferences().timezone }) {
+  try {
+    const calendar = calendarFor(userId);
+
+    const settled = await Promise.allSettled(calendarIds.map(async (calendarId) => {
+      const items = await calendar.listEvents(calendarId, { timeMin, timeMax, query, maxResults, timeZone });
+      return items.map(event => normalizeEvent(event, timeZone, calendarId));
+    }));
+
+    const failures = settled.filter(outcome => outcome.status === "rejected");
+    const reauth = failures.find(outcome => isReauthError(outcome.reason));
+    if (reauth) throw reauth.reason;
+    if (failures.length === settled.length) throw failures[0].reason;
+    failures.forEach(outcome => console.warn("[calendarService] Skipping a calendar that couldn't be read:", outcome.reason.message));
+
+    const seen = new Set();
+    const events = settled
+      .flatMap(outcome => outcome.status === "fulfilled" ? outcome.value : [])
+      .filter(event => {
+        if (seen.has(event.eventId)) return false;
+        seen.add(event.eventId);
+        return true;
+      })
+      .sort((a, b) => new Date(a.startDateTime) - new Date(b.startDateTime));
+
+    return maxResults ? events.slice(0, maxResults) : events;
 
   } catch (error) {
-    console.error("Calendar search error:", error);
-    throw new Error(`Failed to search calendar events: ${error.message}`);
+    console.error("Calendar list events error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw new Error(`Failed to get calendar events: ${error.message}`);
   }
 }
 
-export async function getEventsForDateRange(startDate, endDate = null) {
+export async function searchCalendarEvents(userId, titleQuery = null, maxResults = 50, timeZone = resolvePreferences().timezone, calendarIds = [PRIMARY_CALENDAR]) {
+  return listEvents(userId, {
+    calendarIds,
+    timeMin: new Date().toISOString(),
+    query: titleQuery,
+    maxResults,
+    timeZone
+  });
+}
+
+export async function getEventsForDateRange(userId, startDate, endDate = null, timeZone = resolvePreferences().timezone, calendarIds = [PRIMARY_CALENDAR]) {
+  // Whole days in the user's timezone; if no end date provided, use end of start date
+  return listEvents(userId, {
+    calendarIds,
+    timeMin: zonedDateTime(startDate, "00:00", timeZone).toISOString(),
+    timeMax: zonedDateTime(endDate || startDate, "23:59:59.999", timeZone).toISOString(),
+    timeZone
+  });
+}
+
+// Calendars the user can see, with whether the app may add events to them
+export async function listCalendars(userId) {
   try {
-    const auth = getAuthClient();
-    const calendar = google.calendar({ version: "v3", auth });
-
-    // If no end date provided, use end of start date
-    const timeMin = new Date(startDate);
-    timeMin.setHours(0, 0, 0, 0);
-
-    const timeMax = endDate ? new Date(endDate) : new Date(startDate);
-    timeMax.setHours(23, 59, 59, 999);
-
-    const params = {
-      calendarId: "primary",
-      timeMin: timeMin.toISOString(),
-      timeMax: timeMax.toISOString(),
-      singleEvents: true,
-      orderBy: "startTime"
-    };
+    const calendar = calendarFor(userId);
 
-    const response = await calendar.events.list(params);
-    const events = response.data.items || [];
+    const items = await calendar.listCalendars();
 
-    return events.map(event => {
-      const startDateTime = event.start?.dateTime || event.start?.date;
-      const endDateTime = event.end?.dateTime || event.end?.date;
+    return items.map(item => ({
+      id: item.id,
+      name: item.summaryOverride || item.summary || item.id,
+      primary: Boolean(item.primary),
+      accessRole: item.accessRole,
+      writable: item.accessRole === "owner" || item.accessRole === "writer",
+      color: item.backgroundColor || null,
+      timeZone: item.timeZone || null
+    }));
+  } catch (error) {
+    console.error("Calendar list error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw new Error(`Failed to list calendars: ${error.message}`);
+  }
+}
 
-      // Calculate duration in minutes
-      let duration_minutes = 60; // Default duration
-      if (startDateTime && endDateTime) {
-        const start = new Date(startDateTime);
-        const end = new Date(endDateTime);
-        duration_minutes = Math.round((end.getTime() - start.getTime()) / (1000 * 60));
-      }
+// Timezone of a calendar, e.g. a colleague's primary calendar (id = their email address).
+// Null when the user can't see that calendar.
+export async function getCalendarTimeZone(userId, calendarId) {
+  try {
+    const calendar = calendarFor(userId);
 
-      return {
-        eventId: event.id,
-        summary: event.summary || 'No title',
-        startDateTime: startDateTime,
-        endDateTime: endDateTime,
-        duration_minutes: duration_minutes,
-        description: event.description || null,
-        location: event.location || null
-      };
-    });
+    const found = await calendar.getCalendar(calendarId);
+    return found.timeZone || null;
+  } catch (error) {
+    if (isReauthError(error)) throw toReauthError(error, userId);
+
+    const code = error.code || error.response?.status;
+    if (code === 403 || code === 404) return null;
+    console.error("Calendar get error:", error);
+    throw new Error(`Failed to get calendar: ${error.message}`);
+  }
+}
+
+// Busy intervals across calendars from the provider's free/busy query (events shown as free
+// are already left out). Calendars it couldn't answer for are returned in errors.
+export async function queryFreeBusy(userId, calendarIds, timeMin, timeMax, timeZone = resolvePreferences().timezone) {
+  try {
+    const calendar = calendarFor(userId);
 
+    const results = await calendar.freeBusy({ timeMin, timeMax, timeZone, calendarIds });
+
+    const busy = [];
+    const errors = {};
+    for (const [calendarId, result] of Object.entries(results)) {
+      if (result.errors?.length) {
+        errors[calendarId] = result.errors.map(e => e.reason).join(", ");
+        continue;
+      }
+      for (const interval of result.busy || []) {
+        busy.push({ start: new Date(interval.start), end: new Date(interval.end), calendarId });
+      }
+    }
+
+    return { busy, errors };
   } catch (error) {
-    console.error("Calendar get events error:", error);
-    throw new Error(`Failed to get calendar events: ${error.message}`);
+    console.error("Calendar free/busy error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw new Error(`Failed to query free/busy: ${error.message}`);
   }
-}
\ No newline at end of file
+}
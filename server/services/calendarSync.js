@@ -0,0 +1,381 @@
+/**
+ * Calendar Sync
+ *
+ * A local copy of each user's calendars, kept up to date with the provider's
+ * incremental sync (Google's syncToken), so the schedule, the sidebar, event
+ * matching and free/busy don't list every event from the provider again on
+ * each request.
+ *   - The first read of a calendar copies its events from lookbackDays ago on.
+ *     Later reads only ask for what changed since the last sync token: at most
+ *     once every maxAgeSeconds, and on the next read after the app changed the
+ *     calendar itself. When the provider says the token has expired (410 Gone),
+ *     the calendar is copied again from scratch.
+ *   - Recurring events are kept as the series plus its changed and cancelled
+ *     instances, and expanded when read, as the local provider does.
+ *   - Reads the copy can't answer exactly go to the provider: times before the
+ *     copied range, series whose rule utils/recurrence can't expand, calendars
+ *     that aren't in the user's calendar list (a colleague's free/busy) and
+ *     calendars that couldn't be synced.
+ *   - getEvent and every change go straight to the provider. The app changes
+ *     events right after reading them, and that read needs the latest etag.
+ * Only providers with listChanges are synced; others are used as they are.
+ * Uses the same drivers as the other stores:
+ *   - "file":   every user's copies in <dataDir>/calendar-cache.json (default)
+ *   - "memory": process memory only
+ */
+
+import fs from "fs";
+import path from "path";
+import { DateTime } from "luxon";
+import { clone, expandInstances, instantOf } from "./providers/eventFormat.js";
+import { parseRRule } from "../utils/recurrence.js";
+
+// Roles that can list a calendar's events
+const READABLE_ROLES = ["owner", "writer", "reader"];
+
+// How long a calendar that couldn't be synced is read from the provider before trying again
+const SYNC_RETRY_MS = 10 * 60 * 1000;
+
+// ============ DRIVERS ============
+
+/**
+ * In-memory driver
+ * @returns {Object} Driver with load/persist
+ */
+function createMemoryDriver() {
+  return {
+    load: () => ({}),
+    persist: () => {}
+  };
+}
+
+/**
+ * File driver: all users' copies in one JSON file, written atomically via rename
+ * @param {string} dataDir - Base data directory
+ * @returns {Object} Driver with load/persist
+ */
+function createFileDriver(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = path.join(dataDir, "calendar-cache.json");
+
+  return {
+    load: () => {
+      if (!fs.existsSync(file)) return {};
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8")).users || {};
+      } catch (error) {
+        console.error(`[calendarSync] Could not read ${file}:`, error.message);
+        return {};
+      }
+    },
+    persist: (users) => {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ users }), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+// ============ HELPER FUNCTIONS ============
+
+const statusOf = error => Number(error.code || error.response?.status);
+
+/**
+ * Whether a series can be expanded here exactly as the provider would: one RRULE the app
+ * can read, plus EXDATEs (no RDATE or EXRULE)
+ * @param {Object} master - Recurring event
+ * @returns {boolean}
+ */
+function canExpand(master) {
+  const rules = master.recurrence.filter(line => /^RRULE:/i.test(line));
+  const others = master.recurrence.filter(line => !/^(RRULE|EXDATE)[;:]/i.test(line));
+  return rules.length === 1 && !others.length && parseRRule(rules[0], master.start.timeZone) !== null;
+}
+
+/**
+ * Merge changes from listChanges into a copy. Deleted events come back cancelled: a deleted
+ * series goes with its changed instances, while a cancelled instance is kept to hide it.
+ * @param {Object} copy - Calendar copy (mutated)
+ * @param {Array} items - Changed events
+ */
+function applyChanges(copy, items) {
+  for (const event of items) {
+    if (event.status === "cancelled" && !event.recurringEventId) {
+      delete copy.events[event.id];
+      for (const [id, stored] of Object.entries(copy.events)) {
+        if (stored.recurringEventId === event.id) delete copy.events[id];
+      }
+    } else {
+      copy.events[event.id] = event;
+    }
+  }
+}
+
+/**
+ * Events of a copy in a time range, the way the provider's listEvents returns them
+ * @param {Object} copy - Calendar copy
+ * @param {Object} options - listEvents options: { timeMin, timeMax, query, maxResults, timeZone }
+ * @returns {Array|null} Events by start time, or null when the copy can't answer exactly
+ */
+function eventsInRange(copy, { timeMin, timeMax = null, query = null, maxResults = null, timeZone }) {
+  const from = new Date(timeMin).getTime();
+  if (!(from >= new Date(copy.since).getTime())) return null;
+  const to = timeMax ? new Date(timeMax).getTime() : Infinity;
+  const zone = copy.timeZone || timeZone;
+
+  const stored = Object.values(copy.events);
+  const exceptionIds = new Set(stored.filter(event => event.recurringEventId).map(event => event.id));
+  const events = [];
+
+  for (const event of stored) {
+    if (!event.recurrence) {
+      events.push(event);
+      continue;
+    }
+    if (!canExpand(event)) return null;
+
+    // Instances that start before the range can still run into it
+    const length = instantOf(event.end, zone) - instantOf(event.start, zone);
+    const firstDay = DateTime.fromMillis(from - length, { zone: event.start.timeZone || zone }).minus({ days: 1 }).toISODate();
+    for (const instance of expandInstances(event, zone, { from: firstDay })) {
+      if (exceptionIds.has(instance.id)) continue;
+      // The series' etag isn't the instance's
+      const { etag, ...fields } = instance;
+      events.push(fields);
+    }
+  }
+
+  // Every word of the query in the title, description, location or a guest
+  const words = query ? query.toLowerCase().split(/\s+/).filter(Boolean) : [];
+  const searchText = event => [
+    event.summary, event.description, event.location,
+    ...(event.attendees || []).flatMap(attendee => [attendee.email, attendee.displayName])
+  ].join(" ").toLowerCase();
+
+  const found = events
+    .filter(event => event.status !== "cancelled")
+    .filter(event => instantOf(event.end, zone) > from && instantOf(event.start, zone) < to)
+    .filter(event => !words.length || words.every(word => searchText(event).includes(word)))
+    .sort((a, b) => instantOf(a.start, zone) - instantOf(b.start, zone));
+
+  return clone(maxResults ? found.slice(0, maxResults) : found);
+}
+
+/**
+ * Whether an event takes up the user's time: not shown as free and not declined
+ * @param {Object} event - Event
+ * @returns {boolean}
+ */
+function isBusy(event) {
+  if (event.transparency === "transparent") return false;
+  return (event.attendees || []).find(attendee => attendee.self)?.responseStatus !== "declined";
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Create the sync cache
+ * @param {Object} options
+ * @param {string} options.driver - 'file' or 'memory'
+ * @param {string} options.dataDir - Directory for the file driver
+ * @param {number} options.maxAgeSeconds - How old a copy can be before a read syncs it first
+ * @param {number} options.lookbackDays - How far back the first sync copies events
+ * @returns {Object} { wrap(userId, providerName, api), invalidate(userId, calendarId) }
+ */
+function createCalendarSync({ driver = "file", dataDir, maxAgeSeconds = 60, lookbackDays = 90 } = {}) {
+  const backend = driver === "memory" ? createMemoryDriver() : createFileDriver(dataDir);
+  // userId -> { provider, calendars: { calendarId: { timeZone, syncToken, since, events, syncedAt, stale } } }
+  const users = backend.load();
+  const maxAgeMs = maxAgeSeconds * 1000;
+
+  // Syncs under way, so reads of the same calendar at the same time share one
+  const running = new Map();
+  // "userId:calendarId" -> when to try syncing again after it failed
+  const retryAt = new Map();
+  // userId -> { provider, items: Promise, fetchedAt }; the calendar list isn't worth persisting
+  const calendarLists = new Map();
+
+  const persist = () => backend.persist(users);
+
+  const accountOf = (userId, providerName) => {
+    if (users[userId]?.provider !== providerName) {
+      users[userId] = { provider: providerName, calendars: {} };
+    }
+    return users[userId];
+  };
+
+  /**
+   * Bring one calendar's copy up to date: changes since the sync token, or a full copy
+   * @returns {Promise<Object>} The copy
+   */
+  async function syncCalendar(account, api, calendarId) {
+    const copy = account.calendars[calendarId];
+
+    if (copy?.syncToken) {
+      try {
+        const changes = await api.listChanges(calendarId, { syncToken: copy.syncToken });
+        applyChanges(copy, changes.items);
+        // The new token alone isn't saved: syncing again from the saved one repeats the same changes
+        copy.syncToken = changes.nextSyncToken || copy.syncToken;
+        copy.timeZone = changes.timeZone || copy.timeZone;
+        copy.syncedAt = Date.now();
+        copy.stale = false;
+        if (changes.items.length) persist();
+        return copy;
+      } catch (error) {
+        if (statusOf(error) !== 410) throw error;
+        console.log(`[calendarSync] Sync token for ${calendarId} expired; copying the calendar again`);
+      }
+    }
+
+    const since = DateTime.now().minus({ days: lookbackDays }).startOf("day").toUTC().toISO();
+    const changes = await api.listChanges(calendarId, { timeMin: since });
+    const fresh = {
+      timeZone: changes.timeZone || null,
+      syncToken: changes.nextSyncToken || null,
+      since,
+      events: {},
+      syncedAt: Date.now(),
+      stale: false
+    };
+    applyChanges(fresh, changes.items);
+    account.calendars[calendarId] = fresh;
+    persist();
+    console.log(`[calendarSync] Copied ${Object.keys(fresh.events).length} events of ${calendarId}`);
+    return fresh;
+  }
+
+  /**
+   * A user's calendar list, at most maxAgeSeconds old
+   * @returns {Promise<Array>} Calendar list entries
+   */
+  async function calendarList(userId, providerName, api) {
+    const cached = calendarLists.get(userId);
+    if (cached?.provider === providerName && Date.now() - cached.fetchedAt < maxAgeMs) return cached.items;
+
+    // Kept while the request is under way too; dropped again if it fails
+    const items = api.listCalendars();
+    calendarLists.set(userId, { provider: providerName, items, fetchedAt: Date.now() });
+    items.catch(() => calendarLists.delete(userId));
+    return items;
+  }
+
+  /**
+   * The up-to-date copy of a calendar, or null when reads of it go to the provider
+   * @returns {Promise<Object|null>} Copy
+   */
+  async function copyOf(userId, providerName, api, calendarId) {
+    const key = `${userId}:${calendarId}`;
+    if (retryAt.get(key) > Date.now()) return null;
+
+    try {
+      if (calendarId !== "primary") {
+        const entries = await calendarList(userId, providerName, api);
+        if (!entries.some(entry => entry.id === calendarId && READABLE_ROLES.includes(entry.accessRole))) return null;
+      }
+
+      const account = accountOf(userId, providerName);
+      const copy = account.calendars[calendarId];
+      if (copy && !copy.stale && Date.now() - copy.syncedAt < maxAgeMs) return copy;
+
+      if (!running.has(key)) {
+        running.set(key, syncCalendar(account, api, calendarId).finally(() => running.delete(key)));
+      }
+      return await running.get(key);
+    } catch (error) {
+      // Read from the provider instead, which reports the error (such as lost access) itself
+      const code = statusOf(error);
+      if (code === 403 || code === 404) retryAt.set(key, Date.now() + SYNC_RETRY_MS);
+      console.warn(`[calendarSync] Could not sync ${calendarId}; reading it from the provider:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Make the next read of a calendar sync it first, e.g. after it was changed
+   * @param {string} userId - User id
+   * @param {string} calendarId - Calendar id, or null for all of the user's calendars
+   */
+  function invalidate(userId, calendarId = null) {
+    const copies = users[userId]?.calendars || {};
+    for (const [id, copy] of Object.entries(copies)) {
+      if (!calendarId || id === calendarId) copy.stale = true;
+    }
+  }
+
+  /**
+   * A provider API bound to a user, with its reads served from the copies
+   * @param {string} userId - User id
+   * @param {string} providerName - The user's provider, e.g. 'google'
+   * @param {Object} api - provider.forUser(userId)
+   * @returns {Object} Same interface as api
+   */
+  function wrap(userId, providerName, api) {
+    if (typeof api.listChanges !== "function") return api;
+
+    // Changes are made on the provider and the copy catches up on its next read. A change
+    // that failed (changed or deleted elsewhere) means the copy is behind too.
+    const thenInvalidate = (method) => async (calendarId, ...args) => {
+      try {
+        return await api[method](calendarId, ...args);
+      } finally {
+        invalidate(userId, calendarId);
+      }
+    };
+
+    return {
+      ...api,
+
+      async listCalendars() {
+        return calendarList(userId, providerName, api);
+      },
+
+      async listEvents(calendarId, options) {
+        const copy = await copyOf(userId, providerName, api, calendarId);
+        return (copy && eventsInRange(copy, options)) || api.listEvents(calendarId, options);
+      },
+
+      async freeBusy({ timeMin, timeMax, timeZone, calendarIds }) {
+        const calendars = {};
+        const remaining = [];
+
+        await Promise.all(calendarIds.map(async (calendarId) => {
+          const copy = await copyOf(userId, providerName, api, calendarId);
+          const events = copy && eventsInRange(copy, { timeMin, timeMax, timeZone });
+          if (!events) {
+            remaining.push(calendarId);
+            return;
+          }
+
+          const zone = copy.timeZone || timeZone;
+          const from = new Date(timeMin).getTime();
+          const to = new Date(timeMax).getTime();
+          calendars[calendarId] = {
+            busy: events.filter(isBusy).map(event => ({
+              start: new Date(Math.max(instantOf(event.start, zone), from)).toISOString(),
+              end: new Date(Math.min(instantOf(event.end, zone), to)).toISOString()
+            }))
+          };
+        }));
+
+        if (remaining.length) {
+          Object.assign(calendars, await api.freeBusy({ timeMin, timeMax, timeZone, calendarIds: remaining }));
+        }
+        return calendars;
+      },
+
+      insertEvent: thenInvalidate("insertEvent"),
+      patchEvent: thenInvalidate("patchEvent"),
+      updateEvent: thenInvalidate("updateEvent"),
+      deleteEvent: thenInvalidate("deleteEvent")
+    };
+  }
+
+  return { wrap, invalidate };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createCalendarSync
+};
@@ -0,0 +1,188 @@
+/**
+ * Calendar Watch
+ *
+ * Push notification channels (Google's events.watch) on the calendars a
+ * user's schedule is read from, so changes made outside the app (moving an
+ * event in Google Calendar) are noticed as they happen. Each channel is
+ * stored with the user and carries a random token that every notification
+ * must repeat. Channels can't be extended: one that is about to expire is
+ * replaced by a new channel and then stopped.
+ *
+ * Google only posts to a public HTTPS address, so no channels are opened
+ * without one. Providers without watchEvents (CalDAV) have no channels.
+ */
+
+import crypto from "crypto";
+import { v4 as uuidv4 } from "uuid";
+import { calendarFor, providerFor } from "./calendarProvider.js";
+
+// How long before a failed attempt to open a channel is tried again
+const WATCH_RETRY_MS = 60 * 60 * 1000;
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Compare two tokens in constant time
+ * @param {string} given - Token from the notification
+ * @param {string} expected - Stored token
+ * @returns {boolean}
+ */
+function tokensMatch(given, expected) {
+  const a = Buffer.from(String(given || ""));
+  const b = Buffer.from(String(expected || ""));
+  return a.length === b.length && a.length > 0 && crypto.timingSafeEqual(a, b);
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Create the channel manager
+ * @param {Object} options
+ * @param {Object} options.userStore - Where channels are kept (updateCalendarChannels, findById, listUsers)
+ * @param {string} options.address - URL notifications are posted to, or null to open no channels
+ * @param {number} options.ttlSeconds - How long a channel lives
+ * @param {number} options.renewBeforeSeconds - Channels closer than this to expiring are replaced
+ * @returns {Object} { watch, renewDue, channelsOf, verify }
+ */
+function createCalendarWatch({ userStore, address, ttlSeconds = 7 * 24 * 60 * 60, renewBeforeSeconds = 24 * 60 * 60 }) {
+  // Watches under way per user, so two browsers opening at once don't open two channels
+  const running = new Map();
+  // "userId:calendarId" -> when to try opening a channel again after it failed
+  const retryAt = new Map();
+
+  const stop = async (calendar, channel) => {
+    try {
+      await calendar.stopChannel({ id: channel.id, resourceId: channel.resource_id });
+    } catch (error) {
+      // It expires by itself; notifications it still brings are turned away
+      console.warn(`[calendarWatch] Could not stop channel ${channel.id}:`, error.message);
+    }
+  };
+
+  /**
+   * Open, replace and stop channels so exactly the given calendars are watched
+   * @returns {Promise<Array>} The user's channels
+   */
+  async function syncChannels(userId, calendarIds) {
+    const user = userStore.findById(userId);
+    if (!user) return [];
+
+    const providerName = providerFor(userId).name;
+    const calendar = calendarFor(userId);
+    const current = user.calendar_channels || [];
+    if (!address || typeof calendar.watchEvents !== "function") {
+      // Channels from a provider the user has since left are let go
+      const kept = current.filter(channel => channel.provider === providerName);
+      if (kept.length !== current.length) userStore.updateCalendarChannels(userId, kept);
+      return kept;
+    }
+
+    const next = [];
+    for (const calendarId of new Set(calendarIds)) {
+      const existing = current.find(channel => channel.calendar_id === calendarId && channel.provider === providerName);
+      const key = `${userId}:${calendarId}`;
+      if (existing && existing.expiration - Date.now() > renewBeforeSeconds * 1000) {
+        next.push(existing);
+        continue;
+      }
+      if (retryAt.get(key) > Date.now()) {
+        if (existing) next.push(existing);
+        continue;
+      }
+
+      try {
+        const token = crypto.randomBytes(24).toString("hex");
+        const opened = await calendar.watchEvents(calendarId, { id: uuidv4(), token, address, ttlSeconds });
+        next.push({
+          id: opened.id,
+          calendar_id: calendarId,
+          provider: providerName,
+          resource_id: opened.resourceId,
+          token,
+          expiration: opened.expiration
+        });
+        retryAt.delete(key);
+        console.log(`[calendarWatch] Watching ${calendarId} for user ${userId} until ${new Date(opened.expiration).toISOString()}`);
+      } catch (error) {
+        console.warn(`[calendarWatch] Could not watch ${calendarId} for user ${userId}:`, error.message);
+        retryAt.set(key, Date.now() + WATCH_RETRY_MS);
+        if (existing) next.push(existing);
+      }
+    }
+
+    // Replaced channels and calendars no longer watched; other providers' channels just expire
+    const dropped = current.filter(channel => !next.includes(channel));
+    userStore.updateCalendarChannels(userId, next);
+    await Promise.all(dropped
+      .filter(channel => channel.provider === providerName)
+      .map(channel => stop(calendar, channel)));
+    return next;
+  }
+
+  /**
+   * Watch exactly these calendars of a user (opening, renewing and stopping channels)
+   * @param {string} userId - User id
+   * @param {string[]} calendarIds - Calendars to watch
+   * @returns {Promise<Array>} The user's channels
+   */
+  function watch(userId, calendarIds) {
+    const previous = running.get(userId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => syncChannels(userId, calendarIds));
+    running.set(userId, next);
+    next.finally(() => {
+      if (running.get(userId) === next) running.delete(userId);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Replace every channel that is about to expire
+   * @returns {Promise<number>} Users whose channels were checked
+   */
+  async function renewDue() {
+    const users = userStore.listUsers().filter(user => user.calendar_channels?.length);
+    for (const user of users) {
+      try {
+        await watch(user.id, user.calendar_channels.map(channel => channel.calendar_id));
+      } catch (error) {
+        console.error(`[calendarWatch] Could not renew channels for user ${user.id}:`, error.message);
+      }
+    }
+    return users.length;
+  }
+
+  /**
+   * A user's open channels
+   * @param {string} userId - User id
+   * @returns {Array} Channels
+   */
+  function channelsOf(userId) {
+    return userStore.findById(userId)?.calendar_channels || [];
+  }
+
+  /**
+   * Check a notification against the stored channels
+   * @param {Object} notification - { channelId, token, resourceId } from its headers
+   * @returns {Object|null} { userId, calendarId } when it comes from a channel the app opened
+   */
+  function verify({ channelId, token, resourceId = null }) {
+    if (!channelId) return null;
+
+    for (const user of userStore.listUsers()) {
+      const channel = (user.calendar_channels || []).find(c => c.id === channelId);
+      if (!channel) continue;
+      if (!tokensMatch(token, channel.token)) return null;
+      if (resourceId && channel.resource_id && resourceId !== channel.resource_id) return null;
+      return { userId: user.id, calendarId: channel.calendar_id };
+    }
+    return null;
+  }
+
+  return { watch, renewDue, channelsOf, verify };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createCalendarWatch
+};
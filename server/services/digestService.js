@@ -0,0 +1,395 @@
+/**
+ * Digest Service
+ *
+ * A day's agenda for one user: their events, the to-dos booked into that
+ * day, to-dos whose deadline has passed and the free gaps left in their
+ * working hours. buildDigest() returns the agenda as plain data (the JSON
+ * rendering); renderDigestText() and renderDigestHtml() turn it into an
+ * email body. Users can also have it emailed each morning: their digest
+ * settings say whether, at what local time and to which address.
+ */
+
+import { DateTime } from "luxon";
+import { getEventsForDateRange, PRIMARY_CALENDAR } from "./calendarService.js";
+import { WEEKDAYS, DEFAULT_PROFILE } from "./slotFinder.js";
+import { sendEmail, isValidEmail } from "./emailService.js";
+import { zonedDateTime, todayIn, toZonedParts, formatInZone } from "../utils/timezone.js";
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Shorter gaps between events aren't worth listing as free time
+const MIN_GAP_MINUTES = 30;
+
+// A morning digest is only sent this long after its time (e.g. not at 9pm after a restart)
+const SEND_WINDOW_HOURS = 3;
+
+const DEFAULT_DIGEST_SETTINGS = {
+  enabled: false,
+  time: "07:00",
+  // null sends to the address of the user's Google account
+  email: null,
+  // 'YYYY-MM-DD' of the last digest emailed, in the user's timezone
+  last_sent_date: null
+};
+
+// ============ HELPER FUNCTIONS ============
+
+const TIME_OPTIONS = { hour: "numeric", minute: "2-digit", hour12: true };
+
+/**
+ * "Monday, 19 October 2026" for a 'YYYY-MM-DD' date
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {Object} prefs - { timezone, locale }
+ * @param {Object} options - Intl date options
+ * @returns {string}
+ */
+function formatDate(date, prefs, options = { weekday: "long", day: "numeric", month: "long", year: "numeric" }) {
+  // A calendar date rather than an instant, so format noon UTC to avoid any shift
+  return formatInZone(`${date}T12:00:00Z`, { ...prefs, timezone: "UTC" }, options);
+}
+
+/**
+ * "9:00 am – 10:30 am", or "All day" for all-day entries
+ * @param {Object} entry - { allDay, start, end }
+ * @param {Object} prefs - { timezone, locale }
+ * @returns {string}
+ */
+function formatSpan(entry, prefs) {
+  if (entry.allDay) return "All day";
+  return `${formatInZone(entry.start, prefs, TIME_OPTIONS)} – ${formatInZone(entry.end, prefs, TIME_OPTIONS)}`;
+}
+
+/**
+ * "1 hour 30 minutes" in the user's locale
+ * @param {number} minutes - Length in minutes
+ * @param {string} locale - BCP 47 locale
+ * @returns {string}
+ */
+function formatMinutes(minutes, locale) {
+  const unit = (value, name) => new Intl.NumberFormat(locale, { style: "unit", unit: name, unitDisplay: "long" }).format(value);
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  if (!hours) return unit(rest, "minute");
+  return rest ? `${unit(hours, "hour")} ${unit(rest, "minute")}` : unit(hours, "hour");
+}
+
+/**
+ * When a to-do was due, as its date or date and time
+ * @param {string} deadline - 'YYYY-MM-DD' or an ISO date-time
+ * @param {Object} prefs - { timezone, locale }
+ * @returns {string}
+ */
+function formatDeadline(deadline, prefs) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(deadline)) return formatDate(deadline, prefs, { weekday: "long", day: "numeric", month: "long" });
+  return formatInZone(deadline, prefs, { weekday: "long", day: "numeric", month: "long", ...TIME_OPTIONS });
+}
+
+/**
+ * Whether a to-do's deadline has passed
+ * @param {string} deadline - 'YYYY-MM-DD' (due by the end of that day) or an ISO date-time
+ * @param {Date} now - Current time
+ * @param {string} timezone - User's IANA timezone
+ * @returns {boolean}
+ */
+function isPastDeadline(deadline, now, timezone) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(deadline)) return deadline < toZonedParts(now, timezone).date;
+  const due = new Date(deadline);
+  return !Number.isNaN(due.getTime()) && due < now;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Working-hours gaps of at least MIN_GAP_MINUTES between busy times, from now on
+ * @param {Array} window - [startMs, endMs] of the working day
+ * @param {Array} busy - [[startMs, endMs], ...]
+ * @param {number} nowMs - Current time
+ * @returns {Array} [[startMs, endMs], ...] in order
+ */
+function freeGapsIn([windowStart, windowEnd], busy, nowMs) {
+  const gaps = [];
+  let cursor = Math.max(windowStart, nowMs);
+
+  for (const [start, end] of [...busy].sort((a, b) => a[0] - b[0])) {
+    if (end <= cursor) continue;
+    if (start >= windowEnd) break;
+    if (start > cursor) gaps.push([cursor, start]);
+    cursor = Math.max(cursor, end);
+  }
+  if (cursor < windowEnd) gaps.push([cursor, windowEnd]);
+
+  return gaps.filter(([start, end]) => end - start >= MIN_GAP_MINUTES * 60000);
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * The agenda for one day
+ * @param {string} userId - User id
+ * @param {Object} options
+ * @param {string} options.date - 'YYYY-MM-DD' in the user's timezone (defaults to today)
+ * @param {Object} options.prefs - { timezone, locale }
+ * @param {Object} options.profile - Resolved scheduling profile (for working hours)
+ * @param {Array} options.calendarIds - Calendars whose events are included
+ * @param {Array} options.todos - The user's to-dos from their session
+ * @param {Date} options.now - Current time
+ * @returns {Promise<Object>} { date, timezone, generatedAt, workingHours, events, scheduledTodos, overdueTodos, freeGaps, totals }
+ */
+async function buildDigest(userId, {
+  date = null,
+  prefs,
+  profile = DEFAULT_PROFILE,
+  calendarIds = [PRIMARY_CALENDAR],
+  todos = [],
+  now = new Date()
+}) {
+  const { timezone } = prefs;
+  const day = date || todayIn(timezone);
+  const events = await getEventsForDateRange(userId, day, null, timezone, calendarIds);
+
+  const open = todos.filter(todo => !todo.completed);
+  const scheduled = open.filter(todo => todo.scheduled_slot?.start && toZonedParts(todo.scheduled_slot.start, timezone).date === day);
+  // Booked to-dos are calendar events too; list them once, as to-dos
+  const todoEventIds = new Set(scheduled.map(todo => todo.scheduled_slot.google_event_id).filter(Boolean));
+
+  // Events the user declined don't take up their day
+  const attending = events.filter(event => !event.attendees.some(attendee => attendee.self && attendee.responseStatus === "declined"));
+
+  const workingHours = profile.working_hours[WEEKDAYS[DateTime.fromISO(day).weekday - 1]] || null;
+  const freeGaps = workingHours
+    ? freeGapsIn(
+      [zonedDateTime(day, workingHours.start, timezone).getTime(), zonedDateTime(day, workingHours.end, timezone).getTime()],
+      attending.filter(event => event.busy && !event.allDay).map(event => [new Date(event.startDateTime).getTime(), new Date(event.endDateTime).getTime()]),
+      now.getTime()
+    ).map(([start, end]) => ({
+      start: new Date(start).toISOString(),
+      end: new Date(end).toISOString(),
+      minutes: Math.round((end - start) / 60000)
+    }))
+    : [];
+
+  const agendaEvents = attending
+    .filter(event => !todoEventIds.has(event.eventId))
+    .map(event => ({
+      eventId: event.eventId,
+      calendarId: event.calendarId,
+      summary: event.summary,
+      allDay: event.allDay,
+      start: event.startDateTime,
+      end: event.endDateTime,
+      location: event.location,
+      joinLink: event.joinLink,
+      attendees: event.attendees.filter(attendee => !attendee.self).length
+    }));
+
+  const scheduledTodos = scheduled
+    .map(todo => ({
+      id: todo.id,
+      title: todo.title,
+      start: todo.scheduled_slot.start,
+      end: todo.scheduled_slot.end,
+      eventId: todo.scheduled_slot.google_event_id || null
+    }))
+    .sort((a, b) => new Date(a.start) - new Date(b.start));
+
+  const overdueTodos = open
+    .filter(todo => todo.deadline && isPastDeadline(todo.deadline, now, timezone))
+    .map(todo => ({
+      id: todo.id,
+      title: todo.title,
+      deadline: todo.deadline,
+      scheduled: Boolean(todo.scheduled_slot)
+    }));
+
+  return {
+    date: day,
+    timezone,
+    generatedAt: now.toISOString(),
+    workingHours,
+    events: agendaEvents,
+    scheduledTodos,
+    overdueTodos,
+    freeGaps,
+    totals: {
+      events: agendaEvents.length,
+      scheduledTodos: scheduledTodos.length,
+      overdueTodos: overdueTodos.length,
+      freeMinutes: freeGaps.reduce((sum, gap) => sum + gap.minutes, 0)
+    }
+  };
+}
+
+/**
+ * The agenda's sections as heading + lines, shared by the text and HTML renderings
+ * @param {Object} digest - From buildDigest
+ * @param {Object} prefs - { timezone, locale }
+ * @returns {Object} { title, sections: [{ heading, items: [{ when, text, link }], empty }] }
+ */
+function digestSections(digest, prefs) {
+  const events = digest.events.map(event => ({
+    when: formatSpan(event, prefs),
+    text: event.location ? `${event.summary} (${event.location})` : event.summary,
+    link: event.joinLink
+  }));
+
+  const todos = digest.scheduledTodos.map(todo => ({
+    when: formatSpan(todo, prefs),
+    text: todo.title,
+    link: null
+  }));
+
+  const overdue = digest.overdueTodos.map(todo => ({
+    when: null,
+    text: `${todo.title} (due ${formatDeadline(todo.deadline, prefs)}${todo.scheduled ? ", booked" : ""})`,
+    link: null
+  }));
+
+  const gaps = digest.freeGaps.map(gap => ({
+    when: formatSpan(gap, prefs),
+    text: formatMinutes(gap.minutes, prefs.locale),
+    link: null
+  }));
+
+  return {
+    title: `Your agenda for ${formatDate(digest.date, prefs)}`,
+    sections: [
+      { heading: "Events", items: events, empty: "No events." },
+      { heading: "Scheduled to-dos", items: todos, empty: "No to-dos booked." },
+      { heading: "Overdue to-dos", items: overdue, empty: "Nothing overdue." },
+      {
+        heading: "Free time",
+        items: gaps,
+        empty: digest.workingHours ? "No free gaps in your working hours." : "Not a working day."
+      }
+    ]
+  };
+}
+
+/**
+ * Plain-text agenda
+ * @param {Object} digest - From buildDigest
+ * @param {Object} prefs - { timezone, locale }
+ * @returns {string}
+ */
+function renderDigestText(digest, prefs) {
+  const { title, sections } = digestSections(digest, prefs);
+  const lines = [title];
+
+  for (const section of sections) {
+    lines.push("", section.heading);
+    if (!section.items.length) lines.push(`  ${section.empty}`);
+    for (const item of section.items) {
+      lines.push(`  • ${item.when ? `${item.when}  ` : ""}${item.text}`);
+      if (item.link) lines.push(`    Join: ${item.link}`);
+    }
+  }
+  return lines.join("\n");
+}
+
+/**
+ * HTML agenda for email clients (inline styles only)
+ * @param {Object} digest - From buildDigest
+ * @param {Object} prefs - { timezone, locale }
+ * @returns {string}
+ */
+function renderDigestHtml(digest, prefs) {
+  const { title, sections } = digestSections(digest, prefs);
+
+  const body = sections.map(section => {
+    const items = section.items.length
+      ? section.items.map(item => {
+        const when = item.when ? `<span style="color:#666;display:inline-block;min-width:170px">${escapeHtml(item.when)}</span>` : "";
+        const link = item.link ? ` <a href="${escapeHtml(item.link)}" style="color:#4a9eff">Join video call</a>` : "";
+        return `<li style="margin:4px 0">${when}${escapeHtml(item.text)}${link}</li>`;
+      }).join("")
+      : `<li style="margin:4px 0;color:#666">${escapeHtml(section.empty)}</li>`;
+    return `<h3 style="margin:20px 0 6px">${escapeHtml(section.heading)}</h3><ul style="list-style:none;padding:0;margin:0">${items}</ul>`;
+  }).join("");
+
+  return `<!DOCTYPE html><html><body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#222">` +
+    `<h2 style="margin:0 0 8px">${escapeHtml(title)}</h2>${body}</body></html>`;
+}
+
+/**
+ * Email a digest
+ * @param {string} userId - User id (the Gmail API transport sends as them)
+ * @param {Object} digest - From buildDigest
+ * @param {Object} options - { to, prefs }
+ * @returns {Promise<Object>} { success, messageId }
+ */
+async function sendDigestEmail(userId, digest, { to, prefs }) {
+  return sendEmail({
+    userId,
+    to,
+    subject: `Your agenda for ${formatDate(digest.date, prefs, { weekday: "long", day: "numeric", month: "long" })}`,
+    body: renderDigestText(digest, prefs),
+    html: renderDigestHtml(digest, prefs)
+  });
+}
+
+// ============ SETTINGS ============
+
+/**
+ * Stored digest settings merged over the defaults
+ * @param {Object|null} stored - Settings saved for the user
+ * @returns {Object} { enabled, time, email, last_sent_date }
+ */
+function resolveDigestSettings(stored = null) {
+  return { ...DEFAULT_DIGEST_SETTINGS, ...(stored || {}) };
+}
+
+/**
+ * Check a digest settings update
+ * @param {Object} changes - { enabled, time, email }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateDigestSettings(changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return "Expected an object with enabled, time and email";
+  }
+
+  const unknown = Object.keys(changes).find(key => !["enabled", "time", "email"].includes(key));
+  if (unknown) return `Unknown setting "${unknown}"`;
+  if (changes.enabled !== undefined && typeof changes.enabled !== "boolean") return "enabled must be true or false";
+  if (changes.time !== undefined && !TIME_PATTERN.test(changes.time)) return "time must be 'HH:MM' (24-hour)";
+  if (changes.email !== undefined && changes.email !== null && !isValidEmail(changes.email)) {
+    return "email must be an email address, or null for your Google account's address";
+  }
+  return null;
+}
+
+/**
+ * Whether a user's morning digest should be sent now
+ * @param {Object} settings - Resolved digest settings
+ * @param {string} timezone - User's IANA timezone
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+function isDigestDue(settings, timezone, now = new Date()) {
+  if (!settings.enabled) return false;
+
+  const { date } = toZonedParts(now, timezone);
+  if (settings.last_sent_date === date) return false;
+
+  const dueAt = zonedDateTime(date, settings.time, timezone).getTime();
+  return now.getTime() >= dueAt && now.getTime() < dueAt + SEND_WINDOW_HOURS * 60 * 60 * 1000;
+}
+
+// ============ EXPORTS ============
+
+export {
+  DEFAULT_DIGEST_SETTINGS,
+  buildDigest,
+  renderDigestText,
+  renderDigestHtml,
+  sendDigestEmail,
+  resolveDigestSettings,
+  validateDigestSettings,
+  isDigestDue
+};
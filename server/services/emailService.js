@@ -0,0 +1,130 @@
+import nodemailer from "nodemailer";
+import MailComposer from "nodemailer/lib/mail-composer/index.js";
+import { google } from "googleapis";
+import { getAuthClient, isReauthError, toReauthError } from "../utils/googleAuth.js";
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+// Set through setEmailTransport() to send through a stub or custom transport
+let transportOverride = null;
+
+export function isValidEmail(address) {
+  return EMAIL_PATTERN.test((address || "").trim());
+}
+
+/**
+ * Gmail API transport with the same sendMail() shape as a nodemailer transport
+ */
+export function createGmailApiTransport(userId) {
+  return {
+    name: "gmail_api",
+    async sendMail(mail) {
+      const auth = getAuthClient(userId);
+      const gmail = google.gmail({ version: "v1", auth });
+
+      const message = await new MailComposer(mail).compile().build();
+      const raw = message.toString("base64")
+        .replace(/\+/g, "-")
+        .replace(/\//g, "_")
+        .replace(/=+$/, "");
+
+      const response = await gmail.users.messages.send({
+        userId: "me",
+        requestBody: { raw }
+      });
+
+      return { messageId: response.data.id };
+    }
+  };
+}
+
+/**
+ * SMTP transport. Defaults to Gmail SMTP with EMAIL_USER/EMAIL_PASS;
+ * SMTP_HOST/SMTP_PORT point it at any other server (e.g. a local test server)
+ */
+export function createSmtpTransport() {
+  const host = process.env.SMTP_HOST || "smtp.gmail.com";
+  const port = Number(process.env.SMTP_PORT || 465);
+  const auth = process.env.EMAIL_USER && process.env.EMAIL_PASS
+    ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+    : undefined;
+
+  const transport = nodemailer.createTransport({
+    host,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === "true" : port === 465,
+    auth
+  });
+  transport.name = "smtp";
+  return transport;
+}
+
+/**
+ * Offline transport: nothing leaves the machine, sent messages are kept in `outbox`
+ */
+export function createStubTransport() {
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+  const outbox = [];
+
+  return {
+    name: "stub",
+    outbox,
+    async sendMail(mail) {
+      const info = await jsonTransport.sendMail(mail);
+      outbox.push(JSON.parse(info.message));
+      return info;
+    }
+  };
+}
+
+export function setEmailTransport(transport) {
+  transportOverride = transport;
+}
+
+/**
+ * Pick the transport: an override, then EMAIL_TRANSPORT ("gmail_api" | "smtp" | "stub"),
+ * then SMTP when EMAIL_USER/EMAIL_PASS are set, then the stub when running on local
+ * calendars (no Google account to send from), otherwise the Gmail API as the given user
+ */
+export function getEmailTransport(userId = null) {
+  if (transportOverride) return transportOverride;
+
+  const mode = process.env.EMAIL_TRANSPORT ||
+    (process.env.EMAIL_USER && process.env.EMAIL_PASS ? "smtp"
+      : process.env.CALENDAR_PROVIDER === "local" ? "stub" : "gmail_api");
+
+  if (mode === "stub") {
+    transportOverride = createStubTransport();
+    return transportOverride;
+  }
+  if (mode === "smtp") return createSmtpTransport();
+  return createGmailApiTransport(userId);
+}
+
+// html is an optional HTML version of the body (mail clients show it instead of the text)
+export async function sendEmail({ userId = null, to, subject, body, html = null, from = null }) {
+  const recipients = Array.isArray(to) ? to : [to];
+  const invalid = recipients.filter(address => !isValidEmail(address));
+
+  if (recipients.length === 0 || invalid.length) {
+    throw new Error(`Invalid recipient address: ${invalid.join(", ") || "none given"}`);
+  }
+
+  try {
+    const transport = getEmailTransport(userId);
+    const info = await transport.sendMail({
+      from: from || process.env.EMAIL_FROM || process.env.EMAIL_USER || undefined,
+      to: recipients.join(", "),
+      subject: subject || "",
+      text: body || "",
+      ...(html ? { html } : {})
+    });
+
+    console.log(`Email sent via ${transport.name || "custom transport"}:`, info.messageId);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error("Email send error:", error);
+    if (isReauthError(error)) throw toReauthError(error, userId);
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
+}
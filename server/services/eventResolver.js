@@ -0,0 +1,280 @@
+/**
+ * Event Resolver
+ *
+ * Works out which calendar event a cancel/reschedule request means. Candidates
+ * are ranked by title similarity, the date the user mentioned and the event
+ * last discussed in the session. When that still leaves several plausible
+ * events the user gets a numbered list and answers with "the second one",
+ * "2" or a date.
+ */
+
+import * as chrono from "chrono-node";
+import { DateTime } from "luxon";
+import { zonedReference, toZonedParts, formatInZone } from "../utils/timezone.js";
+
+const MAX_CHOICES = 5;
+const MIN_TITLE_SCORE = 0.4;
+// A top candidate this far ahead of the runner-up is picked without asking
+const CLEAR_LEAD = 0.3;
+
+const STOP_WORDS = new Set(["the", "a", "an", "my", "with", "to", "for", "on", "at", "of", "and", "event", "appointment", "meeting"]);
+
+// "one" is left out: it ends "the second one"
+const ORDINALS = {
+  first: 1, "1st": 1,
+  second: 2, "2nd": 2, two: 2,
+  third: 3, "3rd": 3, three: 3,
+  fourth: 4, "4th": 4, four: 4,
+  fifth: 5, "5th": 5, five: 5
+};
+
+// References that don't name an event ("cancel my next meeting", "move it")
+const GENERIC_TITLE = /^(?:(?:the|my|that|this)\s+)?(?:(?:next|upcoming|latest|recent|last created|first)\s*)?(?:event|appointment|meeting|one|it|that|this)?$/i;
+const SOONEST_HINT = /\b(next|upcoming|first)\b/i;
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Lowercase words of a title without punctuation or filler words
+ * @param {string} text - Title or query
+ * @returns {string[]} Significant words
+ */
+function significantWords(text) {
+  return (text || "")
+    .toLowerCase()
+    .replace(/['’]s\b/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+}
+
+/**
+ * How well an event title matches what the user typed (0 to 1)
+ * @param {string} summary - Event title
+ * @param {string} query - Title from the request
+ * @returns {number} Similarity score
+ */
+function titleScore(summary, query) {
+  const title = (summary || "").toLowerCase().trim();
+  const wanted = (query || "").toLowerCase().trim();
+  if (!title || !wanted) return 0;
+  if (title === wanted) return 1;
+  if (title.includes(wanted)) return 0.9;
+
+  const queryWords = significantWords(wanted);
+  const titleWords = significantWords(title);
+  if (queryWords.length === 0) return 0;
+
+  // Prefix matches let "dentist" find "Dentistry appointment" and "gym" find "gym session"
+  const matched = queryWords.filter(word =>
+    titleWords.some(titleWord => titleWord.startsWith(word) || word.startsWith(titleWord))
+  );
+  return 0.8 * (matched.length / queryWords.length);
+}
+
+/**
+ * Whether a request title actually names an event
+ * @param {string} title - Title from the parser
+ * @returns {boolean} False for "it", "my next meeting" and the like
+ */
+function isSpecificTitle(title) {
+  return Boolean(title) && !GENERIC_TITLE.test(title.trim());
+}
+
+/**
+ * Whether an event is on a day; multi-day events count on every day they cover
+ * @param {Object} event - calendarService event or event ref
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} timezone - User's IANA timezone
+ * @returns {boolean}
+ */
+function isOnDate(event, date, timezone) {
+  if (event.startDate && event.endDate) return event.startDate <= date && date <= event.endDate;
+  return Boolean(event.startDateTime) && toZonedParts(event.startDateTime, timezone).date === date;
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Convert a calendarService event into the reference kept in session state
+ * @param {Object} event - Event from searchCalendarEvents/getEventsForDateRange
+ * @returns {Object} { google_event_id, calendar_id, title, startDateTime, endDateTime, duration_minutes, allDay, startDate, endDate, recurringEventId }
+ */
+function toEventRef(event) {
+  return {
+    google_event_id: event.eventId,
+    calendar_id: event.calendarId || "primary",
+    title: event.summary,
+    startDateTime: event.startDateTime,
+    endDateTime: event.endDateTime,
+    duration_minutes: event.duration_minutes,
+    allDay: Boolean(event.allDay),
+    startDate: event.startDate || null,
+    endDate: event.endDate || null,
+    recurringEventId: event.recurringEventId || null
+  };
+}
+
+/**
+ * Score every event against the request hints, best first
+ * @param {Array} events - Events from calendarService
+ * @param {Object} hints - { title, date, lastEventId, timezone }
+ * @returns {Array} [{ event, score, reasons }] for plausible candidates
+ */
+function rankCandidates(events, { title = null, date = null, lastEventId = null, timezone } = {}) {
+  const specificTitle = isSpecificTitle(title);
+
+  let ranked = events.map(event => {
+    const reasons = [];
+    let score = 0;
+
+    if (specificTitle) {
+      const similarity = titleScore(event.summary, title);
+      score += similarity;
+      if (similarity >= MIN_TITLE_SCORE) reasons.push("title");
+    }
+
+    if (date && isOnDate(event, date, timezone)) {
+      score += 0.5;
+      reasons.push("date");
+    }
+
+    if (lastEventId && event.eventId === lastEventId) {
+      score += 0.3;
+      reasons.push("last_event");
+    }
+
+    return { event, score, reasons };
+  });
+
+  // A named event must actually resemble the title
+  if (specificTitle) {
+    ranked = ranked.filter(candidate => candidate.reasons.includes("title"));
+  }
+
+  // A mentioned date narrows the list whenever something is on that day
+  if (date && ranked.some(candidate => candidate.reasons.includes("date"))) {
+    ranked = ranked.filter(candidate => candidate.reasons.includes("date"));
+  }
+
+  return ranked.sort((a, b) =>
+    b.score - a.score || new Date(a.event.startDateTime) - new Date(b.event.startDateTime)
+  );
+}
+
+/**
+ * Decide between a single event and a list the user has to choose from
+ * @param {Array} events - Events from calendarService (soonest first)
+ * @param {Object} hints - { title, date, lastEventId, timezone, message, seriesScope }
+ * @returns {Object} { match: eventRef|null, candidates: eventRef[] }
+ */
+function resolveEvent(events, hints = {}) {
+  const ranked = rankCandidates(events, hints);
+  if (ranked.length === 0) return { match: null, candidates: [] };
+
+  const [top, runnerUp] = ranked;
+  const hasHints = isSpecificTitle(hints.title) || Boolean(hints.date);
+
+  let match = null;
+  if (ranked.length === 1) {
+    match = top;
+  } else if (hasHints && top.score - runnerUp.score >= CLEAR_LEAD) {
+    match = top;
+  } else if (!hasHints && top.reasons.includes("last_event")) {
+    // "move it" right after talking about an event
+    match = top;
+  } else if (!hasHints && SOONEST_HINT.test(hints.message || "")) {
+    // "cancel my next meeting": events arrive soonest first
+    match = { event: events.find(event => ranked.some(candidate => candidate.event === event)) };
+  } else if (hints.seriesScope && top.event.recurringEventId &&
+             ranked.every(candidate => candidate.event.recurringEventId === top.event.recurringEventId)) {
+    // Every match is an occurrence of the same series and the whole series was asked for
+    match = top;
+  }
+
+  if (match) return { match: toEventRef(match.event), candidates: [] };
+
+  return {
+    match: null,
+    candidates: ranked.slice(0, MAX_CHOICES).map(candidate => toEventRef(candidate.event))
+  };
+}
+
+/**
+ * Numbered list of candidates for the chat reply
+ * @param {Array} candidates - Event refs
+ * @param {Object} prefs - { timezone, locale }
+ * @returns {string} e.g. "1. Dentist — Tue 21 Oct, 9:00 am" or "2. Holiday — Fri 24 Oct – Sun 26 Oct (all day)"
+ */
+function formatChoiceList(candidates, prefs) {
+  const dayOptions = { weekday: "short", day: "numeric", month: "short" };
+
+  return candidates.map((candidate, index) => {
+    let when = "no time";
+    if (candidate.allDay && candidate.startDate) {
+      // Calendar dates, not instants, so they're formatted as-is
+      const first = formatInZone(`${candidate.startDate}T12:00:00Z`, { ...prefs, timezone: "UTC" }, dayOptions);
+      const last = candidate.endDate && candidate.endDate !== candidate.startDate
+        ? ` – ${formatInZone(`${candidate.endDate}T12:00:00Z`, { ...prefs, timezone: "UTC" }, dayOptions)}`
+        : "";
+      when = `${first}${last} (all day)`;
+    } else if (candidate.startDateTime) {
+      when = formatInZone(candidate.startDateTime, prefs, { ...dayOptions, hour: "numeric", minute: "2-digit" });
+    }
+    return `${index + 1}. **${candidate.title}** — ${when}`;
+  }).join("\n");
+}
+
+/**
+ * Read the user's answer to a choice list
+ * Accepts "2", "#2", "the second one", "last one", a date/time ("the one on Friday", "21 Oct at 3pm")
+ * or the title of one of the candidates.
+ * @param {string} message - User's reply
+ * @param {Array} candidates - Event refs that were offered
+ * @param {string} timezone - User's IANA timezone
+ * @returns {Object|null} Chosen event ref, or null if the answer doesn't pick exactly one
+ */
+function parseChoice(message, candidates, timezone) {
+  const text = (message || "").toLowerCase().trim();
+  if (!text || candidates.length === 0) return null;
+
+  // Numbers and ordinals
+  const numberMatch = text.match(/^(?:#|no\.?\s*|number\s+|option\s+)?(\d+)\.?$/) ||
+                      text.match(/\b(?:number|option|#)\s*(\d+)\b/);
+  if (numberMatch) return candidates[parseInt(numberMatch[1]) - 1] || null;
+
+  if (/\b(last|final)\b/.test(text)) return candidates[candidates.length - 1];
+
+  const ordinal = Object.keys(ORDINALS).find(word => new RegExp(`\\b${word}\\b`).test(text));
+  if (ordinal && !/\b\d{1,2}(?::\d{2})?\s*(am|pm)\b/.test(text)) {
+    return candidates[ORDINALS[ordinal] - 1] || null;
+  }
+
+  // A date (and optionally a time) that only one candidate falls on
+  const [result] = chrono.parse(message, zonedReference(timezone), { forwardDate: true });
+  if (result) {
+    const when = DateTime.fromJSDate(result.start.date());
+    const hasTime = result.start.isCertain("hour");
+    const matches = candidates.filter(candidate => {
+      if (!hasTime) return isOnDate(candidate, when.toISODate(), timezone);
+      if (!candidate.startDateTime || candidate.allDay) return false;
+      const parts = toZonedParts(candidate.startDateTime, timezone);
+      return parts.date === when.toISODate() && parts.time === when.toFormat("HH:mm");
+    });
+    if (matches.length === 1) return matches[0];
+  }
+
+  // The title of exactly one candidate
+  const byTitle = candidates.filter(candidate => titleScore(candidate.title, text) >= 0.9);
+  return byTitle.length === 1 ? byTitle[0] : null;
+}
+
+// ============ EXPORTS ============
+
+export {
+  toEventRef,
+  rankCandidates,
+  resolveEvent,
+  formatChoiceList,
+  parseChoice,
+  isSpecificTitle
+};
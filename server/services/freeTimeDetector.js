@@ -5,6 +5,9 @@
  * goal's time preferences and duration requirements.
  */
 
+import { DateTime } from "luxon";
+import { resolvePreferences, zonedDateTime, todayIn } from "../utils/timezone.js";
+
 // ============ TIME SLOT DEFINITIONS ============
 
 const TIME_SLOTS = {
@@ -63,22 +66,23 @@ function isWeekend(dateString) {
 /**
  * Check if a date is today
  * @param {string} dateString - Format: 'YYYY-MM-DD'
+ * @param {string} timezone - User's IANA timezone
  * @returns {boolean} True if today
  */
-function isToday(dateString) {
-  const today = new Date().toISOString().split('T')[0];
-  return dateString === today;
+function isToday(dateString, timezone = resolvePreferences().timezone) {
+  return dateString === todayIn(timezone);
 }
 
 /**
  * Check if a time slot is in the past
  * @param {string} date - Format: 'YYYY-MM-DD'
  * @param {string} startTime - Format: 'HH:MM'
+ * @param {string} timezone - User's IANA timezone
  * @returns {boolean} True if slot is in the past
  */
-function isTooLate(date, startTime) {
+function isTooLate(date, startTime, timezone = resolvePreferences().timezone) {
   const now = new Date();
-  const slotStart = new Date(`${date}T${startTime}:00`);
+  const slotStart = zonedDateTime(date, startTime, timezone);
 
   // Add buffer: don't suggest slots starting in the next 30 minutes
   const bufferMs = 30 * 60 * 1000;
@@ -103,7 +107,8 @@ function doTimesOverlap(start1, end1, start2, end2) {
 
 /**
  * Calculate duration needed in minutes from goal's target
- * @param {Object} goal - Goal object with target_amount and target_unit
+ * Multi-session goals (with session_duration) return the length of one session
+ * @param {Object} goal - Goal object with target_amount, target_unit and optional session_duration
  * @returns {number} Duration in minutes
  */
 function calculateDurationMinutes(goal) {
@@ -134,22 +139,24 @@ function calculateDurationMinutes(goal) {
   const unit = goal.target_unit.toLowerCase();
   const multiplier = unitToMinutes[unit] || 60; // Default to 60 if unknown
 
-  return goal.target_amount * multiplier;
+  // "Study 10 hours in 2-hour sessions" books 2 hours at a time
+  const amount = goal.session_duration || goal.target_amount;
+
+  return amount * multiplier;
 }
 
 /**
  * Generate array of dates for the next N days
  * @param {number} daysAhead - Number of days to look ahead
+ * @param {string} timezone - User's IANA timezone (decides which day is today)
  * @returns {string[]} Array of date strings in 'YYYY-MM-DD' format
  */
-function getDateRange(daysAhead = 7) {
+function getDateRange(daysAhead = 7, timezone = resolvePreferences().timezone) {
   const dates = [];
-  const today = new Date();
+  const today = DateTime.fromISO(todayIn(timezone));
 
   for (let i = 0; i < daysAhead; i++) {
-    const date = new Date(today);
-    date.setDate(today.getDate() + i);
-    dates.push(date.toISOString().split('T')[0]);
+    dates.push(today.plus({ days: i }).toISODate());
   }
 
   return dates;
@@ -161,15 +168,18 @@ function getDateRange(daysAhead = 7) {
  * @param {string} startTime - Format: 'HH:MM'
  * @param {string} endTime - Format: 'HH:MM'
  * @param {Array} calendarEvents - Array of calendar events
+ * @param {string} timezone - User's IANA timezone the times are in
  * @returns {boolean} True if slot is free
  */
-function isSlotFree(date, startTime, endTime, calendarEvents) {
-  const slotStart = new Date(`${date}T${startTime}:00`);
-  const slotEnd = new Date(`${date}T${endTime}:00`);
+function isSlotFree(date, startTime, endTime, calendarEvents, timezone = resolvePreferences().timezone) {
+  const slotStart = zonedDateTime(date, startTime, timezone);
+  const slotEnd = zonedDateTime(date, endTime, timezone);
 
   // Check against all calendar events
   for (const event of calendarEvents) {
     if (!event.startDateTime || !event.endDateTime) continue;
+    // Events shown as free (e.g. public holidays) don't block sessions
+    if (event.busy === false) continue;
 
     const eventStart = new Date(event.startDateTime);
     const eventEnd = new Date(event.endDateTime);
@@ -190,9 +200,10 @@ function isSlotFree(date, startTime, endTime, calendarEvents) {
  * @param {Object} slotTimes - Object with start and end times
  * @param {number} durationMinutes - Required duration in minutes
  * @param {Array} calendarEvents - Array of calendar events
+ * @param {string} timezone - User's IANA timezone
  * @returns {Array} Array of free time blocks
  */
-function findFreeBlocks(date, slotName, slotTimes, durationMinutes, calendarEvents) {
+function findFreeBlocks(date, slotName, slotTimes, durationMinutes, calendarEvents, timezone = resolvePreferences().timezone) {
   const blocks = [];
   const slotStartMinutes = timeToMinutes(slotTimes.start);
   const slotEndMinutes = timeToMinutes(slotTimes.end);
@@ -211,13 +222,13 @@ function findFreeBlocks(date, slotName, slotTimes, durationMinutes, calendarEven
     const endTime = minutesToTime(currentMinutes + durationMinutes);
 
     // Skip if in the past
-    if (isTooLate(date, startTime)) {
+    if (isTooLate(date, startTime, timezone)) {
       currentMinutes += INCREMENT;
       continue;
     }
 
     // Check if this block is free
-    if (isSlotFree(date, startTime, endTime, calendarEvents)) {
+    if (isSlotFree(date, startTime, endTime, calendarEvents, timezone)) {
       blocks.push({
         date,
         startTime,
@@ -233,6 +244,27 @@ function findFreeBlocks(date, slotName, slotTimes, durationMinutes, calendarEven
   return blocks;
 }
 
+/**
+ * Pick up to maxCount free blocks that don't overlap each other
+ * (findFreeBlocks returns every 30-minute start, so neighbours overlap)
+ * @param {Array} blocks - Free blocks for one date, in start order
+ * @param {number} maxCount - Maximum number of blocks to keep
+ * @returns {Array} Non-overlapping blocks
+ */
+function pickNonOverlappingBlocks(blocks, maxCount) {
+  const picked = [];
+
+  for (const block of blocks) {
+    if (picked.length >= maxCount) break;
+    const last = picked[picked.length - 1];
+    if (!last || timeToMinutes(block.startTime) >= timeToMinutes(last.endTime)) {
+      picked.push(block);
+    }
+  }
+
+  return picked;
+}
+
 /**
  * Calculate number of events needed based on goal frequency and deadline
  * @param {Object} goal - Goal with frequency and deadline fields
@@ -388,12 +420,13 @@ function getRecurringDates(frequency, firstDate, validDates, deadline = null, ma
  * Returns 3 time alternatives (morning/afternoon/evening) with recommended dates
  * @param {Array} calendarEvents - Array of calendar events
  * @param {Object} goal - Goal object with preferences
- * @param {Object} options - Optional settings
+ * @param {Object} options - Optional settings: daysAhead, timezone (user's IANA zone)
  * @returns {Promise<Object>} Object with timeOptions array
  */
 async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
   const {
-    daysAhead = 28 // Extended to 4 weeks for weekly recurring goals
+    daysAhead = 28, // Extended to 4 weeks for weekly recurring goals
+    timezone = resolvePreferences().timezone
   } = options;
 
   // 1. Calculate duration needed
@@ -417,7 +450,7 @@ async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
   }
 
   // 5. Get date range
-  const allDates = getDateRange(daysAhead);
+  const allDates = getDateRange(daysAhead, timezone);
 
   // 6. Filter dates by weekend preference
   const validDates = weekendOnly
@@ -444,7 +477,8 @@ async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
         pref,
         slotTimes,
         durationMinutes,
-        calendarEvents
+        calendarEvents,
+        timezone
       );
 
       // Take up to maxSessionsPerDay slots for this date+preference
@@ -452,7 +486,7 @@ async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
       if (freeBlocks.length > 0) {
         slotsByPreference[pref].push({
           date: date,
-          slots: freeBlocks.slice(0, maxSessionsPerDay) // Limit to max sessions
+          slots: pickNonOverlappingBlocks(freeBlocks, maxSessionsPerDay) // Limit to max sessions
         });
       }
     }
@@ -472,6 +506,9 @@ async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
   if (!preferenceOrder.includes('afternoon')) preferenceOrder.push('afternoon');
   if (!preferenceOrder.includes('evening')) preferenceOrder.push('evening');
 
+  // Multi-session goals without a frequency spread their sessions over the days before the deadline
+  const frequency = goal.frequency || (goal.session_duration ? 'daily' : null);
+
   // Get first available slot across all preferences to calculate max event count
   let firstAvailableDate = null;
   for (const pref of preferenceOrder) {
@@ -484,7 +521,7 @@ async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
 
   // Calculate max event count based on frequency and deadline
   const maxEventCount = firstAvailableDate
-    ? calculateEventCount(goal, firstAvailableDate)
+    ? calculateEventCount({ ...goal, frequency }, firstAvailableDate)
     : 1;
 
   // Create option for each preference
@@ -514,7 +551,7 @@ async function detectFreeTimeSlots(calendarEvents, goal, options = {}) {
 
     // Calculate recurring dates (respecting deadline)
     const recurringDates = getRecurringDates(
-      goal.frequency,
+      frequency,
       firstDaySlot.date,
       validDates,
       goal.deadline,
@@ -0,0 +1,228 @@
+/**
+ * Goal Service
+ *
+ * Creates, updates and tracks progress of personal goals. Goals live in the
+ * session state next to todos; these helpers only operate on plain objects.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { zonedDateTime, resolvePreferences } from "../utils/timezone.js";
+
+const GOAL_TYPES = ["study", "exercise", "sleep", "work", "meeting", "health", "project", "other"];
+const TIME_PREFERENCES = ["morning", "afternoon", "evening", "weekend"];
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Normalise a goal type, falling back to 'other'
+ * @param {string} goalType - Type from the parser or API
+ * @returns {string} One of GOAL_TYPES
+ */
+function normalizeGoalType(goalType) {
+  const type = (goalType || "").toLowerCase();
+  return GOAL_TYPES.includes(type) ? type : "other";
+}
+
+/**
+ * Keep only known time preferences
+ * @param {string[]} preferences - e.g. ['morning', 'weekend']
+ * @returns {string[]} Filtered preferences
+ */
+function normalizeTimePreferences(preferences) {
+  if (!Array.isArray(preferences)) return [];
+  return preferences
+    .map(p => (p || "").toLowerCase())
+    .filter(p => TIME_PREFERENCES.includes(p));
+}
+
+/**
+ * Parse a numeric amount, returning null for empty or invalid input
+ * @param {*} value - Number or numeric string
+ * @returns {number|null} Parsed amount
+ */
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") return null;
+  const amount = Number(value);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+/**
+ * Pluralise a unit for display ('hour' -> 'hours', 'km' stays 'km')
+ * @param {string} unit - Target unit
+ * @param {number} amount - Amount the unit describes
+ * @returns {string} Display unit
+ */
+function pluralizeUnit(unit, amount) {
+  if (!unit || amount === 1 || unit.endsWith("s") || ["km", "kg"].includes(unit)) return unit;
+  return `${unit}s`;
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Build a new goal object
+ * @param {Object} fields - description, goal_type, target_amount, target_unit, deadline, frequency, time_preferences
+ * @returns {Object} Goal
+ */
+function createGoal(fields) {
+  return {
+    id: uuidv4(),
+    description: fields.description.trim(),
+    goal_type: normalizeGoalType(fields.goal_type),
+    target_amount: toAmount(fields.target_amount),
+    target_unit: fields.target_unit || null,
+    deadline: fields.deadline || null,
+    frequency: fields.frequency || null,
+    time_preferences: normalizeTimePreferences(fields.time_preferences),
+    progress: 0,
+    progress_log: [],
+    completed: false,
+    created_at: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply a partial update to a goal (only provided fields change)
+ * @param {Object} goal - Goal to update in place
+ * @param {Object} fields - Fields to change
+ * @returns {Object} Updated goal
+ */
+function updateGoal(goal, fields) {
+  if (fields.description !== undefined) goal.description = fields.description.trim();
+  if (fields.goal_type !== undefined) goal.goal_type = normalizeGoalType(fields.goal_type);
+  if (fields.target_amount !== undefined) goal.target_amount = toAmount(fields.target_amount);
+  if (fields.target_unit !== undefined) goal.target_unit = fields.target_unit || null;
+  if (fields.deadline !== undefined) goal.deadline = fields.deadline || null;
+  if (fields.frequency !== undefined) goal.frequency = fields.frequency || null;
+  if (fields.time_preferences !== undefined) goal.time_preferences = normalizeTimePreferences(fields.time_preferences);
+  if (fields.completed !== undefined) goal.completed = Boolean(fields.completed);
+
+  // A new target can complete (or reopen) a goal
+  if (fields.target_amount !== undefined && goal.target_amount) {
+    goal.completed = goal.progress >= goal.target_amount;
+  }
+
+  return goal;
+}
+
+/**
+ * Record progress towards a goal
+ * @param {Object} goal - Goal to update in place
+ * @param {number} amount - Amount done, in the goal's target unit
+ * @param {string} note - Optional note
+ * @returns {Object} Updated goal
+ */
+function recordProgress(goal, amount, note = null) {
+  goal.progress = Math.max(0, (goal.progress || 0) + amount);
+  goal.progress_log.push({
+    amount,
+    note,
+    logged_at: new Date().toISOString()
+  });
+
+  if (goal.target_amount) {
+    goal.completed = goal.progress >= goal.target_amount;
+  }
+
+  return goal;
+}
+
+/**
+ * Summarise how far along a goal is
+ * @param {Object} goal - Goal
+ * @param {string} timezone - User's timezone; the deadline is the end of that day there
+ * @returns {Object} { progress, target_amount, target_unit, percent, remaining, days_left, overdue, completed }
+ */
+function getGoalProgress(goal, timezone = resolvePreferences().timezone) {
+  const target = goal.target_amount;
+  const percent = target ? Math.min(100, Math.round((goal.progress / target) * 100)) : null;
+
+  let daysLeft = null;
+  let overdue = false;
+  if (goal.deadline) {
+    const deadline = zonedDateTime(goal.deadline, "23:59:59", timezone);
+    daysLeft = Math.max(0, Math.ceil((deadline - new Date()) / (1000 * 60 * 60 * 24)));
+    overdue = !goal.completed && deadline < new Date();
+  }
+
+  return {
+    progress: goal.progress,
+    target_amount: target,
+    target_unit: goal.target_unit,
+    percent,
+    remaining: target ? Math.max(0, target - goal.progress) : null,
+    days_left: daysLeft,
+    overdue,
+    completed: goal.completed
+  };
+}
+
+/**
+ * Format a goal's target for display, e.g. "10 hours" or "5 km"
+ * @param {Object} goal - Goal
+ * @returns {string|null} Target text, or null when the goal has no numeric target
+ */
+function formatGoalTarget(goal) {
+  if (!goal.target_amount) return null;
+  const unit = goal.target_unit ? ` ${pluralizeUnit(goal.target_unit, goal.target_amount)}` : "";
+  return `${goal.target_amount}${unit}`;
+}
+
+/**
+ * One-line chat summary of a goal, e.g. "study 10 hours — 4/10 hours (40%), 3 days left"
+ * @param {Object} goal - Goal
+ * @param {string} timezone - User's timezone
+ * @returns {string} Summary text
+ */
+function formatGoalSummary(goal, timezone = resolvePreferences().timezone) {
+  const summary = getGoalProgress(goal, timezone);
+  const parts = [];
+
+  if (summary.target_amount) {
+    parts.push(`${summary.progress}/${formatGoalTarget(goal)} (${summary.percent}%)`);
+  }
+
+  if (goal.frequency) parts.push(goal.frequency);
+
+  if (summary.completed) {
+    parts.push("✅ completed");
+  } else if (summary.overdue) {
+    parts.push("overdue");
+  } else if (summary.days_left !== null) {
+    parts.push(summary.days_left === 0 ? "due today" : `${summary.days_left} day${summary.days_left === 1 ? "" : "s"} left`);
+  }
+
+  return parts.length ? `${goal.description} — ${parts.join(", ")}` : goal.description;
+}
+
+/**
+ * Goals a name used in chat could mean, e.g. "study", "reading" or "gym"
+ * @param {Object[]} goals - The user's goals
+ * @param {string|null} name - Name given, or null when none was
+ * @returns {Object[]} Matching goals; all of them without a name
+ */
+function findGoals(goals, name) {
+  if (!name) return goals;
+
+  const wanted = name.toLowerCase().trim();
+  // "reading" finds "read 2 books", "runs" finds "run 5km"
+  const words = (wanted.match(/[\w'’]+/g) || []).map(word => word.replace(/(?:ing|s)$/, "") || word);
+  return goals.filter(goal =>
+    goal.goal_type === wanted ||
+    words.every(word => goal.description.toLowerCase().includes(word))
+  );
+}
+
+// ============ EXPORTS ============
+
+export {
+  createGoal,
+  updateGoal,
+  recordProgress,
+  getGoalProgress,
+  formatGoalSummary,
+  formatGoalTarget,
+  findGoals,
+  GOAL_TYPES,
+  TIME_PREFERENCES
+};
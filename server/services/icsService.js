@@ -0,0 +1,324 @@
+/**
+ * ICS Service
+ *
+ * iCalendar (RFC 5545) in and out of the app. buildIcs() writes events and
+ * scheduled to-dos as a VCALENDAR feed. parseIcs() reads an uploaded file into
+ * events ready for createCalendarEvent: times keep their TZID (IANA names,
+ * Outlook's Windows names, or the file's own VTIMEZONE), recurring events keep
+ * their RRULE, EXDATE lines and changed instances (RECURRENCE-ID) become
+ * exceptions plus one-off events, and cancelled entries are dropped.
+ * previewImport() lists, for each parsed event, the existing events it would
+ * clash with and whether it was imported before (by UID).
+ */
+
+import crypto from "crypto";
+import { DateTime, Duration } from "luxon";
+import { listEvents, PRIMARY_CALENDAR } from "./calendarService.js";
+import { parseRRule, expandOccurrences, exceptionDates, describeRecurrence } from "../utils/recurrence.js";
+import { isValidTimezone, formatInZone } from "../utils/timezone.js";
+import {
+  escapeText, unescapeText, foldLine, utcStamp, dateStamp, parseComponents, propertyOf, propertiesOf,
+  timezoneDefinitions, resolveZone, parseTime
+} from "../utils/ical.js";
+
+const PRODUCT_ID = "-//AI Productivity Agent//Calendar//EN";
+
+// Files with more events than this are refused
+const MAX_IMPORT_EVENTS = 500;
+
+// Conflicts are looked for in occurrences that start within this many days
+const CONFLICT_WINDOW_DAYS = 90;
+
+const PARTSTATS = {
+  accepted: "ACCEPTED",
+  declined: "DECLINED",
+  tentative: "TENTATIVE",
+  needsAction: "NEEDS-ACTION"
+};
+
+// ============ HELPER FUNCTIONS ============
+
+// An EXDATE line for one parsed time, in UTC (or as a date for all-day series)
+function exdateLine(time) {
+  return time.allDay ? `EXDATE;VALUE=DATE:${dateStamp(time.date)}` : `EXDATE:${utcStamp(time.dt.toJSDate())}`;
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Events and scheduled to-dos as an iCalendar feed
+ * @param {Object} options
+ * @param {Array} options.events - Events from calendarService (normalized)
+ * @param {Array} options.todos - [{ id, title, start, end }] booked to-dos
+ * @param {string} options.name - Calendar name shown by the importing app
+ * @param {string} options.timezone - User's timezone (X-WR-TIMEZONE)
+ * @param {Date} options.now - DTSTAMP
+ * @returns {string} .ics file contents (CRLF line endings)
+ */
+function buildIcs({ events = [], todos = [], name = "Calendar", timezone, now = new Date() }) {
+  const stamp = utcStamp(now);
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${timezone}`
+  ];
+
+  for (const event of events) {
+    // Recurring events are exported as their instances, each with its own UID
+    lines.push("BEGIN:VEVENT", `UID:${event.eventId}@ai-productivity-agent`, `DTSTAMP:${stamp}`);
+
+    if (event.allDay) {
+      // DTEND is exclusive for dates
+      lines.push(`DTSTART;VALUE=DATE:${dateStamp(event.startDate)}`);
+      lines.push(`DTEND;VALUE=DATE:${dateStamp(DateTime.fromISO(event.endDate).plus({ days: 1 }).toISODate())}`);
+    } else {
+      lines.push(`DTSTART:${utcStamp(event.startDateTime)}`, `DTEND:${utcStamp(event.endDateTime)}`);
+    }
+
+    lines.push(`SUMMARY:${escapeText(event.summary)}`);
+    if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+    if (event.joinLink) lines.push(`URL:${event.joinLink}`);
+    lines.push(`TRANSP:${event.busy ? "OPAQUE" : "TRANSPARENT"}`, "STATUS:CONFIRMED");
+
+    for (const attendee of event.attendees || []) {
+      const cn = attendee.name ? `;CN="${attendee.name.replace(/"/g, "")}"` : "";
+      const partstat = PARTSTATS[attendee.responseStatus] || PARTSTATS.needsAction;
+      lines.push(`ATTENDEE${cn};PARTSTAT=${partstat}:mailto:${attendee.email}`);
+    }
+    lines.push("END:VEVENT");
+  }
+
+  for (const todo of todos) {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:todo-${todo.id}@ai-productivity-agent`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${utcStamp(todo.start)}`,
+      `DTEND:${utcStamp(todo.end)}`,
+      `SUMMARY:${escapeText(`🔨 ${todo.title}`)}`,
+      "CATEGORIES:To-do",
+      "TRANSP:OPAQUE",
+      "STATUS:CONFIRMED",
+      "END:VEVENT"
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Read an .ics file
+ * @param {string} text - File contents
+ * @param {Object} options - { timezone: user's timezone, for floating times }
+ * @returns {Object} { name, events: [...], warnings: [string] }
+ *   Each event: { uid, summary, description, location, allDay, startDate, endDate (last day),
+ *   startDateTime, endDateTime, timeZone, recurrence: [lines] | null, busy }
+ * @throws {Error} When the text isn't an iCalendar file or has too many events
+ */
+function parseIcs(text, { timezone }) {
+  const calendar = parseComponents(text).find(component => component.name === "VCALENDAR");
+  if (!calendar) throw new Error("Not an iCalendar file (no BEGIN:VCALENDAR)");
+
+  const warnings = [];
+  const vtimezones = timezoneDefinitions(calendar);
+
+  const zones = {};
+  const zoneOf = tzid => (tzid in zones ? zones[tzid] : (zones[tzid] = resolveZone(tzid, vtimezones, warnings)));
+
+  const components = calendar.children.filter(component => component.name === "VEVENT");
+  if (components.length > MAX_IMPORT_EVENTS) {
+    throw new Error(`The file has ${components.length} events; at most ${MAX_IMPORT_EVENTS} can be imported at once`);
+  }
+
+  const events = [];
+  const exceptions = [];
+
+  for (const component of components) {
+    const text = name => {
+      const property = propertyOf(component, name);
+      return property ? unescapeText(property.value).trim() : null;
+    };
+
+    const startProperty = propertyOf(component, "DTSTART");
+    const start = startProperty && parseTime(startProperty, zoneOf, timezone);
+    const summary = text("SUMMARY") || "No title";
+    if (!start) {
+      warnings.push(`Skipped "${summary}": it has no readable start time.`);
+      continue;
+    }
+
+    const uid = text("UID") || crypto.createHash("sha1").update(`${summary}|${startProperty.value}`).digest("hex");
+    const recurrenceIdProperty = propertyOf(component, "RECURRENCE-ID");
+    const recurrenceId = recurrenceIdProperty && parseTime(recurrenceIdProperty, zoneOf, timezone);
+
+    // A changed or cancelled instance: taken out of its series, and added back as a one-off if it still happens
+    if (recurrenceId) exceptions.push({ uid, recurrenceId });
+    if ((text("STATUS") || "").toUpperCase() === "CANCELLED") continue;
+
+    const endProperty = propertyOf(component, "DTEND");
+    const durationProperty = propertyOf(component, "DURATION");
+    let end = endProperty && parseTime(endProperty, zoneOf, timezone);
+    if (!end || end.allDay !== start.allDay) {
+      const duration = durationProperty ? Duration.fromISO(durationProperty.value) : null;
+      end = start.allDay
+        ? { allDay: true, date: DateTime.fromISO(start.date).plus(duration?.isValid ? duration : { days: 1 }).toISODate() }
+        : { allDay: false, dt: start.dt.plus(duration?.isValid ? duration : {}), zone: start.zone };
+    }
+
+    const event = {
+      uid: recurrenceId ? `${uid}/${recurrenceId.allDay ? dateStamp(recurrenceId.date) : utcStamp(recurrenceId.dt.toJSDate())}` : uid,
+      summary,
+      description: text("DESCRIPTION"),
+      location: text("LOCATION"),
+      allDay: start.allDay,
+      busy: (text("TRANSP") || "OPAQUE").toUpperCase() !== "TRANSPARENT",
+      recurrence: null
+    };
+
+    if (start.allDay) {
+      // DTEND is exclusive; the app works with the last day
+      const lastDay = DateTime.fromISO(end.date).minus({ days: 1 }).toISODate();
+      Object.assign(event, { startDate: start.date, endDate: lastDay > start.date ? lastDay : start.date, timeZone: null });
+    } else {
+      Object.assign(event, {
+        startDateTime: start.dt.toISO({ suppressMilliseconds: true }),
+        endDateTime: end.dt < start.dt ? start.dt.toISO({ suppressMilliseconds: true }) : end.dt.toISO({ suppressMilliseconds: true }),
+        // Google needs an IANA name; fixed offsets fall back to the user's timezone
+        timeZone: isValidTimezone(start.zone) ? start.zone : null
+      });
+    }
+
+    const rrule = propertyOf(component, "RRULE");
+    if (rrule && !recurrenceId) {
+      event.recurrence = [`RRULE:${rrule.value}`];
+      for (const exdate of propertiesOf(component, "EXDATE")) {
+        for (const value of exdate.value.split(",")) {
+          const excluded = parseTime({ params: exdate.params, value }, zoneOf, start.zone || timezone);
+          if (excluded) event.recurrence.push(exdateLine(excluded));
+        }
+      }
+    }
+
+    events.push(event);
+  }
+
+  for (const { uid, recurrenceId } of exceptions) {
+    const master = events.find(event => event.uid === uid && event.recurrence);
+    if (master) master.recurrence.push(exdateLine(recurrenceId));
+  }
+
+  const name = propertyOf(calendar, "X-WR-CALNAME")?.value || null;
+  return { name: name && unescapeText(name), events, warnings: [...new Set(warnings)] };
+}
+
+/**
+ * Start and end instants of a parsed event's occurrences in the conflict window
+ * @param {Object} event - From parseIcs
+ * @param {string} timezone - User's timezone (for all-day dates)
+ * @param {Date} now - Current time
+ * @returns {Object} { occurrences: [{ start, end }], repeats: string|null, readable: boolean }
+ */
+function occurrencesOf(event, timezone, now) {
+  const zone = event.timeZone || timezone;
+  const start = event.allDay ? DateTime.fromISO(event.startDate, { zone }) : DateTime.fromISO(event.startDateTime, { zone });
+  const end = event.allDay ? DateTime.fromISO(event.endDate, { zone }).plus({ days: 1 }) : DateTime.fromISO(event.endDateTime, { zone });
+  const windowEnd = DateTime.fromJSDate(now).plus({ days: CONFLICT_WINDOW_DAYS });
+
+  const rule = event.recurrence ? parseRRule(event.recurrence[0], zone) : null;
+  const skipped = exceptionDates(event.recurrence, zone);
+  const dates = rule ? expandOccurrences(start.toISODate(), rule).filter(date => !skipped.has(date)) : [start.toISODate()];
+
+  const occurrences = dates
+    .map(date => {
+      const occurrenceStart = DateTime.fromISO(`${date}T${start.toFormat("HH:mm:ss")}`, { zone });
+      return { start: occurrenceStart, end: occurrenceStart.plus(end.diff(start)) };
+    })
+    .filter(occurrence => occurrence.end.toJSDate() > now && occurrence.start < windowEnd)
+    .map(occurrence => ({ start: occurrence.start.toJSDate(), end: occurrence.end.toJSDate() }));
+
+  return {
+    occurrences,
+    repeats: event.recurrence ? (rule ? describeRecurrence(rule) : "repeats (only the first time was checked)") : null,
+    readable: !event.recurrence || Boolean(rule)
+  };
+}
+
+/**
+ * What importing parsed events would do: clashes with busy time and events imported before
+ * @param {string} userId - User id
+ * @param {Array} events - From parseIcs
+ * @param {Object} options - { prefs, calendarIds: calendars to check, now }
+ * @returns {Promise<Array>} Per event: { uid, summary, when, repeats, duplicate, conflicts: [{ eventId, summary, when }] }
+ */
+async function previewImport(userId, events, { prefs, calendarIds = [PRIMARY_CALENDAR], now = new Date() }) {
+  const expanded = events.map(event => ({ event, ...occurrencesOf(event, prefs.timezone, now) }));
+  const all = expanded.flatMap(entry => entry.occurrences);
+
+  const existing = all.length
+    ? await listEvents(userId, {
+      calendarIds,
+      timeMin: new Date(Math.min(...all.map(occurrence => occurrence.start.getTime()))).toISOString(),
+      timeMax: new Date(Math.max(...all.map(occurrence => occurrence.end.getTime()))).toISOString(),
+      timeZone: prefs.timezone
+    })
+    : [];
+
+  const timeOptions = { weekday: "short", day: "numeric", month: "short", hour: "numeric", minute: "2-digit", hour12: true };
+  // All-day dates are formatted as noon UTC so no timezone shifts them a day
+  const dayOf = (date) => formatInZone(`${date}T12:00:00Z`, { ...prefs, timezone: "UTC" }, { weekday: "short", day: "numeric", month: "short", year: "numeric" });
+  const whenOf = (event) => {
+    if (!event.allDay) return formatInZone(event.startDateTime, prefs, { ...timeOptions, year: "numeric" });
+    // endDate is the last day, so a Mon–Wed conference reads as such
+    const days = event.endDate > event.startDate ? `${dayOf(event.startDate)} – ${dayOf(event.endDate)}` : dayOf(event.startDate);
+    return `${days} (all day)`;
+  };
+
+  return expanded.map(({ event, occurrences, repeats }) => {
+    const duplicate = existing.some(other => other.icsUid === event.uid);
+    const conflicts = [];
+
+    if (event.busy && !duplicate) {
+      for (const occurrence of occurrences) {
+        for (const other of existing) {
+          if (!other.busy || other.icsUid === event.uid) continue;
+          if (new Date(other.startDateTime) < occurrence.end && new Date(other.endDateTime) > occurrence.start) {
+            conflicts.push({
+              eventId: other.eventId,
+              calendarId: other.calendarId,
+              summary: other.summary,
+              when: other.allDay ? "all day" : formatInZone(other.startDateTime, prefs, timeOptions),
+              occurrence: occurrence.start.toISOString()
+            });
+          }
+        }
+      }
+    }
+
+    return {
+      uid: event.uid,
+      summary: event.summary,
+      when: whenOf(event),
+      allDay: event.allDay,
+      repeats,
+      location: event.location,
+      duplicate,
+      conflicts
+    };
+  });
+}
+
+// ============ EXPORTS ============
+
+export {
+  MAX_IMPORT_EVENTS,
+  CONFLICT_WINDOW_DAYS,
+  buildIcs,
+  parseIcs,
+  previewImport
+};
@@ -2,11 +2,10 @@ import dotenv from "dotenv";
 import * as chrono from "chrono-node";
 import { DateTime } from "luxon";
 import OpenAI from "openai";
+import { resolvePreferences, zonedReference, todayIn } from "../utils/timezone.js";
 
 dotenv.config();
 
-const TIMEZONE = "Australia/Sydney";
-const today = DateTime.now().setZone(TIMEZONE).toISODate();
 const OPENAI_KEY = process.env.OPENAI_API_KEY || null;
 const useLLM = Boolean(OPENAI_KEY);
 
@@ -15,6 +14,117 @@ if (useLLM) {
   openaiClient = new OpenAI({ apiKey: OPENAI_KEY });
 }
 
+// Cancel requests that mean every event in a day or range rather than one event
+const BULK_CANCEL_PATTERN = /\b(?:everything|clear\s+(?:my|the)\s+(?:day|calendar|schedule|week)|clear\s+(?:today|tomorrow|next\s+week)|all\s+(?:of\s+)?(?:my\s+)?(?:events|meetings|appointments|plans))\b/;
+
+// Requests for whole days rather than a time: "block Friday off", "take Monday to Wednesday off"
+const DAY_OFF_PATTERN = /\b(?:block|take|taking|book|mark)\b.*\boff\b|\bdays?\s+off\b|\bout\s+of\s+(?:the\s+)?office\b/;
+const ALL_DAY_PATTERN = /\ball[\s-]day\b/;
+
+// "... to my work calendar", "... in the team calendar"
+const CALENDAR_PATTERN = /\s*\b(?:to|on|in|into)\s+(?:my|the|our)\s+([a-z0-9][\w'&-]*(?:\s+[\w'&-]+){0,3}?)\s+calendar\b/i;
+
+// Email addresses in a message (trailing punctuation is trimmed separately)
+const EMAIL_ADDRESS_PATTERN = /[^\s@<>,;"'()]+@[^\s@<>,;"'()]+\.[^\s@<>,;"'()]+/g;
+
+// "with sam@x.com and priya@y.com", "invite sam@x.com, priya@y.com"
+const ATTENDEE_LIST_PATTERN = /\s*\b(?:with|invite|inviting|and\s+invite)\s+[^\s@]+@[^\s@]+(?:\s*(?:,|and|&)\s*[^\s@]+@[^\s@]+)*/i;
+
+// "who hasn't responded to the design review?", "RSVPs for Friday's dinner", "who's coming to lunch"
+const RSVP_PATTERN = /\bwho\s+(?:hasn['’]?t|has\s+not|haven['’]?t|have\s+not|didn['’]?t|did\s+not)\s+(?:yet\s+)?(?:responded|replied|answered|rsvp['’]?d|accepted)\b|\brsvps?\b|\bwho(?:['’]s|\s+is)\s+coming\b|\bwho\s+(?:has\s+)?(?:accepted|declined)\b/;
+
+// "find a time with Alex and Jordan next week", "when can I meet sam@x.com tomorrow?"
+const FIND_TIME_PATTERN = /\b(?:find|suggest|pick|look\s+for)\b.*\b(?:time|slot|meeting|minutes|mins|hours?)\b.*\bwith\b|\bwhen\s+(?:can|could|should)\s+(?:i|we)\s+meet\b|\bwhen\s+(?:is|are)\s+.+\s+(?:both\s+|all\s+)?free\b/;
+
+// "delete my study goal", "change my reading goal to 3 books", "remove the goal to run 5km":
+// the verb, the goal's name before "goal" and whatever follows it
+const GOAL_EDIT_PATTERN = /\b(update|change|modify|edit|move|delete|remove|drop)\s+(?:my\s+|the\s+)?((?:[\w'’-]+\s+){0,3}?)goal\b\s*(.*)$/i;
+
+// The people in a meeting request, up to the first word about when or how long
+const MEETING_PEOPLE_PATTERN = /\b(?:with|meet(?:\s+with)?|when\s+(?:is|are))\s+(.+?)(?=\s+(?:both|all|next|this|tomorrow|today|on|for|in|during|sometime|at|before|by|free|to|about)\b|[?!]|\.(?:\s|$)|$)/i;
+
+// Where an event is: "at the Surry Hills office", "at Cafe Sydney", "in room 4.02", "location: 12 High St".
+// Place names after a bare "at" must be capitalised so "at noon" or "at lunch" aren't places.
+const LOCATION_PATTERN = /\s*\b(?:(?:at|@)\s+(the\s+[^,.;!?]+?|[A-Z][\w'&-]*(?:\s+(?:[A-Z][\w'&-]*|\d[\w.-]*))*)|in\s+((?:the\s+)?(?:room|building|level|floor|office|boardroom)\s*[\w.-]*)|(?:location|venue|where)\s*:\s*([^,;!?\n]+?))(?=\s+(?:on|at|tomorrow|today|tonight|next|this|from|for|with|and|to|every|each|starting|until|by|in|remind|no)\b|[,;!?]|\.(?:\s|$)|\s*$)/;
+const NOT_A_PLACE = /^(?:the\s+(?:morning|afternoon|evening|weekend|end|start|beginning|same|usual|latest|earliest)\b|(?:noon|midnight|night|lunch(?:time)?|breakfast|dinner)$|(?:january|february|march|april|may|june|july|august|september|october|november|december|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b)/i;
+
+// "with a Meet link", "add a video call link", "on Google Meet", "as a video call"
+const CONFERENCE_PATTERN = /\s*(?:,\s*|\b(?:and|with|plus)\s+)?(?:add\s+)?(?:an?\s+)?\b(?:(?:google\s+)?meet|video(?:\s+call)?|conference|hangouts?)\s+link\b|\s*\b(?:on|via|over)\s+google\s+meet\b|\s*\bas\s+a\s+video\s+call\b/i;
+
+/**
+ * The place named in a message
+ * @param {string} text - Message
+ * @returns {Object|null} { location, phrase } or null
+ */
+function extractLocation(text) {
+  const match = text.match(LOCATION_PATTERN);
+  if (!match) return null;
+
+  const location = (match[1] || match[2] || match[3]).trim();
+  if (NOT_A_PLACE.test(location) || /\bcalendar$/i.test(location)) return null;
+  return { location: location.replace(/^the\s+(?=[A-Z])/, ""), phrase: match[0] };
+}
+
+// "remind me 30 minutes before", "with a reminder a day and an hour before", "email me a day before"
+const REMINDER_LEAD = String.raw`(?:\d+|an?|one|half\s+an)\s*(?:minutes?|mins?|hours?|hrs?|days?|weeks?)`;
+const REMINDER_PATTERN = new RegExp(String.raw`\s*(?:,\s*|\band\s+)?\b(remind\s+me|e-?mail\s+me|notify\s+me|alert\s+me|(?:with\s+|set\s+|add\s+)?(?:an?\s+|the\s+)?(?:e-?mail\s+)?reminders?)\s+((?:${REMINDER_LEAD}(?:\s*(?:,|and|&)\s*)?)+?)\s*(?:before(?:hand)?|ahead|earlier|in\s+advance|prior)\b`, "i");
+
+// "no reminder", "without reminders", "turn off the reminders", "don't remind me"
+const NO_REMINDER_PATTERN = /\s*(?:,\s*|\band\s+)?\b(?:(?:no|without(?:\s+any)?|turn\s+off(?:\s+the)?|remove(?:\s+the)?|clear(?:\s+the)?|disable(?:\s+the)?)\s+reminders?|don['’]?t\s+remind\s+me)\b/i;
+
+// "set the reminder for the dentist to 1 hour before"
+const REMINDER_TARGET_PATTERN = new RegExp(String.raw`\b(?:set|change|update|make)\s+(?:the\s+|my\s+)?(e-?mail\s+)?reminders?\s+(?:for|on)\s+(.+?)\s+to\s+((?:${REMINDER_LEAD}(?:\s*(?:,|and|&)\s*)?)+)`, "i");
+
+// Requests that are only about the reminders of an existing event start with the reminder
+const REMINDER_REQUEST_PATTERN = /^(?:please\s+|can\s+you\s+|could\s+you\s+)?(?:remind\s+me|e-?mail\s+me|notify\s+me|alert\s+me|(?:set|add|change|update|make|turn\s+off|remove|clear|disable)\s+(?:a\s+|an\s+|the\s+|my\s+)?(?:e-?mail\s+)?reminders?|no\s+reminders?|don['’]?t\s+remind\s+me)\b/;
+
+/**
+ * Minutes before the event for each lead time in "a day and 30 minutes"
+ * @param {string} text - Lead times
+ * @returns {number[]} e.g. [1440, 30]
+ */
+function parseReminderLeads(text) {
+  return [...text.matchAll(/(\d+|an?|one|half\s+an)\s*(minutes?|mins?|hours?|hrs?|days?|weeks?)/gi)].map(([, amount, unit]) => {
+    const count = /^\d+$/.test(amount) ? parseInt(amount) : /^half/i.test(amount) ? 0.5 : 1;
+    const size = /^w/i.test(unit) ? 10080 : /^d/i.test(unit) ? 1440 : /^h/i.test(unit) ? 60 : 1;
+    return Math.round(count * size);
+  });
+}
+
+/**
+ * Reminders asked for in a message
+ * @param {string} text - Message
+ * @returns {Object|null} { reminders: [{ method, minutes }] or [] for none, phrase, target } or null if none were mentioned
+ */
+function extractReminders(text) {
+  const targetMatch = text.match(REMINDER_TARGET_PATTERN);
+  if (targetMatch) {
+    const method = targetMatch[1] ? "email" : "popup";
+    return {
+      reminders: parseReminderLeads(targetMatch[3]).map(minutes => ({ method, minutes })),
+      phrase: targetMatch[0],
+      target: targetMatch[2]
+    };
+  }
+
+  const match = text.match(REMINDER_PATTERN);
+  if (match) {
+    const method = /e-?mail/i.test(match[1]) ? "email" : "popup";
+    return {
+      reminders: parseReminderLeads(match[2]).map(minutes => ({ method, minutes })),
+      phrase: match[0],
+      target: null
+    };
+  }
+
+  const noneMatch = text.match(NO_REMINDER_PATTERN);
+  return noneMatch ? { reminders: [], phrase: noneMatch[0], target: null } : null;
+}
+
+function extractEmailAddresses(text) {
+  return (text.match(EMAIL_ADDRESS_PATTERN) || []).map(address => address.replace(/[.)]+$/, ""));
+}
+
 function cleanText(t) {
   return (t || "").toString().trim();
 }
@@ -31,9 +141,10 @@ function detectYesNo(msg) {
   return null;
 }
 
+// chrono results are parsed against zonedReference(), so their local fields are the user's wall clock
 function toISODate(jsDate) {
   try {
-    return DateTime.fromJSDate(jsDate).setZone(TIMEZONE).toISODate();
+    return DateTime.fromJSDate(jsDate).toISODate();
   } catch {
     return null;
   }
@@ -41,7 +152,7 @@ function toISODate(jsDate) {
 
 function toHHMM(jsDate) {
   try {
-    return DateTime.fromJSDate(jsDate).setZone(TIMEZONE).toFormat("HH:mm");
+    return DateTime.fromJSDate(jsDate).toFormat("HH:mm");
   } catch {
     return null;
   }
@@ -49,7 +160,7 @@ function toHHMM(jsDate) {
 
 /**
  * Detect if message is about goal management (create/update/delete goals)
- * These requests should be redirected to the Goals section
+ * These requests are parsed in goal_management context so they land on the goal intents
  */
 function isGoalManagementRequest(message) {
   const lower = message.toLowerCase();
@@ -58,8 +169,7 @@ function isGoalManagementRequest(message) {
     /\b(set|create|add|make|new)\s+(?:a\s+)?goal\b/i,
     /\bgoal\s+(?:to|of|is)\b/i,
     /\bmy\s+goal\s+is\b/i,
-    /\b(update|change|modify|edit)\s+(?:my\s+)?goal/i,
-    /\b(delete|remove|drop)\s+(?:my\s+)?goal/i,
+    GOAL_EDIT_PATTERN,
     /\btrack\s+(?:my\s+)?progress\b/i,
     /\b(?:what|show|list|view|display)\s+(?:are\s+)?(?:my\s+|the\s+)?goals?\b/i,
     /^(?:my\s+)?goals?\??$/i,
@@ -72,8 +182,51 @@ function isGoalManagementRequest(message) {
   return goalKeywords.some(pattern => pattern.test(message));
 }
 
+/**
+ * Pull a goal's target, frequency and deadline out of text such as
+ * "study 10 hours before Friday" or "to 3 times per week"
+ * @param {string} text - Goal description, or the changes asked for
+ * @param {Object} prefs - User preferences (timezone for the deadline)
+ * @returns {Object} Only the fields found: target_amount, target_unit, frequency, deadline
+ */
+function extractGoalFields(text, prefs) {
+  const fields = {};
+
+  // Match patterns like "10 hours", "3 times", "5km", "5 km"
+  const targetMatch = text.match(/(\d+)\s*(hours?|times?|sessions?|km|kilometers?|minutes?|days?|weeks?|months?)/i);
+  if (targetMatch) {
+    fields.target_amount = parseInt(targetMatch[1]);
+    fields.target_unit = targetMatch[2].toLowerCase();
+    // Normalize plural forms
+    if (fields.target_unit.endsWith('s')) {
+      fields.target_unit = fields.target_unit.slice(0, -1);
+    }
+  }
+
+  // Extract frequency (Step 1.5)
+  if (/\b(every\s+day|daily|every\s+night|nightly|each\s+day)\b/i.test(text)) {
+    fields.frequency = "daily";
+  } else if (/\b(per\s+week|weekly|every\s+week|each\s+week)\b/i.test(text)) {
+    fields.frequency = "weekly";
+  } else if (/\b(\d+)x?\s+per\s+week\b/i.test(text)) {
+    const freqMatch = text.match(/(\d+)x?\s+per\s+week/i);
+    fields.frequency = `${freqMatch[1]}x per week`;
+  } else if (/\bmonthly\b/i.test(text)) {
+    fields.frequency = "monthly";
+  }
+
+  // Simple "by Friday" / "before Oct 10" / "deadline to Friday"; complex phrasing is left to the LLM
+  const deadlineMatch = text.match(/\b(?:by|before|deadline(?:\s+(?:to|is))?)\s+(.+)$/i);
+  if (deadlineMatch) {
+    const deadlineDate = chrono.parseDate(deadlineMatch[1], zonedReference(prefs.timezone), { forwardDate: true });
+    if (deadlineDate) fields.deadline = toISODate(deadlineDate);
+  }
+
+  return fields;
+}
+
 // Enhanced local parser for personal productivity
-function localParse(message, session = {}) {
+function localParse(message, session = {}, prefs = resolvePreferences()) {
   const raw = cleanText(message);
   const lower = raw.toLowerCase();
 
@@ -86,6 +239,13 @@ function localParse(message, session = {}) {
     notes: null,
     old_date: null,
     old_time: null,
+    end_date: null, // Last day of a range for bulk cancels and all-day events (YYYY-MM-DD)
+    all_day: null, // true for events that take whole days ("block Friday off")
+    calendar: null, // Name of the calendar a new event goes in ("work")
+    attendees: null, // Guests to invite to a new event: ["sam@example.com"]
+    reminders: null, // Reminders asked for: [{ method: "popup" | "email", minutes }], [] for none; null when not mentioned
+    location: null, // Where a new event is ("Surry Hills office")
+    conference: null, // true when a new event should get a Google Meet link
     reply: null,
     confirmation_response: null,
     goal_description: null,
@@ -101,10 +261,52 @@ function localParse(message, session = {}) {
     recurrence_count: null, // Number of occurrences
     recurrence_end_date: null, // Alternative to count (YYYY-MM-DD)
     recurrence_interval: null, // Every N days/weeks (default 1)
+    recurrence_scope: null, // "single" | "series" when cancelling/moving a recurring event
+
+    // Email fields
+    email_to: null, // ["sam@example.com"]
+    email_subject: null,
+    email_body: null,
   };
 
+  // A recurring event still collecting details should keep receiving follow-up answers
+  const pendingRecurring = (session.activeEvents || []).find(e => e.recurrence && !e.confirmed && !e.preConfirmed) || null;
+
   // Intent detection for personal productivity - enhanced delete/cancel recognition
-  if (/\b(set|create|add)\s+(?:a\s+)?goal\b/.test(lower)) {
+  const goalEdit = raw.match(GOAL_EDIT_PATTERN);
+  if (goalEdit) {
+    // Must come before cancel/reschedule so "delete my goal" never touches the calendar
+    const [, verb, name, rest] = goalEdit;
+    if (/^(?:delete|remove|drop)$/i.test(verb)) {
+      res.intent = "delete_goal";
+      // "delete my study goal" or "delete the goal to study 10 hours"
+      res.goal_description = name.trim() || rest.replace(/^(?:to|for|of|about)\s+/i, "").replace(/[.!?]+$/, "").trim() || null;
+    } else {
+      res.intent = "update_goal";
+      res.goal_description = name.trim() || null;
+      Object.assign(res, extractGoalFields(rest, prefs));
+    }
+    return res;
+  } else if (/\b(send|write|compose|draft)\b.*\b(e-?mail|mail)\b/.test(lower) || /^e-?mail\s+\S+@/.test(lower)) {
+    // Before cancel/reschedule: "email sam@x.com to cancel lunch" is an email, not a cancellation
+    res.intent = "send_email";
+  } else if (/^(?:please\s+)?(?:undo|revert|reverse)\b/.test(lower) || /\b(?:undo that|take that back|put it back)\b/.test(lower)) {
+    // Before cancel: "undo that cancel" reverses the last change rather than cancelling something
+    res.intent = "undo";
+    return res;
+  } else if (FIND_TIME_PATTERN.test(lower)) {
+    // Before create: "find a time for a meeting with Alex" asks for options, it doesn't book yet
+    res.intent = "find_meeting_time";
+  } else if (RSVP_PATTERN.test(lower)) {
+    // Before cancel/create: "who declined the meeting" is a question about guests
+    res.intent = "check_rsvp";
+  } else if (REMINDER_REQUEST_PATTERN.test(lower) && extractReminders(raw)) {
+    // Before cancel/reschedule: "remove the reminders for standup" changes reminders, not the event
+    res.intent = "set_reminder";
+  } else if (/\b(set|create|add)\s+(?:a\s+)?goal\b/.test(lower)) {
+    res.intent = "set_goal";
+  } else if (/\b(?:i\s+want\s+to|i\s+need\s+to|i['’]?d\s+like\s+to|my\s+goal\s+is(?:\s+to)?)\s+\w+\s+\d+/.test(lower)) {
+    // Measurable "I want to run 5km" style targets
     res.intent = "set_goal";
   } else if (/\b(what|show|list|view|display)\s+(are\s+)?(my\s+|the\s+)?goals?\b/i.test(lower)) {
     res.intent = "check_goals";
@@ -132,13 +334,33 @@ function localParse(message, session = {}) {
     } else {
       res.intent = "create_event";
     }
+  } else if (DAY_OFF_PATTERN.test(lower) || (ALL_DAY_PATTERN.test(lower) && /\b(create|add|schedule|book|make|plan|block)\b/.test(lower))) {
+    // "block Friday off", "add an all-day workshop on Friday"
+    res.intent = "create_event";
   } else if (/\b(what do i have|what's my schedule|my appointments|my calendar|check|show me|what do i have)\b/.test(lower)) {
     res.intent = "check_schedule";
+  } else if (/\bevery\s+(day|other day|weekday|week|monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/.test(lower) && /\d/.test(lower)) {
+    // "Gym every Monday at 8am for 4 weeks" - recurring request without "create event"
+    res.intent = "create_recurring_event";
+  }
+
+  // Extract recipients, subject and body for send_email intent
+  if (res.intent === "send_email") {
+    const addresses = extractEmailAddresses(raw);
+    if (addresses.length) res.email_to = addresses;
+
+    const subjectMatch = raw.match(/\b(?:subject|titled)\s*:?\s*["']?([^"'\n]+?)["']?(?=\s+(?:saying|that says|with body|body)\b|$)/i) ||
+      raw.match(/\babout\s+["']?([^"'\n]+?)["']?(?=\s+(?:saying|that says|with body|body)\b|$)/i);
+    if (subjectMatch) res.email_subject = subjectMatch[1].trim();
+
+    const bodyMatch = raw.match(/\b(?:saying|that says|with body|body)\s*:?\s*["']?([\s\S]+?)["']?$/i);
+    if (bodyMatch) res.email_body = bodyMatch[1].trim();
   }
 
   // Extract goal description for set_goal intent
   if (res.intent === "set_goal") {
-    const goalMatch = raw.match(/(?:set|create|add)\s+(?:a\s+)?goal\s+(?:to\s+)?(.+)/i);
+    const goalMatch = raw.match(/(?:set|create|add)\s+(?:a\s+)?goal\s+(?:to\s+)?(.+)/i) ||
+      raw.match(/(?:I\s+want\s+to|I\s+need\s+to|I['’]?d\s+like\s+to|my\s+goal\s+is(?:\s+to)?)\s+(.+)/i);
     if (goalMatch) {
       res.goal_description = goalMatch[1].trim();
     }
@@ -168,34 +390,9 @@ function localParse(message, session = {}) {
     }
   }
 
-  // Extract target amount and unit (Step 1.5)
+  // Extract target amount and unit, frequency and deadline (Step 1.5)
   if (res.intent === "set_goal" && res.goal_description) {
-    const desc = res.goal_description;
-
-    // Match patterns like "10 hours", "3 times", "5km", "5 km"
-    const targetMatch = desc.match(/(\d+)\s*(hours?|times?|sessions?|km|kilometers?|minutes?|days?|weeks?|months?)/i);
-    if (targetMatch) {
-      res.target_amount = parseInt(targetMatch[1]);
-      res.target_unit = targetMatch[2].toLowerCase();
-      // Normalize plural forms
-      if (res.target_unit.endsWith('s')) {
-        res.target_unit = res.target_unit.slice(0, -1);
-      }
-    }
-
-    // Extract frequency (Step 1.5)
-    if (/\b(every\s+day|daily|every\s+night|nightly|each\s+day)\b/i.test(desc)) {
-      res.frequency = "daily";
-    } else if (/\b(per\s+week|weekly|every\s+week|each\s+week)\b/i.test(desc)) {
-      res.frequency = "weekly";
-    } else if (/\b(\d+)x?\s+per\s+week\b/i.test(desc)) {
-      const freqMatch = desc.match(/(\d+)x?\s+per\s+week/i);
-      res.frequency = `${freqMatch[1]}x per week`;
-    } else if (/\bmonthly\b/i.test(desc)) {
-      res.frequency = "monthly";
-    }
-
-    // Note: Complex deadline parsing left to LLM (will use chrono-node)
+    Object.assign(res, extractGoalFields(res.goal_description, prefs));
   }
 
   // Extract event title from various patterns
@@ -233,11 +430,98 @@ function localParse(message, session = {}) {
     }
   }
 
+  // "add a meeting with Sam to my work calendar" -> calendar "work", title without it
+  const calendarMatch = raw.match(CALENDAR_PATTERN);
+  if (calendarMatch && (res.intent === "create_event" || res.intent === "create_recurring_event")) {
+    res.calendar = calendarMatch[1].trim();
+    if (res.title) res.title = res.title.replace(CALENDAR_PATTERN, "").trim() || null;
+  }
+
+  // "meeting with sam@x.com and priya@y.com" -> guests to invite, title without them
+  if (res.intent === "create_event" || res.intent === "create_recurring_event") {
+    const addresses = extractEmailAddresses(raw);
+    if (addresses.length) {
+      res.attendees = addresses;
+      if (res.title) {
+        res.title = res.title.replace(ATTENDEE_LIST_PATTERN, "").replace(EMAIL_ADDRESS_PATTERN, "").trim() || "Meeting";
+      }
+    }
+  }
+
+  // "lunch at Cafe Sydney with a Meet link" -> location and conference, title without them
+  const place = res.intent === "create_event" || res.intent === "create_recurring_event" ? extractLocation(raw) : null;
+  if (res.intent === "create_event" || res.intent === "create_recurring_event") {
+    if (place) {
+      res.location = place.location;
+      if (res.title) res.title = res.title.replace(place.phrase, "").trim() || null;
+    }
+
+    if (CONFERENCE_PATTERN.test(raw)) {
+      res.conference = true;
+      if (res.title) res.title = res.title.replace(CONFERENCE_PATTERN, "").trim() || null;
+    }
+  }
+
+  // "... and remind me 30 minutes before" -> reminders, title without them
+  const reminderRequest = extractReminders(raw);
+  if (reminderRequest && (res.intent === "create_event" || res.intent === "create_recurring_event")) {
+    res.reminders = reminderRequest.reminders;
+    if (res.title) res.title = res.title.replace(reminderRequest.phrase, "").trim() || null;
+  }
+
+  // "remind me an hour before the dentist on Friday", "no reminders for standup" -> "dentist", "standup"
+  if (res.intent === "set_reminder") {
+    res.reminders = reminderRequest.reminders;
+    const rest = reminderRequest.target || raw.slice(raw.indexOf(reminderRequest.phrase) + reminderRequest.phrase.length);
+    const aboutMatch = rest.match(/^\s*(?:(?:for|on|about|of|before|to)\s+)?(?:the\s+|my\s+|our\s+)?(.+?)(?:\s+(?:on|this|next|tomorrow|today)\b.*)?[?.!]?$/i);
+    res.title = aboutMatch && !/^(?:it|that|this|the\s+(?:event|meeting))$/i.test(aboutMatch[1].trim())
+      ? aboutMatch[1].replace(/['’]s$/, "").trim()
+      : null;
+  }
+
+  // "find 30 minutes for the design sync with Alex and Jordan next week"
+  if (res.intent === "find_meeting_time") {
+    const peopleMatch = raw.match(MEETING_PEOPLE_PATTERN);
+    res.attendees = peopleMatch
+      ? peopleMatch[1].split(/\s*(?:,|\band\b|&)\s*/).map(person => person.trim()).filter(person => person && !/^(?:me|us|i)$/i.test(person))
+      : null;
+    if (res.attendees && res.attendees.length === 0) res.attendees = null;
+
+    const titleMatch = raw.match(/\b(?:for|called|titled)\s+(?:a\s+|an\s+|the\s+|our\s+)?(.+?)\s+with\b/i);
+    res.title = titleMatch && !/^(?:meeting|call|time|\d+\s*\w+)$/i.test(titleMatch[1]) ? titleMatch[1].trim() : null;
+
+    const durationMatch = lower.match(/\b(\d+)\s*(minutes?|mins?|hours?|hrs?)\b/);
+    if (durationMatch) {
+      res.duration_minutes = parseInt(durationMatch[1]) * (/^h/.test(durationMatch[2]) ? 60 : 1);
+    } else if (/\bhalf\s+an\s+hour\b/.test(lower)) {
+      res.duration_minutes = 30;
+    } else if (/\ban\s+hour\b/.test(lower)) {
+      res.duration_minutes = 60;
+    }
+
+  }
+
+  // "who hasn't responded to the design review on Friday" -> "design review"
+  if (res.intent === "check_rsvp") {
+    const aboutMatch = raw.match(/\b(?:to|for|from|in|at)\s+(?:the\s+|my\s+|our\s+)?(.+?)(?:\s+(?:on|this|next|tomorrow|today)\b.*)?\??$/i);
+    res.title = aboutMatch && !/^(?:it|that|this|the\s+(?:event|meeting|invite|invitation))$/i.test(aboutMatch[1].trim())
+      ? aboutMatch[1].replace(/['’]s$/, "").trim()
+      : null;
+  }
+
+  // "Gym every Monday" -> "Gym": the recurrence is captured in its own fields
+  if (res.intent === "create_recurring_event" && res.title) {
+    res.title = res.title
+      .replace(/\s+(?:every|each|daily|weekly|for\s+\d+|starting|until)\b.*$/i, "")
+      .trim() || null;
+  }
+
   // Handle confirmations - check for pending operations first
   const yn = detectYesNo(raw);
   const inProgressEvent = (session.activeEvents || []).find(e => e.preConfirmed && !e.confirmed) || null;
   const inProgressReschedule = session.rescheduleState && session.rescheduleState.preConfirmed;
-
+  const inProgressCancel = session.cancelState && session.cancelState.preConfirmed;
+  const inProgressEmail = session.emailDraft && session.emailDraft.preConfirmed;
 
   // Simple yes/no responses - be very specific about context
   if ((lower === "yes" || lower === "no" || lower === "y" || lower === "n") && yn) {
@@ -249,13 +533,27 @@ function localParse(message, session = {}) {
       return res;
     }
 
-    // PRIORITY 2: If there's an active event creation waiting for confirmation
+    // PRIORITY 2: If there's a cancel waiting for confirmation
+    if (inProgressCancel) {
+      res.intent = "cancel";
+      res.confirmation_response = yn;
+      return res;
+    }
+
+    // PRIORITY 3: If there's an active event creation waiting for confirmation
     if (inProgressEvent && !inProgressReschedule) {
       res.intent = "create_event";
       res.confirmation_response = yn;
       res.reply = yn === "yes" ? "Creating event." : "Making changes to event.";
       return res;
     }
+
+    // PRIORITY 4: If there's an email draft waiting for confirmation
+    if (inProgressEmail) {
+      res.intent = "send_email";
+      res.confirmation_response = yn;
+      return res;
+    }
   }
 
   // More detailed confirmations with additional words
@@ -275,8 +573,10 @@ function localParse(message, session = {}) {
     }
   }
 
-  // Date/time parsing with chrono
-  const chronoResults = chrono.parse(raw, new Date(), { forwardDate: true });
+  // Date/time parsing with chrono ("30 minutes before" in a reminder and "room 4.02" aren't times)
+  let datedText = reminderRequest ? raw.replace(reminderRequest.phrase, " ") : raw;
+  if (place) datedText = datedText.replace(place.phrase, " ");
+  const chronoResults = chrono.parse(datedText, zonedReference(prefs.timezone), { forwardDate: true });
   if (chronoResults && chronoResults.length) {
     const dt = chronoResults[0].start?.date();
     if (dt) {
@@ -285,8 +585,94 @@ function localParse(message, session = {}) {
     }
   }
 
+  // Which part of a recurring series a cancel/reschedule applies to
+  if (res.intent === "cancel" || res.intent === "reschedule") {
+    if (/\b(all|every|series|whole|entire|recurring|all future)\b/.test(lower)) {
+      res.recurrence_scope = "series";
+    } else if (/\b(just|only)\b.*\b(this|that|one|today'?s?|tomorrow'?s?)\b/.test(lower)) {
+      res.recurrence_scope = "single";
+    }
+  }
+
+  // "clear my day", "cancel everything tomorrow", "clear next week" -> bulk cancel over a date range
+  if (res.intent === "cancel" && BULK_CANCEL_PATTERN.test(lower)) {
+    res.title = "all";
+    res.recurrence_scope = null;
+    res.time = null;
+
+    if (/\b(?:my|this|the)\s+week\b/.test(lower)) {
+      const today = DateTime.now().setZone(prefs.timezone).startOf("day");
+      res.date = today.toISODate();
+      res.end_date = today.endOf("week").toISODate();
+    } else if (/\bnext\s+week\b/.test(lower)) {
+      const monday = DateTime.now().setZone(prefs.timezone).startOf("week").plus({ weeks: 1 });
+      res.date = monday.toISODate();
+      res.end_date = monday.endOf("week").toISODate();
+    } else {
+      res.date = res.date || todayIn(prefs.timezone);
+      res.end_date = res.date;
+    }
+  }
+
+  // Meeting searches cover a range of days rather than one time
+  if (res.intent === "find_meeting_time") {
+    // chrono reads "30 minutes" as half an hour from now; here it's the length, not the day
+    const withoutLength = raw.replace(/\b(?:for\s+)?(?:\d+\s*(?:minutes?|mins?|hours?|hrs?)|half\s+an\s+hour|an\s+hour)\b/gi, " ");
+    const [dayResult] = chrono.parse(withoutLength, zonedReference(prefs.timezone), { forwardDate: true });
+    res.date = dayResult ? toISODate(dayResult.start.date()) : null;
+
+    // A week searches the whole week; a single day ("Tuesday next week") only that day
+    const today = DateTime.now().setZone(prefs.timezone).startOf("day");
+    const namesDay = /\b(?:mon|tues|wednes|thurs|fri|satur|sun)day\b/.test(lower);
+    res.time = null;
+    if (/\bnext\s+week\b/.test(lower) && !namesDay) {
+      const monday = today.startOf("week").plus({ weeks: 1 });
+      res.date = monday.toISODate();
+      res.end_date = monday.endOf("week").toISODate();
+    } else if (/\bthis\s+week\b/.test(lower) && !namesDay) {
+      res.date = today.toISODate();
+      res.end_date = today.endOf("week").toISODate();
+    } else if (res.date) {
+      res.end_date = res.date;
+    }
+  }
+
+  // Whole-day events span from the first date mentioned to the last one
+  if (res.intent === "create_event" && (DAY_OFF_PATTERN.test(lower) || ALL_DAY_PATTERN.test(lower))) {
+    res.all_day = true;
+    res.time = null;
+
+    if (/\bnext\s+week\b/.test(lower)) {
+      const monday = DateTime.now().setZone(prefs.timezone).startOf("week").plus({ weeks: 1 });
+      res.date = monday.toISODate();
+      res.end_date = monday.endOf("week").toISODate();
+    } else if (chronoResults.length) {
+      // "Monday to Wednesday" is one result with an end; "Monday and Tuesday" is two results
+      const last = chronoResults[0].end || chronoResults[chronoResults.length - 1].start;
+      let end = DateTime.fromJSDate(last.date());
+      // Each weekday is resolved on its own, so "Friday and Monday" can give an earlier Monday
+      if (res.date && end.toISODate() < res.date) end = end.plus({ weeks: 1 });
+      res.end_date = res.date && end.toISODate() < res.date ? res.date : end.toISODate();
+    }
+
+    const allDayTitle = raw.match(/\ball[\s-]day\s+(.+?)(?:\s+(?:on|for|from|this|next|today|tomorrow)\b.*)?$/i);
+    if (allDayTitle && !/^(?:event|block)$/i.test(allDayTitle[1])) {
+      res.title = allDayTitle[1].trim();
+    } else if (!res.title && DAY_OFF_PATTERN.test(lower)) {
+      res.title = /\bout\s+of\s+(?:the\s+)?office\b/.test(lower) ? "Out of office" : "Day off";
+    }
+  }
+
+  // "all my gym sessions" -> "gym" so the title still matches the calendar
+  if (res.recurrence_scope === "series" && res.title) {
+    res.title = res.title
+      .replace(/^(?:all\s+(?:of\s+)?|every\s+|the\s+(?:whole|entire)\s+)(?:my\s+|the\s+)?/i, "")
+      .replace(/\s+(?:sessions?|occurrences?|series|events?)$/i, "")
+      .trim() || res.title;
+  }
+
   // Extract recurring event details (Phase 1 - basic patterns only)
-  if (res.intent === "create_recurring_event") {
+  if (res.intent === "create_recurring_event" || (pendingRecurring && res.intent === "other")) {
     // Pattern: "daily" or "every day"
     if (/\b(daily|every day)\b/i.test(lower)) {
       res.recurrence_pattern = "daily";
@@ -299,8 +685,32 @@ function localParse(message, session = {}) {
       res.recurrence_interval = 1;
     }
 
-    // Pattern: "for X days/weeks"
-    const countMatch = lower.match(/\bfor\s+(\d+)\s+(days?|weeks?)/i);
+    // Pattern: "every Monday", "every Monday and Wednesday"
+    const dayMatch = lower.match(/every\s+((?:monday|tuesday|wednesday|thursday|friday|saturday|sunday)(?:\s*(?:,|and)\s*(?:monday|tuesday|wednesday|thursday|friday|saturday|sunday))*)/i);
+    if (dayMatch) {
+      res.recurrence_pattern = "weekly";
+      res.recurrence_days = dayMatch[1].match(/monday|tuesday|wednesday|thursday|friday|saturday|sunday/g);
+    }
+
+    // Pattern: "every weekday"
+    if (/every\s+weekday/i.test(lower)) {
+      res.recurrence_pattern = "weekly";
+      res.recurrence_days = ["monday", "tuesday", "wednesday", "thursday", "friday"];
+    }
+
+    // Pattern: "every other day", "every 2 weeks"
+    if (/\bevery\s+other\s+day\b/.test(lower)) {
+      res.recurrence_pattern = "daily";
+      res.recurrence_interval = 2;
+    }
+    const intervalMatch = lower.match(/\bevery\s+(\d+)\s+(days?|weeks?)/i);
+    if (intervalMatch) {
+      res.recurrence_pattern = intervalMatch[2].startsWith("day") ? "daily" : "weekly";
+      res.recurrence_interval = parseInt(intervalMatch[1]);
+    }
+
+    // Pattern: "for X days/weeks" - weekly rules count one occurrence per chosen day
+    const countMatch = lower.match(/\bfor\s+(?:the\s+next\s+)?(\d+)\s+(days?|weeks?)/i);
     if (countMatch) {
       const num = parseInt(countMatch[1]);
       const unit = countMatch[2];
@@ -308,7 +718,9 @@ function localParse(message, session = {}) {
       if (unit.startsWith("day")) {
         res.recurrence_count = num;
         if (!res.recurrence_pattern) res.recurrence_pattern = "daily";
-      } else if (unit.startsWith("week")) {
+      } else if (res.recurrence_pattern === "weekly") {
+        res.recurrence_count = num * (res.recurrence_days ? res.recurrence_days.length : 1);
+      } else {
         res.recurrence_count = num * 7;
         if (!res.recurrence_pattern) res.recurrence_pattern = "daily";
       }
@@ -320,17 +732,23 @@ function localParse(message, session = {}) {
       res.recurrence_count = parseInt(timesMatch[1]);
     }
 
-    // Pattern: "every Monday", "every Wednesday"
-    const dayMatch = lower.match(/every\s+(monday|tuesday|wednesday|thursday|friday|saturday|sunday)/i);
-    if (dayMatch) {
-      res.recurrence_pattern = "weekly";
-      res.recurrence_days = [dayMatch[1].toLowerCase()];
+    // Pattern: "until Friday" - parsed separately so it doesn't clobber the start date
+    const untilMatch = raw.match(/\buntil\s+(.+)$/i);
+    if (untilMatch) {
+      const untilDate = chrono.parseDate(untilMatch[1], zonedReference(prefs.timezone), { forwardDate: true });
+      if (untilDate) res.recurrence_end_date = toISODate(untilDate);
+
+      // chrono picks up the "until" date as the start date when nothing else is mentioned
+      if (chronoResults.length && chronoResults[0].index >= untilMatch.index) {
+        res.date = null;
+        res.time = null;
+      }
     }
 
-    // Pattern: "every weekday"
-    if (/every\s+weekday/i.test(lower)) {
-      res.recurrence_pattern = "weekly";
-      res.recurrence_days = ["monday", "tuesday", "wednesday", "thursday", "friday"];
+    // Follow-up answers to a pending recurring event keep the recurring flow going
+    const answeredSomething = res.recurrence_pattern || res.recurrence_count || res.recurrence_end_date || res.date || res.time;
+    if (pendingRecurring && res.intent === "other" && answeredSomething) {
+      res.intent = "create_recurring_event";
     }
 
     // Pattern: "lasts X hour(s)" or "lasts X minutes"
@@ -353,15 +771,21 @@ function localParse(message, session = {}) {
 }
 
 // Enhanced LLM parser for personal productivity
-async function llmParse(message, session = {}, context = null) {
+async function llmParse(message, session = {}, context = null, prefs = resolvePreferences()) {
   if (!openaiClient) throw new Error("No OpenAI client configured");
 
+  const today = todayIn(prefs.timezone);
+
   // Build rich context from session
   const activeEvents = session.activeEvents || [];
   const lastEvent = session.lastEvent || null;
   const rescheduleState = session.rescheduleState || null;
   const hasPendingEvent = activeEvents.some(e => e.preConfirmed && !e.confirmed);
   const hasPendingReschedule = rescheduleState && rescheduleState.preConfirmed;
+  const cancelState = session.cancelState || null;
+  const pendingChoice = session.pendingChoice || null;
+  const emailDraft = session.emailDraft || null;
+  const hasPendingEmail = Boolean(emailDraft && emailDraft.preConfirmed);
 
   let systemPrompt = `
 You are an intelligent personal productivity assistant specializing in calendar management and email composition.
@@ -369,17 +793,22 @@ You excel at understanding ambiguous, incomplete, or conversational requests and
 
 CURRENT CONTEXT:
 - Today's date: ${today}
-- Timezone: ${TIMEZONE}
+- Timezone: ${prefs.timezone}
 - Active events being created: ${JSON.stringify(activeEvents)}
 - Last event mentioned: ${JSON.stringify(lastEvent)}
 - Pending reschedule operation: ${JSON.stringify(rescheduleState)}
 - Has pending event confirmation: ${hasPendingEvent}
 - Has pending reschedule confirmation: ${hasPendingReschedule}
+- Pending cancel confirmation: ${JSON.stringify(cancelState)}
+- Events the user was asked to choose between: ${JSON.stringify(pendingChoice)}
+- Email draft in progress: ${JSON.stringify(emailDraft)}
+- Has pending email confirmation: ${hasPendingEmail}
 
 CORE CAPABILITIES:
 1. Calendar: create events, cancel events, reschedule events, check schedule
 2. Goals: set personal goals (study hours, exercise frequency, sleep targets, project deadlines)
-3. Context tracking: understand pronouns, partial info, multi-turn conversations
+3. Email: compose and send emails (send_email)
+4. Context tracking: understand pronouns, partial info, multi-turn conversations
 
 GOAL TYPE CLASSIFICATION (Step 1.4):
 When extracting goal_type, use these keyword mappings:
@@ -429,12 +858,27 @@ A) AMBIGUOUS REFERENCES - Always try to resolve:
    - "it", "that", "this", "the event/meeting" → Use lastEvent.title if available
    - "my next one", "the first one", "upcoming" → Search intent or use lastEvent
    - "cancel everything", "clear my day" → intent: "cancel", title: "all" (special case)
+     with date = the first day affected (today if none is given) and end_date = the last day
+     ("clear next week" → date: next Monday, end_date: next Sunday)
    - No title but clear action → Provide helpful reply asking for clarification
 
 B) TIME/DATE INTELLIGENCE:
    - "3pm" alone → Default to TODAY if 3pm hasn't passed, else TOMORROW
    - "tomorrow", "next week", "friday" → Parse relative dates based on ${today}
    - "in 2 hours", "30 minutes from now" → Calculate absolute time
+   - "block Friday off", "day off", "out of office", "all-day workshop" → intent: "create_event", all_day: true,
+     time: null, date = the first day and end_date = the last day ("take Monday to Wednesday off" → end_date: Wednesday);
+     title "Day off" unless the user names it
+   - "add it to my work calendar", "in the team calendar" → calendar: "work" / "team" (the calendar's name only,
+     never part of the title); null when no calendar is named
+   - "meeting with sam@x.com and priya@y.com", "invite sam@x.com" → attendees: ["sam@x.com", "priya@y.com"]
+     (email addresses exactly as given, never invented, never part of the title); null when nobody is invited
+   - "remind me 30 minutes before", "with a reminder a day before", "email me an hour before" → reminders:
+     [{ "method": "popup", "minutes": 30 }] ("email me" → method "email"; one entry per lead time, never part of the
+     title); "no reminder", "without reminders" → reminders: []; null when reminders aren't mentioned
+   - "at the Surry Hills office", "at Cafe Sydney", "in room 4.02" → location: "Surry Hills office" / "Cafe Sydney" /
+     "room 4.02" (the place only, never part of the title; "at 3pm" or "at noon" is a time, not a place)
+   - "with a Meet link", "add a video call link", "on Google Meet" → conference: true; null otherwise
    - Missing duration → Default to 60 minutes for meetings, 30 for calls
    - "morning" → 09:00, "afternoon" → 14:00, "evening" → 18:00, "night" → 20:00
 
@@ -448,10 +892,21 @@ D) INTENT DISAMBIGUATION:
    - "push", "shift", "bump", "move" → intent: "reschedule"
    - "what's happening", "free time", "schedule", "day look like" → intent: "check_schedule"
    - "I want to", "I need to", "goal to", "set a goal" → intent: "set_goal"
+   - "undo", "undo that", "revert the last change", "put it back", "take that back" → intent: "undo"
+   - "find a time with Alex and Jordan next week", "when can I meet sam@x.com tomorrow?" → intent: "find_meeting_time",
+     attendees = the people exactly as named (names or email addresses, never the user), date/end_date = the first and
+     last day to search (null when not stated), duration_minutes if stated, title only if the meeting is named
+   - "who hasn't responded", "who's coming to X", "RSVPs for X", "who declined X" → intent: "check_rsvp",
+     title = the event asked about (null for "it" or when no event is named), date if one is mentioned
+   - "remind me an hour before the dentist", "no reminders for standup", "set the reminder for X to 10 minutes"
+     (an existing event, nothing new to create) → intent: "set_reminder", reminders as above, title = the event
+     (null for "it"), date if one is mentioned
 
 E) CONFIRMATION PRIORITY (CRITICAL):
    - If hasPendingReschedule AND user says yes/no → intent: "reschedule", confirmation_response
+   - If a cancel confirmation is pending (and no reschedule) AND user says yes/no → intent: "cancel", confirmation_response
    - If hasPendingEvent (NOT reschedule) AND user says yes/no → intent: "create_event", confirmation_response
+   - If hasPendingEmail (and nothing above is pending) AND user says yes/no → intent: "send_email", confirmation_response
    - Simple "yes"/"no" without context → Ask what they're confirming in reply
    - Check what's actually pending in the session to route confirmation correctly
 
@@ -484,6 +939,10 @@ H) RECURRING EVENT DETECTION (Phase 1):
    - "every other day" → pattern: "daily", interval: 2
    - "every 2 weeks" → pattern: "weekly", interval: 2
 
+   FOLLOW-UP ANSWERS:
+   - If activeEvents has an unconfirmed event with a "recurrence" object, answers like "weekly",
+     "10 times", "until Friday" or "8am" → intent: "create_recurring_event" with only the new fields
+
    EXTRACTION LOGIC:
    - recurrence_pattern: "daily" | "weekly" | "custom"
    - recurrence_days: Array of day names in lowercase (only for weekly/custom patterns)
@@ -510,9 +969,28 @@ H) RECURRING EVENT DETECTION (Phase 1):
      recurrence_pattern: "weekly", recurrence_days: ["monday", "wednesday"],
      recurrence_end_date: "<end of current month>"
 
+   CANCEL/RESCHEDULE OF RECURRING EVENTS:
+   - recurrence_scope: "series" when the user means every occurrence
+     ("cancel all my gym sessions", "move the whole standup series to 9am", "all future yoga")
+   - recurrence_scope: "single" when the user means one occurrence ("just this Monday's gym", "only tomorrow's standup")
+   - recurrence_scope: null when not stated (a single occurrence is assumed)
+
+I) EMAIL COMPOSITION:
+   Use intent "send_email" when the user wants to send, write or draft an email.
+   - email_to: array of recipient email addresses exactly as given (never invent addresses)
+   - email_subject: short subject line; infer one from the message if not stated
+   - email_body: the email text. If the user only gives the gist ("tell sam I'll be late"),
+     write a short, polite email body from it
+   - If an email draft is in progress, follow-up answers and edits ("change the subject to X",
+     "add that I'll bring snacks") → intent: "send_email" with the updated fields only
+   EXAMPLE:
+   - "Email sam@example.com saying I'll be 10 minutes late" →
+     intent: "send_email", email_to: ["sam@example.com"], email_subject: "Running late",
+     email_body: "Hi Sam,\n\nI'll be about 10 minutes late.\n\nThanks"
+
 OUTPUT SCHEMA (JSON only, no markdown):
 {
-  "intent": "create_event" | "create_recurring_event" | "cancel" | "reschedule" | "check_schedule" | "set_goal" | "check_goals" | "other",
+  "intent": "create_event" | "create_recurring_event" | "cancel" | "reschedule" | "check_schedule" | "check_rsvp" | "find_meeting_time" | "set_reminder" | "set_goal" | "check_goals" | "update_goal" | "delete_goal" | "send_email" | "undo" | "other",
   "title": "string or null",
   "date": "YYYY-MM-DD or null",
   "time": "HH:MM or null",
@@ -520,7 +998,14 @@ OUTPUT SCHEMA (JSON only, no markdown):
   "notes": "string or null",
   "old_date": "YYYY-MM-DD or null",
   "old_time": "HH:MM or null",
-  "goal_description": "string or null (full description of the goal)",
+  "end_date": "YYYY-MM-DD or null (last day of a bulk cancel or an all-day event)",
+  "all_day": true | null,
+  "calendar": "string or null (name of the calendar a new event goes in)",
+  "attendees": ["address@example.com"] | null (for find_meeting_time also names: ["Alex", "jordan@example.com"]),
+  "reminders": [{ "method": "popup" | "email", "minutes": number }] | [] | null,
+  "location": "string or null (where a new event is)",
+  "conference": true | null (a Google Meet link was asked for),
+  "goal_description": "string or null (full description of the goal; for update_goal/delete_goal, the name of the goal meant)",
   "goal_type": "study" | "exercise" | "sleep" | "work" | "meeting" | "health" | "project" | "other" | null,
   "target_amount": number or null,
   "target_unit": "hour" | "time" | "session" | "km" | "minute" | "day" | "week" | "month" | string | null,
@@ -533,6 +1018,12 @@ OUTPUT SCHEMA (JSON only, no markdown):
   "recurrence_count": number | null,
   "recurrence_end_date": "YYYY-MM-DD" | null,
   "recurrence_interval": number | null,
+  "recurrence_scope": "single" | "series" | null,
+
+  // EMAIL FIELDS:
+  "email_to": ["address@example.com"] | null,
+  "email_subject": "string or null",
+  "email_body": "string or null",
 
   "reply": "Helpful natural language response or null",
   "confirmation_response": "yes" | "no" | null
@@ -743,6 +1234,10 @@ CRITICAL REMINDERS:
 - Default to set_goal intent when uncertain
 - Extract the full goal description into goal_description field
 - Only use other intents if explicitly about viewing/checking existing goals
+- "delete/remove my study goal" → intent: "delete_goal", goal_description = the goal's name ("study"), null if none given
+- "change my study goal to 12 hours", "move my reading goal deadline to Friday" → intent: "update_goal",
+  goal_description = the goal's name, and ONLY the changed fields (target_amount/target_unit, deadline, frequency)
+  (NEVER "cancel" or "reschedule" for goals - those change calendar events)
 `;
   }
 
@@ -785,7 +1280,7 @@ CRITICAL REMINDERS:
     }
 
     // Normalize and validate intent
-    const validIntents = ["create_event", "cancel", "reschedule", "check_schedule", "set_goal", "check_goals", "other"];
+    const validIntents = ["create_event", "create_recurring_event", "cancel", "reschedule", "check_schedule", "check_rsvp", "find_meeting_time", "set_reminder", "set_goal", "check_goals", "send_email", "undo", "other"];
     if (!validIntents.includes(parsed.intent)) {
       console.warn(`Invalid intent "${parsed.intent}", defaulting to "other"`);
       parsed.intent = "other";
@@ -802,7 +1297,7 @@ CRITICAL REMINDERS:
 
     // Normalize dates using chrono if needed
     if (parsed.date && typeof parsed.date === 'string') {
-      const dt = chrono.parseDate(parsed.date, new Date(), { timezone: TIMEZONE });
+      const dt = chrono.parseDate(parsed.date, zonedReference(prefs.timezone));
       if (dt) {
         parsed.date = toISODate(dt);
       } else {
@@ -827,6 +1322,41 @@ CRITICAL REMINDERS:
       }
     }
 
+    // Normalise recurrence_end_date and end_date the same way as date
+    for (const field of ['recurrence_end_date', 'end_date']) {
+      if (parsed[field] && typeof parsed[field] === 'string') {
+        const dt = chrono.parseDate(parsed[field], zonedReference(prefs.timezone));
+        parsed[field] = dt ? toISODate(dt) : null;
+      }
+    }
+
+    if (parsed.recurrence_scope && !['single', 'series'].includes(parsed.recurrence_scope)) {
+      parsed.recurrence_scope = null;
+    }
+
+    // All-day events have no time of day
+    parsed.all_day = parsed.all_day === true || parsed.all_day === 'true' ? true : null;
+    if (parsed.all_day) parsed.time = null;
+
+    // email_to and attendees are always arrays of addresses
+    for (const field of ['email_to', 'attendees']) {
+      if (parsed[field] && !Array.isArray(parsed[field])) {
+        parsed[field] = String(parsed[field]).split(/[,;\s]+/).filter(Boolean);
+      }
+    }
+    if (parsed.attendees && parsed.attendees.length === 0) parsed.attendees = null;
+
+    parsed.conference = parsed.conference === true || parsed.conference === 'true' ? true : null;
+
+    // Reminders: [] means none, so only malformed entries are dropped
+    if (parsed.reminders !== null && parsed.reminders !== undefined) {
+      parsed.reminders = Array.isArray(parsed.reminders)
+        ? parsed.reminders
+          .filter(reminder => Number.isInteger(reminder?.minutes) && reminder.minutes >= 0)
+          .map(reminder => ({ method: reminder.method === "email" ? "email" : "popup", minutes: reminder.minutes }))
+        : null;
+    }
+
     // Ensure confirmation_response is valid
     if (parsed.confirmation_response && !['yes', 'no'].includes(parsed.confirmation_response)) {
       console.warn(`Invalid confirmation_response "${parsed.confirmation_response}"`);
@@ -846,8 +1376,9 @@ CRITICAL REMINDERS:
   }
 }
 
-export async function intentHandler(message = "", session = {}, context = null) {
+export async function intentHandler(message = "", session = {}, context = null, preferences = null) {
   message = cleanText(message || "");
+  const prefs = resolvePreferences(preferences);
 
   const base = {
     intent: "other",
@@ -858,6 +1389,13 @@ export async function intentHandler(message = "", session = {}, context = null)
     notes: null,
     old_date: null,
     old_time: null,
+    end_date: null,
+    all_day: null,
+    calendar: null,
+    attendees: null,
+    reminders: null,
+    location: null,
+    conference: null,
     reply: null,
     confirmation_response: null,
     goal_description: null,
@@ -866,29 +1404,33 @@ export async function intentHandler(message = "", session = {}, context = null)
     target_unit: null, // Step 1.5: Unit of measurement
     deadline: null, // Step 1.5: ISO date string (YYYY-MM-DD)
     frequency: null, // Step 1.5: Recurrence pattern
+    recurrence_pattern: null,
+    recurrence_days: null,
+    recurrence_count: null,
+    recurrence_end_date: null,
+    recurrence_interval: null,
+    recurrence_scope: null,
+    email_to: null,
+    email_subject: null,
+    email_body: null,
   };
 
-  // Early return: Redirect goal management requests to Goals section
-  // (unless in goal_management context)
-  if (context !== 'goal_management' && isGoalManagementRequest(message)) {
-    return {
-      ...base,
-      intent: 'redirect_to_goals',
-      reply: "I'd love to help you with your goals! 🎯\n\nPlease use the **Goals** section (click the 📋 Goals button at the top) where you can create, track, and schedule your goals with a dedicated interface.\n\nThe Goals section makes it much easier to:\n• Set measurable targets\n• Choose time preferences\n• Schedule time automatically\n• Track your progress"
-    };
+  // Goal management requests are parsed in goal context so they reach set_goal/check_goals
+  if (isGoalManagementRequest(message)) {
+    context = 'goal_management';
   }
 
   if (useLLM) {
     try {
-      const parsed = await llmParse(message, session, context);
+      const parsed = await llmParse(message, session, context, prefs);
       return { ...base, ...parsed };
     } catch (err) {
       console.warn("LLM parse failed, falling back to local parser:", err.message);
-      const parsedLocal = localParse(message, session);
+      const parsedLocal = localParse(message, session, prefs);
       return { ...base, ...parsedLocal };
     }
   } else {
-    const parsedLocal = localParse(message, session);
+    const parsedLocal = localParse(message, session, prefs);
     return { ...base, ...parsedLocal };
   }
 }
\ No newline at end of file
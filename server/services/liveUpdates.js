@@ -0,0 +1,76 @@
+/**
+ * Live Updates
+ *
+ * Server-sent events to every browser a user has the app open in, so changes
+ * that didn't come from that browser (an event moved in Google Calendar) show
+ * up without a reload. Each browser keeps one request open; a comment line is
+ * sent every heartbeat so proxies don't close it while nothing happens.
+ */
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Create the hub browsers connect to
+ * @param {Object} options
+ * @param {number} options.heartbeatSeconds - Seconds between keep-alive comments
+ * @returns {Object} { connect(userId, req, res), publish(userId, type, data) }
+ */
+function createLiveUpdates({ heartbeatSeconds = 25 } = {}) {
+  // userId -> Set of open responses
+  const clients = new Map();
+
+  /**
+   * Hold a response open as an event stream until the browser goes away
+   * @param {string} userId - User id
+   * @param {Object} req - Express request
+   * @param {Object} res - Express response
+   */
+  function connect(userId, req, res) {
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stops nginx from buffering the stream
+      "X-Accel-Buffering": "no"
+    });
+    res.flushHeaders();
+    res.write(": connected\n\n");
+
+    if (!clients.has(userId)) clients.set(userId, new Set());
+    clients.get(userId).add(res);
+
+    const heartbeat = setInterval(() => res.write(": keep-alive\n\n"), heartbeatSeconds * 1000);
+    heartbeat.unref();
+
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      const open = clients.get(userId);
+      open?.delete(res);
+      if (open && !open.size) clients.delete(userId);
+    });
+  }
+
+  /**
+   * Send an event to all of a user's browsers
+   * @param {string} userId - User id
+   * @param {string} type - Event name, e.g. 'calendar'
+   * @param {Object} data - JSON payload
+   * @returns {number} Browsers it was sent to
+   */
+  function publish(userId, type, data) {
+    const open = clients.get(userId);
+    if (!open) return 0;
+
+    const message = `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const res of open) res.write(message);
+    return open.size;
+  }
+
+  return { connect, publish };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createLiveUpdates
+};
@@ -0,0 +1,180 @@
+/**
+ * Meeting Finder
+ *
+ * Finds times that suit the user and the people they want to meet. Each
+ * person's busy time comes from Google's free/busy query on their primary
+ * calendar (their email address), which answers for colleagues who share
+ * their calendar. Slots must also fall inside everyone's working hours in
+ * their own timezone. People named in chat ("Alex") are matched against the
+ * guests of the user's recent and upcoming events.
+ */
+
+import { DateTime } from "luxon";
+import { listEvents, queryFreeBusy, getCalendarTimeZone, PRIMARY_CALENDAR } from "./calendarService.js";
+import { DEFAULT_PROFILE, findRankedSlots } from "./slotFinder.js";
+import { isValidEmail } from "./emailService.js";
+import { isValidTimezone, zonedDateTime } from "../utils/timezone.js";
+
+// How far back and ahead guests of the user's events are looked at for names
+const CONTACT_LOOKBACK_DAYS = 90;
+const CONTACT_LOOKAHEAD_DAYS = 30;
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Guests of the user's events around now, one entry per address
+ * @param {string} userId - User id
+ * @param {Object} options - { timezone, calendarIds }
+ * @returns {Promise<Array>} [{ email, name }]
+ */
+async function recentContacts(userId, { timezone, calendarIds }) {
+  const events = await listEvents(userId, {
+    calendarIds,
+    timeMin: DateTime.now().minus({ days: CONTACT_LOOKBACK_DAYS }).toISO(),
+    timeMax: DateTime.now().plus({ days: CONTACT_LOOKAHEAD_DAYS }).toISO(),
+    timeZone: timezone
+  });
+
+  const contacts = new Map();
+  for (const event of events) {
+    for (const attendee of event.attendees) {
+      if (attendee.self || !attendee.email) continue;
+      const key = attendee.email.toLowerCase();
+      if (!contacts.has(key) || (!contacts.get(key).name && attendee.name)) {
+        contacts.set(key, { email: attendee.email, name: attendee.name });
+      }
+    }
+  }
+  return [...contacts.values()];
+}
+
+/**
+ * Contacts a name could mean: display names first, then the part of the address before the @
+ * @param {string} name - e.g. "Alex" or "alex smith"
+ * @param {Array} contacts - [{ email, name }]
+ * @returns {Array} Matching contacts
+ */
+function matchContacts(name, contacts) {
+  const wanted = name.toLowerCase().trim();
+  const words = contact => (contact.name || "").toLowerCase().split(/\s+/);
+  const localPart = contact => contact.email.toLowerCase().split("@")[0];
+
+  const byName = contacts.filter(contact =>
+    (contact.name || "").toLowerCase() === wanted || words(contact)[0] === wanted
+  );
+  if (byName.length) return byName;
+
+  return contacts.filter(contact => localPart(contact).split(/[._-]/)[0] === wanted || localPart(contact) === wanted);
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Work out who each requested person is, with their timezone and working hours
+ * @param {string} userId - User id
+ * @param {Array} people - Email addresses, names ("Alex") or { email, name, timezone, working_hours }
+ * @param {Object} options - { timezone: user's timezone, calendarIds: calendars searched for names }
+ * @returns {Promise<Object>} { participants: [{ email, name, timezone, timezoneKnown, working_hours }], unknown: [name] }
+ */
+async function resolveParticipants(userId, people, { timezone, calendarIds = [PRIMARY_CALENDAR] }) {
+  const participants = [];
+  const unknown = [];
+  let contacts = null;
+
+  for (const person of people) {
+    const given = typeof person !== "string" ? person
+      : isValidEmail(person) ? { email: person } : { name: person };
+    let { email = null, name = null } = given;
+
+    if (!email) {
+      contacts = contacts || await recentContacts(userId, { timezone, calendarIds });
+      const matches = matchContacts(name, contacts);
+      // Two people called Alex: ask rather than guess
+      if (matches.length !== 1) {
+        unknown.push(name);
+        continue;
+      }
+      email = matches[0].email;
+      name = matches[0].name || name;
+    }
+
+    if (participants.some(participant => participant.email.toLowerCase() === email.toLowerCase())) continue;
+
+    const calendarZone = given.timezone || await getCalendarTimeZone(userId, email);
+    participants.push({
+      email,
+      name: name || null,
+      // Without a visible calendar the user's own timezone is assumed
+      timezone: calendarZone && isValidTimezone(calendarZone) ? calendarZone : timezone,
+      timezoneKnown: Boolean(calendarZone),
+      working_hours: { ...DEFAULT_PROFILE.working_hours, ...(given.working_hours || {}) }
+    });
+  }
+
+  return { participants, unknown };
+}
+
+/**
+ * Ranked meeting times for the user and the participants
+ * @param {string} userId - User id
+ * @param {Object} options
+ * @param {Array} options.participants - From resolveParticipants
+ * @param {number} options.durationMinutes - Meeting length
+ * @param {string} options.startDate - First day to search ('YYYY-MM-DD', user's timezone)
+ * @param {string} options.endDate - Last day to search
+ * @param {string} options.timezone - User's IANA timezone
+ * @param {Object} options.profile - User's resolved scheduling profile
+ * @param {Array} options.calendarIds - User's busy calendars
+ * @param {number} options.count - How many slots to return
+ * @returns {Promise<Object>} { slots: [{ start, end, score, reasons }], unavailable: [email] whose busy time couldn't be read }
+ */
+async function findMeetingSlots(userId, {
+  participants,
+  durationMinutes,
+  startDate,
+  endDate,
+  timezone,
+  profile,
+  calendarIds = [PRIMARY_CALENDAR],
+  count = 3,
+  now = new Date()
+}) {
+  const timeMin = new Date(Math.max(now.getTime(), zonedDateTime(startDate, "00:00", timezone).getTime()));
+  const timeMax = zonedDateTime(endDate, "23:59:59", timezone);
+  const emails = participants.map(participant => participant.email);
+
+  const { busy, errors } = await queryFreeBusy(
+    userId,
+    [...new Set([...calendarIds, ...emails])],
+    timeMin.toISOString(),
+    timeMax.toISOString(),
+    timezone
+  );
+
+  const unavailable = emails.filter(email => errors[email]);
+  for (const [calendarId, reason] of Object.entries(errors)) {
+    console.warn(`[meetingFinder] No free/busy for ${calendarId}: ${reason}`);
+  }
+
+  const slots = findRankedSlots({
+    busy,
+    durationMinutes,
+    profile,
+    timezone,
+    startDate,
+    endDate,
+    kind: "meeting",
+    count,
+    participants,
+    now
+  });
+
+  return { slots, unavailable };
+}
+
+// ============ EXPORTS ============
+
+export {
+  resolveParticipants,
+  findMeetingSlots
+};
@@ -0,0 +1,233 @@
+/**
+ * Operation Journal
+ *
+ * Per-session record of the calendar changes made through /chat, the event
+ * editor (/api/events), to-do booking, meeting booking and .ics imports, so the latest one can be undone.
+ * Each operation keeps before/after snapshots of every event it touched:
+ *   - create: undone by deleting the event
+ *   - update: undone by writing the "before" snapshot back
+ *   - delete: undone by recreating the event from the "before" snapshot
+ * To-dos whose booked slot changed are stored too and put back on undo, as are
+ * goals deleted along with their booked sessions.
+ */
+
+import { v4 as uuidv4 } from "uuid";
+import { getCalendarEvent, deleteCalendarEvents, restoreCalendarEvent, PRIMARY_CALENDAR } from "./calendarService.js";
+import { isReauthError } from "../utils/googleAuth.js";
+
+// Older operations are dropped once a session has this many
+const MAX_OPERATIONS = 20;
+
+const SNAPSHOT_FIELDS = [
+  "id", "summary", "description", "location", "start", "end", "recurrence", "recurringEventId",
+  "attendees", "reminders", "colorId", "transparency", "visibility", "extendedProperties", "conferenceData", "etag"
+];
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * Copy of the parts of a Google event needed to restore it
+ * @param {Object} event - Google Calendar event resource
+ * @returns {Object|null} Snapshot
+ */
+function snapshotEvent(event) {
+  if (!event) return null;
+
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (event[field] !== undefined) snapshot[field] = JSON.parse(JSON.stringify(event[field]));
+  }
+  return snapshot;
+}
+
+/**
+ * Snapshot events before they are changed. Events that can't be read get null,
+ * which makes that change impossible to undo but never blocks the change itself.
+ * @param {string} userId - User id
+ * @param {Array} targets - Google event ids, or { eventId, calendarId } for other calendars
+ * @returns {Promise<Object>} Map of eventId -> snapshot|null
+ */
+async function captureEvents(userId, targets) {
+  const snapshots = {};
+
+  await Promise.all(targets.map(async (target) => {
+    const { eventId, calendarId } = typeof target === "string" ? { eventId: target } : target;
+    try {
+      snapshots[eventId] = snapshotEvent(await getCalendarEvent(userId, eventId, calendarId));
+    } catch (error) {
+      if (isReauthError(error)) throw error;
+      console.warn(`[operationJournal] Could not snapshot ${eventId}:`, error.message);
+      snapshots[eventId] = null;
+    }
+  }));
+
+  return snapshots;
+}
+
+/**
+ * Current booked slots of the to-dos scheduled into any of the given events
+ * @param {Object} sessionState - Session state
+ * @param {string[]} eventIds - Google event ids
+ * @returns {Array} [{ id, scheduled_slot }]
+ */
+function todoSlotsFor(sessionState, eventIds) {
+  const ids = new Set(eventIds);
+  return (sessionState.todos || [])
+    .filter(todo => todo.scheduled_slot?.google_event_id && ids.has(todo.scheduled_slot.google_event_id))
+    .map(todo => ({ id: todo.id, scheduled_slot: { ...todo.scheduled_slot } }));
+}
+
+/**
+ * Point journal entries, to-dos and goal sessions at an event's new id after it was recreated
+ * @param {Object} sessionState - Session state
+ * @param {string} oldId - Id of the deleted event
+ * @param {string} newId - Id of the recreated event
+ */
+function remapEventId(sessionState, oldId, newId) {
+  for (const operation of sessionState.operations || []) {
+    for (const change of operation.changes) {
+      if (change.eventId === oldId) change.eventId = newId;
+    }
+    for (const todo of operation.todos) {
+      if (todo.scheduled_slot?.google_event_id === oldId) todo.scheduled_slot.google_event_id = newId;
+    }
+    for (const session of (operation.goals || []).flatMap(goal => goal.scheduled_sessions || [])) {
+      if (session.google_event_id === oldId) session.google_event_id = newId;
+    }
+  }
+
+  for (const todo of sessionState.todos || []) {
+    if (todo.scheduled_slot?.google_event_id === oldId) todo.scheduled_slot.google_event_id = newId;
+  }
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Add an operation to the session's journal
+ * @param {Object} sessionState - Session state (mutated)
+ * @param {Object} operation
+ * @param {string} operation.source - 'chat' | 'api_events' | 'todo_book' | 'meeting_book' | 'ics_import'
+ * @param {string} operation.summary - What was done, e.g. 'Cancelled "Dentist"'
+ * @param {Array} operation.changes - [{ action: 'create'|'update'|'delete', eventId, calendarId, before, after }]
+ * @param {Array} operation.todos - [{ id, scheduled_slot }] as they were before the operation
+ * @param {Array} operation.goals - Goals the operation deleted
+ * @returns {Object} The stored operation
+ */
+function recordOperation(sessionState, { source, summary, changes, todos = [], goals = [] }) {
+  const operation = {
+    id: uuidv4(),
+    source,
+    summary,
+    changes,
+    todos,
+    goals,
+    at: new Date().toISOString()
+  };
+
+  sessionState.operations = [...(sessionState.operations || []), operation].slice(-MAX_OPERATIONS);
+  return operation;
+}
+
+/**
+ * The operation "undo" would reverse, if any
+ * @param {Object} sessionState - Session state
+ * @returns {Object|null} Latest operation
+ */
+function lastOperation(sessionState) {
+  const operations = sessionState.operations || [];
+  return operations.length ? operations[operations.length - 1] : null;
+}
+
+/**
+ * Reverse one event change
+ * @param {string} userId - User id
+ * @param {Object} change - { action, eventId, calendarId, before, after }
+ * @returns {Promise<Object>} { restoredId } for recreated events
+ */
+async function undoChange(userId, change) {
+  // Changes recorded before calendars could be chosen were all in the primary calendar
+  const calendarId = change.calendarId || PRIMARY_CALENDAR;
+
+  if (change.action === "create") {
+    const [result] = await deleteCalendarEvents(userId, [{ eventId: change.eventId, calendarId }]);
+    if (result.status === "failed") throw new Error(result.error);
+    return {};
+  }
+
+  if (!change.before) {
+    throw new Error("the event's earlier state wasn't saved");
+  }
+
+  if (change.action === "update") {
+    await restoreCalendarEvent(userId, change.before, change.eventId, calendarId);
+    return {};
+  }
+
+  // delete: a deleted occurrence of a series comes back as a one-off event
+  const restored = await restoreCalendarEvent(userId, change.before, null, calendarId);
+  return { restoredId: restored.eventId };
+}
+
+/**
+ * Undo the latest operation in the session's journal. Changes are reversed
+ * newest first. The operation stays in the journal only if it changed events
+ * and none of them could be undone.
+ * @param {string} userId - User id
+ * @param {Object} sessionState - Session state (mutated)
+ * @returns {Promise<Object|null>} { operation, results: [{ action, eventId, event, status, error }] } or null when there is nothing to undo
+ */
+async function undoLastOperation(userId, sessionState) {
+  const operation = lastOperation(sessionState);
+  if (!operation) return null;
+
+  const results = [];
+  for (const change of [...operation.changes].reverse()) {
+    const event = change.before || change.after;
+    try {
+      const { restoredId } = await undoChange(userId, change);
+      results.push({ action: change.action, eventId: restoredId || change.eventId, event, status: "undone" });
+
+      if (restoredId) remapEventId(sessionState, change.eventId, restoredId);
+      if (change.action === "create") {
+        sessionState.activeEvents = (sessionState.activeEvents || []).filter(e => e.google_event_id !== change.eventId);
+        if (sessionState.lastEvent?.google_event_id === change.eventId) sessionState.lastEvent = null;
+      }
+    } catch (error) {
+      if (isReauthError(error)) throw error;
+      console.error(`[operationJournal] Could not undo ${change.action} of ${change.eventId}:`, error.message);
+      results.push({ action: change.action, eventId: change.eventId, event, status: "failed", error: error.message });
+    }
+  }
+
+  if (results.length === 0 || results.some(result => result.status === "undone")) {
+    sessionState.operations = sessionState.operations.filter(op => op.id !== operation.id);
+
+    // Put booked to-dos back where they were (ids were remapped above for recreated events)
+    for (const saved of operation.todos) {
+      const todo = (sessionState.todos || []).find(t => t.id === saved.id);
+      if (todo) todo.scheduled_slot = saved.scheduled_slot ? { ...saved.scheduled_slot } : null;
+    }
+
+    // Sessions that couldn't be recreated aren't on the calendar, so the goal doesn't list them
+    const failedIds = new Set(results.filter(result => result.status === "failed").map(result => result.eventId));
+    for (const saved of operation.goals || []) {
+      if ((sessionState.goals || []).some(goal => goal.id === saved.id)) continue;
+      const scheduled_sessions = (saved.scheduled_sessions || []).filter(session => !failedIds.has(session.google_event_id));
+      sessionState.goals = [...(sessionState.goals || []), { ...saved, scheduled_sessions }];
+    }
+  }
+
+  return { operation, results };
+}
+
+// ============ EXPORTS ============
+
+export {
+  snapshotEvent,
+  captureEvents,
+  todoSlotsFor,
+  recordOperation,
+  lastOperation,
+  undoLastOperation
+};
@@ -0,0 +1,935 @@
+/**
+ * CalDAV Calendar Provider
+ *
+ * The calendar provider interface (see calendarProvider.js) for CalDAV servers
+ * (RFC 4791) such as Nextcloud, Fastmail or Radicale. Each user connects their
+ * own account ({ url, username, password }). Their calendars are found from the
+ * URL through the principal's calendar home. Every event is one iCalendar
+ * resource that holds a series and its changed instances, converted here to
+ * and from Google's event format. The app expands recurring events itself
+ * (see eventFormat), so only rules utils/recurrence can read repeat; events
+ * with other rules show their first occurrence. Free/busy comes from the
+ * server's free-busy-query REPORT, or from the events where a server has none.
+ * Whether guests are emailed is up to the server (CalDAV scheduling); this
+ * provider sends nothing itself.
+ *
+ * Requests only go to the server the account was connected with (hrefs and
+ * redirects to other origins are refused) and never to loopback, private or
+ * link-local addresses unless the host is listed in CALDAV_ALLOWED_HOSTS.
+ */
+
+import dns from "dns";
+import net from "net";
+import { Agent, fetch } from "undici";
+import { DateTime, Duration } from "luxon";
+import { v4 as uuidv4 } from "uuid";
+import { CalendarProviderError } from "../calendarProvider.js";
+import { clone, normalizeTime, instantOf, expandInstances, applyPatch } from "./eventFormat.js";
+import { resolvePreferences, isValidTimezone } from "../../utils/timezone.js";
+import {
+  escapeText, unescapeText, foldLine, utcStamp, dateStamp, parseContentLine, parseComponents, componentLines,
+  propertyOf, propertiesOf, timezoneDefinitions, resolveZone, parseTime, vtimezoneComponent
+} from "../../utils/ical.js";
+
+const PRODUCT_ID = "-//AI Productivity Agent//CalDAV//EN";
+
+// Requests to the server give up after this long
+const DAV_TIMEOUT_MS = 15000;
+
+// Redirects followed for one request
+const MAX_REDIRECTS = 5;
+
+// Loopback, private, link-local, shared and multicast/reserved ranges
+const BLOCKED_ADDRESSES = new net.BlockList();
+[["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16], ["172.16.0.0", 12], ["192.168.0.0", 16], ["224.0.0.0", 3]]
+  .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv4"));
+[["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+  .forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, "ipv6"));
+
+// Calendars found for a user are reused for this long before asking the server again
+const DISCOVERY_TTL_MS = 5 * 60 * 1000;
+
+// Private extended properties (goalId, icsUid...) are kept as X-AGENT-PROPERTY;X-NAME=<key>:<value>
+const AGENT_PROPERTY = "X-AGENT-PROPERTY";
+
+// Properties written from the Google-format event; any others on a stored event are kept as they were
+const MANAGED_PROPERTIES = new Set([
+  "UID", "DTSTAMP", "DTSTART", "DTEND", "DURATION", "RECURRENCE-ID", "SUMMARY", "DESCRIPTION", "LOCATION",
+  "TRANSP", "STATUS", "RRULE", "RDATE", "EXDATE", "ORGANIZER", "ATTENDEE", "CREATED", "LAST-MODIFIED",
+  "SEQUENCE", AGENT_PROPERTY
+]);
+
+const RESPONSE_STATUSES = {
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  TENTATIVE: "tentative",
+  "NEEDS-ACTION": "needsAction"
+};
+
+const PARTSTATS = Object.fromEntries(Object.entries(RESPONSE_STATUSES).map(([partstat, status]) => [status, partstat]));
+
+const CALENDAR_PROPS = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>
+    <d:resourcetype/>
+    <d:displayname/>
+    <d:current-user-privilege-set/>
+    <c:supported-calendar-component-set/>
+    <c:calendar-timezone/>
+    <a:calendar-color/>
+  </d:prop>
+</d:propfind>`;
+
+// ============ HELPER FUNCTIONS ============
+
+function isAllowedHost(host) {
+  const allowed = (process.env.CALDAV_ALLOWED_HOSTS || "").split(",").map(name => name.trim().toLowerCase()).filter(Boolean);
+  return allowed.includes(host.toLowerCase());
+}
+
+// IPv4-mapped IPv6 addresses ("::ffff:127.0.0.1") are checked against the IPv4 ranges
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && BLOCKED_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+const blockedHostError = host =>
+  new CalendarProviderError(403, `${host} is a private or local address; list it in CALDAV_ALLOWED_HOSTS to use it`);
+
+/**
+ * dns.lookup for connections to CalDAV servers that refuses loopback, private
+ * or link-local addresses, so an account can't be used to reach hosts inside
+ * the app's network. It runs for every connection, so a name can't resolve
+ * to a public address for a check and a private one for the request.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (!isAllowedHost(hostname) && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(blockedHostError(hostname));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const davAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Addresses written as IP literals are connected to without a lookup, so they are checked here
+ * @param {string} url - Address about to be requested
+ * @throws {CalendarProviderError} When the host is a blocked address and isn't in CALDAV_ALLOWED_HOSTS
+ */
+function checkAddressLiteral(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  if (isBlockedAddress(host) && !isAllowedHost(host)) throw blockedHostError(host);
+}
+
+// An href from the server, resolved against base, or null when it points to another server
+function sameOriginUrl(href, base) {
+  const url = new URL(href, base);
+  return url.origin === new URL(base).origin ? url.href : null;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (entity, code) => {
+    const named = { lt: "<", gt: ">", amp: "&", quot: '"', apos: "'" }[code.toLowerCase()];
+    if (named) return named;
+    return String.fromCodePoint(code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10));
+  });
+}
+
+const escapeXml = text => String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+/**
+ * Enough of an XML parser for WebDAV replies: elements by local name (namespace
+ * prefixes dropped), their attributes and text
+ * @param {string} text - XML document
+ * @returns {Object} Root { name, attributes, children, text }
+ */
+function parseXml(text) {
+  const root = { name: "#document", attributes: {}, children: [], text: "" };
+  const stack = [root];
+  const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<[?!][^>]*>|<(\/?)(?:[\w.-]+:)?([\w.-]+)((?:\s+[^\s=/>]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/g;
+
+  for (const [, cdata, closing, name, attributeText, selfClosing, chars] of text.matchAll(tokens)) {
+    const current = stack[stack.length - 1];
+    if (cdata !== undefined) {
+      current.text += cdata;
+    } else if (chars !== undefined) {
+      current.text += decodeEntities(chars);
+    } else if (name && closing) {
+      if (stack.length > 1) stack.pop();
+    } else if (name) {
+      const attributes = {};
+      for (const [, key, , double, single] of (attributeText || "").matchAll(/(?:[\w.-]+:)?([\w.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+        attributes[key] = decodeEntities(double ?? single);
+      }
+      const element = { name, attributes, children: [], text: "" };
+      current.children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  return root;
+}
+
+// Every element below this one with the given local name, depth first
+function findAll(element, name) {
+  return element.children.flatMap(child => [...(child.name === name ? [child] : []), ...findAll(child, name)]);
+}
+
+const findFirst = (element, name) => (element ? findAll(element, name)[0] || null : null);
+
+const hrefIn = element => findFirst(element, "href")?.text.trim() || null;
+
+/**
+ * The <response> entries of a 207 Multi-Status reply
+ * @param {string} text - XML body
+ * @returns {Array} [{ href, props: { localName: element } }] with the properties the server returned (200)
+ */
+function parseMultistatus(text) {
+  return findAll(parseXml(text), "response").map(response => {
+    const props = {};
+    for (const propstat of findAll(response, "propstat")) {
+      if (!/\s2\d\d\s/.test(` ${findFirst(propstat, "status")?.text || "200"} `)) continue;
+      for (const prop of findAll(propstat, "prop")) {
+        for (const child of prop.children) props[child.name] = child;
+      }
+    }
+    return { href: hrefIn({ children: response.children.filter(child => child.name === "href") }), props };
+  });
+}
+
+// Event ids the way Google makes them: the resource's file name without ".ics" when it
+// is plain letters, digits and dashes, otherwise the whole name hex-encoded after "~"
+function idForHref(href) {
+  const name = decodeURIComponent(href.split("/").filter(Boolean).pop() || "");
+  const stem = name.replace(/\.ics$/i, "");
+  return stem !== name && /^[A-Za-z0-9-]+$/.test(stem) ? stem : `~${Buffer.from(name).toString("hex")}`;
+}
+
+function urlForId(calendar, id) {
+  const name = id.startsWith("~") ? Buffer.from(id.slice(1), "hex").toString() : `${id}.ics`;
+  return new URL(encodeURIComponent(name), calendar.url).href;
+}
+
+const mailto = value => value.replace(/^mailto:/i, "");
+
+/**
+ * A start, end or RECURRENCE-ID in Google's format
+ * @param {Object} time - From parseTime
+ * @returns {Object} { date } or { dateTime, timeZone }
+ */
+function googleTime(time) {
+  if (time.allDay) return { date: time.date };
+  const dateTime = time.dt.toISO({ suppressMilliseconds: true });
+  return isValidTimezone(time.zone) ? { dateTime, timeZone: time.zone } : { dateTime };
+}
+
+// The id suffix of the instance a RECURRENCE-ID points at, as expandInstances builds it
+function instanceStamp(time) {
+  return time.allDay ? dateStamp(time.date) : utcStamp(time.dt.toJSDate());
+}
+
+/**
+ * Reminders from an event's VALARMs; alarms at a fixed time or after the start are skipped
+ * @param {Object} component - VEVENT
+ * @returns {Array} [{ method, minutes }]
+ */
+function remindersOf(component) {
+  const overrides = [];
+  for (const alarm of component.children.filter(child => child.name === "VALARM")) {
+    const trigger = propertyOf(alarm, "TRIGGER");
+    if (!trigger || trigger.params.VALUE === "DATE-TIME" || !trigger.value.startsWith("-")) continue;
+
+    const duration = Duration.fromISO(trigger.value.slice(1));
+    if (!duration.isValid) continue;
+    const action = (propertyOf(alarm, "ACTION")?.value || "DISPLAY").toUpperCase();
+    overrides.push({ method: action === "EMAIL" ? "email" : "popup", minutes: Math.round(duration.as("minutes")) });
+  }
+  return overrides;
+}
+
+/**
+ * One VEVENT in Google's event format
+ * @param {Object} component - VEVENT
+ * @param {Object} context - { resourceId, etag, zoneOf, calendarZone, selfEmail }
+ * @returns {Object|null} Event, or null when it has no readable start
+ */
+function toGoogleEvent(component, { resourceId, etag, zoneOf, calendarZone, selfEmail }) {
+  const text = name => {
+    const property = propertyOf(component, name);
+    return property ? unescapeText(property.value) : undefined;
+  };
+  const timeOf = name => {
+    const property = propertyOf(component, name);
+    return property ? parseTime(property, zoneOf, calendarZone) : null;
+  };
+
+  const start = timeOf("DTSTART");
+  if (!start) return null;
+
+  let end = timeOf("DTEND");
+  if (!end || end.allDay !== start.allDay) {
+    const duration = propertyOf(component, "DURATION") ? Duration.fromISO(propertyOf(component, "DURATION").value) : null;
+    end = start.allDay
+      ? { allDay: true, date: DateTime.fromISO(start.date).plus(duration?.isValid ? duration : { days: 1 }).toISODate() }
+      : { allDay: false, dt: start.dt.plus(duration?.isValid ? duration : {}), zone: start.zone };
+  }
+
+  const recurrenceId = timeOf("RECURRENCE-ID");
+  const event = {
+    kind: "calendar#event",
+    id: recurrenceId ? `${resourceId}_${instanceStamp(recurrenceId)}` : resourceId,
+    etag,
+    iCalUID: text("UID"),
+    status: (text("STATUS") || "CONFIRMED").toLowerCase(),
+    summary: text("SUMMARY"),
+    description: text("DESCRIPTION"),
+    location: text("LOCATION"),
+    start: googleTime(start),
+    end: googleTime(end),
+    transparency: (text("TRANSP") || "").toUpperCase() === "TRANSPARENT" ? "transparent" : "opaque",
+    sequence: Number(text("SEQUENCE")) || 0,
+    reminders: { useDefault: false, overrides: remindersOf(component) }
+  };
+
+  const created = propertyOf(component, "CREATED");
+  const modified = propertyOf(component, "LAST-MODIFIED");
+  if (created) event.created = parseTime(created, zoneOf, "UTC")?.dt?.toISO();
+  if (modified) event.updated = parseTime(modified, zoneOf, "UTC")?.dt?.toISO();
+
+  if (recurrenceId) {
+    event.recurringEventId = resourceId;
+    event.originalStartTime = googleTime(recurrenceId);
+  } else {
+    // EXDATEs are stored in UTC (or as dates) so exceptionDates() can read them whatever TZID they came with
+    const recurrence = [
+      ...propertiesOf(component, "RRULE").map(rule => `RRULE:${rule.value}`),
+      ...propertiesOf(component, "RDATE").map(rdate => `RDATE${Object.entries(rdate.params).map(([key, value]) => `;${key}=${value}`).join("")}:${rdate.value}`),
+      ...propertiesOf(component, "EXDATE").flatMap(exdate => exdate.value.split(",").map(value => {
+        const excluded = parseTime({ params: exdate.params, value }, zoneOf, start.zone || calendarZone);
+        if (!excluded) return null;
+        return excluded.allDay ? `EXDATE;VALUE=DATE:${dateStamp(excluded.date)}` : `EXDATE:${utcStamp(excluded.dt.toJSDate())}`;
+      })).filter(Boolean)
+    ];
+    if (recurrence.length) event.recurrence = recurrence;
+  }
+
+  const organizer = propertyOf(component, "ORGANIZER");
+  const organizerEmail = organizer ? mailto(organizer.value).toLowerCase() : null;
+  if (organizer) {
+    event.organizer = { email: mailto(organizer.value), displayName: organizer.params.CN, self: organizerEmail === selfEmail || undefined };
+  }
+
+  const attendees = propertiesOf(component, "ATTENDEE").map(({ params, value }) => {
+    const email = mailto(value);
+    return {
+      email,
+      displayName: params.CN,
+      responseStatus: RESPONSE_STATUSES[(params.PARTSTAT || "").toUpperCase()] || "needsAction",
+      optional: params.ROLE === "OPT-PARTICIPANT" || undefined,
+      organizer: email.toLowerCase() === organizerEmail || undefined,
+      self: email.toLowerCase() === selfEmail || undefined,
+      resource: ["ROOM", "RESOURCE"].includes((params.CUTYPE || "").toUpperCase()) || undefined
+    };
+  });
+  if (attendees.length) event.attendees = attendees;
+
+  const agentProperties = propertiesOf(component, AGENT_PROPERTY).filter(property => property.params["X-NAME"]);
+  if (agentProperties.length) {
+    event.extendedProperties = {
+      private: Object.fromEntries(agentProperties.map(property => [property.params["X-NAME"], unescapeText(property.value)]))
+    };
+  }
+
+  // Drops the fields left undefined
+  return clone(event);
+}
+
+/**
+ * An event resource as stored on the server
+ * @param {string} text - iCalendar body
+ * @param {Object} context - { id, url, etag, calendarZone, selfEmail }
+ * @returns {Object} { id, url, etag, uid, master, exceptions: [event], components: Map(eventId -> VEVENT), others: [component] }
+ */
+function readResource(text, { id, url, etag, calendarZone, selfEmail }) {
+  const vcalendar = parseComponents(text).find(component => component.name === "VCALENDAR");
+  if (!vcalendar) throw new CalendarProviderError(502, `${url} is not an iCalendar resource`);
+
+  const definitions = timezoneDefinitions(vcalendar);
+  const zoneOf = tzid => resolveZone(tzid, definitions);
+  const resource = { id, url, etag, uid: null, master: null, exceptions: [], components: new Map(), others: [] };
+
+  for (const component of vcalendar.children) {
+    if (component.name === "VTIMEZONE") continue;
+    if (component.name !== "VEVENT") {
+      resource.others.push(component);
+      continue;
+    }
+
+    const event = toGoogleEvent(component, { resourceId: id, etag, zoneOf, calendarZone, selfEmail });
+    if (!event) continue;
+
+    resource.uid = resource.uid || event.iCalUID;
+    resource.components.set(event.id, component);
+    if (event.recurringEventId) resource.exceptions.push(event);
+    else resource.master = event;
+  }
+  return resource;
+}
+
+/**
+ * A Google-format event as a VEVENT. Properties this provider doesn't manage, and
+ * sub-components other than alarms, are carried over from the stored VEVENT.
+ * @param {Object} event - Google-format event
+ * @param {Object} context - { uid, previous: stored VEVENT or null, selfEmail }
+ * @returns {Object} VEVENT component
+ */
+function toComponent(event, { uid, previous = null, selfEmail = null }) {
+  const properties = [];
+  const add = (name, value, params = {}) => properties.push({ name, params, value });
+  const addTime = (name, time) => {
+    if (time.date) return add(name, dateStamp(time.date), { VALUE: "DATE" });
+    if (time.timeZone && time.timeZone !== "UTC" && isValidTimezone(time.timeZone)) {
+      const local = DateTime.fromISO(time.dateTime, { zone: time.timeZone }).toFormat("yyyyMMdd'T'HHmmss");
+      return add(name, local, { TZID: time.timeZone });
+    }
+    return add(name, utcStamp(time.dateTime));
+  };
+
+  add("UID", uid);
+  add("DTSTAMP", utcStamp(new Date()));
+  add("CREATED", utcStamp(event.created || new Date()));
+  add("LAST-MODIFIED", utcStamp(new Date()));
+  add("SEQUENCE", String(previous ? (Number(propertyOf(previous, "SEQUENCE")?.value) || 0) + 1 : 0));
+  addTime("DTSTART", event.start);
+  if (event.end) addTime("DTEND", event.end);
+  if (event.recurringEventId && event.originalStartTime) addTime("RECURRENCE-ID", event.originalStartTime);
+
+  if (event.summary) add("SUMMARY", escapeText(event.summary));
+  if (event.description) add("DESCRIPTION", escapeText(event.description));
+  if (event.location) add("LOCATION", escapeText(event.location));
+  add("TRANSP", event.transparency === "transparent" ? "TRANSPARENT" : "OPAQUE");
+  add("STATUS", event.status === "tentative" ? "TENTATIVE" : "CONFIRMED");
+
+  for (const line of event.recurrence || []) {
+    const property = parseContentLine(line);
+    if (property) properties.push(property);
+  }
+
+  // Scheduling servers only send invitations for events with an organizer
+  const organizer = event.organizer?.email ? event.organizer : (event.attendees?.length && selfEmail ? { email: selfEmail } : null);
+  if (organizer) add("ORGANIZER", `mailto:${organizer.email}`, organizer.displayName ? { CN: organizer.displayName } : {});
+
+  for (const attendee of event.attendees || []) {
+    const params = {};
+    if (attendee.displayName) params.CN = attendee.displayName;
+    if (attendee.resource) params.CUTYPE = "RESOURCE";
+    params.ROLE = attendee.optional ? "OPT-PARTICIPANT" : "REQ-PARTICIPANT";
+    params.PARTSTAT = PARTSTATS[attendee.responseStatus] || "NEEDS-ACTION";
+    if (params.PARTSTAT === "NEEDS-ACTION") params.RSVP = "TRUE";
+    add("ATTENDEE", `mailto:${attendee.email}`, params);
+  }
+
+  for (const [key, value] of Object.entries(event.extendedProperties?.private || {})) {
+    add(AGENT_PROPERTY, escapeText(value), { "X-NAME": key });
+  }
+
+  const carried = previous ? previous.properties.filter(property => !MANAGED_PROPERTIES.has(property.name)) : [];
+  const children = previous ? previous.children.filter(child => child.name !== "VALARM") : [];
+
+  // Reminders left to "the calendar's defaults" have no alarms: CalDAV calendars have no defaults
+  const overrides = event.reminders && !event.reminders.useDefault ? event.reminders.overrides || [] : [];
+  for (const { method, minutes } of overrides) {
+    const alarm = [
+      { name: "ACTION", params: {}, value: method === "email" ? "EMAIL" : "DISPLAY" },
+      { name: "TRIGGER", params: {}, value: `-PT${minutes}M` },
+      { name: "DESCRIPTION", params: {}, value: escapeText(event.summary || "Reminder") }
+    ];
+    if (method === "email") alarm.push({ name: "SUMMARY", params: {}, value: escapeText(event.summary || "Reminder") });
+    if (method === "email" && selfEmail) alarm.push({ name: "ATTENDEE", params: {}, value: `mailto:${selfEmail}` });
+    children.push({ name: "VALARM", properties: alarm, children: [] });
+  }
+
+  return { name: "VEVENT", properties: [...properties, ...carried], children };
+}
+
+/**
+ * The iCalendar body for a resource: its series and changed instances, plus a
+ * VTIMEZONE for every zone they use
+ * @param {Object} resource - From readResource (or a new one)
+ * @param {string} selfEmail - The account's email address
+ * @returns {string} iCalendar text
+ */
+function writeResource(resource, selfEmail) {
+  const events = [resource.master, ...resource.exceptions].filter(event => event && event.status !== "cancelled");
+  const year = DateTime.fromISO(events[0].start.dateTime || events[0].start.date, { setZone: true }).year;
+  const zones = new Set(events.flatMap(event => [event.start, event.end])
+    .map(time => time?.timeZone)
+    .filter(zone => zone && zone !== "UTC" && isValidTimezone(zone)));
+
+  const components = [
+    ...[...zones].map(zone => vtimezoneComponent(zone, year)),
+    ...events.map(event => toComponent(event, { uid: resource.uid, previous: resource.components.get(event.id) || null, selfEmail })),
+    ...resource.others
+  ];
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    ...components.flatMap(componentLines),
+    "END:VCALENDAR"
+  ];
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * The events a resource shows: its series expanded into instances, with changed instances in
+ * place of the ones they replace
+ * @param {Object} resource - From readResource
+ * @param {string} calendarZone - The calendar's timezone
+ * @returns {Array} Events in Google's format
+ */
+function expandResource(resource, calendarZone) {
+  const exceptionIds = new Set(resource.exceptions.map(event => event.id));
+  const series = !resource.master ? []
+    : resource.master.recurrence ? expandInstances(resource.master, calendarZone).filter(instance => !exceptionIds.has(instance.id))
+      : [resource.master];
+  return [...series, ...resource.exceptions];
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Create the CalDAV provider
+ * @param {Object} options
+ * @param {Function} options.accountFor - userId -> { url, username, password, calendar, email } or null
+ * @returns {Object} { name, connect(account), forget(userId), forUser(userId) }
+ */
+function createCalDavCalendarProvider({ accountFor }) {
+  // userId -> { key, at, calendars }
+  const discovered = new Map();
+
+  /**
+   * One request to the server. 401s become 403s: the CalDAV password, not the
+   * Google sign-in, is what was rejected.
+   */
+  async function davRequest(account, method, url, { depth = null, body = null, headers = {} } = {}) {
+    const origin = new URL(account.url).origin;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+      // The password only ever goes to the server the account was connected with
+      if (new URL(url).origin !== origin) {
+        throw new CalendarProviderError(502, `The CalDAV server sent the app to ${new URL(url).host}, which isn't the connected server`);
+      }
+      checkAddressLiteral(url);
+
+      try {
+        response = await fetch(url, {
+          method,
+          headers: {
+            Authorization: `Basic ${Buffer.from(`${account.username}:${account.password}`).toString("base64")}`,
+            ...(depth !== null ? { Depth: String(depth) } : {}),
+            ...(body ? { "Content-Type": method === "PUT" ? "text/calendar; charset=utf-8" : "application/xml; charset=utf-8" } : {}),
+            ...headers
+          },
+          body,
+          redirect: "manual",
+          dispatcher: davAgent,
+          signal: AbortSignal.timeout(DAV_TIMEOUT_MS)
+        });
+      } catch (error) {
+        if (error.cause instanceof CalendarProviderError) throw error.cause;
+        throw new CalendarProviderError(503, `The CalDAV server at ${new URL(url).host} could not be reached (${error.cause?.code || error.message})`);
+      }
+
+      // Redirects are followed here so each hop is checked like the first
+      const location = response.headers.get("location");
+      if (![301, 302, 303, 307, 308].includes(response.status) || !location || redirects >= MAX_REDIRECTS) break;
+      await response.body?.cancel();
+      url = new URL(location, url).href;
+    }
+
+    if (response.status === 401) {
+      throw new CalendarProviderError(403, "The CalDAV server rejected the username or password");
+    }
+    if (!response.ok) {
+      throw new CalendarProviderError(response.status, `CalDAV ${method} ${new URL(url).pathname} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  async function multistatus(account, method, url, options) {
+    const response = await davRequest(account, method, url, options);
+    return parseMultistatus(await response.text()).map(entry => ({ ...entry, url: new URL(entry.href || url, url).href }));
+  }
+
+  /**
+   * The event calendars of an account: the URL itself when it is a calendar,
+   * otherwise those in the calendar home of the URL's principal
+   * @param {Object} account - { url, username, password, calendar }
+   * @returns {Promise<Array>} [{ id, url, summary, primary, accessRole, timeZone, backgroundColor }]
+   */
+  async function discoverCalendars(account) {
+    const base = account.url.endsWith("/") ? account.url : `${account.url}/`;
+    const [start] = await multistatus(account, "PROPFIND", base, {
+      depth: 0,
+      body: `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:resourcetype/><d:current-user-principal/><c:calendar-home-set/></d:prop>
+</d:propfind>`
+    });
+
+    // Hrefs are the server's to choose; ones pointing at another server are ignored
+    const hrefOn = (element) => {
+      const href = hrefIn(element);
+      return href && sameOriginUrl(href, base);
+    };
+
+    let entries;
+    if (start && findFirst(start.props.resourcetype, "calendar")) {
+      entries = await multistatus(account, "PROPFIND", base, { depth: 0, body: CALENDAR_PROPS });
+    } else {
+      let home = hrefOn(start?.props["calendar-home-set"]);
+      const principal = hrefOn(start?.props["current-user-principal"]);
+      if (!home && principal) {
+        const [found] = await multistatus(account, "PROPFIND", principal, {
+          depth: 0,
+          body: `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav"><d:prop><c:calendar-home-set/></d:prop></d:propfind>`
+        });
+        home = hrefOn(found?.props["calendar-home-set"]);
+      }
+      entries = await multistatus(account, "PROPFIND", home || base, { depth: 1, body: CALENDAR_PROPS });
+    }
+
+    const calendars = entries
+      .filter(entry => sameOriginUrl(entry.url, base))
+      .filter(entry => findFirst(entry.props.resourcetype, "calendar"))
+      .filter(entry => {
+        const components = findAll(entry.props["supported-calendar-component-set"] || { children: [] }, "comp");
+        return !components.length || components.some(comp => comp.attributes.name === "VEVENT");
+      })
+      .map(entry => {
+        const url = entry.url.endsWith("/") ? entry.url : `${entry.url}/`;
+        const privileges = entry.props["current-user-privilege-set"];
+        const writable = !privileges || ["all", "write", "write-content"].some(name => findFirst(privileges, name));
+
+        let timeZone = null;
+        const zoneText = entry.props["calendar-timezone"]?.text;
+        if (zoneText) {
+          const vcalendar = parseComponents(zoneText).find(component => component.name === "VCALENDAR");
+          const tzid = vcalendar && propertyOf(vcalendar.children.find(c => c.name === "VTIMEZONE") || { properties: [] }, "TZID")?.value;
+          timeZone = tzid ? resolveZone(tzid, timezoneDefinitions(vcalendar)) : null;
+        }
+
+        return {
+          id: new URL(url).pathname,
+          url,
+          summary: entry.props.displayname?.text.trim() || decodeURIComponent(new URL(url).pathname.split("/").filter(Boolean).pop()),
+          accessRole: writable ? "owner" : "reader",
+          timeZone: isValidTimezone(timeZone) ? timeZone : resolvePreferences().timezone,
+          backgroundColor: entry.props["calendar-color"]?.text.trim().slice(0, 7) || null
+        };
+      });
+
+    // The account's chosen calendar, or the first one events can be added to, stands in for "primary"
+    const primary = calendars.find(calendar => calendar.id === account.calendar) ||
+      calendars.find(calendar => calendar.accessRole === "owner") || calendars[0];
+    return calendars.map(calendar => ({ ...calendar, primary: calendar === primary }));
+  }
+
+  return {
+    name: "caldav",
+
+    /**
+     * Check an account before it is saved
+     * @param {Object} account - { url, username, password, calendar }
+     * @returns {Promise<Array>} Its event calendars
+     * @throws {CalendarProviderError} When the server can't be reached, rejects the login or has no calendars
+     */
+    async connect(account) {
+      const calendars = await discoverCalendars(account);
+      if (!calendars.length) throw new CalendarProviderError(404, "No event calendars were found at that URL");
+      return calendars;
+    },
+
+    // Drop what was discovered for a user, e.g. after they change account
+    forget(userId) {
+      discovered.delete(userId);
+    },
+
+    forUser(userId) {
+      const accountOrThrow = () => {
+        const account = accountFor(userId);
+        if (!account) throw new CalendarProviderError(403, "No CalDAV account is connected");
+        if (!account.password) throw new CalendarProviderError(403, "The CalDAV password can't be read; connect the account again");
+        return account;
+      };
+      const selfEmail = () => {
+        const account = accountFor(userId);
+        return (account?.username?.includes("@") ? account.username : account?.email || "").toLowerCase() || null;
+      };
+
+      const calendars = async () => {
+        const account = accountOrThrow();
+        const key = `${account.url}|${account.username}|${account.calendar || ""}`;
+        const cached = discovered.get(userId);
+        if (cached && cached.key === key && Date.now() - cached.at < DISCOVERY_TTL_MS) return cached.calendars;
+
+        const found = await discoverCalendars(account);
+        discovered.set(userId, { key, at: Date.now(), calendars: found });
+        return found;
+      };
+
+      // "primary" is the account's main calendar, whatever its id
+      const findCalendar = async (calendarId) => (await calendars())
+        .find(calendar => (calendarId === "primary" ? calendar.primary : calendar.id === calendarId)) || null;
+
+      const calendarOrThrow = async (calendarId, { write = false } = {}) => {
+        const calendar = await findCalendar(calendarId);
+        if (!calendar) throw new CalendarProviderError(404, `Calendar ${calendarId} not found`);
+        if (write && calendar.accessRole !== "owner") throw new CalendarProviderError(403, `Calendar ${calendarId} is read-only`);
+        return calendar;
+      };
+
+      const fetchResource = async (calendar, resourceId) => {
+        const url = urlForId(calendar, resourceId);
+        const response = await davRequest(accountOrThrow(), "GET", url);
+        return readResource(await response.text(), {
+          id: resourceId,
+          url,
+          etag: response.headers.get("etag"),
+          calendarZone: calendar.timeZone,
+          selfEmail: selfEmail()
+        });
+      };
+
+      // The resource holding an event or instance, and that event as stored or expanded
+      const locate = async (calendar, eventId) => {
+        const separator = eventId.indexOf("_");
+        const resourceId = separator > 0 ? eventId.slice(0, separator) : eventId;
+        const resource = await fetchResource(calendar, resourceId);
+
+        const event = eventId === resourceId
+          ? resource.master || resource.exceptions[0] || null
+          : resource.exceptions.find(e => e.id === eventId) ||
+            (resource.master?.recurrence ? expandInstances(resource.master, calendar.timeZone).find(i => i.id === eventId) : null) || null;
+        if (!event) throw new CalendarProviderError(404, "Not Found");
+        return { resource, event };
+      };
+
+      // Write a resource back (only if nobody changed it meanwhile) and return one event from the stored copy
+      const save = async (calendar, resource, eventId, { create = false } = {}) => {
+        const headers = create ? { "If-None-Match": "*" } : resource.etag ? { "If-Match": resource.etag } : {};
+        try {
+          await davRequest(accountOrThrow(), "PUT", resource.url, { body: writeResource(resource, selfEmail()), headers });
+        } catch (error) {
+          if (create && error.code === 412) throw new CalendarProviderError(409, "The requested identifier already exists");
+          throw error;
+        }
+        return (await locate(calendar, eventId)).event;
+      };
+
+      // An instance of a series stored as a changed instance, so it can be edited
+      const materialize = (resource, event) => {
+        if (!event.recurringEventId || resource.exceptions.includes(event)) return event;
+        const instance = clone(event);
+        resource.exceptions.push(instance);
+        return instance;
+      };
+
+      return {
+        async listCalendars() {
+          return (await calendars()).map(({ url, ...calendar }) => clone(calendar));
+        },
+
+        async getCalendar(calendarId) {
+          const { id, summary, timeZone } = await calendarOrThrow(calendarId);
+          return { id, summary, timeZone };
+        },
+
+        async listEvents(calendarId, { timeMin, timeMax = null, query = null, maxResults = null }) {
+          const calendar = await calendarOrThrow(calendarId);
+          const range = `<c:time-range start="${utcStamp(timeMin)}"${timeMax ? ` end="${utcStamp(timeMax)}"` : ""}/>`;
+          const responses = await multistatus(accountOrThrow(), "REPORT", calendar.url, {
+            depth: 1,
+            body: `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT">${range}</c:comp-filter></c:comp-filter></c:filter>
+</c:calendar-query>`
+          });
+
+          const from = new Date(timeMin).getTime();
+          const to = timeMax ? new Date(timeMax).getTime() : Infinity;
+          const wanted = query ? query.toLowerCase() : null;
+
+          const events = responses
+            .filter(entry => entry.props["calendar-data"])
+            .flatMap(entry => {
+              try {
+                const resource = readResource(entry.props["calendar-data"].text, {
+                  id: idForHref(entry.url),
+                  url: entry.url,
+                  etag: entry.props.getetag?.text.trim() || null,
+                  calendarZone: calendar.timeZone,
+                  selfEmail: selfEmail()
+                });
+                return expandResource(resource, calendar.timeZone);
+              } catch (error) {
+                console.warn(`[caldavCalendar] Skipped ${entry.url}:`, error.message);
+                return [];
+              }
+            })
+            .filter(event => event.status !== "cancelled")
+            .filter(event => instantOf(event.end, calendar.timeZone) > from && instantOf(event.start, calendar.timeZone) < to)
+            .filter(event => !wanted || [event.summary, event.description, event.location]
+              .some(text => (text || "").toLowerCase().includes(wanted)))
+            .sort((a, b) => instantOf(a.start, calendar.timeZone) - instantOf(b.start, calendar.timeZone));
+
+          return maxResults ? events.slice(0, maxResults) : events;
+        },
+
+        async getEvent(calendarId, eventId) {
+          return (await locate(await calendarOrThrow(calendarId), eventId)).event;
+        },
+
+        async insertEvent(calendarId, resource) {
+          const calendar = await calendarOrThrow(calendarId, { write: true });
+          const id = resource.id && /^[A-Za-z0-9-]+$/.test(resource.id) ? resource.id : uuidv4().replace(/-/g, "");
+          const { recurringEventId, originalStartTime, ...fields } = clone(resource);
+          const event = { ...fields, id, status: "confirmed", created: new Date().toISOString() };
+
+          event.start = normalizeTime(event.start, calendar.timeZone);
+          event.end = normalizeTime(event.end, calendar.timeZone);
+          // Video calls need Google; a requested one is left off
+          if (event.conferenceData?.createRequest) delete event.conferenceData;
+
+          const stored = { id, url: urlForId(calendar, id), etag: null, uid: id, master: event, exceptions: [], components: new Map(), others: [] };
+          return save(calendar, stored, id, { create: true });
+        },
+
+        async patchEvent(calendarId, eventId, patch, { etag = null } = {}) {
+          const calendar = await calendarOrThrow(calendarId, { write: true });
+          const { resource, event: current } = await locate(calendar, eventId);
+          if (current.status === "cancelled") throw new CalendarProviderError(404, "Not Found");
+          if (etag && etag !== resource.etag) throw new CalendarProviderError(412, "Precondition Failed");
+
+          const event = materialize(resource, current);
+          applyPatch(event, patch);
+          event.start = normalizeTime(event.start, calendar.timeZone);
+          event.end = normalizeTime(event.end, calendar.timeZone);
+          return save(calendar, resource, eventId);
+        },
+
+        async updateEvent(calendarId, eventId, replacement) {
+          const calendar = await calendarOrThrow(calendarId, { write: true });
+          const { resource, event: current } = await locate(calendar, eventId);
+
+          const event = materialize(resource, current);
+          const { id, recurringEventId, originalStartTime, created } = event;
+          for (const key of Object.keys(event)) delete event[key];
+          Object.assign(event, clone(replacement), { id, status: "confirmed", created });
+          if (recurringEventId) Object.assign(event, { recurringEventId, originalStartTime });
+          else delete event.recurringEventId;
+
+          event.start = normalizeTime(event.start, calendar.timeZone);
+          event.end = normalizeTime(event.end, calendar.timeZone);
+          return save(calendar, resource, eventId);
+        },
+
+        async deleteEvent(calendarId, eventId) {
+          const calendar = await calendarOrThrow(calendarId, { write: true });
+          const { resource, event } = await locate(calendar, eventId);
+
+          if (!event.recurringEventId) {
+            // The whole event, with every changed instance of a series
+            await davRequest(accountOrThrow(), "DELETE", resource.url, resource.etag ? { headers: { "If-Match": resource.etag } } : {});
+            return;
+          }
+
+          // One instance: taken out of the series with an EXDATE
+          resource.exceptions = resource.exceptions.filter(e => e.id !== eventId);
+          if (resource.master) {
+            const original = event.originalStartTime;
+            resource.master.recurrence = [
+              ...(resource.master.recurrence || []),
+              original.date ? `EXDATE;VALUE=DATE:${dateStamp(original.date)}` : `EXDATE:${utcStamp(original.dateTime)}`
+            ];
+          }
+
+          if (!resource.master && !resource.exceptions.length) {
+            await davRequest(accountOrThrow(), "DELETE", resource.url, resource.etag ? { headers: { "If-Match": resource.etag } } : {});
+            return;
+          }
+          await davRequest(accountOrThrow(), "PUT", resource.url, {
+            body: writeResource(resource, selfEmail()),
+            headers: resource.etag ? { "If-Match": resource.etag } : {}
+          });
+        },
+
+        async freeBusy({ timeMin, timeMax, calendarIds }) {
+          const results = {};
+
+          for (const calendarId of calendarIds) {
+            const calendar = await findCalendar(calendarId);
+            if (!calendar) {
+              results[calendarId] = { errors: [{ domain: "global", reason: "notFound" }] };
+              continue;
+            }
+
+            try {
+              const response = await davRequest(accountOrThrow(), "REPORT", calendar.url, {
+                depth: 1,
+                body: `<?xml version="1.0" encoding="utf-8"?>
+<c:free-busy-query xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <c:time-range start="${utcStamp(timeMin)}" end="${utcStamp(timeMax)}"/>
+</c:free-busy-query>`
+              });
+              const vcalendar = parseComponents(await response.text()).find(component => component.name === "VCALENDAR");
+              const vfreebusy = vcalendar?.children.find(component => component.name === "VFREEBUSY");
+              if (!vfreebusy) throw new Error("no VFREEBUSY in the reply");
+
+              results[calendarId] = {
+                busy: propertiesOf(vfreebusy, "FREEBUSY")
+                  .filter(property => (property.params.FBTYPE || "BUSY").toUpperCase() !== "FREE")
+                  .flatMap(property => property.value.split(","))
+                  .map(period => {
+                    const [startText, endText] = period.split("/");
+                    const start = DateTime.fromFormat(startText, "yyyyMMdd'T'HHmmss'Z'", { zone: "utc" });
+                    const end = endText.startsWith("P") || endText.startsWith("-")
+                      ? start.plus(Duration.fromISO(endText))
+                      : DateTime.fromFormat(endText, "yyyyMMdd'T'HHmmss'Z'", { zone: "utc" });
+                    return { start: start.toISO(), end: end.toISO() };
+                  })
+                  .filter(interval => interval.start && interval.end)
+              };
+            } catch (error) {
+              // Servers without free-busy-query: busy time from the events themselves
+              console.warn(`[caldavCalendar] free-busy-query on ${calendar.id} unavailable (${error.message}); using events`);
+              const events = await this.listEvents(calendarId, { timeMin, timeMax });
+              results[calendarId] = {
+                busy: events
+                  .filter(event => event.transparency !== "transparent")
+                  .map(event => ({
+                    start: new Date(instantOf(event.start, calendar.timeZone)).toISOString(),
+                    end: new Date(instantOf(event.end, calendar.timeZone)).toISOString()
+                  }))
+              };
+            }
+          }
+          return results;
+        }
+      };
+    }
+  };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createCalDavCalendarProvider
+};
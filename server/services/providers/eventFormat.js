@@ -0,0 +1,126 @@
+/**
+ * Event Format
+ *
+ * Helpers for providers that keep events themselves (local, CalDAV) and have
+ * to answer the way Google Calendar would: times written with their offset,
+ * recurring events expanded into instances with Google's instance ids, and
+ * patches merged like events.patch.
+ */
+
+import { DateTime } from "luxon";
+import { CalendarProviderError } from "../calendarProvider.js";
+import { parseRRule, expandOccurrences, exceptionDates } from "../../utils/recurrence.js";
+import { zonedDateTime } from "../../utils/timezone.js";
+
+// ============ HELPER FUNCTIONS ============
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+const isPlainObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Write a start/end the way Google returns it: date-times with their offset.
+ * Date-times sent without one are read in the given timeZone (or the calendar's).
+ * @param {Object} time - { date } or { dateTime, timeZone }
+ * @param {string} calendarZone - The calendar's timezone
+ * @returns {Object} Normalised start/end
+ */
+function normalizeTime(time, calendarZone) {
+  if (!time?.dateTime) return time;
+
+  const zone = time.timeZone || calendarZone;
+  const dt = DateTime.fromISO(time.dateTime, { zone, setZone: /(?:Z|[+-]\d\d:?\d\d)$/.test(time.dateTime) });
+  if (!dt.isValid) throw new CalendarProviderError(400, `Invalid date-time "${time.dateTime}"`);
+  return { ...time, dateTime: dt.setZone(zone).toISO({ suppressMilliseconds: true }) };
+}
+
+/**
+ * The instant an event's start or end happens
+ * @param {Object} time - { date } or { dateTime }
+ * @param {string} zone - Timezone for all-day dates
+ * @returns {number} Milliseconds
+ */
+function instantOf(time, zone) {
+  return time.dateTime ? new Date(time.dateTime).getTime() : zonedDateTime(time.date, "00:00", zone).getTime();
+}
+
+/**
+ * The instances of a recurring event; rules this provider can't read give just the first one
+ * @param {Object} master - Stored recurring event
+ * @param {string} calendarZone - The calendar's timezone
+ * @param {Object} options
+ * @param {string} options.from - Optional 'YYYY-MM-DD': only instances starting that day or later
+ * @returns {Array} Instances in Google's format
+ */
+function expandInstances(master, calendarZone, { from = null } = {}) {
+  const zone = master.start.timeZone || calendarZone;
+  const line = (master.recurrence || []).find(rule => /^RRULE:/i.test(rule));
+  const rule = line ? parseRRule(line, zone) : null;
+
+  const start = master.start.dateTime
+    ? DateTime.fromISO(master.start.dateTime, { zone })
+    : DateTime.fromISO(master.start.date, { zone });
+  const end = master.end.dateTime
+    ? DateTime.fromISO(master.end.dateTime, { zone })
+    : DateTime.fromISO(master.end.date, { zone });
+  // EXDATE lines take single dates out of the series
+  const skipped = exceptionDates(master.recurrence, zone);
+  const dates = (rule ? expandOccurrences(start.toISODate(), rule, from) : [start.toISODate()]).filter(date => !skipped.has(date));
+
+  return dates.map(date => {
+    const instanceStart = DateTime.fromISO(`${date}T${start.toFormat("HH:mm:ss")}`, { zone });
+    const instanceEnd = instanceStart.plus(end.diff(start));
+    const { recurrence, ...fields } = master;
+
+    const times = master.start.dateTime
+      ? {
+        start: { dateTime: instanceStart.toISO({ suppressMilliseconds: true }), timeZone: zone },
+        end: { dateTime: instanceEnd.toISO({ suppressMilliseconds: true }), timeZone: zone }
+      }
+      : { start: { date }, end: { date: instanceEnd.toISODate() } };
+
+    const stamp = master.start.dateTime ? instanceStart.toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'") : date.replace(/-/g, "");
+    return {
+      ...fields,
+      ...times,
+      id: `${master.id}_${stamp}`,
+      recurringEventId: master.id,
+      originalStartTime: times.start
+    };
+  });
+}
+
+/**
+ * Merge a patch into an event like Google's events.patch: nested objects are merged,
+ * lists replaced, and null clears a field
+ * @param {Object} event - Stored event (mutated)
+ * @param {Object} patch - Fields to change
+ */
+function applyPatch(event, patch) {
+  for (const [key, value] of Object.entries(patch)) {
+    if (value === null) {
+      delete event[key];
+    } else if (isPlainObject(value) && isPlainObject(event[key])) {
+      const merged = { ...event[key], ...value };
+      for (const field of Object.keys(merged)) {
+        if (merged[field] === null) delete merged[field];
+      }
+      event[key] = merged;
+    } else {
+      event[key] = clone(value);
+    }
+  }
+}
+
+// ============ EXPORTS ============
+
+export {
+  clone,
+  isPlainObject,
+  normalizeTime,
+  instantOf,
+  expandInstances,
+  applyPatch
+};
@@ -0,0 +1,141 @@
+/**
+ * Google Calendar Provider
+ *
+ * The calendar provider interface (see calendarProvider.js) on top of the
+ * Google Calendar v3 API, signed in as the user with their stored OAuth
+ * tokens. Google's own errors are passed through unchanged so reauth and
+ * status checks keep working on them.
+ */
+
+import { google } from "googleapis";
+import { getAuthClient } from "../../utils/googleAuth.js";
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Create the Google provider
+ * @returns {Object} { name, forUser(userId) }
+ */
+function createGoogleCalendarProvider() {
+  return {
+    name: "google",
+
+    forUser(userId) {
+      const calendar = google.calendar({ version: "v3", auth: getAuthClient(userId) });
+
+      return {
+        async listCalendars() {
+          const response = await calendar.calendarList.list({ minAccessRole: "freeBusyReader" });
+          return response.data.items || [];
+        },
+
+        async getCalendar(calendarId) {
+          return (await calendar.calendars.get({ calendarId })).data;
+        },
+
+        // Pages through the results until maxResults (when given) or the end of the range
+        async listEvents(calendarId, { timeMin, timeMax = null, query = null, maxResults = null, timeZone }) {
+          const items = [];
+          let pageToken = null;
+          do {
+            const params = {
+              calendarId,
+              timeMin,
+              timeZone,
+              singleEvents: true,
+              orderBy: "startTime",
+              maxResults: maxResults ? Math.min(maxResults - items.length, 2500) : 2500
+            };
+            if (timeMax) params.timeMax = timeMax;
+            if (query) params.q = query;
+            if (pageToken) params.pageToken = pageToken;
+
+            const { data } = await calendar.events.list(params);
+            items.push(...(data.items || []));
+            pageToken = data.nextPageToken || null;
+          } while (pageToken && (!maxResults || items.length < maxResults));
+
+          return items;
+        },
+
+        // Recurring events come as the series plus its changed and cancelled instances.
+        // Without a syncToken every event ending after timeMin is listed; with one, only
+        // what changed since (deleted events with status "cancelled"). 410 when it expired.
+        async listChanges(calendarId, { syncToken = null, timeMin = null } = {}) {
+          const items = [];
+          let pageToken = null;
+          let data;
+          do {
+            const params = { calendarId, maxResults: 2500, singleEvents: false };
+            if (syncToken) params.syncToken = syncToken;
+            else if (timeMin) params.timeMin = timeMin;
+            if (pageToken) params.pageToken = pageToken;
+
+            data = (await calendar.events.list(params)).data;
+            items.push(...(data.items || []));
+            pageToken = data.nextPageToken || null;
+          } while (pageToken);
+
+          return { items, nextSyncToken: data.nextSyncToken, timeZone: data.timeZone };
+        },
+
+        async getEvent(calendarId, eventId) {
+          return (await calendar.events.get({ calendarId, eventId })).data;
+        },
+
+        async insertEvent(calendarId, event, { sendUpdates = "none", conferenceDataVersion = 0 } = {}) {
+          const response = await calendar.events.insert({ calendarId, resource: event, sendUpdates, conferenceDataVersion });
+          return response.data;
+        },
+
+        async patchEvent(calendarId, eventId, patch, { sendUpdates = "none", etag = null } = {}) {
+          const response = await calendar.events.patch(
+            { calendarId, eventId, resource: patch, sendUpdates },
+            etag ? { headers: { "If-Match": etag } } : {}
+          );
+          return response.data;
+        },
+
+        async updateEvent(calendarId, eventId, event, { sendUpdates = "none", conferenceDataVersion = 0 } = {}) {
+          const response = await calendar.events.update({ calendarId, eventId, resource: event, sendUpdates, conferenceDataVersion });
+          return response.data;
+        },
+
+        async deleteEvent(calendarId, eventId, { sendUpdates = "none" } = {}) {
+          await calendar.events.delete({ calendarId, eventId, sendUpdates });
+        },
+
+        // Google posts to address whenever an event in the calendar changes, until expiration
+        async watchEvents(calendarId, { id, token, address, ttlSeconds }) {
+          const response = await calendar.events.watch({
+            calendarId,
+            requestBody: { id, token, address, type: "web_hook", params: { ttl: String(ttlSeconds) } }
+          });
+          return { id: response.data.id, resourceId: response.data.resourceId, expiration: Number(response.data.expiration) };
+        },
+
+        async stopChannel({ id, resourceId }) {
+          await calendar.channels.stop({ requestBody: { id, resourceId } });
+        },
+
+        async freeBusy({ timeMin, timeMax, timeZone, calendarIds }) {
+          const response = await calendar.freebusy.query({
+            requestBody: {
+              timeMin,
+              timeMax,
+              timeZone,
+              items: calendarIds.map(id => ({ id }))
+            }
+          });
+          return response.data.calendars || {};
+        }
+      };
+    }
+  };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createGoogleCalendarProvider
+};
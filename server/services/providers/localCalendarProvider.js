@@ -0,0 +1,294 @@
+/**
+ * Local Calendar Provider
+ *
+ * The calendar provider interface (see calendarProvider.js) without Google:
+ * each user's calendars and events are kept by the app, in Google's event
+ * format, so the assistant can run and be tested offline. Uses the same
+ * drivers as the other stores:
+ *   - "file":   every user's calendars in <dataDir>/calendars.json (default)
+ *   - "memory": process memory only
+ *
+ * Every user starts with one calendar, "primary". Recurring events are stored
+ * once and expanded into instances (ids "<eventId>_<start>") when listed;
+ * changing or cancelling one instance stores it as an exception, as Google
+ * does. No invitations or reminders are sent and no video calls are created.
+ * Watch channels can be opened but no notifications are sent on them; post
+ * them to the webhook yourself to test.
+ */
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { CalendarProviderError } from "../calendarProvider.js";
+import { clone, normalizeTime, instantOf, expandInstances, applyPatch } from "./eventFormat.js";
+import { resolvePreferences } from "../../utils/timezone.js";
+
+// ============ DRIVERS ============
+
+/**
+ * In-memory driver
+ * @returns {Object} Driver with load/persist
+ */
+function createMemoryDriver() {
+  return {
+    load: () => ({}),
+    persist: () => {}
+  };
+}
+
+/**
+ * File driver: all users' calendars in one JSON file, written atomically via rename
+ * @param {string} dataDir - Base data directory
+ * @returns {Object} Driver with load/persist
+ */
+function createFileDriver(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = path.join(dataDir, "calendars.json");
+
+  return {
+    load: () => {
+      if (!fs.existsSync(file)) return {};
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8")).users || {};
+      } catch (error) {
+        console.error(`[localCalendar] Could not read ${file}:`, error.message);
+        return {};
+      }
+    },
+    persist: (users) => {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ users }), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * A user's calendars before they have added anything
+ * @returns {Object} { calendars, events: { calendarId: [event] } }
+ */
+function newAccount() {
+  return {
+    calendars: [{
+      id: "primary",
+      summary: "My calendar",
+      primary: true,
+      accessRole: "owner",
+      timeZone: resolvePreferences().timezone
+    }],
+    events: { primary: [] }
+  };
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Create the local provider
+ * @param {Object} options
+ * @param {string} options.driver - 'file' or 'memory'
+ * @param {string} options.dataDir - Directory for the file driver
+ * @returns {Object} { name, forUser(userId) }
+ */
+function createLocalCalendarProvider({ driver = "file", dataDir } = {}) {
+  const backend = driver === "memory" ? createMemoryDriver() : createFileDriver(dataDir);
+  const accounts = backend.load();
+
+  const persist = () => backend.persist(accounts);
+
+  return {
+    name: "local",
+
+    forUser(userId) {
+      if (!accounts[userId]) {
+        accounts[userId] = newAccount();
+        persist();
+      }
+      const account = accounts[userId];
+
+      // "primary" is the user's own calendar, whatever its id
+      const findCalendar = (calendarId) => calendarId === "primary"
+        ? account.calendars.find(calendar => calendar.primary)
+        : account.calendars.find(calendar => calendar.id === calendarId);
+
+      const calendarOrThrow = (calendarId, { write = false } = {}) => {
+        const calendar = findCalendar(calendarId);
+        if (!calendar) throw new CalendarProviderError(404, `Calendar ${calendarId} not found`);
+        if (write && !["owner", "writer"].includes(calendar.accessRole)) {
+          throw new CalendarProviderError(403, `Calendar ${calendarId} is read-only`);
+        }
+        account.events[calendar.id] = account.events[calendar.id] || [];
+        return calendar;
+      };
+
+      // Every event as the calendar shows it: recurring events as their instances,
+      // with stored exceptions in place of the instances they change
+      const expandedEvents = (calendar) => {
+        const stored = account.events[calendar.id];
+        const exceptionIds = new Set(stored.filter(event => event.recurringEventId).map(event => event.id));
+
+        return stored.flatMap(event => event.recurrence && !event.recurringEventId
+          ? expandInstances(event, calendar.timeZone).filter(instance => !exceptionIds.has(instance.id))
+          : [event]);
+      };
+
+      // A stored event, or an instance of a recurring one stored as an exception so it can be changed
+      const findStored = (calendar, eventId, { materialize = false } = {}) => {
+        const stored = account.events[calendar.id];
+        const event = stored.find(e => e.id === eventId);
+        if (event) return event;
+
+        const separator = eventId.lastIndexOf("_");
+        const master = separator > 0 && stored.find(e => e.id === eventId.slice(0, separator) && e.recurrence);
+        const instance = master && expandInstances(master, calendar.timeZone).find(i => i.id === eventId);
+        if (!instance) return null;
+        if (!materialize) return instance;
+
+        stored.push(instance);
+        return instance;
+      };
+
+      const touch = (event) => {
+        event.etag = `"${Date.now()}${Math.floor(Math.random() * 1000)}"`;
+        event.updated = new Date().toISOString();
+        return event;
+      };
+
+      return {
+        async listCalendars() {
+          return clone(account.calendars);
+        },
+
+        async getCalendar(calendarId) {
+          const { id, summary, timeZone } = calendarOrThrow(calendarId);
+          return { id, summary, timeZone };
+        },
+
+        async listEvents(calendarId, { timeMin, timeMax = null, query = null, maxResults = null }) {
+          const calendar = calendarOrThrow(calendarId);
+          const from = new Date(timeMin).getTime();
+          const to = timeMax ? new Date(timeMax).getTime() : Infinity;
+          const wanted = query ? query.toLowerCase() : null;
+
+          const events = expandedEvents(calendar)
+            .filter(event => event.status !== "cancelled")
+            .filter(event => instantOf(event.end, calendar.timeZone) > from && instantOf(event.start, calendar.timeZone) < to)
+            .filter(event => !wanted || [event.summary, event.description, event.location]
+              .some(text => (text || "").toLowerCase().includes(wanted)))
+            .sort((a, b) => instantOf(a.start, calendar.timeZone) - instantOf(b.start, calendar.timeZone));
+
+          return clone(maxResults ? events.slice(0, maxResults) : events);
+        },
+
+        async getEvent(calendarId, eventId) {
+          const event = findStored(calendarOrThrow(calendarId), eventId);
+          if (!event) throw new CalendarProviderError(404, "Not Found");
+          return clone(event);
+        },
+
+        async insertEvent(calendarId, resource) {
+          const calendar = calendarOrThrow(calendarId, { write: true });
+          const event = { ...clone(resource), id: resource.id || uuidv4().replace(/-/g, ""), status: "confirmed", created: new Date().toISOString() };
+
+          event.start = normalizeTime(event.start, calendar.timeZone);
+          event.end = normalizeTime(event.end, calendar.timeZone);
+          // Video calls need Google; a requested one is left off
+          if (event.conferenceData?.createRequest) delete event.conferenceData;
+
+          if (account.events[calendar.id].some(e => e.id === event.id)) {
+            throw new CalendarProviderError(409, "The requested identifier already exists");
+          }
+          account.events[calendar.id].push(touch(event));
+          persist();
+          return clone(event);
+        },
+
+        async patchEvent(calendarId, eventId, patch, { etag = null } = {}) {
+          const calendar = calendarOrThrow(calendarId, { write: true });
+          const current = findStored(calendar, eventId);
+          if (!current || current.status === "cancelled") throw new CalendarProviderError(404, "Not Found");
+          if (etag && etag !== current.etag) throw new CalendarProviderError(412, "Precondition Failed");
+
+          const event = findStored(calendar, eventId, { materialize: true });
+          applyPatch(event, patch);
+          event.start = normalizeTime(event.start, calendar.timeZone);
+          event.end = normalizeTime(event.end, calendar.timeZone);
+          touch(event);
+          persist();
+          return clone(event);
+        },
+
+        async updateEvent(calendarId, eventId, resource) {
+          const calendar = calendarOrThrow(calendarId, { write: true });
+          const event = findStored(calendar, eventId, { materialize: true });
+          if (!event) throw new CalendarProviderError(404, "Not Found");
+
+          const { id, recurringEventId, originalStartTime, created } = event;
+          for (const key of Object.keys(event)) delete event[key];
+          Object.assign(event, clone(resource), { id, status: "confirmed", created });
+          if (recurringEventId) Object.assign(event, { recurringEventId, originalStartTime });
+
+          event.start = normalizeTime(event.start, calendar.timeZone);
+          event.end = normalizeTime(event.end, calendar.timeZone);
+          touch(event);
+          persist();
+          return clone(event);
+        },
+
+        async deleteEvent(calendarId, eventId) {
+          const calendar = calendarOrThrow(calendarId, { write: true });
+          const event = findStored(calendar, eventId);
+          if (!event) throw new CalendarProviderError(404, "Not Found");
+          if (event.status === "cancelled") throw new CalendarProviderError(410, "Resource has been deleted");
+
+          if (event.recurringEventId) {
+            // One instance of a series: kept as a cancelled exception so it stays hidden
+            touch(Object.assign(findStored(calendar, eventId, { materialize: true }), { status: "cancelled" }));
+          } else {
+            // The whole event, and for a series every changed or cancelled instance too
+            account.events[calendar.id] = account.events[calendar.id]
+              .filter(e => e.id !== eventId && e.recurringEventId !== eventId);
+          }
+          persist();
+        },
+
+        async watchEvents(calendarId, { id, ttlSeconds }) {
+          const calendar = calendarOrThrow(calendarId);
+          return { id, resourceId: `local-${calendar.id}`, expiration: Date.now() + ttlSeconds * 1000 };
+        },
+
+        async stopChannel() {},
+
+        async freeBusy({ timeMin, timeMax, calendarIds }) {
+          const calendars = {};
+
+          for (const calendarId of calendarIds) {
+            const calendar = findCalendar(calendarId);
+            if (!calendar) {
+              calendars[calendarId] = { errors: [{ domain: "global", reason: "notFound" }] };
+              continue;
+            }
+
+            const events = await this.listEvents(calendarId, { timeMin, timeMax });
+            calendars[calendarId] = {
+              busy: events
+                .filter(event => event.transparency !== "transparent")
+                .map(event => ({
+                  start: new Date(instantOf(event.start, calendar.timeZone)).toISOString(),
+                  end: new Date(instantOf(event.end, calendar.timeZone)).toISOString()
+                }))
+            };
+          }
+          return calendars;
+        }
+      };
+    }
+  };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createLocalCalendarProvider
+};
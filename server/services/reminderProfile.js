@@ -0,0 +1,141 @@
+/**
+ * Reminder Profile
+ *
+ * Per-user default reminders for each kind of event the app creates:
+ * meetings (events with guests), other events, all-day events, to-do blocks
+ * and goal sessions. A type set to null leaves the calendar's own default
+ * reminders in place, [] means no reminders, and a list such as
+ * [{ method: "popup", minutes: 30 }] replaces them. Reminders asked for in
+ * chat ("remind me 30 minutes before") win over the profile.
+ */
+
+const REMINDER_TYPES = ["meeting", "event", "all_day", "todo", "goal"];
+const REMINDER_METHODS = ["popup", "email"];
+
+// Google's limits on reminder overrides
+const MAX_REMINDERS = 5;
+const MAX_REMINDER_MINUTES = 40320;
+
+const DEFAULT_REMINDER_PROFILE = Object.fromEntries(REMINDER_TYPES.map(type => [type, null]));
+
+// Largest unit first, so 1440 minutes reads as "1 day"
+const UNITS = [["week", 10080], ["day", 1440], ["hour", 60], ["minute", 1]];
+
+// ============ HELPER FUNCTIONS ============
+
+/**
+ * "30 minutes", "1 day" in the user's locale
+ * @param {number} minutes - Minutes before the event
+ * @param {string} locale - BCP 47 locale
+ * @returns {string}
+ */
+function formatLead(minutes, locale) {
+  const [unit, size] = UNITS.find(([, size]) => minutes >= size && minutes % size === 0) || ["minute", 1];
+  return new Intl.NumberFormat(locale, { style: "unit", unit, unitDisplay: "long" }).format(minutes / size);
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Check a list of reminders
+ * @param {*} reminders - Expected: null or [{ method, minutes }]
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateReminders(reminders) {
+  if (reminders === null) return null;
+  if (!Array.isArray(reminders)) return "reminders must be null (calendar default) or a list of { method, minutes }";
+  if (reminders.length > MAX_REMINDERS) return `An event can have at most ${MAX_REMINDERS} reminders`;
+
+  for (const reminder of reminders) {
+    if (!reminder || !REMINDER_METHODS.includes(reminder.method)) {
+      return `Reminder method must be one of ${REMINDER_METHODS.join(", ")}`;
+    }
+    if (!Number.isInteger(reminder.minutes) || reminder.minutes < 0 || reminder.minutes > MAX_REMINDER_MINUTES) {
+      return `Reminder minutes must be a whole number from 0 to ${MAX_REMINDER_MINUTES}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a partial reminder profile update
+ * @param {Object} changes - { meeting, event, all_day, todo, goal }
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateReminderProfile(changes) {
+  if (!changes || typeof changes !== "object" || Array.isArray(changes)) {
+    return "Expected an object keyed by event type";
+  }
+
+  for (const [type, reminders] of Object.entries(changes)) {
+    if (!REMINDER_TYPES.includes(type)) {
+      return `Unknown event type "${type}"; use ${REMINDER_TYPES.join(", ")}`;
+    }
+    const error = validateReminders(reminders);
+    if (error) return `${type}: ${error}`;
+  }
+  return null;
+}
+
+/**
+ * Stored profile merged over the defaults
+ * @param {Object|null} stored - Profile saved for the user
+ * @returns {Object} Complete profile
+ */
+function resolveReminderProfile(stored = null) {
+  return { ...DEFAULT_REMINDER_PROFILE, ...(stored || {}) };
+}
+
+/**
+ * Reminders for a new event
+ * @param {Object} profile - Resolved reminder profile
+ * @param {string} type - One of REMINDER_TYPES
+ * @param {Array|null|undefined} requested - Reminders asked for explicitly; undefined when none were
+ * @returns {Array|null} Reminders for calendarService (null keeps the calendar default)
+ */
+function remindersFor(profile, type, requested = undefined) {
+  if (requested !== undefined) return requested;
+  return profile[type] ?? null;
+}
+
+/**
+ * The profile type of a chat event draft
+ * @param {Object} event - Draft with attendees and all_day
+ * @returns {string} 'meeting' | 'all_day' | 'event'
+ */
+function reminderTypeOf(event) {
+  if (event.attendees?.length) return "meeting";
+  return event.all_day ? "all_day" : "event";
+}
+
+/**
+ * Reminders in words
+ * @param {Array|null} reminders - [{ method, minutes }], [] or null
+ * @param {Object} prefs - { locale }
+ * @returns {string} e.g. "a reminder 30 minutes before", "no reminders" or "your calendar's default reminders"
+ */
+function describeReminders(reminders, prefs) {
+  if (reminders === null) return "your calendar's default reminders";
+  if (reminders.length === 0) return "no reminders";
+
+  const parts = [...reminders]
+    .sort((a, b) => b.minutes - a.minutes)
+    .map(({ method, minutes }) => {
+      const when = minutes === 0 ? "when it starts" : `${formatLead(minutes, prefs.locale)} before`;
+      return method === "email" ? `an email ${when}` : `a reminder ${when}`;
+    });
+  return new Intl.ListFormat(prefs.locale, { type: "conjunction" }).format(parts);
+}
+
+// ============ EXPORTS ============
+
+export {
+  REMINDER_TYPES,
+  DEFAULT_REMINDER_PROFILE,
+  validateReminders,
+  validateReminderProfile,
+  resolveReminderProfile,
+  remindersFor,
+  reminderTypeOf,
+  describeReminders
+};
@@ -0,0 +1,233 @@
+/**
+ * Session Store
+ *
+ * Pluggable persistence for session state (events, todos, goals, pending
+ * confirmations, the undo journal) and a per-session message log. Two
+ * drivers are available:
+ *   - "file":   one JSON file per session under <dataDir>/sessions (default)
+ *   - "memory": process memory only, wiped on restart
+ *
+ * Both drivers keep records in memory so getSession/saveSession stay synchronous;
+ * the file driver writes through to disk on every change.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// ============ MIGRATIONS ============
+
+/**
+ * Each migration upgrades a stored record by one schema version.
+ * Records are migrated when loaded, so old files keep working after upgrades.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: "Wrap legacy { state, updatedAt } entries in a versioned record",
+    up: (record) => ({
+      id: record.id,
+      state: record.state || {},
+      messages: record.messages || [],
+      createdAt: record.createdAt || record.updatedAt || new Date().toISOString(),
+      updatedAt: record.updatedAt || new Date().toISOString()
+    })
+  },
+  {
+    version: 2,
+    description: "Ensure activeEvents, todos and goals collections exist",
+    up: (record) => {
+      const state = record.state;
+      state.activeEvents = state.activeEvents || [];
+      state.todos = state.todos || [];
+      state.goals = state.goals || [];
+      return record;
+    }
+  },
+  {
+    version: 3,
+    description: "Add the operation journal used by undo",
+    up: (record) => {
+      record.state.operations = record.state.operations || [];
+      return record;
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Apply any pending migrations to a record
+ * @param {Object} record - Stored session record
+ * @returns {{ record: Object, migrated: boolean }} Upgraded record
+ */
+function migrateRecord(record) {
+  let current = record;
+  let migrated = false;
+
+  for (const migration of MIGRATIONS) {
+    if ((current.schemaVersion || 0) < migration.version) {
+      current = { ...migration.up(current), schemaVersion: migration.version };
+      migrated = true;
+    }
+  }
+
+  return { record: current, migrated };
+}
+
+// ============ DRIVERS ============
+
+/**
+ * In-memory driver (the previous behaviour)
+ * @returns {Object} Driver with get/put/remove/list
+ */
+function createMemoryDriver() {
+  const records = new Map();
+
+  return {
+    get: (id) => records.get(id) || null,
+    put: (record) => { records.set(record.id, record); },
+    remove: (id) => { records.delete(id); },
+    list: () => [...records.values()]
+  };
+}
+
+/**
+ * File driver: one JSON file per session, written atomically via rename
+ * @param {string} dataDir - Base data directory
+ * @returns {Object} Driver with get/put/remove/list
+ */
+function createFileDriver(dataDir) {
+  const sessionsDir = path.join(dataDir, "sessions");
+  fs.mkdirSync(sessionsDir, { recursive: true });
+
+  // Session ids come from clients, so never use them as file names directly
+  const fileFor = (id) => path.join(sessionsDir, `${crypto.createHash("sha256").update(id).digest("hex")}.json`);
+
+  const write = (record) => {
+    const file = fileFor(record.id);
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(record));
+    fs.renameSync(tmp, file);
+  };
+
+  const records = new Map();
+
+  for (const name of fs.readdirSync(sessionsDir)) {
+    if (!name.endsWith(".json")) continue;
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(path.join(sessionsDir, name), "utf8"));
+      const { record, migrated } = migrateRecord(raw);
+      records.set(record.id, record);
+      if (migrated) write(record);
+    } catch (error) {
+      console.error(`[sessionStore] Skipping unreadable session file ${name}:`, error.message);
+    }
+  }
+
+  console.log(`[sessionStore] Loaded ${records.size} sessions from ${sessionsDir}`);
+
+  return {
+    get: (id) => records.get(id) || null,
+    put: (record) => {
+      records.set(record.id, record);
+      write(record);
+    },
+    remove: (id) => {
+      records.delete(id);
+      fs.rmSync(fileFor(id), { force: true });
+    },
+    list: () => [...records.values()]
+  };
+}
+
+// ============ STORE ============
+
+/**
+ * Create a session store
+ * @param {Object} options
+ * @param {string} options.driver - 'file' or 'memory'
+ * @param {string} options.dataDir - Directory for the file driver
+ * @param {number} options.ttlHours - Sessions idle longer than this are expired (0 disables)
+ * @param {string[]} options.transientKeys - State keys dropped on expiry along with the messages
+ * @param {number} options.maxMessages - Messages kept per session
+ * @returns {Object} Store API
+ */
+function createSessionStore({ driver = "file", dataDir, ttlHours = 168, transientKeys = [], maxMessages = 500 } = {}) {
+  const backend = driver === "memory" ? createMemoryDriver() : createFileDriver(dataDir);
+  const ttlMs = ttlHours > 0 ? ttlHours * 60 * 60 * 1000 : 0;
+
+  // Sessions are permanent per user, so expiry only forgets the conversation and
+  // anything pending in it; todos, goals and the undo journal are kept
+  const isExpired = (record) =>
+    ttlMs > 0 &&
+    Date.now() - new Date(record.updatedAt).getTime() > ttlMs &&
+    (record.messages.length > 0 || transientKeys.some(key => key in record.state));
+
+  const expire = (record) => {
+    const state = { ...record.state };
+    for (const key of transientKeys) delete state[key];
+    const expired = { ...record, state, messages: [] };
+    backend.put(expired);
+    return expired;
+  };
+
+  const newRecord = (id) => {
+    const now = new Date().toISOString();
+    return { id, schemaVersion: SCHEMA_VERSION, state: {}, messages: [], createdAt: now, updatedAt: now };
+  };
+
+  // Expired sessions are trimmed lazily on read as well as by purgeExpired()
+  const getRecord = (id) => {
+    const record = backend.get(id);
+    return record && isExpired(record) ? expire(record) : record;
+  };
+
+  return {
+    getSession(id) {
+      const record = getRecord(id);
+      return record ? record.state : {};
+    },
+
+    saveSession(id, state) {
+      const record = getRecord(id) || newRecord(id);
+      backend.put({ ...record, state, updatedAt: new Date().toISOString() });
+    },
+
+    appendMessage(id, role, content) {
+      const record = getRecord(id) || newRecord(id);
+      const messages = [...record.messages, { role, content, at: new Date().toISOString() }];
+      backend.put({ ...record, messages: messages.slice(-maxMessages), updatedAt: new Date().toISOString() });
+    },
+
+    getMessages(id) {
+      const record = getRecord(id);
+      return record ? record.messages : [];
+    },
+
+    deleteSession(id) {
+      backend.remove(id);
+    },
+
+    purgeExpired() {
+      let purged = 0;
+      for (const record of backend.list()) {
+        if (isExpired(record)) {
+          expire(record);
+          purged++;
+        }
+      }
+      if (purged) console.log(`[sessionStore] Purged ${purged} expired sessions`);
+      return purged;
+    }
+  };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createSessionStore,
+  migrateRecord,
+  SCHEMA_VERSION
+};
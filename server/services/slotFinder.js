@@ -0,0 +1,375 @@
+/**
+ * Slot Finder
+ *
+ * Suggests times for to-dos (and other bookings) from the user's scheduling
+ * profile: per-weekday working hours, a buffer around meetings, a lunch block,
+ * no-meeting days and preferred focus times. Every free start time on a
+ * 15-minute grid is scored and the best few non-overlapping slots are
+ * returned, each with the reasons it was picked. Meetings can also have to fit
+ * other participants' working hours in their own timezones.
+ */
+
+import { DateTime } from "luxon";
+
+const WEEKDAYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const WORKDAY = { start: "09:00", end: "18:00" };
+
+const DEFAULT_PROFILE = {
+  working_hours: {
+    monday: WORKDAY,
+    tuesday: WORKDAY,
+    wednesday: WORKDAY,
+    thursday: WORKDAY,
+    friday: WORKDAY,
+    saturday: null,
+    sunday: null
+  },
+  buffer_minutes: 10,
+  lunch: { start: "12:00", end: "13:00" },
+  no_meeting_days: [],
+  // [{ start: "09:00", end: "11:00", days: ["monday"] }]; days is optional
+  focus_times: [],
+  slot_step_minutes: 15
+};
+
+// How much each part of the score counts
+const WEIGHTS = { timing: 0.4, fragmentation: 0.3, preference: 0.3 };
+
+// ============ HELPER FUNCTIONS ============
+
+function isValidRange(range) {
+  return Boolean(range) && TIME_PATTERN.test(range.start) && TIME_PATTERN.test(range.end) && range.start < range.end;
+}
+
+/**
+ * A DateTime on the given day at 'HH:MM'
+ * @param {DateTime} day - Start of the day in the user's timezone
+ * @param {string} time - 'HH:MM'
+ * @returns {DateTime}
+ */
+function atTime(day, time) {
+  const [hour, minute] = time.split(":").map(Number);
+  return day.set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+/**
+ * Subtract blocked intervals from a window
+ * @param {Array} window - [startMs, endMs]
+ * @param {Array} blocked - [[startMs, endMs], ...]
+ * @returns {Array} Free intervals [[startMs, endMs], ...] in order
+ */
+function subtractIntervals([windowStart, windowEnd], blocked) {
+  const free = [];
+  let cursor = windowStart;
+
+  for (const [start, end] of [...blocked].sort((a, b) => a[0] - b[0])) {
+    if (end <= cursor || start >= windowEnd) continue;
+    if (start > cursor) free.push([cursor, Math.min(start, windowEnd)]);
+    cursor = Math.max(cursor, end);
+    if (cursor >= windowEnd) break;
+  }
+
+  if (cursor < windowEnd) free.push([cursor, windowEnd]);
+  return free;
+}
+
+/**
+ * Overlap of two sorted interval lists
+ * @param {Array} a - [[startMs, endMs], ...]
+ * @param {Array} b - [[startMs, endMs], ...]
+ * @returns {Array} Intervals covered by both, in order
+ */
+function intersectIntervals(a, b) {
+  const overlap = [];
+  for (const [aStart, aEnd] of a) {
+    for (const [bStart, bEnd] of b) {
+      const start = Math.max(aStart, bStart);
+      const end = Math.min(aEnd, bEnd);
+      if (start < end) overlap.push([start, end]);
+    }
+  }
+  return overlap.sort((x, y) => x[0] - y[0]);
+}
+
+/**
+ * A participant's working hours between two instants, on their own clock
+ * @param {Object} participant - { timezone, working_hours }
+ * @param {number} fromMs - Range start
+ * @param {number} toMs - Range end
+ * @returns {Array} [[startMs, endMs], ...]
+ */
+function workingIntervals({ timezone, working_hours }, fromMs, toMs) {
+  const intervals = [];
+
+  for (let day = DateTime.fromMillis(fromMs, { zone: timezone }).startOf("day");
+       day.toMillis() < toMs;
+       day = day.plus({ days: 1 })) {
+    const hours = working_hours[WEEKDAYS[day.weekday - 1]];
+    if (hours) intervals.push([atTime(day, hours.start).toMillis(), atTime(day, hours.end).toMillis()]);
+  }
+
+  return intervals;
+}
+
+/**
+ * Minutes of [start, end) that fall inside the day's focus times
+ * @returns {number} Fraction of the slot (0 to 1)
+ */
+function focusOverlap(day, weekday, startMs, endMs, focusTimes) {
+  let overlap = 0;
+
+  for (const focus of focusTimes) {
+    if (focus.days && !focus.days.includes(weekday)) continue;
+    const focusStart = atTime(day, focus.start).toMillis();
+    const focusEnd = atTime(day, focus.end).toMillis();
+    overlap += Math.max(0, Math.min(endMs, focusEnd) - Math.max(startMs, focusStart));
+  }
+
+  return Math.min(1, overlap / (endMs - startMs));
+}
+
+/**
+ * How usable the time left on either side of a slot is (0 to 1).
+ * Sitting flush against an event or the edge of the day is best; leaving a
+ * sliver too short for anything is worst.
+ */
+function leftoverScore(minutes) {
+  if (minutes === 0) return 1;
+  if (minutes < 30) return 0;
+  if (minutes < 60) return 0.5;
+  return 0.8;
+}
+
+// ============ PROFILE ============
+
+/**
+ * Effective scheduling profile: the user's stored settings over the defaults
+ * @param {Object|null} stored - Saved (possibly partial) profile
+ * @returns {Object} Complete profile
+ */
+function resolveSchedulingProfile(stored = null) {
+  const profile = { ...DEFAULT_PROFILE, ...(stored || {}) };
+  profile.working_hours = { ...DEFAULT_PROFILE.working_hours, ...(stored?.working_hours || {}) };
+  return profile;
+}
+
+/**
+ * Check a profile update before it is saved
+ * @param {Object} changes - Partial profile
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateSchedulingProfile(changes) {
+  if (!changes || typeof changes !== "object") return "Expected a scheduling profile object";
+
+  if (changes.working_hours !== undefined) {
+    if (typeof changes.working_hours !== "object" || changes.working_hours === null) {
+      return "working_hours must map weekdays to { start, end } or null";
+    }
+    for (const [day, hours] of Object.entries(changes.working_hours)) {
+      if (!WEEKDAYS.includes(day)) return `Unknown weekday "${day}" in working_hours`;
+      if (hours !== null && !isValidRange(hours)) return `working_hours.${day} needs start < end as "HH:MM"`;
+    }
+  }
+
+  if (changes.buffer_minutes !== undefined &&
+      !(Number.isInteger(changes.buffer_minutes) && changes.buffer_minutes >= 0 && changes.buffer_minutes <= 120)) {
+    return "buffer_minutes must be a whole number from 0 to 120";
+  }
+
+  if (changes.lunch !== undefined && changes.lunch !== null && !isValidRange(changes.lunch)) {
+    return 'lunch needs start < end as "HH:MM", or null for no lunch block';
+  }
+
+  if (changes.no_meeting_days !== undefined &&
+      (!Array.isArray(changes.no_meeting_days) || !changes.no_meeting_days.every(day => WEEKDAYS.includes(day)))) {
+    return "no_meeting_days must be a list of weekday names";
+  }
+
+  if (changes.focus_times !== undefined) {
+    if (!Array.isArray(changes.focus_times)) return "focus_times must be a list";
+    for (const focus of changes.focus_times) {
+      if (!isValidRange(focus)) return 'Each focus time needs start < end as "HH:MM"';
+      if (focus.days !== undefined && (!Array.isArray(focus.days) || !focus.days.every(day => WEEKDAYS.includes(day)))) {
+        return "focus_times[].days must be a list of weekday names";
+      }
+    }
+  }
+
+  if (changes.slot_step_minutes !== undefined && ![5, 10, 15, 30, 60].includes(changes.slot_step_minutes)) {
+    return "slot_step_minutes must be 5, 10, 15, 30 or 60";
+  }
+
+  return null;
+}
+
+// ============ CORE LOGIC FUNCTIONS ============
+
+/**
+ * Score one candidate slot
+ * @returns {Object} { score, reasons }
+ */
+function scoreSlot({ startMs, endMs, freeStart, freeEnd, day, weekday, nowMs, horizonMs, deadlineMs, profile, kind }) {
+  const reasons = [];
+
+  // Timing: earlier is better, measured against the deadline when there is one
+  const span = Math.max(1, (deadlineMs || horizonMs) - nowMs);
+  const timing = 1 - Math.min(1, Math.max(0, (startMs - nowMs) / span));
+  if (timing >= 0.7) reasons.push(deadlineMs ? "well before the deadline" : "one of the soonest free times");
+
+  // Fragmentation: keep the rest of the free block usable
+  const before = Math.round((startMs - freeStart) / 60000);
+  const after = Math.round((freeEnd - endMs) / 60000);
+  const fragmentation = (leftoverScore(before) + leftoverScore(after)) / 2;
+  if (before === 0 || after === 0) {
+    reasons.push("fits right next to your other plans");
+  } else if (fragmentation >= 0.8) {
+    reasons.push("leaves the rest of the free time usable");
+  }
+
+  // Preference: focus work goes into focus time, meetings stay out of it
+  const overlap = focusOverlap(day, weekday, startMs, endMs, profile.focus_times);
+  const noMeetingDay = profile.no_meeting_days.includes(weekday);
+  let preference = 0.5;
+  if (kind === "meeting") {
+    preference = profile.focus_times.length ? 1 - overlap : 0.5;
+    if (profile.focus_times.length && overlap === 0) reasons.push("outside your focus time");
+  } else {
+    preference = 0.5 + 0.5 * overlap;
+    if (overlap > 0) reasons.push("during your focus time");
+    if (noMeetingDay) {
+      preference = Math.min(1, preference + 0.25);
+      reasons.push("on a no-meeting day");
+    }
+  }
+
+  const score = WEIGHTS.timing * timing + WEIGHTS.fragmentation * fragmentation + WEIGHTS.preference * preference;
+  if (reasons.length === 0) reasons.push("free within your working hours");
+
+  return { score: Math.round(score * 100) / 100, reasons };
+}
+
+/**
+ * Find and rank free slots
+ * @param {Object} options
+ * @param {Array} options.busy - [{ start: Date, end: Date }] existing commitments
+ * @param {number} options.durationMinutes - Slot length
+ * @param {Object} options.profile - Resolved scheduling profile
+ * @param {string} options.timezone - User's IANA timezone
+ * @param {string} options.startDate - First day to search ('YYYY-MM-DD')
+ * @param {string} options.endDate - Last day to search ('YYYY-MM-DD')
+ * @param {Date|null} options.deadline - Slots must end by this instant
+ * @param {Array|null} options.timeRange - [startHour, endHour] replacing working hours (e.g. "afternoon")
+ * @param {boolean} options.exact - A specific time was asked for: only real conflicts count and results stay in time order
+ * @param {string} options.kind - 'focus' (to-dos, default) or 'meeting'
+ * @param {number} options.count - How many slots to return
+ * @param {Array} options.participants - [{ timezone, working_hours }] other people the slot must suit;
+ *   their busy time belongs in options.busy
+ * @param {Date} options.now - Current time (for tests)
+ * @returns {Array} [{ start, end, score, reasons }] best first
+ */
+function findRankedSlots({
+  busy = [],
+  durationMinutes,
+  profile,
+  timezone,
+  startDate,
+  endDate,
+  deadline = null,
+  timeRange = null,
+  exact = false,
+  kind = "focus",
+  count = 3,
+  participants = [],
+  now = new Date()
+}) {
+  const step = profile.slot_step_minutes * 60000;
+  const duration = durationMinutes * 60000;
+  const buffer = exact ? 0 : profile.buffer_minutes * 60000;
+  const nowMs = now.getTime();
+  const deadlineMs = deadline ? deadline.getTime() : null;
+  const horizonMs = DateTime.fromISO(endDate, { zone: timezone }).endOf("day").toMillis();
+
+  const blocked = busy.map(({ start, end }) => [start.getTime() - buffer, end.getTime() + buffer]);
+  const candidates = [];
+
+  for (let day = DateTime.fromISO(startDate, { zone: timezone }).startOf("day");
+       day.toISODate() <= endDate;
+       day = day.plus({ days: 1 })) {
+    const weekday = WEEKDAYS[day.weekday - 1];
+
+    // Meetings never land on no-meeting days unless a time was asked for
+    if (kind === "meeting" && !exact && profile.no_meeting_days.includes(weekday)) continue;
+
+    let window;
+    if (timeRange) {
+      const rangeEnd = timeRange[1] >= 24 ? day.plus({ days: 1 }) : day.set({ hour: timeRange[1] });
+      window = [day.set({ hour: timeRange[0] }).toMillis(), rangeEnd.toMillis()];
+      // "4pm" is about when it starts; a long task may run past the hour
+      if (exact) window[1] = Math.max(window[1], window[0] + duration);
+    } else {
+      const hours = profile.working_hours[weekday];
+      if (!hours) continue;
+      window = [atTime(day, hours.start).toMillis(), atTime(day, hours.end).toMillis()];
+    }
+
+    // Only the part of the day that is working time for everyone
+    let windows = [window];
+    for (const participant of participants) {
+      windows = intersectIntervals(windows, workingIntervals(participant, window[0], window[1]));
+    }
+
+    const dayBlocked = [...blocked];
+    if (profile.lunch && !exact) {
+      dayBlocked.push([atTime(day, profile.lunch.start).toMillis(), atTime(day, profile.lunch.end).toMillis()]);
+    }
+
+    const free = windows.flatMap(part => subtractIntervals(part, dayBlocked));
+    for (const [freeStart, freeEnd] of free) {
+      // Starts on the step grid, counted from midnight
+      const dayStart = day.toMillis();
+      let startMs = dayStart + Math.ceil((Math.max(freeStart, nowMs) - dayStart) / step) * step;
+
+      for (; startMs + duration <= freeEnd; startMs += step) {
+        const endMs = startMs + duration;
+        if (deadlineMs && endMs > deadlineMs) break;
+
+        candidates.push({
+          startMs,
+          endMs,
+          ...scoreSlot({ startMs, endMs, freeStart, freeEnd, day, weekday, nowMs, horizonMs, deadlineMs, profile, kind })
+        });
+      }
+    }
+  }
+
+  // A specific time was asked for: the closest matches in time order
+  const ordered = exact
+    ? candidates.sort((a, b) => a.startMs - b.startMs)
+    : candidates.sort((a, b) => b.score - a.score || a.startMs - b.startMs);
+
+  const picked = [];
+  for (const candidate of ordered) {
+    if (picked.some(p => candidate.startMs < p.endMs && candidate.endMs > p.startMs)) continue;
+    picked.push(candidate);
+    if (picked.length >= count) break;
+  }
+
+  return picked.map(({ startMs, endMs, score, reasons }) => ({
+    start: new Date(startMs).toISOString(),
+    end: new Date(endMs).toISOString(),
+    score,
+    reasons
+  }));
+}
+
+// ============ EXPORTS ============
+
+export {
+  WEEKDAYS,
+  DEFAULT_PROFILE,
+  resolveSchedulingProfile,
+  validateSchedulingProfile,
+  findRankedSlots
+};
@@ -0,0 +1,299 @@
+/**
+ * User Store
+ *
+ * User accounts created on first Google sign-in. Each user owns their Google
+ * OAuth tokens, one chat session, their timezone/locale preferences, the
+ * scheduling profile used to suggest slots, which of their Google calendars
+ * count as busy and receive new events, their default reminders per event
+ * type, whether they get a morning digest email, for calendars outside
+ * Google, the CalDAV account they connected and the push notification channels
+ * open on their calendars. CalDAV passwords are stored encrypted with
+ * SECRETS_KEY (see utils/secrets.js). Uses the same drivers as the session store:
+ *   - "file":   all users in <dataDir>/users.json (default)
+ *   - "memory": process memory only
+ */
+
+import fs from "fs";
+import path from "path";
+import { v4 as uuidv4 } from "uuid";
+import { encryptSecret, decryptSecret, isEncrypted, hasSecretsKey } from "../utils/secrets.js";
+
+// ============ DRIVERS ============
+
+/**
+ * In-memory driver
+ * @returns {Object} Driver with load/persist
+ */
+function createMemoryDriver() {
+  return {
+    load: () => [],
+    persist: () => {}
+  };
+}
+
+/**
+ * File driver: the whole user list in one JSON file, written atomically via rename
+ * @param {string} dataDir - Base data directory
+ * @returns {Object} Driver with load/persist
+ */
+function createFileDriver(dataDir) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const file = path.join(dataDir, "users.json");
+
+  return {
+    load: () => {
+      if (!fs.existsSync(file)) return [];
+      try {
+        return JSON.parse(fs.readFileSync(file, "utf8")).users || [];
+      } catch (error) {
+        console.error(`[userStore] Could not read ${file}:`, error.message);
+        return [];
+      }
+    },
+    persist: (users) => {
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ users }), { mode: 0o600 });
+      fs.renameSync(tmp, file);
+    }
+  };
+}
+
+// ============ STORE ============
+
+/**
+ * Create a user store
+ * @param {Object} options
+ * @param {string} options.driver - 'file' or 'memory'
+ * @param {string} options.dataDir - Directory for the file driver
+ * @returns {Object} Store API
+ */
+function createUserStore({ driver = "file", dataDir } = {}) {
+  const backend = driver === "memory" ? createMemoryDriver() : createFileDriver(dataDir);
+  const users = new Map(backend.load().map(user => [user.id, user]));
+
+  const persist = () => backend.persist([...users.values()]);
+
+  // Passwords saved before they were encrypted are encrypted on first load. Without
+  // SECRETS_KEY they are left as they are until it is set.
+  const plaintext = [...users.values()].filter(user => user.calendar_account?.password && !isEncrypted(user.calendar_account.password));
+  if (plaintext.length && !hasSecretsKey()) {
+    console.warn(`[userStore] SECRETS_KEY is not set - ${plaintext.length} stored calendar passwords stay unencrypted`);
+  } else if (plaintext.length) {
+    plaintext.forEach(user => { user.calendar_account.password = encryptSecret(user.calendar_account.password); });
+    persist();
+    console.log(`[userStore] Encrypted ${plaintext.length} stored calendar passwords`);
+  }
+
+  const findByGoogleId = (googleId) =>
+    [...users.values()].find(user => user.google_id === googleId) || null;
+
+  return {
+    findById(userId) {
+      return users.get(userId) || null;
+    },
+
+    findByGoogleId,
+
+    /**
+     * Find the user for a Google account, creating it on first sign-in
+     * @param {Object} profile - { googleId, email, name }
+     * @returns {Object} User
+     */
+    upsertGoogleUser({ googleId, email, name }) {
+      let user = findByGoogleId(googleId);
+
+      if (!user) {
+        const id = uuidv4();
+        user = {
+          id,
+          google_id: googleId,
+          session_id: `user_${id}`,
+          google_tokens: null,
+          preferences: { timezone: null, locale: null },
+          scheduling: null,
+          calendars: null,
+          reminders: null,
+          digest: null,
+          calendar_account: null,
+          calendar_channels: [],
+          created_at: new Date().toISOString()
+        };
+      }
+
+      user.email = email || user.email || null;
+      user.name = name || user.name || null;
+      users.set(user.id, user);
+      persist();
+      return user;
+    },
+
+    /**
+     * Change a user's preferences (only the provided fields)
+     * @param {string} userId - User id
+     * @param {Object} changes - { timezone, locale }
+     * @returns {Object} Updated preferences
+     */
+    updatePreferences(userId, changes) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.preferences = { timezone: null, locale: null, ...(user.preferences || {}) };
+      if (changes.timezone !== undefined) user.preferences.timezone = changes.timezone || null;
+      if (changes.locale !== undefined) user.preferences.locale = changes.locale || null;
+      persist();
+      return user.preferences;
+    },
+
+    /**
+     * Merge changes into a user's scheduling profile (see slotFinder for the fields)
+     * @param {string} userId - User id
+     * @param {Object} changes - Validated partial profile
+     * @returns {Object} Stored profile (without defaults)
+     */
+    updateSchedulingProfile(userId, changes) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      const current = user.scheduling || {};
+      user.scheduling = {
+        ...current,
+        ...changes,
+        working_hours: { ...(current.working_hours || {}), ...(changes.working_hours || {}) }
+      };
+      persist();
+      return user.scheduling;
+    },
+
+    /**
+     * Change which calendars count as busy and where new events go (only the provided fields)
+     * @param {string} userId - User id
+     * @param {Object} changes - { busy: calendarId[], target: calendarId }
+     * @returns {Object} Stored settings
+     */
+    updateCalendarSettings(userId, changes) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.calendars = { ...(user.calendars || {}) };
+      if (changes.busy !== undefined) user.calendars.busy = changes.busy;
+      if (changes.target !== undefined) user.calendars.target = changes.target;
+      persist();
+      return user.calendars;
+    },
+
+    /**
+     * Change the default reminders of some event types (see reminderProfile for the types)
+     * @param {string} userId - User id
+     * @param {Object} changes - Validated { type: reminders|null }
+     * @returns {Object} Stored profile (without defaults)
+     */
+    updateReminderProfile(userId, changes) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.reminders = { ...(user.reminders || {}), ...changes };
+      persist();
+      return user.reminders;
+    },
+
+    /**
+     * Change a user's digest email settings (only the provided fields; see digestService)
+     * @param {string} userId - User id
+     * @param {Object} changes - Validated { enabled, time, email, last_sent_date }
+     * @returns {Object} Stored settings (without defaults)
+     */
+    updateDigestSettings(userId, changes) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.digest = { ...(user.digest || {}), ...changes };
+      persist();
+      return user.digest;
+    },
+
+    /**
+     * Connect a calendar account other than Google, or go back to the default with null.
+     * The busy/target calendar choices are cleared: they name the old account's calendars.
+     * @param {string} userId - User id
+     * @param {Object|null} account - Validated { provider, url, username, password, calendar }
+     * @returns {Object|null} Stored account (password encrypted)
+     */
+    updateCalendarAccount(userId, account) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.calendar_account = account ? { ...account, password: encryptSecret(account.password) } : null;
+      user.calendars = null;
+      persist();
+      return user.calendar_account;
+    },
+
+    /**
+     * A user's connected calendar account with its password decrypted
+     * @param {string} userId - User id
+     * @returns {Object|null} { provider, url, username, password, calendar }; password is null
+     *   when it can't be decrypted (SECRETS_KEY changed or unset) and the account must be connected again
+     */
+    getCalendarAccount(userId) {
+      const account = users.get(userId)?.calendar_account;
+      if (!account) return null;
+      // Not yet encrypted when SECRETS_KEY was missing at startup
+      const password = isEncrypted(account.password) ? decryptSecret(account.password) : account.password;
+      return { ...account, password };
+    },
+
+    /**
+     * Replace the push notification channels open on a user's calendars
+     * @param {string} userId - User id
+     * @param {Array} channels - [{ id, calendar_id, provider, resource_id, token, expiration }]
+     * @returns {Array} Stored channels
+     */
+    updateCalendarChannels(userId, channels) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.calendar_channels = channels;
+      persist();
+      return user.calendar_channels;
+    },
+
+    listUsers() {
+      return [...users.values()];
+    },
+
+    getTokens(userId) {
+      return users.get(userId)?.google_tokens || null;
+    },
+
+    /**
+     * Store tokens, keeping the existing refresh token when Google doesn't send a new one
+     * @param {string} userId - User id
+     * @param {Object} tokens - OAuth tokens
+     */
+    saveTokens(userId, tokens) {
+      const user = users.get(userId);
+      if (!user) throw new Error(`Unknown user ${userId}`);
+
+      user.google_tokens = { ...(user.google_tokens || {}), ...tokens };
+      persist();
+    },
+
+    /**
+     * Forget a user's tokens (e.g. after Google revoked them) so they must sign in again
+     * @param {string} userId - User id
+     */
+    clearTokens(userId) {
+      const user = users.get(userId);
+      if (!user || !user.google_tokens) return;
+
+      user.google_tokens = null;
+      persist();
+    }
+  };
+}
+
+// ============ EXPORTS ============
+
+export {
+  createUserStore
+};
@@ -0,0 +1,82 @@
+import { test, before, after, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import dns from "dns";
+import { createCalDavCalendarProvider } from "../services/providers/caldavCalendarProvider.js";
+
+// Answers every request with a 401, so reaching it shows up as a rejected password;
+// /moved redirects to another server
+let server;
+let port;
+let requests = 0;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    requests++;
+    if (req.url === "/moved/") {
+      res.writeHead(302, { Location: "http://elsewhere.example.com/dav/" });
+      return res.end();
+    }
+    res.writeHead(401);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  port = server.address().port;
+});
+
+after(() => {
+  server.close();
+});
+
+afterEach(() => {
+  delete process.env.CALDAV_ALLOWED_HOSTS;
+  requests = 0;
+});
+
+const provider = createCalDavCalendarProvider({ accountFor: () => null });
+const connect = (url) => provider.connect({ url, username: "sam", password: "app-password" });
+const blocked = (host) => ({ code: 403, message: `${host} is a private or local address; list it in CALDAV_ALLOWED_HOSTS to use it` });
+
+test("loopback, private and link-local address literals are refused", async () => {
+  for (const [host, shown] of [
+    ["127.0.0.1", "127.0.0.1"],
+    ["10.1.2.3", "10.1.2.3"],
+    ["192.168.1.10", "192.168.1.10"],
+    ["169.254.169.254", "169.254.169.254"],
+    ["[::1]", "::1"],
+    ["[fd00::1]", "fd00::1"],
+    ["[::ffff:127.0.0.1]", "::ffff:7f00:1"]
+  ]) {
+    await assert.rejects(connect(`http://${host}:${port}/dav/`), blocked(shown), host);
+  }
+  assert.equal(requests, 0);
+});
+
+test("a host name that resolves to a private address is refused when connecting", async (t) => {
+  t.mock.method(dns, "lookup", (hostname, options, callback) => {
+    const addresses = [{ address: "10.0.0.5", family: 4 }];
+    options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+
+  await assert.rejects(connect("https://calendar.example.com/dav/"), blocked("calendar.example.com"));
+  assert.ok(dns.lookup.mock.calls.some(call => call.arguments[0] === "calendar.example.com"));
+});
+
+test("localhost is refused by its address, not its name", async () => {
+  await assert.rejects(connect(`http://localhost:${port}/dav/`), blocked("localhost"));
+  assert.equal(requests, 0);
+});
+
+test("hosts in CALDAV_ALLOWED_HOSTS are reached even on private addresses", async () => {
+  process.env.CALDAV_ALLOWED_HOSTS = "calendar.internal, localhost";
+
+  await assert.rejects(connect(`http://localhost:${port}/dav/`), { code: 403, message: /rejected the username or password/ });
+  assert.equal(requests, 1);
+});
+
+test("redirects to another server are refused", async () => {
+  process.env.CALDAV_ALLOWED_HOSTS = "127.0.0.1";
+
+  await assert.rejects(connect(`http://127.0.0.1:${port}/moved/`), { code: 502, message: /elsewhere\.example\.com, which isn't the connected server/ });
+  assert.equal(requests, 1);
+});
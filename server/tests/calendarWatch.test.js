@@ -0,0 +1,156 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "events";
+import { useCalendarProvider } from "../services/calendarProvider.js";
+import { createLocalCalendarProvider } from "../services/providers/localCalendarProvider.js";
+import { createUserStore } from "../services/userStore.js";
+import { createCalendarWatch } from "../services/calendarWatch.js";
+import { createLiveUpdates } from "../services/liveUpdates.js";
+
+const ADDRESS = "https://agent.example.com/webhooks/calendar";
+
+// The local provider, counting the channels opened and stopped
+let opened;
+let stopped;
+let failWatch;
+let userStore;
+let userId;
+
+beforeEach(() => {
+  opened = [];
+  stopped = [];
+  failWatch = false;
+
+  const local = createLocalCalendarProvider({ driver: "memory" });
+  useCalendarProvider({
+    name: "local",
+    forUser(id) {
+      const calendar = local.forUser(id);
+      return {
+        ...calendar,
+        async watchEvents(calendarId, options) {
+          if (failWatch) throw new Error("push notifications are unavailable");
+          const channel = await calendar.watchEvents(calendarId, options);
+          opened.push(channel.id);
+          return channel;
+        },
+        async stopChannel({ id }) {
+          stopped.push(id);
+        }
+      };
+    }
+  });
+
+  userStore = createUserStore({ driver: "memory" });
+  userId = userStore.upsertGoogleUser({ googleId: "g-1", email: "sam@example.com", name: "Sam" }).id;
+});
+
+test("a channel is opened per calendar and notifications must carry its token", async () => {
+  const calendarWatch = createCalendarWatch({ userStore, address: ADDRESS });
+  const [channel, other] = await calendarWatch.watch(userId, ["primary", "primary", "work"]);
+
+  // "work" doesn't exist in the local calendar, so only primary is watched
+  assert.equal(other, undefined);
+  assert.equal(channel.calendar_id, "primary");
+  assert.deepEqual(opened, [channel.id]);
+  assert.deepEqual(calendarWatch.channelsOf(userId), [channel]);
+
+  assert.deepEqual(calendarWatch.verify({ channelId: channel.id, token: channel.token, resourceId: channel.resource_id }), { userId, calendarId: "primary" });
+  assert.equal(calendarWatch.verify({ channelId: channel.id, token: "wrong" }), null);
+  assert.equal(calendarWatch.verify({ channelId: channel.id, token: channel.token, resourceId: "other-resource" }), null);
+  assert.equal(calendarWatch.verify({ channelId: "unknown", token: channel.token }), null);
+  assert.equal(calendarWatch.verify({ token: channel.token }), null);
+});
+
+test("a fresh channel is kept, and two watches at once open one channel", async () => {
+  const calendarWatch = createCalendarWatch({ userStore, address: ADDRESS });
+  await Promise.all([calendarWatch.watch(userId, ["primary"]), calendarWatch.watch(userId, ["primary"])]);
+  await calendarWatch.watch(userId, ["primary"]);
+
+  assert.equal(opened.length, 1);
+  assert.deepEqual(stopped, []);
+});
+
+test("a channel close to expiring is replaced and the old one stopped", async () => {
+  const calendarWatch = createCalendarWatch({ userStore, address: ADDRESS, ttlSeconds: 60, renewBeforeSeconds: 3600 });
+  const [first] = await calendarWatch.watch(userId, ["primary"]);
+
+  assert.equal(await calendarWatch.renewDue(), 1);
+  const [second] = calendarWatch.channelsOf(userId);
+  assert.notEqual(second.id, first.id);
+  assert.deepEqual(stopped, [first.id]);
+  assert.equal(calendarWatch.verify({ channelId: first.id, token: first.token }), null);
+});
+
+test("calendars no longer watched have their channels stopped", async () => {
+  const calendarWatch = createCalendarWatch({ userStore, address: ADDRESS });
+  const [channel] = await calendarWatch.watch(userId, ["primary"]);
+
+  assert.deepEqual(await calendarWatch.watch(userId, []), []);
+  assert.deepEqual(stopped, [channel.id]);
+});
+
+test("a calendar that couldn't be watched isn't tried again straight away", async () => {
+  const calendarWatch = createCalendarWatch({ userStore, address: ADDRESS });
+  failWatch = true;
+  assert.deepEqual(await calendarWatch.watch(userId, ["primary"]), []);
+
+  failWatch = false;
+  assert.deepEqual(await calendarWatch.watch(userId, ["primary"]), []);
+  assert.equal(opened.length, 0);
+});
+
+test("no channels are opened without an address to post to", async () => {
+  const calendarWatch = createCalendarWatch({ userStore, address: null });
+
+  assert.deepEqual(await calendarWatch.watch(userId, ["primary"]), []);
+  assert.equal(opened.length, 0);
+});
+
+// ============ Live updates ============
+
+function openStream(liveUpdates, id) {
+  const req = new EventEmitter();
+  const res = {
+    headers: null,
+    written: [],
+    set(headers) { this.headers = headers; },
+    flushHeaders() {},
+    write(chunk) { this.written.push(chunk); }
+  };
+  liveUpdates.connect(id, req, res);
+  return { req, res };
+}
+
+test("events are sent to every open browser of that user only", () => {
+  const liveUpdates = createLiveUpdates();
+  const first = openStream(liveUpdates, "user-1");
+  const second = openStream(liveUpdates, "user-1");
+  const someoneElse = openStream(liveUpdates, "user-2");
+
+  assert.equal(first.res.headers["Content-Type"], "text/event-stream");
+  assert.equal(liveUpdates.publish("user-1", "calendar", { calendarId: "primary" }), 2);
+
+  const message = 'event: calendar\ndata: {"calendarId":"primary"}\n\n';
+  assert.equal(first.res.written.at(-1), message);
+  assert.equal(second.res.written.at(-1), message);
+  assert.deepEqual(someoneElse.res.written, [": connected\n\n"]);
+
+  first.req.emit("close");
+  assert.equal(liveUpdates.publish("user-1", "calendar", {}), 1);
+  second.req.emit("close");
+  assert.equal(liveUpdates.publish("user-1", "calendar", {}), 0);
+});
+
+test("a heartbeat comment keeps a quiet stream open until the browser leaves", (t) => {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const liveUpdates = createLiveUpdates({ heartbeatSeconds: 10 });
+  const { req, res } = openStream(liveUpdates, "user-1");
+
+  t.mock.timers.tick(25 * 1000);
+  assert.deepEqual(res.written, [": connected\n\n", ": keep-alive\n\n", ": keep-alive\n\n"]);
+
+  req.emit("close");
+  t.mock.timers.tick(60 * 1000);
+  assert.equal(res.written.length, 3);
+});
@@ -0,0 +1,110 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { useCalendarProvider } from "../services/calendarProvider.js";
+import { createLocalCalendarProvider } from "../services/providers/localCalendarProvider.js";
+import { createCalendarEvent } from "../services/calendarService.js";
+import { buildDigest, renderDigestText, renderDigestHtml, isDigestDue, validateDigestSettings, resolveDigestSettings } from "../services/digestService.js";
+
+const prefs = { timezone: "Australia/Sydney", locale: "en-AU" };
+// A Wednesday; Sydney is on UTC+11 then
+const DAY = "2026-10-21";
+const USER = "digest-user";
+
+let todoEventId;
+
+const addEvent = (summary, start, end, extra = {}) => createCalendarEvent({
+  userId: USER,
+  summary,
+  startDateTime: `${DAY}T${start}:00+11:00`,
+  endDateTime: `${DAY}T${end}:00+11:00`,
+  timeZone: prefs.timezone,
+  ...extra
+});
+
+before(async () => {
+  useCalendarProvider(createLocalCalendarProvider({ driver: "memory" }));
+  await addEvent("Standup", "10:00", "11:00", { location: "Room 4.02" });
+  todoEventId = (await addEvent("🔨 Write report", "14:00", "15:00")).eventId;
+});
+
+const todos = () => [
+  { id: "t1", title: "Write report", completed: false, scheduled_slot: { start: `${DAY}T03:00:00.000Z`, end: `${DAY}T04:00:00.000Z`, google_event_id: todoEventId } },
+  { id: "t2", title: "File taxes", completed: false, deadline: "2026-10-20", scheduled_slot: null },
+  { id: "t3", title: "Due tonight", completed: false, deadline: DAY, scheduled_slot: null },
+  { id: "t4", title: "Done already", completed: true, deadline: "2026-10-01", scheduled_slot: null }
+];
+
+test("the digest lists the day's events, booked to-dos once, overdue to-dos and free time", async () => {
+  const digest = await buildDigest(USER, { date: DAY, prefs, todos: todos(), now: new Date(`${DAY}T08:00:00+11:00`) });
+
+  assert.deepEqual(digest.events.map(event => event.summary), ["Standup"]);
+  assert.equal(digest.events[0].location, "Room 4.02");
+  assert.deepEqual(digest.scheduledTodos.map(todo => todo.title), ["Write report"]);
+  assert.deepEqual(digest.overdueTodos.map(todo => todo.title), ["File taxes"]);
+  assert.deepEqual(digest.freeGaps.map(gap => gap.minutes), [60, 180, 180]);
+  assert.deepEqual(digest.totals, { events: 1, scheduledTodos: 1, overdueTodos: 1, freeMinutes: 420 });
+});
+
+test("free time starts from now on the day itself", async () => {
+  const digest = await buildDigest(USER, { date: DAY, prefs, todos: todos(), now: new Date(`${DAY}T16:00:00+11:00`) });
+
+  assert.deepEqual(digest.freeGaps.map(gap => gap.minutes), [120]);
+});
+
+test("a weekend day has no working hours and so no free time", async () => {
+  const digest = await buildDigest(USER, { date: "2026-10-24", prefs, now: new Date(`${DAY}T08:00:00+11:00`) });
+
+  assert.equal(digest.workingHours, null);
+  assert.deepEqual(digest.freeGaps, []);
+  assert.match(renderDigestText(digest, prefs), /Not a working day\./);
+});
+
+test("the text and HTML renderings show every section", async () => {
+  const digest = await buildDigest(USER, { date: DAY, prefs, todos: todos(), now: new Date(`${DAY}T08:00:00+11:00`) });
+  const text = renderDigestText(digest, prefs);
+  const html = renderDigestHtml(digest, prefs);
+
+  assert.match(text, /^Your agenda for Wednesday,? 21 October 2026/);
+  assert.match(text, /Standup \(Room 4\.02\)/);
+  assert.match(text, /Write report/);
+  assert.match(text, /File taxes \(due Tuesday,? 20 October\)/);
+  assert.match(text, /3 hours/);
+  for (const heading of ["Events", "Scheduled to-dos", "Overdue to-dos", "Free time"]) {
+    assert.ok(html.includes(`>${heading}</h3>`), heading);
+  }
+});
+
+test("the HTML rendering escapes event text", async () => {
+  const digest = {
+    date: DAY,
+    workingHours: null,
+    events: [{ summary: "<script>alert(1)</script>", allDay: true, location: null, joinLink: null }],
+    scheduledTodos: [],
+    overdueTodos: [],
+    freeGaps: []
+  };
+
+  const html = renderDigestHtml(digest, prefs);
+  assert.ok(!html.includes("<script>"));
+  assert.ok(html.includes("&lt;script&gt;alert(1)&lt;/script&gt;"));
+});
+
+test("a morning digest is due from its time for a few hours, once a day", () => {
+  const settings = resolveDigestSettings({ enabled: true, time: "07:00" });
+  const at = (time) => new Date(`${DAY}T${time}:00+11:00`);
+
+  assert.equal(isDigestDue(settings, prefs.timezone, at("06:59")), false);
+  assert.equal(isDigestDue(settings, prefs.timezone, at("07:00")), true);
+  assert.equal(isDigestDue(settings, prefs.timezone, at("09:59")), true);
+  assert.equal(isDigestDue(settings, prefs.timezone, at("10:00")), false);
+  assert.equal(isDigestDue({ ...settings, last_sent_date: DAY }, prefs.timezone, at("07:30")), false);
+  assert.equal(isDigestDue(resolveDigestSettings(), prefs.timezone, at("07:30")), false);
+});
+
+test("digest settings are validated", () => {
+  assert.equal(validateDigestSettings({ enabled: true, time: "06:30", email: null }), null);
+  assert.match(validateDigestSettings({ time: "6:30" }), /HH:MM/);
+  assert.match(validateDigestSettings({ enabled: "yes" }), /true or false/);
+  assert.match(validateDigestSettings({ email: "nope" }), /email address/);
+  assert.match(validateDigestSettings({ frequency: "daily" }), /Unknown setting "frequency"/);
+});
@@ -0,0 +1,67 @@
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { sendEmail, getEmailTransport, setEmailTransport, createStubTransport, isValidEmail } from "../services/emailService.js";
+
+const ENV_KEYS = ["EMAIL_TRANSPORT", "EMAIL_USER", "EMAIL_PASS", "CALENDAR_PROVIDER", "EMAIL_FROM"];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+afterEach(() => {
+  setEmailTransport(null);
+  for (const key of ENV_KEYS) {
+    if (savedEnv[key] === undefined) delete process.env[key];
+    else process.env[key] = savedEnv[key];
+  }
+});
+
+test("the stub transport keeps sent messages in its outbox", async () => {
+  const transport = createStubTransport();
+  setEmailTransport(transport);
+
+  const result = await sendEmail({ to: ["sam@example.com", "alex@example.com"], subject: "Agenda", body: "Hi", html: "<p>Hi</p>", from: "me@example.com" });
+
+  assert.equal(result.success, true);
+  assert.equal(transport.outbox.length, 1);
+  const [mail] = transport.outbox;
+  assert.deepEqual(mail.to.map(to => to.address), ["sam@example.com", "alex@example.com"]);
+  assert.equal(mail.subject, "Agenda");
+  assert.equal(mail.text, "Hi");
+  assert.equal(mail.html, "<p>Hi</p>");
+});
+
+test("invalid recipients are refused before anything is sent", async () => {
+  const transport = createStubTransport();
+  setEmailTransport(transport);
+
+  await assert.rejects(sendEmail({ to: ["sam@example.com", "not an address"], subject: "x", body: "y" }), /Invalid recipient address: not an address/);
+  await assert.rejects(sendEmail({ to: [], subject: "x", body: "y" }), /none given/);
+  assert.equal(transport.outbox.length, 0);
+});
+
+test("isValidEmail accepts plain addresses only", () => {
+  assert.equal(isValidEmail(" sam@example.com "), true);
+  assert.equal(isValidEmail("Sam <sam@example.com>"), false);
+  assert.equal(isValidEmail("sam@localhost"), false);
+  assert.equal(isValidEmail(null), false);
+});
+
+test("the transport follows EMAIL_TRANSPORT, then the SMTP credentials, then the calendar provider", () => {
+  for (const key of ENV_KEYS) delete process.env[key];
+
+  assert.equal(getEmailTransport("user-1").name, "gmail_api");
+
+  process.env.EMAIL_USER = "me@example.com";
+  process.env.EMAIL_PASS = "secret";
+  assert.equal(getEmailTransport().name, "smtp");
+
+  process.env.EMAIL_TRANSPORT = "gmail_api";
+  assert.equal(getEmailTransport("user-1").name, "gmail_api");
+
+  delete process.env.EMAIL_TRANSPORT;
+  delete process.env.EMAIL_USER;
+  delete process.env.EMAIL_PASS;
+  process.env.CALENDAR_PROVIDER = "local";
+  const stub = getEmailTransport();
+  assert.equal(stub.name, "stub");
+  // The stub is kept so its outbox collects every message
+  assert.equal(getEmailTransport(), stub);
+});
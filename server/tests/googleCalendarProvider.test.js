@@ -0,0 +1,86 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { google } from "googleapis";
+
+// googleAuth reads credentials.json from the working directory when it is loaded
+const originalCwd = process.cwd();
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "google-provider-"));
+fs.writeFileSync(path.join(workDir, "credentials.json"), JSON.stringify({ web: { client_id: "id", client_secret: "secret", redirect_uris: ["http://localhost/oauth2callback"] } }));
+process.chdir(workDir);
+
+const { useTokenStore } = await import("../utils/googleAuth.js");
+const { createGoogleCalendarProvider } = await import("../services/providers/googleCalendarProvider.js");
+
+// events.list answers with these pages in turn, each pointing at the next
+let pages;
+let requests;
+
+before(() => {
+  useTokenStore({ getTokens: () => ({ access_token: "token", refresh_token: "refresh" }) });
+  google.calendar = () => ({
+    events: {
+      list: async (params) => {
+        requests.push(params);
+        const index = params.pageToken ? Number(params.pageToken.slice("page".length)) : 0;
+        const page = pages[index];
+        return {
+          data: {
+            items: page.items,
+            ...(index < pages.length - 1 ? { nextPageToken: `page${index + 1}` } : { nextSyncToken: "sync-1", timeZone: "Australia/Sydney" })
+          }
+        };
+      }
+    }
+  });
+});
+
+after(() => {
+  process.chdir(originalCwd);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  requests = [];
+  pages = [
+    { items: [{ id: "a" }, { id: "b" }] },
+    { items: [{ id: "c" }] },
+    { items: [] },
+    { items: [{ id: "d" }, { id: "e" }] }
+  ];
+});
+
+const calendarFor = () => createGoogleCalendarProvider().forUser("user-1");
+
+test("listEvents follows nextPageToken until the last page", async () => {
+  const items = await calendarFor().listEvents("primary", { timeMin: "2026-10-01T00:00:00Z", timeMax: "2026-11-01T00:00:00Z", query: "standup", timeZone: "UTC" });
+
+  assert.deepEqual(items.map(item => item.id), ["a", "b", "c", "d", "e"]);
+  assert.deepEqual(requests.map(params => params.pageToken), [undefined, "page1", "page2", "page3"]);
+  for (const params of requests) {
+    assert.equal(params.timeMax, "2026-11-01T00:00:00Z");
+    assert.equal(params.q, "standup");
+    assert.equal(params.singleEvents, true);
+    assert.equal(params.maxResults, 2500);
+  }
+});
+
+test("listEvents with maxResults stops paging once it has enough", async () => {
+  const items = await calendarFor().listEvents("primary", { timeMin: "2026-10-01T00:00:00Z", maxResults: 3, timeZone: "UTC" });
+
+  assert.deepEqual(items.map(item => item.id), ["a", "b", "c"]);
+  // Each page only asks for what is still missing
+  assert.deepEqual(requests.map(params => params.maxResults), [3, 1]);
+  assert.equal(requests[0].timeMax, undefined);
+});
+
+test("listChanges pages through everything and returns the last page's sync token", async () => {
+  const { items, nextSyncToken, timeZone } = await calendarFor().listChanges("primary", { syncToken: "sync-0" });
+
+  assert.deepEqual(items.map(item => item.id), ["a", "b", "c", "d", "e"]);
+  assert.equal(nextSyncToken, "sync-1");
+  assert.equal(timeZone, "Australia/Sydney");
+  assert.ok(requests.every(params => params.syncToken === "sync-0" && params.singleEvents === false));
+});
@@ -0,0 +1,93 @@
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import { useCalendarProvider } from "../services/calendarProvider.js";
+import { createLocalCalendarProvider } from "../services/providers/localCalendarProvider.js";
+import { createCalendarEvent } from "../services/calendarService.js";
+import { parseIcs, previewImport, buildIcs } from "../services/icsService.js";
+
+const prefs = { timezone: "Australia/Sydney", locale: "en-AU" };
+const now = new Date("2026-10-19T00:00:00Z");
+const USER = "ics-user";
+
+const calendarFile = (...events) => [
+  "BEGIN:VCALENDAR",
+  "VERSION:2.0",
+  ...events.flatMap(lines => ["BEGIN:VEVENT", ...lines, "END:VEVENT"]),
+  "END:VCALENDAR"
+].join("\r\n");
+
+before(async () => {
+  useCalendarProvider(createLocalCalendarProvider({ driver: "memory" }));
+  await createCalendarEvent({
+    userId: USER,
+    summary: "Flight",
+    startDateTime: "2026-10-27T09:00:00+11:00",
+    endDateTime: "2026-10-27T11:00:00+11:00",
+    timeZone: prefs.timezone
+  });
+  await createCalendarEvent({
+    userId: USER,
+    summary: "Imported before",
+    startDateTime: "2026-11-02T09:00:00+11:00",
+    endDateTime: "2026-11-02T10:00:00+11:00",
+    timeZone: prefs.timezone,
+    extendedProperties: { private: { icsUid: "seen@example.com" } }
+  });
+});
+
+test("an all-day DTEND is exclusive, so endDate is the last day the event covers", () => {
+  const { events } = parseIcs(calendarFile([
+    "UID:conf@example.com",
+    "SUMMARY:Conference",
+    "DTSTART;VALUE=DATE:20261026",
+    "DTEND;VALUE=DATE:20261029"
+  ]), { timezone: prefs.timezone });
+
+  assert.equal(events.length, 1);
+  assert.equal(events[0].allDay, true);
+  assert.equal(events[0].startDate, "2026-10-26");
+  assert.equal(events[0].endDate, "2026-10-28");
+});
+
+test("the preview shows the full date range of a multi-day all-day event and its clashes", async () => {
+  const { events } = parseIcs(calendarFile(
+    ["UID:conf@example.com", "SUMMARY:Conference", "DTSTART;VALUE=DATE:20261026", "DTEND;VALUE=DATE:20261029"],
+    ["UID:holiday@example.com", "SUMMARY:Holiday", "DTSTART;VALUE=DATE:20261103", "DTEND;VALUE=DATE:20261104", "TRANSP:TRANSPARENT"]
+  ), { timezone: prefs.timezone });
+
+  const [conference, holiday] = await previewImport(USER, events, { prefs, now });
+
+  assert.match(conference.when, /^Mon,? 26 Oct 2026 – Wed,? 28 Oct 2026 \(all day\)$/);
+  assert.equal(conference.allDay, true);
+  assert.deepEqual(conference.conflicts.map(conflict => conflict.summary), ["Flight"]);
+
+  assert.match(holiday.when, /^Tue,? 3 Nov 2026 \(all day\)$/);
+  // Free-time events never clash
+  assert.deepEqual(holiday.conflicts, []);
+});
+
+test("an event imported before is marked as a duplicate rather than a clash", async () => {
+  const { events } = parseIcs(calendarFile([
+    "UID:seen@example.com",
+    "SUMMARY:Imported before",
+    "DTSTART;TZID=Australia/Sydney:20261102T090000",
+    "DTEND;TZID=Australia/Sydney:20261102T100000"
+  ]), { timezone: prefs.timezone });
+
+  const [preview] = await previewImport(USER, events, { prefs, now });
+  assert.equal(preview.duplicate, true);
+  assert.deepEqual(preview.conflicts, []);
+  assert.match(preview.when, /Mon,? 2 Nov,? 2026,? 9:00 am/i);
+});
+
+test("an exported all-day event reads back as the same days", () => {
+  const ics = buildIcs({
+    events: [{ eventId: "e1", summary: "Conference", allDay: true, startDate: "2026-10-26", endDate: "2026-10-28" }],
+    timezone: prefs.timezone,
+    now
+  });
+
+  const { events } = parseIcs(ics, { timezone: prefs.timezone });
+  assert.equal(events[0].startDate, "2026-10-26");
+  assert.equal(events[0].endDate, "2026-10-28");
+});
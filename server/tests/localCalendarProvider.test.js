@@ -0,0 +1,80 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLocalCalendarProvider } from "../services/providers/localCalendarProvider.js";
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "local-provider-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const meeting = (summary, start, end) => ({
+  summary,
+  start: { dateTime: start, timeZone: "Australia/Sydney" },
+  end: { dateTime: end, timeZone: "Australia/Sydney" }
+});
+
+test("events are kept per user and survive a restart with the file driver", async () => {
+  const calendar = createLocalCalendarProvider({ dataDir }).forUser("user-1");
+  const created = await calendar.insertEvent("primary", meeting("Dentist", "2026-10-21T10:00:00+11:00", "2026-10-21T11:00:00+11:00"));
+
+  const reloaded = createLocalCalendarProvider({ dataDir });
+  assert.equal((await reloaded.forUser("user-1").getEvent("primary", created.id)).summary, "Dentist");
+  await assert.rejects(reloaded.forUser("user-2").getEvent("primary", created.id), { code: 404 });
+});
+
+test("listEvents returns the events in the range in start order, filtered by query", async () => {
+  const calendar = createLocalCalendarProvider({ driver: "memory" }).forUser("user-1");
+  await calendar.insertEvent("primary", meeting("Lunch", "2026-10-21T12:00:00+11:00", "2026-10-21T13:00:00+11:00"));
+  await calendar.insertEvent("primary", meeting("Standup", "2026-10-21T09:00:00+11:00", "2026-10-21T09:15:00+11:00"));
+  await calendar.insertEvent("primary", meeting("Next week", "2026-10-28T09:00:00+11:00", "2026-10-28T10:00:00+11:00"));
+
+  const range = { timeMin: "2026-10-20T13:00:00Z", timeMax: "2026-10-21T13:00:00Z" };
+  assert.deepEqual((await calendar.listEvents("primary", range)).map(e => e.summary), ["Standup", "Lunch"]);
+  assert.deepEqual((await calendar.listEvents("primary", { ...range, query: "lunch" })).map(e => e.summary), ["Lunch"]);
+  assert.deepEqual((await calendar.listEvents("primary", { ...range, maxResults: 1 })).map(e => e.summary), ["Standup"]);
+});
+
+test("a patch with a stale etag is refused with 412", async () => {
+  const calendar = createLocalCalendarProvider({ driver: "memory" }).forUser("user-1");
+  const created = await calendar.insertEvent("primary", meeting("Review", "2026-10-21T10:00:00+11:00", "2026-10-21T11:00:00+11:00"));
+
+  const patched = await calendar.patchEvent("primary", created.id, { summary: "Design review" }, { etag: created.etag });
+  assert.equal(patched.summary, "Design review");
+  assert.notEqual(patched.etag, created.etag);
+
+  await assert.rejects(calendar.patchEvent("primary", created.id, { summary: "Old" }, { etag: created.etag }), { code: 412 });
+});
+
+test("recurring events are expanded, and one cancelled instance is hidden", async () => {
+  const calendar = createLocalCalendarProvider({ driver: "memory" }).forUser("user-1");
+  await calendar.insertEvent("primary", {
+    ...meeting("Gym", "2026-10-19T07:00:00+11:00", "2026-10-19T08:00:00+11:00"),
+    recurrence: ["RRULE:FREQ=WEEKLY;COUNT=3"]
+  });
+
+  const range = { timeMin: "2026-10-18T00:00:00Z", timeMax: "2026-11-30T00:00:00Z" };
+  const instances = await calendar.listEvents("primary", range);
+  assert.equal(instances.length, 3);
+
+  await calendar.deleteEvent("primary", instances[1].id);
+  assert.deepEqual((await calendar.listEvents("primary", range)).map(e => e.id), [instances[0].id, instances[2].id]);
+  await assert.rejects(calendar.deleteEvent("primary", instances[1].id), { code: 410 });
+});
+
+test("free/busy leaves out transparent events and reports unknown calendars", async () => {
+  const calendar = createLocalCalendarProvider({ driver: "memory" }).forUser("user-1");
+  await calendar.insertEvent("primary", meeting("Busy", "2026-10-21T10:00:00+11:00", "2026-10-21T11:00:00+11:00"));
+  await calendar.insertEvent("primary", { ...meeting("Free", "2026-10-21T12:00:00+11:00", "2026-10-21T13:00:00+11:00"), transparency: "transparent" });
+
+  const result = await calendar.freeBusy({ timeMin: "2026-10-20T13:00:00Z", timeMax: "2026-10-21T13:00:00Z", calendarIds: ["primary", "missing"] });
+  assert.deepEqual(result.primary.busy, [{ start: "2026-10-20T23:00:00.000Z", end: "2026-10-21T00:00:00.000Z" }]);
+  assert.equal(result.missing.errors[0].reason, "notFound");
+});
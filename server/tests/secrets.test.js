@@ -0,0 +1,94 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { encryptSecret, decryptSecret, isEncrypted, hasSecretsKey } from "../utils/secrets.js";
+import { createUserStore } from "../services/userStore.js";
+
+const savedKey = process.env.SECRETS_KEY;
+let dataDir;
+
+beforeEach(() => {
+  process.env.SECRETS_KEY = "first key";
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "secrets-"));
+});
+
+afterEach(() => {
+  if (savedKey === undefined) delete process.env.SECRETS_KEY;
+  else process.env.SECRETS_KEY = savedKey;
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const writeUsers = (users) => fs.writeFileSync(path.join(dataDir, "users.json"), JSON.stringify({ users }));
+const readUsers = () => JSON.parse(fs.readFileSync(path.join(dataDir, "users.json"), "utf8")).users;
+const caldavUser = (password) => ({
+  id: "u1",
+  calendar_account: { provider: "caldav", url: "https://dav.example.com/", username: "sam", password, calendar: null }
+});
+
+test("a secret decrypts back to the original with the same key", () => {
+  const encrypted = encryptSecret("app-password");
+
+  assert.equal(isEncrypted(encrypted), true);
+  assert.ok(!encrypted.includes("app-password"));
+  assert.notEqual(encryptSecret("app-password"), encrypted, "each encryption uses a fresh IV");
+  assert.equal(decryptSecret(encrypted), "app-password");
+});
+
+test("a secret can't be read after SECRETS_KEY changes", () => {
+  const encrypted = encryptSecret("app-password");
+  process.env.SECRETS_KEY = "second key";
+
+  assert.equal(decryptSecret(encrypted), null);
+});
+
+test("a tampered secret doesn't decrypt", () => {
+  const encrypted = encryptSecret("app-password");
+  const [prefix, iv, tag, data] = encrypted.split(":");
+  const flipped = Buffer.from(data, "base64url");
+  flipped[0] ^= 1;
+
+  assert.equal(decryptSecret([prefix, iv, tag, flipped.toString("base64url")].join(":")), null);
+  assert.equal(decryptSecret("plain text"), null);
+});
+
+test("without SECRETS_KEY nothing is encrypted and nothing decrypts", () => {
+  const encrypted = encryptSecret("app-password");
+  delete process.env.SECRETS_KEY;
+
+  assert.equal(hasSecretsKey(), false);
+  assert.throws(() => encryptSecret("app-password"), /SECRETS_KEY is not set/);
+  assert.equal(decryptSecret(encrypted), null);
+});
+
+test("plaintext passwords are encrypted on load and read back through getCalendarAccount", () => {
+  writeUsers([caldavUser("app-password")]);
+
+  const store = createUserStore({ dataDir });
+  const stored = readUsers()[0].calendar_account.password;
+  assert.equal(isEncrypted(stored), true);
+  assert.equal(store.getCalendarAccount("u1").password, "app-password");
+
+  // The migration runs once; loading again leaves the encrypted value alone
+  createUserStore({ dataDir });
+  assert.equal(readUsers()[0].calendar_account.password, stored);
+});
+
+test("without SECRETS_KEY plaintext passwords are left as they are and still usable", () => {
+  delete process.env.SECRETS_KEY;
+  writeUsers([caldavUser("app-password")]);
+
+  const store = createUserStore({ dataDir });
+  assert.equal(readUsers()[0].calendar_account.password, "app-password");
+  assert.equal(store.getCalendarAccount("u1").password, "app-password");
+  assert.throws(() => store.updateCalendarAccount("u1", caldavUser("new-password").calendar_account), /SECRETS_KEY is not set/);
+  assert.equal(readUsers()[0].calendar_account.password, "app-password");
+});
+
+test("a password stored under another key reads as null so the account is connected again", () => {
+  writeUsers([caldavUser(encryptSecret("app-password"))]);
+  process.env.SECRETS_KEY = "second key";
+
+  assert.equal(createUserStore({ dataDir }).getCalendarAccount("u1").password, null);
+});
@@ -0,0 +1,118 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import crypto from "crypto";
+import path from "path";
+import { createSessionStore, migrateRecord, SCHEMA_VERSION } from "../services/sessionStore.js";
+
+let dataDir;
+
+beforeEach(() => {
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "session-store-"));
+});
+
+afterEach(() => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+const sessionFiles = () => fs.readdirSync(path.join(dataDir, "sessions")).filter(name => name.endsWith(".json"));
+const readSessionFile = (name) => JSON.parse(fs.readFileSync(path.join(dataDir, "sessions", name), "utf8"));
+const fileNameFor = (id) => `${crypto.createHash("sha256").update(id).digest("hex")}.json`;
+
+test("a legacy { state, updatedAt } entry is migrated to the current schema", () => {
+  const { record, migrated } = migrateRecord({ id: "user_1", state: { todos: [{ id: "t1" }] }, updatedAt: "2025-01-01T00:00:00.000Z" });
+
+  assert.equal(migrated, true);
+  assert.equal(record.schemaVersion, SCHEMA_VERSION);
+  assert.deepEqual(record.state, { todos: [{ id: "t1" }], activeEvents: [], goals: [], operations: [] });
+  assert.deepEqual(record.messages, []);
+  assert.equal(record.createdAt, "2025-01-01T00:00:00.000Z");
+});
+
+test("a record already on the current schema is left alone", () => {
+  const current = { id: "user_1", schemaVersion: SCHEMA_VERSION, state: { todos: [] }, messages: [], createdAt: "x", updatedAt: "x" };
+  const { record, migrated } = migrateRecord(current);
+
+  assert.equal(migrated, false);
+  assert.equal(record, current);
+});
+
+test("old session files are migrated on load, written back and read the same after a restart", () => {
+  fs.mkdirSync(path.join(dataDir, "sessions"));
+  fs.writeFileSync(path.join(dataDir, "sessions", fileNameFor("user_1")), JSON.stringify({
+    id: "user_1",
+    state: { goals: [{ id: "g1" }] },
+    updatedAt: new Date().toISOString()
+  }));
+
+  const store = createSessionStore({ dataDir });
+  assert.deepEqual(store.getSession("user_1").goals, [{ id: "g1" }]);
+  assert.equal(readSessionFile(fileNameFor("user_1")).schemaVersion, SCHEMA_VERSION);
+
+  store.saveSession("user_1", { ...store.getSession("user_1"), todos: [{ id: "t1" }] });
+  store.appendMessage("user_1", "user", "hello");
+
+  const reloaded = createSessionStore({ dataDir });
+  assert.deepEqual(reloaded.getSession("user_1").todos, [{ id: "t1" }]);
+  assert.deepEqual(reloaded.getMessages("user_1").map(m => m.content), ["hello"]);
+});
+
+test("session ids are never used as file names", () => {
+  const store = createSessionStore({ dataDir });
+  store.saveSession("../../escape", { todos: [] });
+
+  assert.deepEqual(sessionFiles(), [fileNameFor("../../escape")]);
+});
+
+test("only the latest maxMessages messages are kept", () => {
+  const store = createSessionStore({ driver: "memory", maxMessages: 3 });
+  for (const content of ["1", "2", "3", "4", "5"]) store.appendMessage("user_1", "user", content);
+
+  assert.deepEqual(store.getMessages("user_1").map(m => m.content), ["3", "4", "5"]);
+});
+
+test("expiry forgets the conversation and pending state but keeps todos, goals and the undo journal", (t) => {
+  const store = createSessionStore({ dataDir, ttlHours: 1, transientKeys: ["activeEvents", "cancelState"] });
+  store.saveSession("user_1", {
+    todos: [{ id: "t1" }],
+    goals: [{ id: "g1" }],
+    operations: [{ id: "op1" }],
+    activeEvents: [{ id: "e1" }],
+    cancelState: { preConfirmed: true }
+  });
+  store.appendMessage("user_1", "user", "cancel my dentist appointment");
+
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 2 * 60 * 60 * 1000);
+
+  assert.equal(store.purgeExpired(), 1);
+  assert.deepEqual(store.getSession("user_1"), { todos: [{ id: "t1" }], goals: [{ id: "g1" }], operations: [{ id: "op1" }] });
+  assert.deepEqual(store.getMessages("user_1"), []);
+  // Nothing is left to expire, and the trimmed record is what's on disk
+  assert.equal(store.purgeExpired(), 0);
+  assert.deepEqual(readSessionFile(sessionFiles()[0]).state, { todos: [{ id: "t1" }], goals: [{ id: "g1" }], operations: [{ id: "op1" }] });
+});
+
+test("an idle session is trimmed when read, without waiting for purgeExpired", (t) => {
+  const store = createSessionStore({ driver: "memory", ttlHours: 1, transientKeys: ["pendingChoice"] });
+  store.saveSession("user_1", { todos: [{ id: "t1" }], pendingChoice: { candidates: [] } });
+
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 2 * 60 * 60 * 1000);
+
+  assert.deepEqual(store.getSession("user_1"), { todos: [{ id: "t1" }] });
+});
+
+test("sessions don't expire when ttlHours is 0", (t) => {
+  const store = createSessionStore({ driver: "memory", ttlHours: 0, transientKeys: ["activeEvents"] });
+  store.saveSession("user_1", { activeEvents: [{ id: "e1" }] });
+  store.appendMessage("user_1", "user", "hi");
+
+  const now = Date.now();
+  t.mock.method(Date, "now", () => now + 365 * 24 * 60 * 60 * 1000);
+
+  assert.equal(store.purgeExpired(), 0);
+  assert.deepEqual(store.getSession("user_1"), { activeEvents: [{ id: "e1" }] });
+  assert.equal(store.getMessages("user_1").length, 1);
+});
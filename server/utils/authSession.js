@@ -0,0 +1,82 @@
+import crypto from "crypto";
+
+const AUTH_COOKIE = "auth";
+const STATE_COOKIE = "oauth_state";
+const MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+// Read lazily: this module is imported before dotenv has loaded .env
+let secret = null;
+
+function getSecret() {
+  if (!secret) {
+    secret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString("hex");
+    if (!process.env.SESSION_SECRET) {
+      // Without SESSION_SECRET every restart signs everyone out
+      console.warn("SESSION_SECRET is not set - sign-ins will not survive a server restart");
+    }
+  }
+  return secret;
+}
+
+function sign(value) {
+  const mac = crypto.createHmac("sha256", getSecret()).update(value).digest("base64url");
+  return `${value}.${mac}`;
+}
+
+function unsign(signed) {
+  if (!signed) return null;
+  const index = signed.lastIndexOf(".");
+  if (index === -1) return null;
+
+  const value = signed.slice(0, index);
+  const expected = Buffer.from(sign(value));
+  const actual = Buffer.from(signed);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  return value;
+}
+
+function parseCookies(header = "") {
+  const cookies = {};
+  for (const part of header.split(";")) {
+    const index = part.indexOf("=");
+    if (index === -1) continue;
+    try {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    } catch {
+      // A malformed value (a stray "%") is skipped rather than failing the request
+    }
+  }
+  return cookies;
+}
+
+const cookieOptions = (maxAge) => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+  maxAge
+});
+
+export function setAuthCookie(res, userId) {
+  res.cookie(AUTH_COOKIE, sign(userId), cookieOptions(MAX_AGE_MS));
+}
+
+export function clearAuthCookie(res) {
+  res.clearCookie(AUTH_COOKIE, cookieOptions(undefined));
+}
+
+export function getAuthenticatedUserId(req) {
+  return unsign(parseCookies(req.headers.cookie)[AUTH_COOKIE]);
+}
+
+// CSRF protection for the OAuth redirect: the state must match the caller's cookie
+export function issueOAuthState(res) {
+  const state = crypto.randomBytes(16).toString("hex");
+  res.cookie(STATE_COOKIE, sign(state), cookieOptions(10 * 60 * 1000));
+  return state;
+}
+
+export function verifyOAuthState(req, res, state) {
+  const expected = unsign(parseCookies(req.headers.cookie)[STATE_COOKIE]);
+  res.clearCookie(STATE_COOKIE, cookieOptions(undefined));
+  return Boolean(state) && expected === state;
+}
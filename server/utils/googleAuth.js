@@ -2,9 +2,64 @@ import fs from "fs";
 import path from "path";
 import { google } from "googleapis";
 
-const TOKEN_PATH = path.join(process.cwd(), "token.json");
 const CREDENTIALS_PATH = path.join(process.cwd(), "credentials.json");
 
+// Per-user token storage (the user store), set once at startup via useTokenStore()
+let tokenStore = null;
+
+export function useTokenStore(store) {
+  tokenStore = store;
+}
+
+/**
+ * Thrown when the user has to go through /auth again: no stored tokens,
+ * a revoked or expired refresh token, or missing scopes
+ */
+export class ReauthRequiredError extends Error {
+  constructor(reason = "tokens_missing", message = "Google authorization is missing or expired") {
+    super(message);
+    this.name = "ReauthRequiredError";
+    this.code = "reauth_required";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Work out why a Google API error needs a new sign-in, or null if it doesn't
+ */
+function reauthReason(error) {
+  if (!error) return null;
+  if (error instanceof ReauthRequiredError) return error.reason;
+
+  const status = Number(error.response?.status || error.status || error.code);
+  const grantError = error.response?.data?.error;
+  const message = error.message || "";
+
+  if (grantError === "invalid_grant" || message.includes("invalid_grant")) return "tokens_revoked";
+  if (message.includes("No refresh token is set") || message.includes("No access, refresh token")) return "tokens_missing";
+  if (status === 401) return "tokens_revoked";
+  if (status === 403 && /insufficient.*(scope|permission)/i.test(message)) return "insufficient_scope";
+  return null;
+}
+
+export function isReauthError(error) {
+  return reauthReason(error) !== null;
+}
+
+/**
+ * Turn a Google API auth failure into a ReauthRequiredError so callers can rethrow it
+ * without losing its meaning. Revoked tokens are dropped so later requests fail fast.
+ */
+export function toReauthError(error, userId = null) {
+  if (error instanceof ReauthRequiredError) return error;
+
+  const reason = reauthReason(error);
+  if (reason === "tokens_revoked" && userId && tokenStore) {
+    tokenStore.clearTokens(userId);
+  }
+  return new ReauthRequiredError(reason || "tokens_missing", error?.message);
+}
+
 export function loadCredentials() {
   if (!fs.existsSync(CREDENTIALS_PATH)) {
     throw new Error(`Credentials file not found at ${CREDENTIALS_PATH}. Please download from Google Cloud Console.`);
@@ -12,12 +67,13 @@ export function loadCredentials() {
   return JSON.parse(fs.readFileSync(CREDENTIALS_PATH, "utf8"));
 }
 
-export function saveToken(token) {
-  fs.writeFileSync(TOKEN_PATH, JSON.stringify(token));
-  console.log("Token stored to", TOKEN_PATH);
+export function saveToken(userId, token) {
+  if (!tokenStore) throw new Error("No token store configured");
+  tokenStore.saveTokens(userId, token);
+  console.log("Token stored for user", userId);
 }
 
-export function getAuthClient() {
+export function getAuthClient(userId = null) {
   const credentials = loadCredentials();
   const { client_secret, client_id, redirect_uris } = credentials.web;
 
@@ -33,10 +89,24 @@ export function getAuthClient() {
     redirect_uris[0]
   );
 
-  if (fs.existsSync(TOKEN_PATH)) {
-    const token = JSON.parse(fs.readFileSync(TOKEN_PATH, "utf8"));
-    oAuth2Client.setCredentials(token);
+  // Without a user id this is a bare client for the sign-in flow
+  if (!userId) return oAuth2Client;
+
+  const token = tokenStore ? tokenStore.getTokens(userId) : null;
+  if (!token) {
+    throw new ReauthRequiredError("tokens_missing", "No Google authorization stored for this user");
   }
+  oAuth2Client.setCredentials(token);
+
+  // googleapis refreshes expired access tokens itself; keep what it gets back
+  // (including a rotated refresh token) so the next request starts from it
+  oAuth2Client.on("tokens", (refreshed) => {
+    try {
+      saveToken(userId, refreshed);
+    } catch (error) {
+      console.error("Failed to persist refreshed token:", error.message);
+    }
+  });
 
   return oAuth2Client;
-}
\ No newline at end of file
+}
@@ -0,0 +1,292 @@
+import { DateTime, FixedOffsetZone } from "luxon";
+import { isValidTimezone } from "./timezone.js";
+
+// Timezone names Outlook and Exchange put in TZID, for the most common zones
+const WINDOWS_ZONES = {
+  "AUS Eastern Standard Time": "Australia/Sydney",
+  "E. Australia Standard Time": "Australia/Brisbane",
+  "Cen. Australia Standard Time": "Australia/Adelaide",
+  "W. Australia Standard Time": "Australia/Perth",
+  "New Zealand Standard Time": "Pacific/Auckland",
+  "Tokyo Standard Time": "Asia/Tokyo",
+  "China Standard Time": "Asia/Shanghai",
+  "Singapore Standard Time": "Asia/Singapore",
+  "India Standard Time": "Asia/Kolkata",
+  "GMT Standard Time": "Europe/London",
+  "W. Europe Standard Time": "Europe/Berlin",
+  "Romance Standard Time": "Europe/Paris",
+  "Central Europe Standard Time": "Europe/Budapest",
+  "Eastern Standard Time": "America/New_York",
+  "Central Standard Time": "America/Chicago",
+  "Mountain Standard Time": "America/Denver",
+  "Pacific Standard Time": "America/Los_Angeles",
+  "UTC": "UTC"
+};
+
+const WEEKDAY_CODES = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+export function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) => (char === "n" || char === "N" ? "\n" : char));
+}
+
+/**
+ * Split a content line longer than 75 octets into folded lines (RFC 5545 3.1),
+ * never inside a UTF-8 character
+ * @param {string} line - Unfolded line
+ * @returns {string} Line with CRLF + space continuations
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards their 75
+    if (octets + size > (parts.length ? 74 : 75)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+// 20261020T093000Z for an instant
+export function utcStamp(value) {
+  return DateTime.fromJSDate(new Date(value)).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'");
+}
+
+// 20261020 for a 'YYYY-MM-DD' date
+export function dateStamp(date) {
+  return date.replace(/-/g, "");
+}
+
+/**
+ * One content line: name, parameters and value
+ * @param {string} line - Unfolded line, e.g. 'DTSTART;TZID=Europe/London:20261020T090000'
+ * @returns {Object|null} { name, params: { NAME: value }, value }
+ */
+export function parseContentLine(line) {
+  // The value starts at the first colon outside a quoted parameter value
+  let inQuotes = false;
+  let split = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ":" && !inQuotes) {
+      split = i;
+      break;
+    }
+  }
+  if (split < 0) return null;
+
+  const [name, ...rawParams] = line.slice(0, split).match(/(?:[^;"]|"[^"]*")+/g) || [];
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+  return { name: (name || "").toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+/**
+ * A property as a content line (the reverse of parseContentLine), unfolded
+ * @param {Object} property - { name, params, value }
+ * @returns {string} e.g. 'ATTENDEE;CN="Sam Lee":mailto:sam@example.com'
+ */
+export function formatProperty({ name, params = {}, value }) {
+  const paramText = Object.entries(params)
+    .map(([key, paramValue]) => `;${key}=${/[:;,]/.test(paramValue) ? `"${String(paramValue).replace(/"/g, "")}"` : paramValue}`)
+    .join("");
+  return `${name}${paramText}:${value}`;
+}
+
+/**
+ * The file's components as nested { name, properties: [{ name, params, value }], children }
+ * @param {string} text - .ics file contents
+ * @returns {Array} Top-level components
+ */
+export function parseComponents(text) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/).filter(line => line.trim());
+  const root = { name: "ROOT", properties: [], children: [] };
+  const stack = [root];
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) continue;
+
+    if (property.name === "BEGIN") {
+      const component = { name: property.value.toUpperCase(), properties: [], children: [] };
+      stack[stack.length - 1].children.push(component);
+      stack.push(component);
+    } else if (property.name === "END") {
+      if (stack.length > 1) stack.pop();
+    } else {
+      stack[stack.length - 1].properties.push(property);
+    }
+  }
+  return root.children;
+}
+
+/**
+ * A component as unfolded content lines (the reverse of parseComponents)
+ * @param {Object} component - { name, properties, children }
+ * @returns {string[]} Lines from BEGIN to END
+ */
+export function componentLines(component) {
+  return [
+    `BEGIN:${component.name}`,
+    ...component.properties.map(formatProperty),
+    ...component.children.flatMap(componentLines),
+    `END:${component.name}`
+  ];
+}
+
+export const propertyOf = (component, name) => component.properties.find(property => property.name === name) || null;
+export const propertiesOf = (component, name) => component.properties.filter(property => property.name === name);
+
+/**
+ * What the VTIMEZONE blocks of a VCALENDAR say about their TZIDs
+ * @param {Object} calendar - VCALENDAR component
+ * @returns {Object} tzid -> { location: X-LIC-LOCATION, offset: standard TZOFFSETTO }
+ */
+export function timezoneDefinitions(calendar) {
+  const definitions = {};
+  for (const definition of calendar.children.filter(component => component.name === "VTIMEZONE")) {
+    const standard = definition.children.find(component => component.name === "STANDARD") || definition.children[0];
+    definitions[propertyOf(definition, "TZID")?.value] = {
+      location: propertyOf(definition, "X-LIC-LOCATION")?.value || null,
+      offset: standard ? propertyOf(standard, "TZOFFSETTO")?.value : null
+    };
+  }
+  return definitions;
+}
+
+/**
+ * The IANA timezone a TZID stands for
+ * @param {string} tzid - TZID parameter value
+ * @param {Object} vtimezones - From timezoneDefinitions
+ * @param {Array} warnings - Collects what couldn't be read exactly (mutated)
+ * @returns {string|null} IANA name, a fixed "UTC+10:00" zone, or null when unknown
+ */
+export function resolveZone(tzid, vtimezones, warnings = []) {
+  if (isValidTimezone(tzid)) return tzid;
+
+  // e.g. "/mozilla.org/20050126_1/Europe/London"
+  const tail = tzid.match(/([A-Za-z_]+\/[A-Za-z_+-]+(?:\/[A-Za-z_+-]+)?)$/)?.[1];
+  if (tail && isValidTimezone(tail)) return tail;
+  if (WINDOWS_ZONES[tzid]) return WINDOWS_ZONES[tzid];
+
+  const definition = vtimezones[tzid];
+  if (definition?.location && isValidTimezone(definition.location)) return definition.location;
+  if (definition?.offset) {
+    const zone = `UTC${definition.offset.slice(0, 3)}:${definition.offset.slice(3, 5)}`;
+    if (DateTime.now().setZone(zone).isValid) {
+      warnings.push(`Timezone "${tzid}" isn't a known zone; times use its standard offset (${zone}) all year.`);
+      return zone;
+    }
+  }
+
+  warnings.push(`Timezone "${tzid}" isn't a known zone; its times were read in your timezone.`);
+  return null;
+}
+
+/**
+ * A DTSTART/DTEND/EXDATE/RECURRENCE-ID value
+ * @param {Object} property - { params, value }
+ * @param {Function} zoneOf - tzid -> IANA zone or null
+ * @param {string} fallbackZone - Zone for floating times (the user's)
+ * @returns {Object|null} { allDay, date } or { allDay: false, dt: DateTime, zone }
+ */
+export function parseTime({ params, value }, zoneOf, fallbackZone) {
+  if (params.VALUE === "DATE" || /^\d{8}$/.test(value)) {
+    const dt = DateTime.fromFormat(value.slice(0, 8), "yyyyMMdd");
+    return dt.isValid ? { allDay: true, date: dt.toISODate() } : null;
+  }
+
+  if (/Z$/.test(value)) {
+    const dt = DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss'Z'", { zone: "utc" });
+    return dt.isValid ? { allDay: false, dt, zone: "UTC" } : null;
+  }
+
+  const zone = (params.TZID && zoneOf(params.TZID)) || fallbackZone;
+  const dt = DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss", { zone });
+  return dt.isValid ? { allDay: false, dt, zone } : null;
+}
+
+// "+1000" for an offset of 600 minutes
+function offsetText(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(abs % 60).padStart(2, "0")}`;
+}
+
+/**
+ * A VTIMEZONE for an IANA zone, with the daylight saving rule it follows in a given year,
+ * so other apps can read times written with TZID=<zone>
+ * @param {string} zone - IANA timezone
+ * @param {number} year - Year the rule is taken from (the event's)
+ * @returns {Object} VTIMEZONE component
+ */
+export function vtimezoneComponent(zone, year) {
+  const property = (name, value) => ({ name, params: {}, value });
+  const component = {
+    name: "VTIMEZONE",
+    properties: [property("TZID", zone), property("X-LIC-LOCATION", zone)],
+    children: []
+  };
+
+  // The days on which the offset changes during the year
+  const transitions = [];
+  let previous = DateTime.fromObject({ year, month: 1, day: 1 }, { zone });
+  for (let day = previous.plus({ days: 1 }); day.year === year; day = day.plus({ days: 1 })) {
+    if (day.offset !== previous.offset) {
+      // The hour it happens, in the old offset's wall-clock time
+      let before = previous;
+      while (before.plus({ hours: 1 }).offset === previous.offset) before = before.plus({ hours: 1 });
+      const local = before.plus({ hours: 1 }).setZone(FixedOffsetZone.instance(previous.offset));
+      transitions.push({ local, from: previous.offset, to: day.offset });
+    }
+    previous = day;
+  }
+
+  if (!transitions.length) {
+    component.children.push({
+      name: "STANDARD",
+      properties: [
+        property("DTSTART", "19700101T000000"),
+        property("TZOFFSETFROM", offsetText(previous.offset)),
+        property("TZOFFSETTO", offsetText(previous.offset))
+      ],
+      children: []
+    });
+    return component;
+  }
+
+  for (const { local, from, to } of transitions) {
+    // e.g. the first Sunday of October; the last one when no later one fits in the month
+    const nth = local.day + 7 > local.daysInMonth ? -1 : Math.ceil(local.day / 7);
+    component.children.push({
+      name: to > from ? "DAYLIGHT" : "STANDARD",
+      properties: [
+        property("DTSTART", local.toFormat("yyyyMMdd'T'HHmmss")),
+        property("TZOFFSETFROM", offsetText(from)),
+        property("TZOFFSETTO", offsetText(to)),
+        property("RRULE", `FREQ=YEARLY;BYMONTH=${local.month};BYDAY=${nth}${WEEKDAY_CODES[local.weekday - 1]}`)
+      ],
+      children: []
+    });
+  }
+  return component;
+}
@@ -0,0 +1,258 @@
+import { DateTime } from "luxon";
+import { resolvePreferences } from "./timezone.js";
+
+const DAY_CODES = {
+  monday: "MO",
+  tuesday: "TU",
+  wednesday: "WE",
+  thursday: "TH",
+  friday: "FR",
+  saturday: "SA",
+  sunday: "SU"
+};
+
+const DAY_NUMBERS = {
+  monday: 1,
+  tuesday: 2,
+  wednesday: 3,
+  thursday: 4,
+  friday: 5,
+  saturday: 6,
+  sunday: 7
+};
+
+// Safety cap so an open-ended rule never produces an unbounded list
+const MAX_OCCURRENCES = 366;
+
+/**
+ * Normalise the recurrence fields extracted by intentHandler
+ * @param {Object} recurrence - { pattern, days, count, interval, end_date }
+ * @returns {Object} Recurrence with lowercase days and a numeric interval
+ */
+export function normalizeRecurrence(recurrence = {}) {
+  let pattern = recurrence.pattern || null;
+  const days = (recurrence.days || [])
+    .map(d => d.toLowerCase())
+    .filter(d => DAY_CODES[d]);
+
+  // "custom" is only ever a set of weekdays, which RRULE expresses as WEEKLY + BYDAY
+  if (pattern === "custom") pattern = "weekly";
+  if (!pattern && days.length) pattern = "weekly";
+
+  return {
+    pattern,
+    days: days.length ? days : null,
+    count: recurrence.count ? parseInt(recurrence.count) : null,
+    interval: recurrence.interval ? parseInt(recurrence.interval) : 1,
+    end_date: recurrence.end_date || null
+  };
+}
+
+/**
+ * Move a start date forward to the first day that matches the rule,
+ * so the first occurrence Google creates is a real one
+ * @param {string} date - Format: 'YYYY-MM-DD'
+ * @param {Object} recurrence - Normalised recurrence
+ * @returns {string} Aligned date in 'YYYY-MM-DD' format
+ */
+export function alignStartDate(date, recurrence) {
+  if (recurrence.pattern !== "weekly" || !recurrence.days) return date;
+
+  let dt = DateTime.fromISO(date);
+  const wanted = recurrence.days.map(d => DAY_NUMBERS[d]);
+
+  for (let i = 0; i < 7; i++) {
+    if (wanted.includes(dt.weekday)) return dt.toISODate();
+    dt = dt.plus({ days: 1 });
+  }
+  return date;
+}
+
+/**
+ * Pick the first date a recurrence can start on when the user gave no date
+ * @param {Object} recurrence - Normalised recurrence
+ * @param {string} timezone - User's IANA timezone, which decides what "today" is
+ * @returns {string} Date in 'YYYY-MM-DD' format (today or the next matching weekday)
+ */
+export function defaultStartDate(recurrence, timezone = resolvePreferences().timezone) {
+  const today = DateTime.now().setZone(timezone).toISODate();
+  return alignStartDate(today, recurrence);
+}
+
+/**
+ * Build an RFC 5545 RRULE line for Google Calendar
+ * @param {Object} recurrence - Normalised recurrence
+ * @param {string} timezone - Timezone the event is created in (UNTIL is the end of that day there)
+ * @returns {string} e.g. 'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO;COUNT=4'
+ */
+export function buildRRule(recurrence, timezone = resolvePreferences().timezone) {
+  const parts = [`FREQ=${recurrence.pattern === "daily" ? "DAILY" : "WEEKLY"}`];
+  parts.push(`INTERVAL=${recurrence.interval || 1}`);
+
+  if (recurrence.pattern === "weekly" && recurrence.days) {
+    parts.push(`BYDAY=${recurrence.days.map(d => DAY_CODES[d]).join(",")}`);
+  }
+
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  } else if (recurrence.end_date) {
+    // UNTIL must be UTC when the event start is a dateTime
+    const until = DateTime.fromISO(recurrence.end_date, { zone: timezone }).endOf("day").toUTC();
+    parts.push(`UNTIL=${until.toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
+  }
+
+  return `RRULE:${parts.join(";")}`;
+}
+
+/**
+ * Read an RRULE line back into a recurrence (the reverse of buildRRule)
+ * @param {string} line - e.g. 'RRULE:FREQ=WEEKLY;INTERVAL=1;BYDAY=MO;COUNT=4'
+ * @param {string} timezone - Timezone of the event (UNTIL is read as a date there)
+ * @returns {Object|null} Normalised recurrence, or null for rules it can't express: monthly and
+ *   yearly rules only repeat on the start's day ("the second Tuesday" isn't supported)
+ */
+export function parseRRule(line, timezone = resolvePreferences().timezone) {
+  const fields = Object.fromEntries(
+    line.replace(/^RRULE:/i, "").split(";").map(part => part.split("=")).map(([key, value]) => [key.toUpperCase(), value])
+  );
+  const pattern = { DAILY: "daily", WEEKLY: "weekly", MONTHLY: "monthly", YEARLY: "yearly" }[fields.FREQ];
+  if (!pattern) return null;
+
+  const refinements = Object.keys(fields).filter(key => key.startsWith("BY") && key !== "BYDAY");
+  if (refinements.length || (fields.BYDAY && (pattern === "monthly" || pattern === "yearly"))) return null;
+
+  const codes = Object.fromEntries(Object.entries(DAY_CODES).map(([day, code]) => [code, day]));
+  const days = fields.BYDAY ? fields.BYDAY.split(",").map(code => codes[code.toUpperCase()]).filter(Boolean) : [];
+
+  let endDate = null;
+  if (fields.UNTIL) {
+    endDate = /Z$/.test(fields.UNTIL)
+      ? DateTime.fromFormat(fields.UNTIL, "yyyyMMdd'T'HHmmss'Z'", { zone: "utc" }).setZone(timezone).toISODate()
+      : DateTime.fromFormat(fields.UNTIL.slice(0, 8), "yyyyMMdd").toISODate();
+  }
+
+  return normalizeRecurrence({
+    pattern,
+    days,
+    count: fields.COUNT || null,
+    interval: fields.INTERVAL || 1,
+    end_date: endDate
+  });
+}
+
+/**
+ * Dates taken out of a recurring event by its EXDATE lines
+ * @param {string[]} lines - The event's recurrence lines, e.g. ['RRULE:...', 'EXDATE:20261027T220000Z']
+ * @param {string} timezone - Timezone of the event; UTC exceptions are read as dates there
+ * @returns {Set<string>} 'YYYY-MM-DD' dates
+ */
+export function exceptionDates(lines, timezone = resolvePreferences().timezone) {
+  const dates = new Set();
+
+  for (const line of lines || []) {
+    const match = line.match(/^EXDATE([^:]*):(.+)$/i);
+    if (!match) continue;
+
+    const zone = match[1].match(/TZID=([^;]+)/i)?.[1].replace(/"/g, "") || timezone;
+    for (const value of match[2].split(",")) {
+      const dt = /Z$/.test(value)
+        ? DateTime.fromFormat(value, "yyyyMMdd'T'HHmmss'Z'", { zone: "utc" }).setZone(timezone)
+        : DateTime.fromFormat(value.slice(0, 8), "yyyyMMdd", { zone });
+      if (dt.isValid) dates.add(dt.toISODate());
+    }
+  }
+  return dates;
+}
+
+/**
+ * Expand a recurrence into concrete occurrence dates
+ * @param {string} startDate - First occurrence, format 'YYYY-MM-DD'
+ * @param {Object} recurrence - Normalised recurrence
+ * @param {string} from - Optional 'YYYY-MM-DD': leave out earlier occurrences. Rules without
+ *   a count are then expanded from there, so a series that started years ago still reaches it.
+ * @returns {string[]} Occurrence dates in 'YYYY-MM-DD' format
+ */
+export function expandOccurrences(startDate, recurrence, from = null) {
+  const dates = [];
+  const start = DateTime.fromISO(startDate);
+  const until = recurrence.end_date
+    ? DateTime.fromISO(recurrence.end_date).endOf("day")
+    : null;
+  const count = recurrence.count || Infinity;
+  const interval = recurrence.interval || 1;
+  const first = from ? DateTime.fromISO(from) : start;
+  // COUNT is counted from the start, so counted rules are always walked from there
+  const skipAhead = first > start && !recurrence.count;
+  let counted = 0;
+
+  const withinLimits = (dt) => counted < count && dates.length < MAX_OCCURRENCES && (!until || dt <= until);
+  const add = (dt) => {
+    counted++;
+    if (dt >= first) dates.push(dt.toISODate());
+  };
+
+  if (recurrence.pattern === "weekly" && recurrence.days) {
+    const wanted = recurrence.days.map(d => DAY_NUMBERS[d]).sort((a, b) => a - b);
+    let weekStart = start.startOf("week");
+    if (skipAhead) {
+      const weeks = Math.floor(first.startOf("week").diff(weekStart, "weeks").weeks / interval) * interval;
+      weekStart = weekStart.plus({ weeks });
+    }
+
+    while (counted < count && dates.length < MAX_OCCURRENCES) {
+      for (const weekday of wanted) {
+        const dt = weekStart.plus({ days: weekday - 1 });
+        if (dt < start) continue;
+        if (!withinLimits(dt)) return dates;
+        add(dt);
+      }
+      weekStart = weekStart.plus({ weeks: interval });
+    }
+    return dates;
+  }
+
+  const unit = { weekly: "weeks", monthly: "months", yearly: "years" }[recurrence.pattern] || "days";
+  const firstStep = skipAhead ? Math.floor(first.diff(start, unit).get(unit) / interval) : 0;
+  // Counted from the start so the 31st isn't pulled back to the 28th for good after February
+  for (let i = firstStep, dt = start.plus({ [unit]: interval * i }); withinLimits(dt); i++, dt = start.plus({ [unit]: interval * i })) {
+    // Months without the start's day (the 31st, 29 February) are skipped
+    if (dt.day === start.day || unit === "days" || unit === "weeks") add(dt);
+    if (i - firstStep > MAX_OCCURRENCES * 12) break;
+  }
+  return dates;
+}
+
+/**
+ * Human readable description of a recurrence, e.g. "every Monday, 4 times"
+ * @param {Object} recurrence - Normalised recurrence
+ * @param {string} locale - Locale for the end date
+ * @returns {string} Description
+ */
+export function describeRecurrence(recurrence, locale = resolvePreferences().locale) {
+  const interval = recurrence.interval || 1;
+  let text;
+
+  if (recurrence.pattern === "weekly" && recurrence.days) {
+    const names = recurrence.days.map(d => d.charAt(0).toUpperCase() + d.slice(1));
+    const dayList = names.length > 1
+      ? `${names.slice(0, -1).join(", ")} and ${names[names.length - 1]}`
+      : names[0];
+    text = interval > 1 ? `every ${interval} weeks on ${dayList}` : `every ${dayList}`;
+  } else if (recurrence.pattern === "weekly") {
+    text = interval > 1 ? `every ${interval} weeks` : "every week";
+  } else if (recurrence.pattern === "monthly") {
+    text = interval > 1 ? `every ${interval} months` : "every month";
+  } else if (recurrence.pattern === "yearly") {
+    text = interval > 1 ? `every ${interval} years` : "every year";
+  } else {
+    text = interval === 2 ? "every other day" : interval > 1 ? `every ${interval} days` : "every day";
+  }
+
+  if (recurrence.count) {
+    text += `, ${recurrence.count} times`;
+  } else if (recurrence.end_date) {
+    text += ` until ${DateTime.fromISO(recurrence.end_date).toLocaleString(DateTime.DATE_FULL, { locale })}`;
+  }
+
+  return text;
+}
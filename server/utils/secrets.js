@@ -0,0 +1,42 @@
+import crypto from "crypto";
+
+// Encrypted values look like "v1:<iv>:<auth tag>:<ciphertext>", each part base64url
+const PREFIX = "v1:";
+
+// Read on use: this module is imported before dotenv has loaded .env. There is no random
+// fallback, since anything encrypted with it would be unreadable after a restart.
+function getKey() {
+  if (!process.env.SECRETS_KEY) throw new Error("SECRETS_KEY is not set");
+  return crypto.createHash("sha256").update(process.env.SECRETS_KEY).digest();
+}
+
+export function hasSecretsKey() {
+  return Boolean(process.env.SECRETS_KEY);
+}
+
+export function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+// AES-256-GCM, so a value that was tampered with fails to decrypt instead of decrypting to garbage.
+// Throws when SECRETS_KEY is not set.
+export function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getKey(), iv);
+  const data = Buffer.concat([cipher.update(String(plaintext), "utf8"), cipher.final()]);
+  return PREFIX + [iv, cipher.getAuthTag(), data].map(part => part.toString("base64url")).join(":");
+}
+
+// Returns null when the value can't be decrypted (SECRETS_KEY changed or not set)
+export function decryptSecret(value) {
+  if (!isEncrypted(value)) return null;
+
+  try {
+    const [iv, tag, data] = value.slice(PREFIX.length).split(":").map(part => Buffer.from(part, "base64url"));
+    const decipher = crypto.createDecipheriv("aes-256-gcm", getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
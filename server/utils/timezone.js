@@ -0,0 +1,70 @@
+import { DateTime, IANAZone } from "luxon";
+
+// Used for users who haven't picked their own; DEFAULT_TIMEZONE/DEFAULT_LOCALE override
+const FALLBACK_TIMEZONE = "Australia/Sydney";
+const FALLBACK_LOCALE = "en-AU";
+
+export function isValidTimezone(timezone) {
+  return typeof timezone === "string" && IANAZone.isValidZone(timezone);
+}
+
+export function isValidLocale(locale) {
+  if (typeof locale !== "string" || !locale) return false;
+  try {
+    return Intl.DateTimeFormat.supportedLocalesOf([locale]).length > 0;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Effective { timezone, locale } for a user's stored preferences
+ */
+export function resolvePreferences(preferences = null) {
+  const defaultTimezone = isValidTimezone(process.env.DEFAULT_TIMEZONE) ? process.env.DEFAULT_TIMEZONE : FALLBACK_TIMEZONE;
+  const defaultLocale = isValidLocale(process.env.DEFAULT_LOCALE) ? process.env.DEFAULT_LOCALE : FALLBACK_LOCALE;
+
+  return {
+    timezone: isValidTimezone(preferences?.timezone) ? preferences.timezone : defaultTimezone,
+    locale: isValidLocale(preferences?.locale) ? preferences.locale : defaultLocale
+  };
+}
+
+/**
+ * The instant a wall-clock date/time happens in a timezone
+ * @param {string} date - 'YYYY-MM-DD'
+ * @param {string} time - 'HH:mm' (defaults to midnight)
+ * @returns {Date}
+ */
+export function zonedDateTime(date, time = "00:00", timezone = resolvePreferences().timezone) {
+  return DateTime.fromISO(`${date}T${time}`, { zone: timezone }).toJSDate();
+}
+
+export function todayIn(timezone = resolvePreferences().timezone) {
+  return DateTime.now().setZone(timezone).toISODate();
+}
+
+/**
+ * A Date whose server-local fields read as the current wall clock in `timezone`.
+ * chrono resolves "tomorrow 8am" against the server's local time, so parsing
+ * against this reference and reading local fields back gives the user's date and time.
+ */
+export function zonedReference(timezone = resolvePreferences().timezone) {
+  const now = DateTime.now().setZone(timezone);
+  return new Date(now.year, now.month - 1, now.day, now.hour, now.minute, now.second);
+}
+
+/**
+ * Wall-clock date ('YYYY-MM-DD') and time ('HH:mm') of an instant in a timezone
+ */
+export function toZonedParts(value, timezone = resolvePreferences().timezone) {
+  const dt = DateTime.fromJSDate(new Date(value)).setZone(timezone);
+  return { date: dt.toISODate(), time: dt.toFormat("HH:mm") };
+}
+
+/**
+ * toLocaleString for an instant in the user's timezone and locale
+ */
+export function formatInZone(value, { timezone, locale }, options = {}) {
+  return new Date(value).toLocaleString(locale, { ...options, timeZone: timezone });
+}